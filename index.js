@@ -16,16 +16,24 @@
 
 var Rcoil = require('./src/rcoil');
 var ExecutionDirector = require('./src/execution-director');
+var ExecutionContext = require('./src/execution-context');
 var Request = require('./src/request');
 var ConsoleLogger = require('./src/console-logger');
 var DevNullLogger = require('./src/devnull-logger');
 var Players = require('./src/players');
+var Errors = require('./src/errors');
+var MockBackend = require('./src/mock-backend');
+var Cassette = require('./src/cassette');
 
 module.exports = {
   Rcoil : Rcoil,
   ExecutionDirector : ExecutionDirector,
+  ExecutionContext : ExecutionContext,
   Request : Request,
   ConsoleLogger : ConsoleLogger,
   DevNullLogger : DevNullLogger,
-  Players: Players
+  Players: Players,
+  Errors: Errors,
+  MockBackend: MockBackend,
+  Cassette: Cassette
 };
\ No newline at end of file
@@ -0,0 +1,453 @@
+/*
+ * Copyright 2016 Stefano Buliani (@sapessi)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *  http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// core modules
+var fs = require('fs');
+var path = require('path');
+
+// local modules
+var MockBackend = require('./mock-backend');
+
+var MATCH_PROPERTIES = ["name", "method", "url", "body"];
+var REDACTED_VALUE = "[REDACTED]";
+
+/**
+ * A Cassette records the HTTP requests and Lambda invocations of an execution to a file and
+ * replays them in later executions. Pass it to the director in the cassette option.
+ *
+ * In record mode the requests are sent to the network and each request, with its response or
+ * error, is saved in the interactions property. The director writes the file when the execution
+ * ends. In replay mode the interactions are loaded from the file and each request receives the
+ * response of the first unused interaction that matches it. Requests without a matching
+ * interaction are sent to the network, or fail with the ENOMOCK error code in strict mode.
+ *
+ * @example
+ * // first run, saves the responses
+ * var director = new ExecutionDirector(coil, { cassette: new Cassette("cassettes/users.json", { mode: "record" }) });
+ * // later runs, replays them without opening sockets
+ * var director = new ExecutionDirector(coil, { cassette: new Cassette("cassettes/users.json", { strict: true }) });
+ *
+ * @class
+ * @constructor
+ * @param {String} file - The path of the cassette file
+ * @param {Object} options - The mode, one of the Cassette.Mode values, replay by default. The match list of
+ *  request properties compared in replay mode: name, method, url, and body, by default method, url, and body.
+ *  strict: true to fail the requests that do not match an interaction, false by default. The redactHeaders list
+ *  of request and response headers whose values are not written to the file, Cassette.REDACTED_HEADERS by default
+ */
+function Cassette(file, options) {
+  if (typeof file !== 'string' || file.length == 0) {
+    throw new Error("Cassette requires the path of its file");
+  }
+  options = options || {};
+
+  /**
+   * The path of the cassette file
+   *
+   * @property {String}
+   */
+  this.path = file;
+  /**
+   * Whether the cassette records or replays the requests
+   *
+   * @property {Cassette.Mode}
+   */
+  this.mode = (options.mode !== undefined && options.mode != null ? options.mode : Cassette.Mode.REPLAY);
+  /**
+   * The request properties compared to find the interaction for a request in replay mode
+   *
+   * @property {Array.<String>}
+   */
+  this.match = (options.match !== undefined && options.match != null ? options.match : ["method", "url", "body"]);
+  /**
+   * Whether the requests without a matching interaction fail in replay mode
+   *
+   * @property {bool}
+   */
+  this.strict = (options.strict === true);
+  /**
+   * The lowercase names of the request and response headers saved with a redacted value in
+   * record mode
+   *
+   * @property {Array.<String>}
+   */
+  this.redactHeaders = (options.redactHeaders !== undefined && options.redactHeaders != null ? options.redactHeaders : Cassette.REDACTED_HEADERS);
+  /**
+   * The interactions recorded, or loaded from the file: name, type, request, and either
+   * response or error
+   *
+   * @property {Array.<Object>}
+   */
+  this.interactions = [];
+
+  if (this.mode != Cassette.Mode.RECORD && this.mode != Cassette.Mode.REPLAY) {
+    throw new Error("Invalid cassette mode " + this.mode + ", expected record or replay");
+  }
+  if (!Array.isArray(this.match)) {
+    throw new Error("Cassette match must be an array of request properties");
+  }
+  for (var i = 0; i < this.match.length; i++) {
+    if (MATCH_PROPERTIES.indexOf(this.match[i]) == -1) {
+      throw new Error("Cannot match cassette requests on " + this.match[i] + ", expected one of " + MATCH_PROPERTIES.join(", "));
+    }
+  }
+  if (!Array.isArray(this.redactHeaders) || !this.redactHeaders.every(function (name) { return typeof name === 'string'; })) {
+    throw new Error("Cassette redactHeaders must be an array of header names");
+  }
+  this.redactHeaders = this.redactHeaders.map(function (name) {
+    return name.toLowerCase();
+  });
+
+  this._mocks = null;
+  if (this.mode == Cassette.Mode.REPLAY) {
+    this._load();
+  }
+}
+
+/**
+ * The modes of a cassette
+ *
+ * @property {Object}
+ */
+Cassette.Mode = {
+  RECORD: "record",
+  REPLAY: "replay"
+};
+
+/**
+ * The headers redacted by default: credentials and session cookies
+ *
+ * @property {Array.<String>}
+ */
+Cassette.REDACTED_HEADERS = ["authorization", "cookie", "set-cookie", "x-api-key"];
+
+/**
+ * Writes the recorded interactions to the cassette file, the parent directories are created
+ * if they do not exist. Called by the director at the end of an execution in record mode.
+ *
+ * @function
+ */
+Cassette.prototype.save = function () {
+  var cassette = {
+    recordedAt: new Date().toISOString(),
+    interactions: this.interactions
+  };
+
+  fs.mkdirSync(path.dirname(path.resolve(this.path)), { recursive: true });
+  fs.writeFileSync(this.path, JSON.stringify(cassette, null, 2) + "\n");
+};
+
+/**
+ * Returns an object that replaces the http and https modules for a request. Used by the
+ * RequestPlayer.
+ *
+ * @function
+ * @param {Request} requestConfig - The request being executed
+ * @param {Object} client - The http or https module
+ * @return {Object} An object with the request method of the http module
+ */
+Cassette.prototype.httpClient = function (requestConfig, client) {
+  if (this.mode == Cassette.Mode.REPLAY) {
+    return this._mocks.httpClient(requestConfig, client);
+  }
+
+  var localThis = this;
+  return {
+    request: function (settings, callback) {
+      return localThis._recordHttp(requestConfig, client, settings, callback);
+    }
+  };
+};
+
+/**
+ * Returns an object that replaces the Lambda client of the AWS SDK for a request. Used by the
+ * RequestPlayer.
+ *
+ * @function
+ * @param {Request} requestConfig - The request being executed
+ * @param {Object} client - The Lambda client
+ * @return {Object} An object with the invoke method of the Lambda client
+ */
+Cassette.prototype.lambdaClient = function (requestConfig, client) {
+  if (this.mode == Cassette.Mode.REPLAY) {
+    return this._mocks.lambdaClient(requestConfig, client);
+  }
+
+  var localThis = this;
+  return {
+    invoke: function (params, callback) {
+      var interaction = {
+        name: requestConfig.name,
+        type: requestConfig.type,
+        request: {
+          function: params.FunctionName,
+          qualifier: params.Qualifier,
+          invocationType: params.InvocationType,
+          body: (params.Payload !== undefined && params.Payload != null && params.Payload.length > 0 ? params.Payload.toString() : null)
+        }
+      };
+
+      return client.invoke(params, function (err, data) {
+        if (err) {
+          interaction.error = { code: err.code, message: err.message };
+        } else {
+          interaction.response = {
+            statusCode: data.StatusCode,
+            functionError: data.FunctionError,
+            executedVersion: data.ExecutedVersion,
+            body: (data.Payload !== undefined && data.Payload != null && data.Payload.length > 0 ? data.Payload.toString() : null)
+          };
+        }
+        localThis.interactions.push(interaction);
+        callback(err, data);
+      });
+    }
+  };
+};
+
+/**
+ * Sends an HTTP request with the real client and records the request and its response, or
+ * error. The body written to the request and the response received are captured without
+ * changing the ClientRequest seen by the RequestPlayer and the input functions.
+ *
+ * @function
+ * @private
+ * @param {Request} requestConfig - The request being executed
+ * @param {Object} client - The http or https module
+ * @param {Object} settings - The http settings of the request
+ * @param {function} callback - Receives the response
+ * @return {http.ClientRequest} The request
+ */
+Cassette.prototype._recordHttp = function (requestConfig, client, settings, callback) {
+  var localThis = this;
+  var chunks = [];
+  var aborted = false;
+  var interaction = {
+    name: requestConfig.name,
+    type: requestConfig.type,
+    request: {
+      method: (settings.method !== undefined ? settings.method.toUpperCase() : "GET"),
+      url: settings.protocol + "//" + settings.host + (settings.port != null && settings.port !== "" ? ":" + settings.port : "") + settings.path,
+      headers: {},
+      body: null
+    }
+  };
+
+  var request = client.request(settings, function (response) {
+    var body = [];
+    response.on("data", function (chunk) {
+      body.push(chunk);
+    });
+    response.on("end", function () {
+      if (aborted) return;
+
+      interaction.response = encodeBody({
+        statusCode: response.statusCode,
+        statusMessage: response.statusMessage,
+        headers: redact(response.headers, localThis.redactHeaders)
+      }, Buffer.concat(body));
+      localThis.interactions.push(interaction);
+    });
+    callback(response);
+  });
+
+  var write = request.write;
+  request.write = function (chunk) {
+    if (chunk !== undefined && chunk != null) chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(String(chunk), "utf8"));
+    return write.apply(request, arguments);
+  };
+  var end = request.end;
+  request.end = function (chunk) {
+    if (chunk !== undefined && chunk != null && typeof chunk !== 'function') {
+      chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(String(chunk), "utf8"));
+    }
+    interaction.request.headers = redact(request.getHeaders(), localThis.redactHeaders);
+    encodeBody(interaction.request, Buffer.concat(chunks));
+    return end.apply(request, arguments);
+  };
+  var abort = request.abort;
+  request.abort = function () {
+    aborted = true;
+    return abort.apply(request, arguments);
+  };
+
+  request.on("error", function (err) {
+    if (aborted) return;
+
+    interaction.error = { code: err.code, message: err.message };
+    localThis.interactions.push(interaction);
+  });
+
+  return request;
+};
+
+/**
+ * Reads the interactions from the cassette file and creates the stubs that replay them
+ *
+ * @function
+ * @private
+ */
+Cassette.prototype._load = function () {
+  var cassette;
+  try {
+    cassette = JSON.parse(fs.readFileSync(this.path, "utf8"));
+  } catch (err) {
+    throw new Error("Could not load cassette " + this.path + ": " + err.message);
+  }
+  if (cassette === null || !Array.isArray(cassette.interactions)) {
+    throw new Error("Could not load cassette " + this.path + ": interactions missing");
+  }
+
+  this.interactions = cassette.interactions;
+  this._mocks = new MockBackend({ passthrough: !this.strict });
+  for (var i = 0; i < this.interactions.length; i++) {
+    this._addStub(this.interactions[i]);
+  }
+};
+
+/**
+ * Creates the stub that replays an interaction once
+ *
+ * @function
+ * @private
+ * @param {Object} interaction - The recorded interaction
+ */
+Cassette.prototype._addStub = function (interaction) {
+  var request = interaction.request;
+  var isHttp = (request.url !== undefined);
+  var criteria = {};
+
+  for (var i = 0; i < this.match.length; i++) {
+    switch (this.match[i]) {
+      case "name":
+        criteria.name = interaction.name;
+        break;
+      case "method":
+        if (isHttp) criteria.method = request.method;
+        break;
+      case "url":
+        criteria[isHttp ? "url" : "function"] = exactPattern(isHttp ? request.url : request.function);
+        break;
+      case "body":
+        criteria.body = getMatchBody(request);
+        break;
+    }
+  }
+
+  var stub = this._mocks.when(criteria).times(1);
+  if (interaction.error !== undefined && interaction.error != null) {
+    stub.fail(interaction.error.code, interaction.error.message);
+    return;
+  }
+
+  var response = interaction.response;
+  if (isHttp) {
+    stub.reply(response.statusCode, decodeBody(response), response.headers);
+  } else if (response.functionError !== undefined && response.functionError != null) {
+    stub.functionError(response.functionError, response.body);
+  } else {
+    stub.reply(response.statusCode, response.body);
+  }
+};
+
+/**
+ * Returns a copy of a list of headers where the values of the redacted headers are replaced
+ *
+ * @function
+ * @private
+ * @param {Object} headers - The headers, with lowercase names
+ * @param {Array.<String>} names - The lowercase names of the headers to redact
+ * @return {Object} The redacted headers
+ */
+function redact(headers, names) {
+  var output = {};
+  for (var name in headers) {
+    output[name] = (names.indexOf(name.toLowerCase()) > -1 ? REDACTED_VALUE : headers[name]);
+  }
+  return output;
+}
+
+/**
+ * Saves a body in a recorded request or response. Bodies that are not valid UTF-8 text, such
+ * as compressed responses, are saved in base64 with the encoding property.
+ *
+ * @function
+ * @private
+ * @param {Object} target - The recorded request or response
+ * @param {Buffer} body - The body
+ * @return {Object} The target object
+ */
+function encodeBody(target, body) {
+  if (body.length == 0) {
+    target.body = null;
+  } else if (Buffer.from(body.toString("utf8"), "utf8").equals(body)) {
+    target.body = body.toString("utf8");
+  } else {
+    target.body = body.toString("base64");
+    target.encoding = "base64";
+  }
+  return target;
+}
+
+/**
+ * Reads the body of a recorded response
+ *
+ * @function
+ * @private
+ * @param {Object} response - The recorded response
+ * @return {Buffer} The body
+ */
+function decodeBody(response) {
+  if (response.body === undefined || response.body == null) return Buffer.alloc(0);
+
+  return Buffer.from(response.body, (response.encoding == "base64" ? "base64" : "utf8"));
+}
+
+/**
+ * Returns the body criteria for a recorded request: the parsed value of JSON bodies, the raw
+ * body otherwise
+ *
+ * @function
+ * @private
+ * @param {Object} request - The recorded request
+ * @return {*} The body to match
+ */
+function getMatchBody(request) {
+  if (request.body === undefined || request.body == null) return null;
+  if (request.encoding == "base64") return Buffer.from(request.body, "base64").toString("utf8");
+
+  try {
+    var json = JSON.parse(request.body);
+    if (json !== null && typeof json !== 'string') return json;
+  } catch (err) {
+    // not a JSON body
+  }
+  return request.body;
+}
+
+/**
+ * Creates a regular expression that only matches the given value
+ *
+ * @function
+ * @private
+ * @param {String} value - The value to match
+ * @return {RegExp} The regular expression
+ */
+function exactPattern(value) {
+  return new RegExp("^" + String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&") + "$");
+}
+
+module.exports = Cassette;
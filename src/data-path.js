@@ -0,0 +1,538 @@
+/*
+ * Copyright 2016 Stefano Buliani (@sapessi)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *  http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Path expressions point to a value in the responses of an execution. Expressions start with
+ * "$." followed by the group id, the request name, and the path to the value in the response
+ * data. Array items are selected with square brackets, keys that contain dots can be quoted.
+ * The [*] wildcard selects all of the items in an array and filters, such as [?(@.age > 3)],
+ * select the items that match a condition. Both return the list of values.
+ *
+ * The same syntax is used by the get method of the ExecutionContext, with paths starting with 
+ * req or res instead of $.
+ *
+ * @example
+ * "$.users.getUser.json.id"
+ * "$.users.listUsers.json.items[0].name"
+ * "$.users.listUsers.json.items[*].name"
+ * "$.users.listUsers.json.items[?(@.active == true)].name"
+ * "$.users.getUser.headers[\"content-type\"]"
+ */
+
+/**
+ * The segment returned by the parse method for the [*] wildcard
+ *
+ * @property {Object}
+ */
+var WILDCARD = { wildcard: true };
+
+/**
+ * The operators supported in data mappings. Objects containing operator keys are evaluated
+ * instead of being copied.
+ *
+ * @property {Array.<String>}
+ */
+var OPERATORS = ["$path", "$merge", "$concat", "$default"];
+
+/**
+ * The flags set on the response data of requests that did not complete successfully
+ *
+ * @property {Array.<String>}
+ * @private
+ */
+var UNAVAILABLE_FLAGS = ["isCanceled", "isFailed", "timedOut", "isAborted"];
+
+/**
+ * Checks whether a value is a path expression
+ *
+ * @function
+ * @param {*} value - The value to check
+ * @return {bool} true if the value is a string starting with "$."
+ */
+function isPath(value) {
+  return typeof value === 'string' && value.indexOf("$.") == 0;
+}
+
+/**
+ * Reads a literal value from a filter expression: numbers, quoted strings, true, false, and null
+ *
+ * @function
+ * @private
+ * @param {String} literal - The literal as written in the expression
+ * @param {String} path - The full path, used in error messages
+ * @return {*} The value of the literal
+ */
+function parseLiteral(literal, path) {
+  if (/^-?[0-9]+(\.[0-9]+)?$/.test(literal)) return parseFloat(literal);
+  if (/^(".*"|'.*')$/.test(literal)) return literal.substring(1, literal.length - 1);
+  if (literal == "true") return true;
+  if (literal == "false") return false;
+  if (literal == "null") return null;
+
+  throw new Error("Invalid path " + path + ". Invalid value in filter: " + literal);
+}
+
+/**
+ * Parses a filter expression such as @.age > 30, @.name == "rex", or @.tags
+ *
+ * @function
+ * @private
+ * @param {String} expression - The expression between [?( and )]
+ * @param {String} path - The full path, used in error messages
+ * @return {Object} A filter segment with the path, operator, and value to compare
+ */
+function parseFilter(expression, path) {
+  var match = /^@((?:\.[^\s=!<>]+|\[[^\]]+\])*)\s*(?:(==|!=|<=|>=|<|>)\s*(.+))?$/.exec(expression.trim());
+  if (match == null) {
+    throw new Error("Invalid path " + path + ". Filters must be in the form [?(@.key operator value)]");
+  }
+
+  return {
+    filter: {
+      path: (match[1] == "" ? [] : tokenize(match[1], path)),
+      operator: (match[2] !== undefined ? match[2] : null),
+      value: (match[2] !== undefined ? parseLiteral(match[3].trim(), path) : null)
+    }
+  };
+}
+
+/**
+ * Splits an expression into keys, indexes, wildcards, and filters. The first key can be written
+ * without a leading dot.
+ *
+ * @function
+ * @private
+ * @param {String} expression - The expression to split
+ * @param {String} path - The full path, used in error messages
+ * @return {Array} The segments of the expression
+ */
+function tokenize(expression, path) {
+  var segments = [];
+  var i = 0;
+  while (i < expression.length) {
+    var c = expression.charAt(i);
+    if (c == "." || i == 0 && c != "[") {
+      var start = (c == "." ? i + 1 : i);
+      var end = start;
+      while (end < expression.length && expression.charAt(end) != "." && expression.charAt(end) != "[") end++;
+      if (end == start) {
+        throw new Error("Invalid path " + path + ". Empty key at position " + i);
+      }
+      segments.push(expression.substring(start, end));
+      i = end;
+    } else if (c == "[") {
+      if (expression.substring(i, i + 3) == "[?(") {
+        var close = expression.indexOf(")]", i);
+        if (close == -1) {
+          throw new Error("Invalid path " + path + ". Missing )] at position " + i);
+        }
+        segments.push(parseFilter(expression.substring(i + 3, close), path));
+        i = close + 2;
+        continue;
+      }
+
+      var close = expression.indexOf("]", i);
+      if (close == -1) {
+        throw new Error("Invalid path " + path + ". Missing ] at position " + i);
+      }
+      var key = expression.substring(i + 1, close).trim();
+      if (/^[0-9]+$/.test(key)) {
+        segments.push(parseInt(key, 10));
+      } else if (key == "*") {
+        segments.push(WILDCARD);
+      } else if (/^(".*"|'.*')$/.test(key)) {
+        segments.push(key.substring(1, key.length - 1));
+      } else {
+        throw new Error("Invalid path " + path + ". Brackets must contain an index, *, a filter, or a quoted key");
+      }
+      i = close + 1;
+    } else {
+      throw new Error("Invalid path " + path + ". Unexpected character " + c + " at position " + i);
+    }
+  }
+
+  return segments;
+}
+
+/**
+ * Splits a path expression into its segments. Throws an error if the expression is not valid.
+ *
+ * @example
+ * parse("$.users.listUsers.json.items[0].name"); // ["users", "listUsers", "json", "items", 0, "name"]
+ *
+ * @function
+ * @param {String} path - The path expression
+ * @return {Array.<String|int|Object>} The keys, indexes, wildcards, and filters in the path
+ */
+function parse(path) {
+  if (!isPath(path)) {
+    throw new Error("Invalid path " + path + ". Paths must start with $.");
+  }
+
+  var segments = tokenize(path.substring(1), path);
+  if (segments.length < 2 || typeof segments[0] !== 'string' || typeof segments[1] !== 'string') {
+    throw new Error("Invalid path " + path + ". Paths must start with a group id and a request name");
+  }
+
+  return segments;
+}
+
+/**
+ * Splits a query passed to the get method of the ExecutionContext. Queries start with req or
+ * res, followed by the group id and the request name.
+ *
+ * @example
+ * parseQuery("res.group1.getUser.body.address[0]"); // ["res", "group1", "getUser", "body", "address", 0]
+ *
+ * @function
+ * @param {String} query - The query expression
+ * @return {Array.<String|int|Object>} The segments of the query
+ */
+function parseQuery(query) {
+  var segments = tokenize(String(query), query);
+  if (segments.length < 3 || (segments[0] != "req" && segments[0] != "res") ||
+      typeof segments[1] !== 'string' || typeof segments[2] !== 'string') {
+    throw new Error("Invalid path " + query + ". Paths must start with req or res, a group id, and a request name");
+  }
+
+  return segments;
+}
+
+/**
+ * Splits a path that is relative to a value, such as the path to a field in a JSON body.
+ *
+ * @example
+ * parseField("meta.next[0]"); // ["meta", "next", 0]
+ *
+ * @function
+ * @param {String} path - The relative path
+ * @return {Array.<String|int|Object>} The segments of the path
+ */
+function parseField(path) {
+  if (typeof path !== 'string' || path == "") {
+    throw new Error("Invalid path " + path + ". Field paths must be a non-empty string");
+  }
+
+  return tokenize(path, path);
+}
+
+/**
+ * Checks whether a segment selects multiple values
+ *
+ * @function
+ * @private
+ * @param {*} segment - The segment to check
+ * @return {bool} true for wildcards and filters
+ */
+function isMulti(segment) {
+  return segment === WILDCARD || (segment !== null && typeof segment === 'object' && segment.filter !== undefined);
+}
+
+/**
+ * Checks whether an item matches a filter
+ *
+ * @function
+ * @private
+ * @param {*} item - An item of the array being filtered
+ * @param {Object} filter - The filter
+ * @return {bool} true if the item matches
+ */
+function matches(item, filter) {
+  var value = read(item, filter.path, 0);
+  switch (filter.operator) {
+    case null: return value !== undefined && value !== false;
+    case "==": return value === filter.value;
+    case "!=": return value !== filter.value;
+    case "<": return value !== undefined && value < filter.value;
+    case "<=": return value !== undefined && value <= filter.value;
+    case ">": return value !== undefined && value > filter.value;
+    case ">=": return value !== undefined && value >= filter.value;
+  }
+  return false;
+}
+
+/**
+ * Reads the value at the given segments of a path. Wildcards and filters return the list of 
+ * values found in the selected items of the array, nested lists are flattened into a single list.
+ *
+ * @function
+ * @param {*} value - The value to read from
+ * @param {Array} segments - The segments of the path
+ * @param {int} index - The position of the first segment to read
+ * @return {*} The value, undefined if it does not exist
+ */
+function read(value, segments, index) {
+  for (var i = index; i < segments.length; i++) {
+    if (value === undefined || value == null) return undefined;
+
+    if (isMulti(segments[i])) {
+      if (!Array.isArray(value)) return undefined;
+
+      var output = [];
+      var nested = segments.slice(i + 1).some(isMulti);
+      for (var j = 0; j < value.length; j++) {
+        if (segments[i] !== WILDCARD && !matches(value[j], segments[i].filter)) continue;
+
+        var item = read(value[j], segments, i + 1);
+        if (item === undefined) continue;
+        output = (nested && Array.isArray(item) ? output.concat(item) : output.concat([item]));
+      }
+      return output;
+    }
+
+    if (typeof value !== 'object' && typeof value !== 'string') return undefined;
+    value = value[segments[i]];
+  }
+
+  return (value == null ? undefined : value);
+}
+
+/**
+ * Reads the value a path expression points to from an ExecutionContext. Returns undefined if
+ * the request has not completed or the response does not contain the value. JSON bodies are
+ * parsed, see the get method of the ExecutionContext.
+ *
+ * @function
+ * @param {ExecutionContext} context - The execution context
+ * @param {String} path - The path expression
+ * @return {*} The value in the response data
+ */
+function resolve(context, path) {
+  parse(path);
+  return context.get("res" + path.substring(1));
+}
+
+/**
+ * Checks whether the request a path expression points to completed successfully. Requests
+ * that have not run, or were canceled, failed, timed out, or aborted are not available.
+ *
+ * @function
+ * @param {ExecutionContext} context - The execution context
+ * @param {String} path - The path expression
+ * @return {bool} true if the response of the request is available
+ */
+function isAvailable(context, path) {
+  var segments = parse(path);
+  var response = context.responseData(segments[0], segments[1]);
+  if (response === undefined || response == null) return false;
+
+  for (var i = 0; i < UNAVAILABLE_FLAGS.length; i++) {
+    if (response[UNAVAILABLE_FLAGS[i]] === true) return false;
+  }
+  return true;
+}
+
+/**
+ * Checks whether an object in a mapping is an operator
+ *
+ * @function
+ * @private
+ * @param {Object} mapping - The object to check
+ * @return {bool} true if the object contains operator keys
+ */
+function isOperator(mapping) {
+  for (var key in mapping) {
+    if (OPERATORS.indexOf(key) > -1) return true;
+  }
+  return false;
+}
+
+/**
+ * Evaluates an operator object from a data mapping.
+ *
+ * $path reads a path expression, the same as a string. $merge combines a list of objects, later
+ * values override earlier ones. $concat joins a list of arrays, values that are not arrays are
+ * added as items. $default is used when the value is undefined or, for $path, when the request
+ * did not complete successfully.
+ *
+ * @function
+ * @private
+ * @param {Object} operator - The operator object
+ * @param {ExecutionContext} context - The execution context
+ * @return {*} The value of the operator
+ */
+function evaluate(operator, context) {
+  var value;
+
+  if (operator.$path !== undefined) {
+    value = (isAvailable(context, operator.$path) ? resolve(context, operator.$path) : undefined);
+  } else if (operator.$merge !== undefined) {
+    var parts = operator.$merge.map(function (item) {
+      return map(item, context);
+    });
+    for (var i = 0; i < parts.length; i++) {
+      if (parts[i] === undefined || parts[i] === null || typeof parts[i] !== 'object' || Array.isArray(parts[i])) continue;
+      if (value === undefined) value = {};
+      for (var key in parts[i]) {
+        value[key] = parts[i][key];
+      }
+    }
+  } else if (operator.$concat !== undefined) {
+    value = [];
+    for (var i = 0; i < operator.$concat.length; i++) {
+      var part = map(operator.$concat[i], context);
+      if (part === undefined) continue;
+      value = value.concat(Array.isArray(part) ? part : [part]);
+    }
+  }
+
+  if (value === undefined && operator.$default !== undefined) {
+    return map(operator.$default, context);
+  }
+  return value;
+}
+
+/**
+ * Builds a value from a data mapping. Strings starting with "$." are replaced with the value
+ * the path points to, objects and arrays are mapped recursively, and all other values are
+ * copied as they are. Strings starting with "$$" are copied without the first "$".
+ *
+ * @example
+ * map({ userId: "$.users.getUser.json.id", source: "rcoil" }, context);
+ * // { userId: 1, source: "rcoil" }
+ *
+ * @function
+ * @param {*} mapping - The data mapping
+ * @param {ExecutionContext} context - The execution context
+ * @return {*} The mapped value
+ */
+function map(mapping, context) {
+  if (isPath(mapping)) {
+    return resolve(context, mapping);
+  }
+  if (mapping !== null && typeof mapping === 'object' && !Array.isArray(mapping) && isOperator(mapping)) {
+    return evaluate(mapping, context);
+  }
+  if (typeof mapping === 'string' && mapping.indexOf("$$") == 0) {
+    return mapping.substring(1);
+  }
+  if (Array.isArray(mapping)) {
+    return mapping.map(function (item) {
+      return map(item, context);
+    });
+  }
+  if (mapping !== null && typeof mapping === 'object') {
+    var output = {};
+    for (var key in mapping) {
+      output[key.indexOf("$$") == 0 ? key.substring(1) : key] = map(mapping[key], context);
+    }
+    return output;
+  }
+
+  return mapping;
+}
+
+/**
+ * Lists the path expressions contained in a data mapping
+ *
+ * @function
+ * @param {*} mapping - The data mapping
+ * @return {Array.<String>} The path expressions
+ */
+function paths(mapping) {
+  if (isPath(mapping)) {
+    return [mapping];
+  }
+
+  var output = [];
+  if (mapping !== null && typeof mapping === 'object') {
+    for (var key in mapping) {
+      if (key == "$path" && typeof mapping[key] === 'string') {
+        output.push(mapping[key]);
+      } else {
+        output = output.concat(paths(mapping[key]));
+      }
+    }
+  }
+  return output;
+}
+
+/**
+ * Checks the path expressions and operators in a data mapping
+ *
+ * @example
+ * validate({ user: { $path: "$.users", $default: {} } });
+ * // ["Invalid path $.users. Paths must start with a group id and a request name"]
+ *
+ * @function
+ * @param {*} mapping - The data mapping
+ * @return {Array.<String>} The list of problems, empty if the mapping is valid
+ */
+function validate(mapping) {
+  var problems = [];
+
+  var check = function (value) {
+    if (isPath(value)) {
+      try {
+        parse(value);
+      } catch (err) {
+        problems.push(err.message);
+      }
+      return;
+    }
+    if (value === null || typeof value !== 'object') return;
+
+    if (Array.isArray(value) || !isOperator(value)) {
+      for (var key in value) {
+        check(value[key]);
+      }
+      return;
+    }
+
+    var operators = [];
+    for (var key in value) {
+      if (OPERATORS.indexOf(key) == -1) {
+        problems.push("Unknown key " + key + " in operator, expected one of " + OPERATORS.join(", ") + ". Use $$ to escape keys starting with $");
+      } else if (key != "$default") {
+        operators.push(key);
+      }
+    }
+    if (operators.length != 1) {
+      problems.push("Operators require exactly one of $path, $merge, or $concat");
+      return;
+    }
+
+    if (value.$path !== undefined) {
+      if (!isPath(value.$path)) {
+        problems.push("$path must be a path expression starting with $.");
+      } else {
+        check(value.$path);
+      }
+    } else if (!Array.isArray(value[operators[0]])) {
+      problems.push(operators[0] + " requires a list of values");
+    } else {
+      check(value[operators[0]]);
+    }
+    if (value.$default !== undefined) check(value.$default);
+  };
+  check(mapping);
+
+  return problems;
+}
+
+module.exports = {
+  WILDCARD: WILDCARD,
+  isPath: isPath,
+  parse: parse,
+  parseQuery: parseQuery,
+  parseField: parseField,
+  read: read,
+  resolve: resolve,
+  isAvailable: isAvailable,
+  map: map,
+  paths: paths,
+  validate: validate
+};
@@ -0,0 +1,320 @@
+/*
+ * Copyright 2016 Stefano Buliani (@sapessi)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *  http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var validUrl = require('valid-url');
+
+var Request = require('./request');
+var DataPath = require('./data-path');
+var RequestTypes = require('./request-types');
+
+/**
+ * The version of the definition format produced by Rcoil.toDefinition
+ *
+ * @property {int}
+ */
+var VERSION = 1;
+
+var GROUP_PROPERTIES = ["id", "dependsOn", "requests", "children", "onFailure"];
+var REQUEST_PROPERTIES = {
+  http: ["name", "type", "method", "url", "options", "timeout", "retryPolicy", "pagination", "dependsOn", "input", "compensation"],
+  lambda: ["name", "type", "function", "qualifier", "invocationType", "logType", "clientContext", "timeout", "retryPolicy", "dependsOn", "input", "compensation"],
+  custom: ["name", "type", "settings", "timeout", "retryPolicy", "dependsOn", "input", "compensation"]
+};
+
+/**
+ * Checks whether a value is a plain object
+ *
+ * @function
+ * @private
+ * @param {*} value - The value to check
+ * @return {bool} true if the value is an object and not an array
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Adds a problem for each property of an object that is not in the list of known properties
+ *
+ * @function
+ * @private
+ * @param {Object} obj - The object to check
+ * @param {Array.<String>} known - The allowed property names
+ * @param {String} path - The path of the object in the definition
+ * @param {Array.<Object>} problems - The list of problems
+ */
+function checkUnknownProperties(obj, known, path, problems) {
+  for (var key in obj) {
+    if (known.indexOf(key) == -1) {
+      problems.push({ path: (path != "" ? path + "." : "") + key, message: "Unknown property, expected one of " + known.join(", ") });
+    }
+  }
+}
+
+/**
+ * Validates a list of dependencies and collects them to check that the requests exist once
+ * the whole definition has been read.
+ *
+ * @function
+ * @private
+ * @param {*} dependsOn - The dependsOn property of a group or request
+ * @param {String} path - The path of the property in the definition
+ * @param {Object} state - The validation state
+ */
+function checkDependencies(dependsOn, path, state) {
+  if (dependsOn === undefined) return;
+
+  if (!Array.isArray(dependsOn)) {
+    state.problems.push({ path: path, message: "Must be a list of { groupId, requestName } objects" });
+    return;
+  }
+
+  for (var i = 0; i < dependsOn.length; i++) {
+    var dependency = dependsOn[i];
+    if (!isObject(dependency) || typeof dependency.groupId !== 'string' || typeof dependency.requestName !== 'string') {
+      state.problems.push({ path: path + "[" + i + "]", message: "Dependencies require a groupId and a requestName string" });
+      continue;
+    }
+    state.references.push({ path: path + "[" + i + "]", groupId: dependency.groupId, requestName: dependency.requestName });
+  }
+}
+
+/**
+ * Validates the definition of a request
+ *
+ * @function
+ * @private
+ * @param {*} request - The request definition
+ * @param {String} path - The path of the request in the definition
+ * @param {String} groupId - The id of the group containing the request
+ * @param {Object} state - The validation state
+ */
+function checkRequest(request, path, groupId, state) {
+  var problems = state.problems;
+
+  if (!isObject(request)) {
+    problems.push({ path: path, message: "Requests must be objects" });
+    return;
+  }
+
+  if (typeof request.name !== 'string' || request.name == "") {
+    problems.push({ path: path + ".name", message: "Requests require a name" });
+  } else if (state.requests[groupId] !== undefined) {
+    if (state.requests[groupId][request.name] === true) {
+      problems.push({ path: path + ".name", message: "Duplicate request name \"" + request.name + "\" in group " + groupId });
+    }
+    state.requests[groupId][request.name] = true;
+  }
+
+  switch (request.type) {
+    case Request.RequestType.HTTP:
+      checkUnknownProperties(request, REQUEST_PROPERTIES.http, path, problems);
+      if (typeof request.method !== 'string' || Request.HttpVerb[request.method.toUpperCase()] === undefined) {
+        problems.push({ path: path + ".method", message: "Invalid HTTP method \"" + request.method + "\", expected one of " + Object.keys(Request.HttpVerb).join(", ") });
+      }
+      if (typeof request.url !== 'string' || !validUrl.isUri(request.url)) {
+        problems.push({ path: path + ".url", message: "Invalid url \"" + request.url + "\"" });
+      }
+      if (request.options !== undefined && !isObject(request.options)) {
+        problems.push({ path: path + ".options", message: "HTTP options must be an object" });
+      }
+      break;
+    case Request.RequestType.LAMBDA:
+      checkUnknownProperties(request, REQUEST_PROPERTIES.lambda, path, problems);
+      if (typeof request.function !== 'string' || request.function == "") {
+        problems.push({ path: path + ".function", message: "Lambda requests require a function name or ARN" });
+      }
+      if (request.qualifier !== undefined && typeof request.qualifier !== 'string') {
+        problems.push({ path: path + ".qualifier", message: "The qualifier must be a string" });
+      }
+      ["invocationType", "logType", "clientContext"].forEach(function (key) {
+        if (request[key] === undefined) return;
+        var invokeOptions = {};
+        invokeOptions[key] = request[key];
+        try {
+          Request.parseInvokeOptions(invokeOptions);
+        } catch (err) {
+          problems.push({ path: path + "." + key, message: err.message });
+        }
+      });
+      break;
+    default:
+      var executor = RequestTypes.get(request.type);
+      if (executor == null) {
+        problems.push({ path: path + ".type", message: "Invalid request type \"" + request.type + "\", expected http, lambda, or a registered request type" });
+        break;
+      }
+      checkUnknownProperties(request, REQUEST_PROPERTIES.custom, path, problems);
+      if (request.settings !== undefined && !isObject(request.settings)) {
+        problems.push({ path: path + ".settings", message: "The settings must be an object" });
+      } else if (typeof executor.validate === 'function') {
+        try {
+          executor.validate(request.settings !== undefined ? request.settings : {});
+        } catch (err) {
+          problems.push({ path: path + ".settings", message: err.message });
+        }
+      }
+  }
+
+  if (request.timeout !== undefined) {
+    try {
+      Request.parseTimeout(request.timeout);
+    } catch (err) {
+      problems.push({ path: path + ".timeout", message: err.message });
+    }
+  }
+
+  if (request.retryPolicy !== undefined) {
+    try {
+      Request.parseRetryPolicy(request.retryPolicy);
+    } catch (err) {
+      problems.push({ path: path + ".retryPolicy", message: err.message });
+    }
+  }
+
+  if (request.pagination !== undefined) {
+    try {
+      Request.parsePagination(request.pagination);
+    } catch (err) {
+      problems.push({ path: path + ".pagination", message: err.message });
+    }
+  }
+
+  checkDependencies(request.dependsOn, path + ".dependsOn", state);
+
+  var inputProblems = DataPath.validate(request.input);
+  for (var i = 0; i < inputProblems.length; i++) {
+    problems.push({ path: path + ".input", message: inputProblems[i] });
+  }
+
+  if (request.compensation !== undefined) {
+    // compensations are not part of the group, their names do not need to be unique
+    checkRequest(request.compensation, path + ".compensation", null, state);
+  }
+}
+
+/**
+ * Validates a request group and its children
+ *
+ * @function
+ * @private
+ * @param {*} group - The group definition
+ * @param {String} path - The path of the group in the definition
+ * @param {Object} state - The validation state
+ */
+function checkGroup(group, path, state) {
+  var problems = state.problems;
+
+  if (!isObject(group)) {
+    problems.push({ path: path, message: "Request groups must be objects" });
+    return;
+  }
+  checkUnknownProperties(group, GROUP_PROPERTIES, path, problems);
+
+  var groupId = group.id;
+  if (typeof groupId !== 'string' || groupId == "") {
+    problems.push({ path: path + ".id", message: "Request groups require an id" });
+    groupId = null;
+  } else if (state.requests[groupId] !== undefined) {
+    problems.push({ path: path + ".id", message: "Duplicate group id \"" + groupId + "\"" });
+    groupId = null;
+  } else {
+    state.requests[groupId] = {};
+  }
+
+  checkDependencies(group.dependsOn, path + ".dependsOn", state);
+
+  var lists = ["requests", "children"];
+  for (var i = 0; i < lists.length; i++) {
+    if (group[lists[i]] !== undefined && !Array.isArray(group[lists[i]])) {
+      problems.push({ path: path + "." + lists[i], message: "Must be a list" });
+    }
+  }
+
+  if (Array.isArray(group.requests)) {
+    for (var i = 0; i < group.requests.length; i++) {
+      checkRequest(group.requests[i], path + ".requests[" + i + "]", groupId, state);
+    }
+  }
+
+  if (Array.isArray(group.children)) {
+    for (var i = 0; i < group.children.length; i++) {
+      checkGroup(group.children[i], path + ".children[" + i + "]", state);
+    }
+  }
+
+  if (group.onFailure !== undefined) {
+    checkGroup(group.onFailure, path + ".onFailure", state);
+  }
+}
+
+/**
+ * Validates a coil definition. The validation does not stop at the first error, it returns
+ * all of the problems found in the definition.
+ *
+ * @example
+ * Definition.validate({ groups: [{ id: "users", requests: [{ name: "getUser" }] }] });
+ * // [{ path: "groups[0].requests[0].type", message: "Invalid request type \"undefined\", expected http, lambda, or a registered request type" }]
+ *
+ * @function
+ * @param {Object} definition - The coil definition
+ * @return {Array.<Object>} The list of problems, objects with the path and message properties. Empty if the definition is valid
+ */
+function validate(definition) {
+  var state = {
+    problems: [],
+    requests: {},
+    references: []
+  };
+
+  if (!isObject(definition)) {
+    state.problems.push({ path: "", message: "The definition must be an object" });
+    return state.problems;
+  }
+
+  checkUnknownProperties(definition, ["version", "groups", "output"], "", state.problems);
+  if (definition.version !== undefined && definition.version !== VERSION) {
+    state.problems.push({ path: "version", message: "Unsupported version " + definition.version + ", expected " + VERSION });
+  }
+
+  if (!Array.isArray(definition.groups)) {
+    state.problems.push({ path: "groups", message: "The definition requires a list of groups" });
+    return state.problems;
+  }
+
+  for (var i = 0; i < definition.groups.length; i++) {
+    checkGroup(definition.groups[i], "groups[" + i + "]", state);
+  }
+
+  var outputProblems = DataPath.validate(definition.output);
+  for (var i = 0; i < outputProblems.length; i++) {
+    state.problems.push({ path: "output", message: outputProblems[i] });
+  }
+
+  for (var i = 0; i < state.references.length; i++) {
+    var reference = state.references[i];
+    if (state.requests[reference.groupId] === undefined || state.requests[reference.groupId][reference.requestName] !== true) {
+      state.problems.push({ path: reference.path, message: "Unknown request " + reference.groupId + "/" + reference.requestName });
+    }
+  }
+
+  return state.problems;
+}
+
+module.exports = {
+  VERSION: VERSION,
+  validate: validate
+};
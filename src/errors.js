@@ -0,0 +1,187 @@
+/*
+ * Copyright 2016 Stefano Buliani (@sapessi)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *  http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// core modules
+var util = require('util');
+
+/**
+ * Base error for executions that did not complete successfully. The ExecutionDirector run
+ * method rejects its Promise with one of the subclasses of this error. The execution context
+ * is attached to the error so that partial results are still available.
+ *
+ * @example
+ * director.run().catch(function(err) {
+ *   if (err instanceof Errors.ExecutionFailedError) {
+ *     console.log(err.context.getErrors());
+ *   }
+ * });
+ *
+ * @class
+ * @constructor
+ * @param {String} message - The error message
+ * @param {ExecutionContext} context - The execution context at the time of the error
+ */
+function ExecutionError(message, context) {
+  Error.call(this);
+  if (Error.captureStackTrace) Error.captureStackTrace(this, this.constructor);
+
+  this.name = this.constructor.name;
+  this.message = message;
+
+  /**
+   * The execution context with the requests and responses completed so far
+   *
+   * @property {ExecutionContext}
+   */
+  this.context = context;
+
+  /**
+   * The status of the execution, one of the ExecutionContext.Status values
+   *
+   * @property {String}
+   */
+  this.status = (context != null ? context.getStatus() : null);
+}
+util.inherits(ExecutionError, Error);
+
+/**
+ * The execution was aborted with the abort method of the ExecutionDirector
+ *
+ * @class
+ * @constructor
+ * @param {ExecutionContext} context - The execution context at the time of the abort
+ * @param {Object} summary - The summary passed to the abort event of the director
+ */
+function ExecutionAbortedError(context, summary) {
+  var reason = (summary != null ? summary.reason : null);
+  ExecutionError.call(this, "Coil execution aborted" + (reason != null ? ": " + reason : ""), context);
+
+  /**
+   * The summary of the aborted execution: reason, completed, aborted, and skippedGroups
+   *
+   * @property {Object}
+   */
+  this.summary = summary;
+}
+util.inherits(ExecutionAbortedError, ExecutionError);
+
+/**
+ * One or more requests in the execution failed. The message contains the first error, use the
+ * getErrors method of the context to read all of them.
+ *
+ * @class
+ * @constructor
+ * @param {ExecutionContext} context - The completed execution context
+ */
+function ExecutionFailedError(context) {
+  var errors = context.getErrors();
+  var message = "Coil execution failed";
+  if (errors.length > 0) {
+    message += ": " + (errors[0].requestName != null ? "request " + errors[0].requestName + " in group " : "group ") + errors[0].groupId + " - " + errors[0].error.message;
+  }
+
+  ExecutionError.call(this, message, context);
+
+  /**
+   * The list of failed requests, as returned by the getErrors method of the context
+   *
+   * @property {Array.<Object>}
+   */
+  this.errors = errors;
+}
+util.inherits(ExecutionFailedError, ExecutionError);
+
+/**
+ * The execution exceeded the coilTimeout option of the ExecutionDirector
+ *
+ * @class
+ * @constructor
+ * @param {ExecutionContext} context - The execution context with the partial results
+ */
+function ExecutionTimeoutError(context) {
+  ExecutionError.call(this, "Coil execution timed out", context);
+}
+util.inherits(ExecutionTimeoutError, ExecutionError);
+
+/**
+ * A coil definition passed to Rcoil.fromDefinition is not valid. The message lists all of the
+ * problems found in the definition, each problem contains the path of the invalid property.
+ *
+ * @example
+ * // Invalid coil definition:
+ * //   groups[0].requests[1].url: Invalid url "htp//myapi.com"
+ * //   groups[1].id: Duplicate group id "users"
+ *
+ * @class
+ * @constructor
+ * @param {Array.<Object>} problems - The list of problems, objects with the path and message properties
+ */
+function DefinitionError(problems) {
+  Error.call(this);
+  if (Error.captureStackTrace) Error.captureStackTrace(this, this.constructor);
+
+  this.name = this.constructor.name;
+  this.message = "Invalid coil definition:" + problems.map(function (problem) {
+    return "\n  " + (problem.path != "" ? problem.path + ": " : "") + problem.message;
+  }).join("");
+
+  /**
+   * The list of problems found in the definition
+   *
+   * @property {Array.<Object>}
+   */
+  this.problems = problems;
+}
+util.inherits(DefinitionError, Error);
+
+/**
+ * The coil passed to the ExecutionDirector has errors and cannot be executed. The message 
+ * lists the errors returned by the validate method of the coil.
+ *
+ * @class
+ * @constructor
+ * @param {Array.<Object>} diagnostics - The diagnostics returned by Rcoil.validate
+ */
+function CoilValidationError(diagnostics) {
+  Error.call(this);
+  if (Error.captureStackTrace) Error.captureStackTrace(this, this.constructor);
+
+  var coilErrors = diagnostics.filter(function (diagnostic) {
+    return diagnostic.severity == "error";
+  });
+
+  this.name = this.constructor.name;
+  this.message = "Invalid coil:" + coilErrors.map(function (diagnostic) {
+    return "\n  " + diagnostic.message;
+  }).join("");
+
+  /**
+   * All of the diagnostics returned by the validate method, including warnings
+   *
+   * @property {Array.<Object>}
+   */
+  this.diagnostics = diagnostics;
+}
+util.inherits(CoilValidationError, Error);
+
+module.exports = {
+  ExecutionError: ExecutionError,
+  ExecutionAbortedError: ExecutionAbortedError,
+  ExecutionFailedError: ExecutionFailedError,
+  ExecutionTimeoutError: ExecutionTimeoutError,
+  DefinitionError: DefinitionError,
+  CoilValidationError: CoilValidationError
+};
@@ -0,0 +1,144 @@
+/*
+ * Copyright 2016 Stefano Buliani (@sapessi)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *  http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var asyncIteratorSymbol = (typeof Symbol !== 'undefined' ? (Symbol.asyncIterator || Symbol.for("Symbol.asyncIterator")) : null);
+
+/**
+ * EventStream buffers the events fired by an EventEmitter and exposes them as an async iterator.
+ * Each value produced by the iterator is an object with the type of the event and its arguments.
+ * The stream completes once one of the end events is fired, the end event itself is the last
+ * value produced.
+ *
+ * @example
+ * var stream = new EventStream(director, ["groupStart", "requestEnd"], ["end", "abort"]);
+ * for await (var event of stream) {
+ *   console.log(event.type, event.args);
+ * }
+ *
+ * @class
+ * @constructor
+ * @param {EventEmitter} emitter - The object firing the events
+ * @param {Array.<String>} eventNames - The events to collect
+ * @param {Array.<String>} endEvents - The events that complete the stream
+ */
+function EventStream(emitter, eventNames, endEvents) {
+  this._emitter = emitter;
+  this._queue = [];
+  this._waiting = [];
+  this._done = false;
+  this._listeners = {};
+
+  var names = eventNames.slice(0);
+  for (var i = 0; i < endEvents.length; i++) {
+    if (names.indexOf(endEvents[i]) == -1) names.push(endEvents[i]);
+  }
+
+  for (var i = 0; i < names.length; i++) {
+    var listener = this._getListener(names[i], endEvents.indexOf(names[i]) > -1);
+    this._listeners[names[i]] = listener;
+    emitter.on(names[i], listener);
+  }
+}
+
+/**
+ * Returns the listener function for an event. Listeners push events to the waiting readers
+ * or in the queue.
+ *
+ * @function
+ * @private
+ * @param {String} eventName - The name of the event
+ * @param {bool} isEnd - Whether the event completes the stream
+ * @return {function} The listener for the event emitter
+ */
+EventStream.prototype._getListener = function (eventName, isEnd) {
+  var localThis = this;
+  return function () {
+    if (localThis._done) return;
+
+    var event = {
+      type: eventName,
+      args: Array.prototype.slice.call(arguments)
+    };
+
+    if (localThis._waiting.length > 0) {
+      localThis._waiting.shift()({ value: event, done: false });
+    } else {
+      localThis._queue.push(event);
+    }
+
+    if (isEnd) {
+      localThis._close();
+    }
+  };
+};
+
+/**
+ * Removes all listeners from the emitter and completes the readers that are still waiting
+ *
+ * @function
+ * @private
+ */
+EventStream.prototype._close = function () {
+  this._done = true;
+  for (var eventName in this._listeners) {
+    this._emitter.removeListener(eventName, this._listeners[eventName]);
+  }
+  this._listeners = {};
+
+  while (this._waiting.length > 0) {
+    this._waiting.shift()({ value: undefined, done: true });
+  }
+};
+
+/**
+ * Returns a Promise for the next event in the stream
+ *
+ * @function
+ * @return {Promise} Resolves with an object containing the event in the value property and the done flag
+ */
+EventStream.prototype.next = function () {
+  if (this._queue.length > 0) {
+    return Promise.resolve({ value: this._queue.shift(), done: false });
+  }
+  if (this._done) {
+    return Promise.resolve({ value: undefined, done: true });
+  }
+
+  var localThis = this;
+  return new Promise(function (resolve) {
+    localThis._waiting.push(resolve);
+  });
+};
+
+/**
+ * Stops collecting events. This is called automatically when a for await loop exits early.
+ *
+ * @function
+ * @return {Promise} Resolves with the done flag set to true
+ */
+EventStream.prototype.return = function () {
+  this._queue = [];
+  this._close();
+  return Promise.resolve({ value: undefined, done: true });
+};
+
+if (asyncIteratorSymbol != null) {
+  EventStream.prototype[asyncIteratorSymbol] = function () {
+    return this;
+  };
+}
+
+module.exports = EventStream;
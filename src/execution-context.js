@@ -14,9 +14,17 @@
  * limitations under the License.
  */
 
+// core modules
+var http = require('http');
+var url = require('url');
+
 // external modules
 var ReadWriteLock = require('rwlock');
 
+var DataPath = require('./data-path');
+var Request = require('./request');
+var packageInfo = require('../package.json');
+
 const groupsLockName = "requestGroups";
 const requestsLockName = "requests";
 const requestDataLockName = "requestData";
@@ -87,8 +95,311 @@ function ExecutionContext() {
    * 
    */
   this._responses = {};
+  /**
+   * The status of the execution, one of the ExecutionContext.Status values
+   * 
+   * @property {String} _status
+   * @private
+   */
+  this._status = ExecutionContext.Status.RUNNING;
+  /**
+   * The ids of the request groups skipped because their when condition returned false
+   * 
+   * @property {Array.<String>} _skippedGroups
+   * @private
+   */
+  this._skippedGroups = [];
+  /**
+   * The errors that are not caused by a request, such as a when condition that threw an
+   * exception, as { groupId, requestName, error } objects
+   * 
+   * @property {Array.<Object>} _groupErrors
+   * @private
+   */
+  this._groupErrors = [];
+  /**
+   * The history of the repeating request groups, by group id
+   * 
+   * @property {Object} _groupIterations
+   * @private
+   */
+  this._groupIterations = {};
+  /**
+   * The rollback of a failed execution
+   * 
+   * @property {Object} _rollback
+   * @private
+   */
+  this._rollback = null;
+  /**
+   * The output of the coil built from its output template
+   * 
+   * @property {*} _output
+   * @private
+   */
+  this._output = null;
+  /**
+   * JSON bodies parsed by the get method, by req or res, group id, and request name. The 
+   * cache is cleared when the request or response data is updated.
+   * 
+   * @property {Object} _parsedBodies
+   * @private
+   */
+  this._parsedBodies = { req: {}, res: {} };
 }
 
+/**
+ * The possible statuses of an execution. An execution is failed if any of its requests
+ * failed, regardless of the failure policy of the director.
+ * 
+ * @property {Object}
+ */
+ExecutionContext.Status = {
+  RUNNING: "running",
+  COMPLETED: "completed",
+  FAILED: "failed",
+  TIMED_OUT: "timedOut",
+  ABORTED: "aborted"
+};
+
+/**
+ * Returns the status of the execution. The director sets the final status before calling 
+ * the callback passed to its start method.
+ * 
+ * @function
+ * @return {String} One of the ExecutionContext.Status values
+ */
+ExecutionContext.prototype.getStatus = function () {
+  return this._status;
+};
+
+/**
+ * Sets the status of the execution. This is used by the ExecutionDirector.
+ * 
+ * @function
+ * @param {String} status - One of the ExecutionContext.Status values
+ */
+ExecutionContext.prototype.setStatus = function (status) {
+  this._status = status;
+};
+
+/**
+ * Reads a value from the requests and responses of the execution with a path expression. Paths 
+ * start with req or res, followed by the group id and the request name, and continue into the 
+ * request or response data. JSON bodies are parsed the first time they are read and cached.
+ * 
+ * Paths support array indexes, quoted keys, the [*] wildcard, and filters such as 
+ * [?(@.age > 30)] or [?(@.name == "rex")]. Wildcards and filters return a list of values. 
+ * Missing values return undefined instead of throwing, invalid paths throw an error.
+ * 
+ * @example
+ * context.get("res.group1.getUser.body.address[0]"); // "the rainy corner"
+ * context.get("res.group1.listUsers.body[*].username"); // ["user1", "user2", "user3"]
+ * context.get("res.group1.listPets.body.items[?(@.age > 3)].name"); // ["rex"]
+ * context.get("req.group1.createUser.body.id");
+ * context.get("res.group1.getUser.statusCode"); // 200
+ * context.get("res.group1.missing.body.id"); // undefined
+ * 
+ * @function
+ * @param {String} path - The path expression
+ * @return {*} The value, undefined if it does not exist
+ */
+ExecutionContext.prototype.get = function (path) {
+  var segments = DataPath.parseQuery(path);
+  var type = segments[0];
+  var groupId = segments[1];
+  var requestName = segments[2];
+  
+  var data = (type == "req" ? this.requestData(groupId, requestName) : this.responseData(groupId, requestName));
+  if (data == null) return undefined;
+  if (segments.length == 3) return data;
+  
+  if (segments[3] === "body") {
+    return DataPath.read(this._getParsedBody(type, groupId, requestName, data), segments, 4);
+  }
+  return DataPath.read(data, segments, 3);
+};
+
+/**
+ * Returns the body of a request or response, JSON strings are parsed and cached. HTTP 
+ * responses decoded as JSON reuse the json property of the response data.
+ * 
+ * @function
+ * @private
+ * @param {String} type - req or res
+ * @param {String} groupId - The request group id
+ * @param {String} requestName - The request name
+ * @param {Object} data - The request or response data
+ * @return {*} The parsed body, or the original body if it is not JSON
+ */
+ExecutionContext.prototype._getParsedBody = function (type, groupId, requestName, data) {
+  if (typeof data.body !== 'string') return data.body;
+  if (type == "res" && data.json !== undefined) return data.json;
+  
+  var cache = this._parsedBodies[type];
+  if (cache[groupId] !== undefined && cache[groupId].hasOwnProperty(requestName)) {
+    return cache[groupId][requestName];
+  }
+  
+  var body = data.body;
+  try {
+    body = JSON.parse(data.body);
+  } catch (err) {
+    // not JSON, paths read from the string
+  }
+  
+  if (cache[groupId] === undefined) cache[groupId] = {};
+  cache[groupId][requestName] = body;
+  return body;
+};
+
+/**
+ * Removes a parsed body from the cache
+ * 
+ * @function
+ * @private
+ * @param {String} type - req or res
+ * @param {String} groupId - The request group id
+ * @param {String} requestName - The request name
+ */
+ExecutionContext.prototype._clearParsedBody = function (type, groupId, requestName) {
+  if (this._parsedBodies[type][groupId] !== undefined) {
+    delete this._parsedBodies[type][groupId][requestName];
+  }
+};
+
+/**
+ * Returns the output of the coil, built from the template passed to the output method of the 
+ * Rcoil once the execution ends. Returns null if the coil does not have an output template.
+ * 
+ * @example
+ * director.start(function(context) {
+ *   res.send(context.output());
+ * });
+ * 
+ * @function
+ * @return {*} The aggregated output
+ */
+ExecutionContext.prototype.output = function () {
+  return this._output;
+};
+
+/**
+ * Sets the output of the coil. This is used by the ExecutionDirector when the execution ends.
+ * 
+ * @function
+ * @param {*} output - The aggregated output
+ */
+ExecutionContext.prototype.setOutput = function (output) {
+  this._output = output;
+};
+
+/**
+ * Records a request group as skipped. This is used by the ExecutionDirector when the when
+ * condition of a group, or of one of its parents, returns false.
+ * 
+ * @function
+ * @param {String} groupId - The id of the skipped request group
+ */
+ExecutionContext.prototype.skipGroup = function (groupId) {
+  if (this._skippedGroups.indexOf(groupId) == -1) {
+    this._skippedGroups.push(groupId);
+  }
+};
+
+/**
+ * Records an error of a request group that is not caused by one of its requests. This is used
+ * by the ExecutionDirector when the when condition of a group throws an exception. The error 
+ * is returned by getErrors with a null requestName.
+ * 
+ * @function
+ * @param {String} groupId - The id of the request group
+ * @param {Object} error - The error, with a message and a code
+ */
+ExecutionContext.prototype.addGroupError = function (groupId, error) {
+  this._groupErrors.push({
+    groupId: groupId,
+    requestName: null,
+    error: error
+  });
+};
+
+/**
+ * Checks whether a request group was skipped by its when condition
+ * 
+ * @function
+ * @param {String} groupId - The id of the request group
+ * @return {bool} true if the group was skipped
+ */
+ExecutionContext.prototype.isGroupSkipped = function (groupId) {
+  return this._skippedGroups.indexOf(groupId) > -1;
+};
+
+/**
+ * Returns the ids of the request groups skipped by their when condition
+ * 
+ * @function
+ * @return {Array.<String>} The skipped group ids
+ */
+ExecutionContext.prototype.getSkippedGroups = function () {
+  return this._skippedGroups.slice(0);
+};
+
+/**
+ * Records a completed iteration of a repeating request group. This is used by the ExecutionDirector
+ * at the end of each iteration.
+ * 
+ * @function
+ * @param {String} groupId - The id of the repeating request group
+ * @param {Object} iteration - The iteration record with the response data of the group's requests
+ */
+ExecutionContext.prototype.addGroupIteration = function (groupId, iteration) {
+  if (this._groupIterations[groupId] === undefined) {
+    this._groupIterations[groupId] = [];
+  }
+  this._groupIterations[groupId].push(iteration);
+};
+
+/**
+ * Returns the history of a repeating request group. Each iteration record contains the iteration 
+ * number, its startTime and endTime, the response data of each request in the responses property, 
+ * and whether it was the last iteration in the done property. The last iteration also contains the 
+ * reason the group stopped repeating: conditionMet, conditionError, maxIterations, deadline, 
+ * requestFailed, or stopped.
+ * 
+ * @function
+ * @param {String} groupId - The id of the repeating request group
+ * @return {Array.<Object>} The iterations of the group, empty if the group did not run
+ */
+ExecutionContext.prototype.groupIterations = function (groupId) {
+  return (this._groupIterations[groupId] || []).slice(0);
+};
+
+/**
+ * Saves the rollback record of a failed execution. This is used by the ExecutionDirector when
+ * it starts running the compensations of the completed requests.
+ * 
+ * @function
+ * @param {Object} rollback - The rollback record
+ */
+ExecutionContext.prototype.setRollback = function (rollback) {
+  this._rollback = rollback;
+};
+
+/**
+ * Returns the rollback of a failed execution. The record contains the startTime and endTime of 
+ * the rollback, its status (running, completed, failed, or aborted), and the list of compensations 
+ * in the order they ran. Each compensation has the groupId and requestName of the compensated
+ * request, the name of the compensation request, its status (completed, failed, canceled, timedOut, 
+ * or aborted), and its response data.
+ * 
+ * @function
+ * @return {Object} The rollback record, null if the execution was not rolled back
+ */
+ExecutionContext.prototype.getRollback = function () {
+  return this._rollback;
+};
+
 /**
  * Registers a request group as currently being executed with the execution context
  * 
@@ -165,7 +476,7 @@ ExecutionContext.prototype.getActiveGroups = function () {
  */
 ExecutionContext.prototype.registerActiveRequest = function (requestConfig) {
   this._lock.writeLock(requestsLockName, (function (release) {
-    this._activeGroups.push(requestConfig);
+    this._activeRequests.push(requestConfig);
     release();
   }).bind(this));
 };
@@ -198,9 +509,9 @@ ExecutionContext.prototype.unregisterActiveRequests = function (requestConfig) {
 ExecutionContext.prototype.getActiveRequest = function (requestName) {
   var request = null;
   this._lock.readLock(requestsLockName, (function (release) {
-    for (var req in this._activeRequests) {
-      if (req.name == requestName) {
-        request = req;
+    for (var i = 0; i < this._activeRequests.length; i++) {
+      if (this._activeRequests[i].name == requestName) {
+        request = this._activeRequests[i];
       }
     }
 
@@ -285,6 +596,7 @@ ExecutionContext.prototype.setRequestData = function (groupId, requestName, requ
       this._requests[groupId] = {};
 
     this._requests[groupId][requestName] = requestData;
+    this._clearParsedBody("req", groupId, requestName);
 
     release();
   }).bind(this));
@@ -349,11 +661,56 @@ ExecutionContext.prototype.setResponseData = function (groupId, requestName, res
       this._responses[groupId] = {};
 
     this._responses[groupId][requestName] = responseData;
+    this._clearParsedBody("res", groupId, requestName);
 
     release();
   }).bind(this));
 };
 
+/**
+ * Returns the list of failed requests with the error that caused the failure, followed by the
+ * errors of request groups, such as a when condition that threw an exception, with a null 
+ * requestName
+ * 
+ * @example
+ * [
+ *   {
+ *     groupId: "group1",
+ *     requestName: "request1",
+ *     error: { message: "connect ECONNREFUSED 127.0.0.1:3000", code: "ECONNREFUSED" }
+ *   },
+ *   {
+ *     groupId: "admin",
+ *     requestName: null,
+ *     error: { message: "Cannot read properties of null (reading 'json')", code: "ECONDITION" }
+ *   }
+ * ]
+ * 
+ * @function
+ * @return {Array.<Object>} The failed requests, an empty array if no request failed
+ */
+ExecutionContext.prototype.getErrors = function () {
+  var errors = [];
+
+  this._lock.readLock(responseDataLockName, (function (release) {
+    for (var groupId in this._responses) {
+      for (var requestName in this._responses[groupId]) {
+        var response = this._responses[groupId][requestName];
+        if (response.isFailed) {
+          errors.push({
+            groupId: groupId,
+            requestName: requestName,
+            error: response.error
+          });
+        }
+      }
+    }
+
+    release();
+  }).bind(this));
+  return errors.concat(this._groupErrors);
+};
+
 /**
  * Retrieves the full request and response data structure for all requests and groups
  * in a coil.
@@ -403,4 +760,361 @@ ExecutionContext.prototype.getData = function () {
   };
 };
 
+/**
+ * Exports the HTTP requests and Lambda invocations of the execution as a HAR 1.2 document, 
+ * which can be loaded in the network panel of browser developer tools and other HAR viewers.
+ * Each request group is a page of the document. Lambda invocations are exported as POST 
+ * requests to a lambda://functions/{function}/invocations url, with the invocation type, log 
+ * type, executed version, and function error as X-Amz headers. Each page of a paginated 
+ * request is a separate entry. Other request types are not exported.
+ * 
+ * Besides the standard fields, entries contain the _groupId, _requestName, and _attempts of 
+ * the request, failed requests the _error property. Requests without a response have status 0.
+ * 
+ * @example
+ * director.run().then(function(context) {
+ *   fs.writeFileSync("execution.har", JSON.stringify(context.toHAR(), null, 2));
+ * });
+ * 
+ * @function
+ * @return {Object} The HAR document
+ */
+ExecutionContext.prototype.toHAR = function () {
+  var entries = [];
+  var pages = [];
+  
+  for (var groupId in this._requests) {
+    var groupEntries = [];
+    for (var requestName in this._requests[groupId]) {
+      var request = this.requestData(groupId, requestName);
+      var response = this.responseData(groupId, requestName);
+      if (request == null || request.config === undefined) continue;
+      
+      switch (request.config.type) {
+        case Request.RequestType.HTTP:
+          groupEntries = groupEntries.concat(createHttpEntries(groupId, requestName, request, response));
+          break;
+        case Request.RequestType.LAMBDA:
+          groupEntries.push(createLambdaEntry(groupId, requestName, request, response));
+          break;
+      }
+    }
+    if (groupEntries.length == 0) continue;
+    
+    var startTime = Math.min.apply(null, groupEntries.map(function (entry) { return entry._startTime; }));
+    var endTime = Math.max.apply(null, groupEntries.map(function (entry) { return entry._startTime + entry.time; }));
+    pages.push({
+      startedDateTime: new Date(startTime).toISOString(),
+      id: groupId,
+      title: groupId,
+      pageTimings: { onContentLoad: -1, onLoad: endTime - startTime },
+      comment: "Request group " + groupId
+    });
+    entries = entries.concat(groupEntries);
+  }
+  
+  var byStartTime = function (a, b) {
+    return a.startedDateTime < b.startedDateTime ? -1 : (a.startedDateTime > b.startedDateTime ? 1 : 0);
+  };
+  entries.sort(byStartTime);
+  entries.forEach(function (entry) {
+    delete entry._startTime;
+  });
+  
+  return {
+    log: {
+      version: "1.2",
+      creator: { name: "rcoil", version: packageInfo.version },
+      pages: pages.sort(byStartTime),
+      entries: entries
+    }
+  };
+};
+
+/**
+ * Creates the HAR entries of an HTTP request, one for each page of paginated requests
+ * 
+ * @function
+ * @private
+ * @param {String} groupId - The request group id
+ * @param {String} requestName - The name of the request
+ * @param {Object} request - The request data
+ * @param {Object} response - The response data, null if the request did not complete
+ * @return {Array.<Object>} The HAR entries
+ */
+function createHttpEntries(groupId, requestName, request, response) {
+  var pages = (response != null && response.pages !== undefined ? response.pages : [response]);
+  var entries = [];
+  var startTime = getStartTime(request.attempts, request.startTime);
+  
+  for (var i = 0; i < pages.length; i++) {
+    var page = pages[i];
+    if (response != null && response.pages !== undefined) {
+      startTime = getStartTime(request.attempts.filter(function (attempt) {
+        return attempt.page == i + 1;
+      }), startTime);
+    }
+    var entry = createEntry(groupId, requestName, request, page, startTime);
+    var pageUrl = (page != null && page.url !== undefined ? page.url : request.url);
+    entry.request = createHarRequest(request.method, pageUrl, request.headers, request.body);
+    
+    if (page != null && page.statusCode !== undefined) {
+      var headers = page.headers || {};
+      entry.response = {
+        status: page.statusCode,
+        statusText: page.statusMessage || "",
+        httpVersion: "HTTP/" + (page.httpVersion || "1.1"),
+        cookies: [],
+        headers: toHarHeaders(headers),
+        content: createContent(page.body, headers["content-type"], page.raw),
+        redirectURL: headers["location"] || "",
+        headersSize: -1,
+        bodySize: (page.raw !== undefined ? page.raw.length : -1)
+      };
+    } else {
+      entry.response = createEmptyResponse();
+    }
+    
+    if (pages.length > 1) entry.comment += ", page " + (i + 1);
+    if (page != null && page.endTime !== undefined) startTime = page.endTime;
+    entries.push(entry);
+  }
+  
+  return entries;
+}
+
+/**
+ * Creates the HAR pseudo-entry of a Lambda invocation
+ * 
+ * @function
+ * @private
+ * @param {String} groupId - The request group id
+ * @param {String} requestName - The name of the request
+ * @param {Object} request - The request data
+ * @param {Object} response - The response data, null if the invocation did not complete
+ * @return {Object} The HAR entry
+ */
+function createLambdaEntry(groupId, requestName, request, response) {
+  var settings = request.config.settings;
+  var entry = createEntry(groupId, requestName, request, response, getStartTime(request.attempts, request.startTime));
+  
+  var requestHeaders = { "Content-Type": "application/json", "X-Amz-Invocation-Type": settings.invocationType };
+  if (settings.logType !== undefined && settings.logType != null) requestHeaders["X-Amz-Log-Type"] = settings.logType;
+  var lambdaUrl = "lambda://functions/" + encodeURIComponent(settings.function) + "/invocations" +
+    (settings.qualifier !== undefined && settings.qualifier != null ? "?Qualifier=" + encodeURIComponent(settings.qualifier) : "");
+  entry.request = createHarRequest("POST", lambdaUrl, requestHeaders, request.body);
+  
+  var responseHeaders = {};
+  var body = null;
+  var status = null;
+  if (response != null && response.statusCode !== undefined) {
+    status = response.statusCode;
+    body = response.raw;
+    if (response.executedVersion !== undefined) responseHeaders["X-Amz-Executed-Version"] = response.executedVersion;
+  } else if (response != null && response.error !== undefined && response.error.details !== undefined) {
+    // invocations that return a FunctionError fail with the error payload
+    status = 200;
+    body = JSON.stringify(response.error.details);
+    responseHeaders["X-Amz-Function-Error"] = response.error.code;
+  }
+  
+  if (status == null) {
+    entry.response = createEmptyResponse();
+  } else {
+    responseHeaders["Content-Type"] = "application/json";
+    entry.response = {
+      status: status,
+      statusText: http.STATUS_CODES[status] || "",
+      httpVersion: "HTTP/1.1",
+      cookies: [],
+      headers: toHarHeaders(responseHeaders),
+      content: createContent(Buffer.isBuffer(body) ? body.toString("utf8") : body, "application/json"),
+      redirectURL: "",
+      headersSize: -1,
+      bodySize: -1
+    };
+    var logs = (response.logs !== undefined ? response.logs : response.error !== undefined ? response.error.logs : undefined);
+    if (logs !== undefined) entry.response._logs = logs;
+  }
+  
+  return entry;
+}
+
+/**
+ * Creates a HAR entry with the timings and the outcome of a request, without its request and
+ * response objects. The _startTime property is only used to sort the entries.
+ * 
+ * @function
+ * @private
+ * @param {String} groupId - The request group id
+ * @param {String} requestName - The name of the request
+ * @param {Object} request - The request data
+ * @param {Object} response - The response data, null if the request did not complete
+ * @param {int} startTime - The time the request was sent
+ * @return {Object} The HAR entry
+ */
+function createEntry(groupId, requestName, request, response, startTime) {
+  var endTime = startTime;
+  if (response != null && response.endTime !== undefined) {
+    endTime = response.endTime;
+  } else if (request.attempts.length > 0 && request.attempts[request.attempts.length - 1].endTime != null) {
+    endTime = request.attempts[request.attempts.length - 1].endTime;
+  }
+  var time = Math.max(0, endTime - startTime);
+  
+  var entry = {
+    pageref: groupId,
+    startedDateTime: new Date(startTime).toISOString(),
+    time: time,
+    request: null,
+    response: null,
+    cache: {},
+    timings: { blocked: -1, dns: -1, connect: -1, send: 0, wait: time, receive: 0, ssl: -1 },
+    comment: "Request " + requestName + " of group " + groupId,
+    _groupId: groupId,
+    _requestName: requestName,
+    _attempts: request.attempts.length,
+    _startTime: startTime
+  };
+  
+  if (response == null) {
+    entry.comment += ", not completed";
+  } else if (response.timedOut) {
+    entry.comment += ", timed out (" + response.timeoutType + ")";
+  } else if (response.isAborted) {
+    entry.comment += ", aborted: " + response.abortReason;
+  } else if (response.isFailed) {
+    entry.comment += ", failed: " + response.error.message;
+    entry._error = response.error;
+  }
+  
+  return entry;
+}
+
+/**
+ * Creates the request object of a HAR entry
+ * 
+ * @function
+ * @private
+ * @param {String} method - The HTTP method
+ * @param {String} requestUrl - The url of the request
+ * @param {Object} headers - The headers of the request
+ * @param {*} body - The input of the request, objects are sent as JSON
+ * @return {Object} The HAR request
+ */
+function createHarRequest(method, requestUrl, headers, body) {
+  var query = url.parse(requestUrl, true).query;
+  var harRequest = {
+    method: method,
+    url: requestUrl,
+    httpVersion: "HTTP/1.1",
+    cookies: [],
+    headers: toHarHeaders(headers),
+    queryString: toHarHeaders(query),
+    headersSize: -1,
+    bodySize: 0
+  };
+  
+  if (body !== undefined && body != null) {
+    var text = (typeof body === 'object' && !Buffer.isBuffer(body) ? JSON.stringify(body) : String(body));
+    var contentType = harRequest.headers.filter(function (header) {
+      return header.name.toLowerCase() == "content-type";
+    });
+    harRequest.postData = {
+      mimeType: (contentType.length > 0 ? contentType[0].value : (typeof body === 'object' ? "application/json" : "text/plain")),
+      params: [],
+      text: text
+    };
+    harRequest.bodySize = Buffer.byteLength(text, "utf8");
+  }
+  
+  return harRequest;
+}
+
+/**
+ * Creates the response of a HAR entry for a request that did not receive a response
+ * 
+ * @function
+ * @private
+ * @return {Object} The HAR response, with status 0
+ */
+function createEmptyResponse() {
+  return {
+    status: 0,
+    statusText: "",
+    httpVersion: "",
+    cookies: [],
+    headers: [],
+    content: { size: 0, mimeType: "x-unknown" },
+    redirectURL: "",
+    headersSize: -1,
+    bodySize: -1
+  };
+}
+
+/**
+ * Creates the content of a HAR response. Binary bodies are encoded in base64.
+ * 
+ * @function
+ * @private
+ * @param {*} body - The decoded body of the response
+ * @param {String} mimeType - The content type of the response
+ * @param {Buffer} raw - The body as received, used to compute the bytes saved by compression
+ * @return {Object} The HAR content
+ */
+function createContent(body, mimeType, raw) {
+  var content = { size: 0, mimeType: mimeType || "x-unknown" };
+  if (body === undefined || body == null) return content;
+  
+  if (Buffer.isBuffer(body)) {
+    content.size = body.length;
+    content.text = body.toString("base64");
+    content.encoding = "base64";
+  } else {
+    content.text = (typeof body === 'string' ? body : JSON.stringify(body));
+    content.size = Buffer.byteLength(content.text, "utf8");
+  }
+  if (raw !== undefined && raw != null && raw.length < content.size) {
+    content.compression = content.size - raw.length;
+  }
+  
+  return content;
+}
+
+/**
+ * Converts headers, or query string parameters, to the list of name and value pairs of HAR.
+ * Multiple values of the same header are listed separately.
+ * 
+ * @function
+ * @private
+ * @param {Object} values - The values by name
+ * @return {Array.<Object>} The name and value pairs
+ */
+function toHarHeaders(values) {
+  var pairs = [];
+  for (var name in values) {
+    if (values[name] === undefined || values[name] == null) continue;
+    
+    [].concat(values[name]).forEach(function (value) {
+      pairs.push({ name: name, value: String(value) });
+    });
+  }
+  return pairs;
+}
+
+/**
+ * Returns the start time of the first attempt of a request
+ * 
+ * @function
+ * @private
+ * @param {Array.<Object>} attempts - The attempts of the request
+ * @param {int} defaultTime - The time used if there are no attempts
+ * @return {int} The start time in ms
+ */
+function getStartTime(attempts, defaultTime) {
+  if (attempts.length > 0 && attempts[0].startTime !== undefined) return attempts[0].startTime;
+  
+  return defaultTime;
+}
+
 module.exports = ExecutionContext;
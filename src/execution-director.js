@@ -20,10 +20,16 @@ const events = require('events');
 
 // local modules
 var RequestGroupPlayer = require('./players').RequestGroupPlayer;
+var RequestPlayer = require('./players').RequestPlayer;
 var ExecutionContext = require('./execution-context');
 var Rcoil = require('./rcoil');
 var DevNullLogger = require('./devnull-logger');
 var Request = require('./request');
+var RequestTypes = require('./request-types');
+var EventStream = require('./event-stream');
+var DataPath = require('./data-path');
+var Cassette = require('./cassette');
+var errors = require('./errors');
 
 /**
  * The ExecutionDirector receives and executes an Rcoil tree. 
@@ -32,7 +38,20 @@ var Request = require('./request');
  * @example
  * {
  *   debug: false,
- *   logger: new ConsoleLogger();
+ *   logger: new ConsoleLogger(),
+ *   awsConfig: null,
+ *   // local handlers for Lambda functions, by function name, ARN, or pattern
+ *   lambdaHandlers: null,
+ *   // a MockBackend that replies to the HTTP and Lambda requests of the coil
+ *   mocks: null,
+ *   // a Cassette that records the HTTP and Lambda requests of the coil, or replays them
+ *   cassette: null,
+ *   // default timeout for requests, either ms or { connect: ms, total: ms }
+ *   timeout: null,
+ *   // deadline in ms for the execution of the whole coil
+ *   coilTimeout: null,
+ *   // what to do when a request fails, one of the ExecutionDirector.FailurePolicy values
+ *   failurePolicy: ExecutionDirector.FailurePolicy.CONTINUE
  * }
  * 
  * @class
@@ -41,10 +60,23 @@ var Request = require('./request');
  * @param {Object} options - Configuration options for the director
  * 
  * @fires ExecutionDirector#end
+ * @fires ExecutionDirector#validationError
  * @fires ExecutionDirector#groupStart
  * @fires ExecutionDirector#groupEnd
+ * @fires ExecutionDirector#groupIteration
  * @fires ExecutionDirector#requestStart
  * @fires ExecutionDirector#requestEnd
+ * @fires ExecutionDirector#requestTimeout
+ * @fires ExecutionDirector#requestRetry
+ * @fires ExecutionDirector#requestError
+ * @fires ExecutionDirector#requestItemError
+ * @fires ExecutionDirector#groupError
+ * @fires ExecutionDirector#timeout
+ * @fires ExecutionDirector#abort
+ * @fires ExecutionDirector#requestAbort
+ * @fires ExecutionDirector#requestSkip
+ * @fires ExecutionDirector#compensation
+ * @fires ExecutionDirector#rollback
  */
 function ExecutionDirector(rcoil, options) {
   /**
@@ -70,24 +102,131 @@ function ExecutionDirector(rcoil, options) {
   this.options = {
     debug: false,
     logger: new DevNullLogger(),
-    awsConfig: null
+    awsConfig: null,
+    lambdaHandlers: null,
+    mocks: null,
+    cassette: null,
+    timeout: null,
+    coilTimeout: null,
+    failurePolicy: ExecutionDirector.FailurePolicy.CONTINUE
   };
   util._extend(this.options, options);
   
   /**
-   * Total number of reuqest groups in the coil
+   * Number of requests that have been started and not completed yet
    * 
    * @property {int}
    * @private
    */
-  this._totalGroups = 0;
+  this._runningRequests = 0;
+  
   /**
-   * Temporary counter used to track how many groups have been executed.
+   * The RequestGroupPlayer for each request group that has been started, by group id
    * 
-   * @property {int}
+   * @property {Object}
+   * @private
+   */
+  this._groupPlayers = {};
+  
+  /**
+   * The result of the when condition of each request group that has been evaluated, by group id
+   * 
+   * @property {Object}
+   * @private
+   */
+  this._groupConditions = {};
+  
+  /**
+   * The ids of the request groups skipped by their when condition, or the condition of a parent
+   * 
+   * @property {Object}
    * @private
    */
-  this._tmpGroupsCounter = 0;
+  this._skippedGroups = {};
+  
+  /**
+   * The requests that have been started, by group id and request name
+   * 
+   * @property {Object}
+   * @private
+   */
+  this._scheduledRequests = {};
+  
+  /**
+   * The requests that have completed, by group id and request name. Canceled, failed, and 
+   * timed out requests are also completed.
+   * 
+   * @property {Object}
+   * @private
+   */
+  this._completedRequests = {};
+  
+  /**
+   * The ids of the request groups whose requests have all completed
+   * 
+   * @property {Object}
+   * @private
+   */
+  this._completedGroups = {};
+  
+  /**
+   * The requests that failed or timed out, by group id and request name
+   * 
+   * @property {Object}
+   * @private
+   */
+  this._failedRequests = {};
+  
+  /**
+   * Set when a request fails, or times out, in a group without a fallback group, the 
+   * compensations of the completed requests run at the end of the execution
+   * 
+   * @property {bool}
+   * @private
+   */
+  this._unhandledFailure = false;
+  
+  /**
+   * The completed requests that declare a compensation, in completion order. Each item 
+   * contains the request group and the request.
+   * 
+   * @property {Array.<Object>}
+   * @private
+   */
+  this._compensableRequests = [];
+  
+  /**
+   * The requests still waiting for their compensation to run during a rollback
+   * 
+   * @property {Array.<Object>}
+   * @private
+   */
+  this._rollbackQueue = [];
+  
+  /**
+   * The player running the current compensation during a rollback
+   * 
+   * @property {RequestPlayer}
+   * @private
+   */
+  this._rollbackPlayer = null;
+  
+  /**
+   * Set while the director is looking for requests to start, used to avoid re-entering the 
+   * scheduler when a request completes synchronously
+   * 
+   * @property {bool}
+   * @private
+   */
+  this._scheduling = false;
+  
+  /**
+   * Set when a request completes while the scheduler is running, the scheduler runs again
+   * 
+   * @property {bool}
+   * @private
+   */
+  this._rescheduleNeeded = false;
   
   /**
    * This tells the director that the execution was aborted and should not start
@@ -98,6 +237,22 @@ function ExecutionDirector(rcoil, options) {
    */
   this._aborted = false;
   
+  /**
+   * The reason passed to the abort method
+   * 
+   * @property {*}
+   * @private
+   */
+  this._abortReason = null;
+  
+  /**
+   * The ids of the request groups that have been started
+   * 
+   * @property {Object}
+   * @private
+   */
+  this._startedGroups = {};
+  
   /**
    * The callback passed to the start method of the ExecutionDirector. This is called when the 
    * ExecutionDirector successfully completes the execution of an Rcoil object. If the execution 
@@ -107,20 +262,141 @@ function ExecutionDirector(rcoil, options) {
    * @private
    */
   this._endCallback = null;
+  
+  /**
+   * The list of RequestGroupPlayer objects currently executing a request group
+   * 
+   * @property {Array.<RequestGroupPlayer>}
+   * @private
+   */
+  this._activePlayers = [];
+  
+  /**
+   * The timer for the coilTimeout option
+   * 
+   * @property {Object}
+   * @private
+   */
+  this._deadlineTimer = null;
+  
+  /**
+   * This tells the director that the coil reached its deadline and should not start any 
+   * new request groups
+   * 
+   * @property {bool}
+   * @private
+   */
+  this._timedOut = false;
+  
+  /**
+   * Set to true once the end callback has been called
+   * 
+   * @property {bool}
+   * @private
+   */
+  this._finished = false;
+  
+  /**
+   * This tells the director that a request failed and the fail fast policy stopped the 
+   * execution of the coil
+   * 
+   * @property {bool}
+   * @private
+   */
+  this._failed = false;
+  
+  /**
+   * The ids of the request groups that contain at least one failed or timed out request
+   * 
+   * @property {Object}
+   * @private
+   */
+  this._failedGroups = {};
 
   events.EventEmitter.call(this);
 }
 util.inherits(ExecutionDirector, events.EventEmitter);
 
 /**
- * The abort event is fired whenever the abort method is called on a director and 
- * all running requests are completed.
+ * The policies available to handle failed and timed out requests:
+ * - continue: the execution of the coil continues as if the request succeeded
+ * - skipChildren: the child groups of a group that contains a failed request are not executed
+ * - failFast: the requests in flight are aborted after the first failure and no new request 
+ *   group is started, the callback passed to start is called once the requests are cut off
  * 
- * @event ExecutionDirector#abort
+ * @property {Object}
+ */
+ExecutionDirector.FailurePolicy = {
+  CONTINUE: "continue",
+  SKIP_CHILDREN: "skipChildren",
+  FAIL_FAST: "failFast"
+};
+
+/**
+ * The end event is fired when the director completes the execution of the coil, right before 
+ * the callback passed to the start method is called. The event is fired for completed, failed,
+ * and timed out executions.
+ * 
+ * @event ExecutionDirector#end
  * @type {Object}
  * @property {ExecutionContext} context - The completed execution context
  */
 
+/**
+ * The validationError event is fired when the coil has errors and the start method refuses to
+ * execute it, right before the CoilValidationError is thrown. Neither the end nor the abort 
+ * event are fired for the execution.
+ * 
+ * @event ExecutionDirector#validationError
+ * @type {Object}
+ * @property {CoilValidationError} error - The error with the diagnostics of the coil
+ */
+
+/**
+ * The abort event is fired once, when the abort method is called on a director and 
+ * all running requests have been cut off. The summary lists the requests that completed 
+ * before the abort, the requests that were aborted, and the request groups that were never
+ * started.
+ * 
+ * @example
+ * // summary
+ * {
+ *   reason: "client disconnected",
+ *   completed: [{ groupId: "group1", requestName: "listUsers" }],
+ *   aborted: [{ groupId: "group2", requestName: "getUser" }],
+ *   skippedGroups: ["group3"]
+ * }
+ * 
+ * @event ExecutionDirector#abort
+ * @type {Object}
+ * @property {ExecutionContext} context - The execution context
+ * @property {Object} summary - The summary of the aborted execution
+ */
+
+/**
+ * The requestAbort event is fired every time a running request is cut off by the abort method.
+ * The requestEnd event is fired right after this one.
+ * 
+ * @event ExecutionDirector#requestAbort
+ * @type {Object}
+ * @property {String} groupId - The request group id the request belongs to
+ * @property {Request} request - The aborted request
+ * @property {ExecutionContext} context - The updated execution context
+ */
+
+/**
+ * The requestSkip event is fired when the execution ends for each request that never started
+ * because its dependencies were not met, or because the coil timed out or failed fast, and when
+ * a request group is skipped for each of its requests. The response data of the request has the
+ * isSkipped flag, the skipReason, and the list of unmetDependencies.
+ * 
+ * @event ExecutionDirector#requestSkip
+ * @type {Object}
+ * @property {String} groupId - The request group id the request belongs to
+ * @property {Request} request - The skipped request
+ * @property {ExecutionContext} context - The updated execution context
+ */
+
 /**
  * The groupStart event is fired every time the director starts the execution of a 
  * new request group
@@ -131,6 +407,29 @@ util.inherits(ExecutionDirector, events.EventEmitter);
  * @property {ExecutionContext} context - The updated execution context
  */
 
+/**
+ * The groupSkip event is fired when the when condition of a request group returns false or 
+ * throws an exception, and when the fallback group of a request group that completed without 
+ * failures is skipped. The event is fired for the group and for each of its children, none of 
+ * them are executed.
+ * 
+ * @event ExecutionDirector#groupSkip
+ * @type {Object}
+ * @property {Object} group - The skipped request group
+ * @property {ExecutionContext} context - The updated execution context
+ */
+
+/**
+ * The groupIteration event is fired at the end of each iteration of a repeating request group. 
+ * The groupEnd event is fired after the last iteration.
+ * 
+ * @event ExecutionDirector#groupIteration
+ * @type {Object}
+ * @property {Object} group - The repeating request group
+ * @property {Object} iteration - The iteration record: iteration, startTime, endTime, responses, done, and reason
+ * @property {ExecutionContext} context - The updated execution context
+ */
+
 /**
  * The groupEnd event is fired every time the director completes the execution of a 
  * request group
@@ -153,77 +452,876 @@ util.inherits(ExecutionDirector, events.EventEmitter);
  */
 
 /**
- * The requestEnd event is fired every time the director completes the execution of a 
- * request
+ * The requestEnd event is fired every time the director completes the execution of a 
+ * request
+ * 
+ * @event ExecutionDirector#requestEnd
+ * @type {Object}
+ * @property {String} groupId - The request group id the request belongs to
+ * @property {Request} request - The completed request
+ * @property {ExecutionContext} context - The updated execution context
+ */
+
+/**
+ * The requestTimeout event is fired every time a request exceeds its timeout, or is cut off
+ * because the coil reached its deadline. The requestEnd event is fired right after this one.
+ * 
+ * @event ExecutionDirector#requestTimeout
+ * @type {Object}
+ * @property {String} groupId - The request group id the request belongs to
+ * @property {Request} request - The request that timed out
+ * @property {ExecutionContext} context - The updated execution context
+ */
+
+/**
+ * The requestRetry event is fired every time a request is scheduled to be retried according to
+ * its retry policy
+ * 
+ * @event ExecutionDirector#requestRetry
+ * @type {Object}
+ * @property {String} groupId - The request group id the request belongs to
+ * @property {Request} request - The request being retried
+ * @property {Object} attempt - The failed attempt, the retryDelay property contains the backoff in ms
+ * @property {ExecutionContext} context - The updated execution context
+ */
+
+/**
+ * The requestError event is fired every time a request fails because of a network error, an 
+ * AWS SDK error, or an exception in its input callback. The requestEnd event is fired right 
+ * after this one.
+ * 
+ * @event ExecutionDirector#requestError
+ * @type {Object}
+ * @property {String} groupId - The request group id the request belongs to
+ * @property {Request} request - The failed request
+ * @property {Object} error - The error that caused the failure with its message and code
+ * @property {ExecutionContext} context - The updated execution context
+ */
+
+/**
+ * The requestItemError event is fired for each failed or timed out item of a map request, 
+ * before the requestError event for the map request.
+ * 
+ * @event ExecutionDirector#requestItemError
+ * @type {Object}
+ * @property {String} groupId - The request group id the map request belongs to
+ * @property {Request} request - The map request
+ * @property {Object} failure - The failed item: index, item, and the error with its message and code
+ * @property {ExecutionContext} context - The updated execution context
+ */
+
+/**
+ * The compensation event is fired every time a compensation completes during the rollback of a 
+ * failed execution
+ * 
+ * @event ExecutionDirector#compensation
+ * @type {Object}
+ * @property {String} groupId - The request group id of the compensated request
+ * @property {Request} request - The compensated request
+ * @property {Object} compensation - The outcome: groupId, requestName, compensation, status, and response
+ * @property {ExecutionContext} context - The updated execution context
+ */
+
+/**
+ * The rollback event is fired once all of the compensations of a failed execution ran, before 
+ * the end event
+ * 
+ * @event ExecutionDirector#rollback
+ * @type {Object}
+ * @property {Object} rollback - The rollback record: startTime, endTime, status, and compensations
+ * @property {ExecutionContext} context - The updated execution context
+ */
+
+/**
+ * The groupError event is fired when the director completes the execution of a request group
+ * that contains at least one failed request. The groupEnd event is fired right after this one.
+ * 
+ * @event ExecutionDirector#groupError
+ * @type {Object}
+ * @property {Object} group - The request group
+ * @property {ExecutionContext} context - The updated execution context
+ */
+
+/**
+ * The timeout event is fired when the execution of the coil exceeds the coilTimeout option.
+ * Running requests are timed out and no new request group is started, the callback passed to
+ * the start method is still called with the partial results.
+ * 
+ * @event ExecutionDirector#timeout
+ * @type {Object}
+ * @property {ExecutionContext} context - The execution context populated so far
+ */
+
+/**
+ * Private method used to respond to the start event from the RequestGroupPlayer
+ * 
+ * @function
+ * @private
+ * @param {Object} requestGroup - The request group
+ */
+ExecutionDirector.prototype._requestGroupStarted = function (requestGroup) {
+  requestGroup.startTime = Date.now();
+  this._startedGroups[requestGroup.id] = true;
+  this.executionContext.registerActiveGroup(requestGroup);
+  this.emit("groupStart", requestGroup, this.executionContext);
+  this.options.logger.info("Request group " + requestGroup.id + " started");
+};
+
+/**
+ * Checks if the execution of the Rcoil was aborted. If it was checks that all active
+ * request groups have completed executing and then fires the "abort" event before returning.
+ * 
+ * @function
+ * @private
+ * @return {bool} true if the execution was aborted, false otherwise.
+ */
+ExecutionDirector.prototype._isAborted = function() {
+  if (this._aborted) {
+    // all requests have completed the execution, we can emit the event
+    if (this._runningRequests == 0) {
+      this._emitAbort();
+    }
+    return true;
+  }
+  
+  return false;
+}
+
+/**
+ * Fires the abort event with the summary of the execution. The event is only fired once.
+ * 
+ * @function
+ * @private
+ */
+ExecutionDirector.prototype._emitAbort = function () {
+  if (this._finished) return;
+  
+  this._finished = true;
+  if (this._deadlineTimer != null) {
+    clearTimeout(this._deadlineTimer);
+    this._deadlineTimer = null;
+  }
+  
+  this._buildOutput();
+  this._saveCassette();
+  this.options.logger.warn("Coil execution aborted");
+  this.emit("abort", this.executionContext, this._getAbortSummary());
+};
+
+/**
+ * Builds the summary of an aborted execution from the response data in the context and the
+ * list of request groups that were started.
+ * 
+ * @function
+ * @private
+ * @return {Object} The summary with the reason, completed, aborted, and skippedGroups properties
+ */
+ExecutionDirector.prototype._getAbortSummary = function () {
+  var summary = {
+    reason: this._abortReason,
+    completed: [],
+    aborted: [],
+    skippedGroups: []
+  };
+  
+  var responses = this.executionContext.getData().res;
+  for (var groupId in responses) {
+    for (var requestName in responses[groupId]) {
+      var request = {
+        groupId: groupId,
+        requestName: requestName
+      };
+      if (responses[groupId][requestName].isAborted) {
+        summary.aborted.push(request);
+      } else {
+        summary.completed.push(request);
+      }
+    }
+  }
+  
+  var localThis = this;
+  var findSkipped = function (groups) {
+    for (var i = 0; i < groups.length; i++) {
+      if (localThis._startedGroups[groups[i].id] !== true) {
+        summary.skippedGroups.push(groups[i].id);
+      }
+      findSkipped(groups[i].children);
+      if (groups[i].fallback != null) findSkipped([groups[i].fallback]);
+    }
+  };
+  findSkipped(this.rcoil.calls);
+  
+  return summary;
+};
+
+/**
+ * Private method used to respond to the end event from the RequestGroupPlayer
+ * 
+ * @function
+ * @private
+ * @param {Object} requestGroup - The request group
+ */
+ExecutionDirector.prototype._requestGroupDone = function (requestGroup) {
+  if (requestGroup.repeat != null) {
+    // the requests of repeating groups complete with the group
+    for (var i = 0; i < requestGroup.requests.length; i++) {
+      this._markRequestCompleted(requestGroup, requestGroup.requests[i]);
+      this._runningRequests--;
+    }
+  }
+  
+  requestGroup.endTime = Date.now();
+  this.executionContext.unregisterActiveGroup(requestGroup);
+  this._completedGroups[requestGroup.id] = true;
+  
+  this._removeActivePlayer(requestGroup);
+  
+  if (this._isAborted()) return;
+  
+  var groupFailed = (this._failedGroups[requestGroup.id] === true);
+  if (groupFailed) {
+    this.emit("groupError", requestGroup, this.executionContext);
+  }
+  this.emit("groupEnd", requestGroup, this.executionContext);
+
+  var execTime = requestGroup.endTime - requestGroup.startTime;
+  this.options.logger.info("Request group " + requestGroup.id + " finished in: " + execTime);
+
+  if (groupFailed && this._skipsDependents()) {
+    for (var i = 0; i < requestGroup.children.length; i++) {
+      this.options.logger.warn("Skipping request group " + requestGroup.children[i].id + " after failure in " + requestGroup.id);
+    }
+  }
+
+  this._continue();
+};
+
+/**
+ * Marks a request as completed, whatever its outcome, and starts the requests that were 
+ * waiting for it. When the request is the last one in its group the scheduler runs once the 
+ * RequestGroupPlayer fires its end event, so that groupEnd is fired before the next groupStart.
+ * 
+ * Requests in repeating groups only complete once the group stops repeating.
+ * 
+ * @function
+ * @private
+ * @param {Object} requestGroup - The request group the request belongs to
+ * @param {Request} requestConfig - The completed request
+ */
+ExecutionDirector.prototype._requestCompleted = function (requestGroup, requestConfig) {
+  if (requestGroup.repeat != null) return;
+  
+  this._markRequestCompleted(requestGroup, requestConfig);
+  this._runningRequests--;
+  
+  if (Object.keys(this._completedRequests[requestGroup.id]).length < requestGroup.requests.length) {
+    this._continue();
+  }
+};
+
+/**
+ * Private method used to respond to the iteration event from the RequestGroupPlayer. The response
+ * data of the group's requests is saved in the history of the group in the ExecutionContext.
+ * 
+ * @function
+ * @private
+ * @fires ExecutionDirector#groupIteration
+ * @param {Object} requestGroup - The repeating request group
+ * @param {Object} iteration - The iteration record from the RequestGroupPlayer
+ */
+ExecutionDirector.prototype._requestGroupIterated = function (requestGroup, iteration) {
+  iteration.responses = {};
+  for (var i = 0; i < requestGroup.requests.length; i++) {
+    var name = requestGroup.requests[i].name;
+    iteration.responses[name] = this.executionContext.responseData(requestGroup.id, name);
+  }
+  this.executionContext.addGroupIteration(requestGroup.id, iteration);
+  
+  if (!iteration.done) {
+    this.options.logger.info("Request group " + requestGroup.id + " completed iteration " + iteration.iteration + ", repeating in " + requestGroup.repeat.interval + "ms");
+  } else if (iteration.reason == "conditionMet") {
+    this.options.logger.info("Request group " + requestGroup.id + " condition met after " + iteration.iteration + " iterations");
+  } else {
+    this.options.logger.warn("Request group " + requestGroup.id + " stopped repeating after " + iteration.iteration + " iterations: " + iteration.reason);
+  }
+  
+  this.emit("groupIteration", requestGroup, iteration, this.executionContext);
+};
+
+/**
+ * Records a request as completed so that the requests depending on it can start
+ * 
+ * @function
+ * @private
+ * @param {Object} requestGroup - The request group the request belongs to
+ * @param {Request} requestConfig - The completed request
+ */
+ExecutionDirector.prototype._markRequestCompleted = function (requestGroup, requestConfig) {
+  if (this._completedRequests[requestGroup.id] === undefined) {
+    this._completedRequests[requestGroup.id] = {};
+  }
+  this._completedRequests[requestGroup.id][requestConfig.name] = true;
+};
+
+/**
+ * Whether the failure policy of the director skips the requests that depend on failed ones
+ * 
+ * @function
+ * @private
+ * @return {bool} true if the policy is skipChildren
+ */
+ExecutionDirector.prototype._skipsDependents = function () {
+  return this.options.failurePolicy == ExecutionDirector.FailurePolicy.SKIP_CHILDREN;
+};
+
+/**
+ * Starts all of the requests whose dependencies are met and completes the execution when no
+ * request is running and nothing else can be started.
+ * 
+ * @function
+ * @private
+ */
+ExecutionDirector.prototype._continue = function () {
+  if (this._scheduling) {
+    this._rescheduleNeeded = true;
+    return;
+  }
+  if (this._isAborted()) return;
+  
+  this._scheduling = true;
+  do {
+    this._rescheduleNeeded = false;
+    if (!this._timedOut && !this._failed) {
+      this._schedule(this.rcoil.calls, null);
+    }
+  } while (this._rescheduleNeeded);
+  this._scheduling = false;
+  
+  if (this._runningRequests == 0 && !this._isAborted()) {
+    this._finish();
+  }
+};
+
+/**
+ * Walks the request groups in the tree and starts the requests that are ready. A request is 
+ * ready when the requests listed in its dependsOn are completed. Requests without dependencies
+ * use the dependencies of their group and, if the group does not declare any, wait for the 
+ * parent group to complete.
+ * 
+ * @function
+ * @private
+ * @param {Array.<Object>} groups - The request groups to walk
+ * @param {Object} parent - The parent of the groups, null for the root of the tree
+ */
+ExecutionDirector.prototype._schedule = function (groups, parent) {
+  for (var i = 0; i < groups.length; i++) {
+    var group = groups[i];
+    if (this._skippedGroups[group.id] === true) continue;
+    
+    if (this._completedGroups[group.id] !== true) {
+      if (group.requests.length == 0 || group.repeat != null) {
+        // empty groups start, and end, as soon as their own dependencies are met. Repeating 
+        // groups start all of their requests together at each iteration
+        if (this._groupPlayers[group.id] === undefined && this._areDependenciesMet(group.dependsOn, parent)) {
+          if (!this._isGroupEnabled(group)) continue;
+          this._runningRequests += group.requests.length;
+          this._getRequestGroupPlayer(group).start();
+        }
+      }
+      
+      for (var j = 0; j < group.requests.length && group.repeat == null; j++) {
+        var request = group.requests[j];
+        if (this._scheduledRequests[group.id] !== undefined && this._scheduledRequests[group.id][request.name] === true) {
+          continue;
+        }
+        
+        var dependencies = (request.dependencies.length > 0 ? request.dependencies : group.dependsOn);
+        if (!this._areDependenciesMet(dependencies, parent)) {
+          continue;
+        }
+        if (!this._isGroupEnabled(group)) {
+          break;
+        }
+        
+        if (this._scheduledRequests[group.id] === undefined) {
+          this._scheduledRequests[group.id] = {};
+        }
+        this._scheduledRequests[group.id][request.name] = true;
+        this._runningRequests++;
+        
+        var player = this._groupPlayers[group.id];
+        if (player === undefined) {
+          player = this._getRequestGroupPlayer(group);
+        }
+        player.startRequest(request);
+      }
+    }
+    
+    if (this._skippedGroups[group.id] !== true) {
+      this._schedule(group.children, group);
+      this._scheduleFallback(group);
+    }
+  }
+};
+
+/**
+ * Starts the fallback group of a failed request group, or skips it once the group completed 
+ * without failures
+ * 
+ * @function
+ * @private
+ * @param {Object} group - The request group
+ */
+ExecutionDirector.prototype._scheduleFallback = function (group) {
+  if (group.fallback == null || this._completedGroups[group.id] !== true) return;
+  
+  if (this._failedGroups[group.id] === true) {
+    // the failure of the group is the only dependency of its fallback
+    this._schedule([group.fallback], null);
+  } else if (this._skippedGroups[group.fallback.id] !== true) {
+    this._skipGroup(group.fallback, "Request group " + group.id + " completed without failures");
+  }
+};
+
+/**
+ * Evaluates the when condition of a request group the first time one of its requests is ready
+ * to start. If the condition returns false, or throws an exception, the group and its children 
+ * are skipped. Exceptions are logged as errors and returned by the getErrors method of the 
+ * ExecutionContext, so the coil completes with the failed status.
+ * 
+ * @function
+ * @private
+ * @param {Object} group - The request group
+ * @return {bool} true if the group should be executed
+ */
+ExecutionDirector.prototype._isGroupEnabled = function (group) {
+  if (group.when === undefined || group.when == null) return true;
+  if (this._groupConditions[group.id] !== undefined) return this._groupConditions[group.id];
+  
+  var enabled;
+  var reason = "Condition of request group " + group.id + " returned false";
+  try {
+    enabled = !!group.when(this.executionContext);
+  } catch (err) {
+    this.options.logger.error("Condition for request group " + group.id + " failed: " + err.message);
+    this.executionContext.addGroupError(group.id, { message: err.message, code: "ECONDITION" });
+    reason = "Condition of request group " + group.id + " failed: " + err.message;
+    enabled = false;
+  }
+  this._groupConditions[group.id] = enabled;
+  
+  if (!enabled) {
+    this._skipGroup(group, reason);
+  }
+  return enabled;
+};
+
+/**
+ * Records a request group and its children as skipped in the ExecutionContext and fires the 
+ * groupSkip event for each of them. The requests of the skipped groups are saved with skipped
+ * response data and fire the requestSkip event. Children that already started because of 
+ * their dependsOn are not skipped.
+ * 
+ * @function
+ * @private
+ * @fires ExecutionDirector#groupSkip
+ * @fires ExecutionDirector#requestSkip
+ * @property {Object} group - The request group to skip
+ * @property {String} reason - Why the group was skipped
+ */
+ExecutionDirector.prototype._skipGroup = function (group, reason) {
+  this._skippedGroups[group.id] = true;
+  this.executionContext.skipGroup(group.id);
+  this.options.logger.info("Request group " + group.id + " skipped: " + reason);
+  this.emit("groupSkip", group, this.executionContext);
+  
+  for (var j = 0; j < group.requests.length; j++) {
+    var request = group.requests[j];
+    var scheduled = (this._scheduledRequests[group.id] !== undefined && this._scheduledRequests[group.id][request.name] === true);
+    if (!scheduled && this.executionContext.responseData(group.id, request.name) == null) {
+      this._skipRequest(group, request, reason, []);
+    }
+  }
+  
+  var children = (group.fallback != null ? group.children.concat([group.fallback]) : group.children);
+  for (var i = 0; i < children.length; i++) {
+    if (this._groupPlayers[children[i].id] === undefined) {
+      this._skipGroup(children[i], "Request group " + group.id + " skipped");
+    }
+  }
+};
+
+/**
+ * Records the requests that never started as skipped in the ExecutionContext and fires the 
+ * requestSkip event for each of them. Requests in skipped groups are recorded when the group 
+ * is skipped.
+ * 
+ * @function
+ * @private
+ * @fires ExecutionDirector#requestSkip
+ * @property {Array.<Object>} groups - The request groups to walk
+ * @property {Object} parent - The parent of the groups, or the group that owns a fallback group, 
+ *  null for the root of the tree
+ */
+ExecutionDirector.prototype._skipUnscheduledRequests = function (groups, parent) {
+  for (var i = 0; i < groups.length; i++) {
+    var group = groups[i];
+    if (this._skippedGroups[group.id] === true) continue;
+    
+    for (var j = 0; j < group.requests.length; j++) {
+      var request = group.requests[j];
+      var scheduled = (group.repeat != null ? this._groupPlayers[group.id] !== undefined :
+        this._scheduledRequests[group.id] !== undefined && this._scheduledRequests[group.id][request.name] === true);
+      if (scheduled || this.executionContext.responseData(group.id, request.name) != null) continue;
+      
+      var dependencies = (request.dependencies.length > 0 ? request.dependencies : group.dependsOn);
+      var unmet = this._getUnmetDependencies(dependencies, parent);
+      var reason;
+      if (unmet.length > 0) {
+        reason = "Dependencies not met: " + unmet.map(function (dependency) {
+          return dependency.groupId + (dependency.requestName !== undefined ? "/" + dependency.requestName : "") + " (" + dependency.status + ")";
+        }).join(", ");
+      } else if (this._timedOut) {
+        reason = "Coil timed out";
+      } else {
+        reason = "Execution stopped after a failure";
+      }
+      this._skipRequest(group, request, reason, unmet);
+    }
+    
+    this._skipUnscheduledRequests(group.children, group);
+    if (group.fallback != null) this._skipUnscheduledRequests([group.fallback], group);
+  }
+};
+
+/**
+ * Saves the response data of a request that was not executed and fires the requestSkip event
+ * 
+ * @function
+ * @private
+ * @fires ExecutionDirector#requestSkip
+ * @property {Object} group - The request group of the request
+ * @property {Request} request - The skipped request
+ * @property {String} reason - Why the request was skipped
+ * @property {Array.<Object>} unmet - The dependencies that were not met
+ * @return {Object} The response data
+ */
+ExecutionDirector.prototype._skipRequest = function (group, request, reason, unmet) {
+  var response = {
+    endTime: Date.now(),
+    isCanceled: false,
+    isSkipped: true,
+    skipReason: reason,
+    unmetDependencies: unmet
+  };
+  this.executionContext.setResponseData(group.id, request.name, response);
+  this.options.logger.info("Request " + request.name + " skipped: " + reason);
+  this.emit("requestSkip", group.id, request, this.executionContext);
+  
+  return response;
+};
+
+/**
+ * Lists the dependencies that are not met, with the same rules as _areDependenciesMet. Each 
+ * item has the groupId, the requestName for request dependencies, and the status: failed for
+ * dependencies skipped because they failed, pending for dependencies that did not complete.
+ * 
+ * @function
+ * @private
+ * @param {Array.<Object>} dependencies - A list of { groupId, requestName } objects
+ * @param {Object} parent - The parent request group, null for root groups
+ * @return {Array.<Object>} The unmet dependencies
+ */
+ExecutionDirector.prototype._getUnmetDependencies = function (dependencies, parent) {
+  var skipFailed = this._skipsDependents();
+  var unmet = [];
+  
+  if (dependencies === undefined || dependencies.length == 0) {
+    if (parent == null) return unmet;
+    
+    if (this._completedGroups[parent.id] !== true) {
+      unmet.push({ groupId: parent.id, status: "pending" });
+    } else if (skipFailed && this._failedGroups[parent.id] === true) {
+      unmet.push({ groupId: parent.id, status: "failed" });
+    }
+    return unmet;
+  }
+  
+  for (var i = 0; i < dependencies.length; i++) {
+    var groupId = dependencies[i].groupId;
+    var requestName = dependencies[i].requestName;
+    
+    if (this._completedRequests[groupId] === undefined || this._completedRequests[groupId][requestName] !== true) {
+      unmet.push({ groupId: groupId, requestName: requestName, status: "pending" });
+    } else if (skipFailed && this._failedRequests[groupId] !== undefined && this._failedRequests[groupId][requestName] === true) {
+      unmet.push({ groupId: groupId, requestName: requestName, status: "failed" });
+    }
+  }
+  
+  return unmet;
+};
+
+/**
+ * Checks whether a list of dependencies has completed. An empty list of dependencies means 
+ * that the parent group must be completed. With the skipChildren failure policy dependencies
+ * that failed are never met.
+ * 
+ * @function
+ * @private
+ * @param {Array.<Object>} dependencies - A list of { groupId, requestName } objects
+ * @param {Object} parent - The parent request group, null for root groups
+ * @return {bool} true if the dependencies are met
+ */
+ExecutionDirector.prototype._areDependenciesMet = function (dependencies, parent) {
+  var skipFailed = this._skipsDependents();
+  
+  if (dependencies === undefined || dependencies.length == 0) {
+    if (parent == null) return true;
+    
+    return this._completedGroups[parent.id] === true && !(skipFailed && this._failedGroups[parent.id] === true);
+  }
+  
+  for (var i = 0; i < dependencies.length; i++) {
+    var groupId = dependencies[i].groupId;
+    var requestName = dependencies[i].requestName;
+    
+    if (this._completedRequests[groupId] === undefined || this._completedRequests[groupId][requestName] !== true) {
+      return false;
+    }
+    if (skipFailed && this._failedRequests[groupId] !== undefined && this._failedRequests[groupId][requestName] === true) {
+      return false;
+    }
+  }
+  
+  return true;
+};
+
+/**
+ * Removes the player for a request group from the list of active players
+ * 
+ * @function
+ * @private
+ * @param {Object} requestGroup - The completed request group
+ */
+ExecutionDirector.prototype._removeActivePlayer = function (requestGroup) {
+  for (var i = 0; i < this._activePlayers.length; i++) {
+    if (this._activePlayers[i].requestGroup.id == requestGroup.id) {
+      this._activePlayers.splice(i, 1);
+      return;
+    }
+  }
+};
+
+/**
+ * Completes the execution of the coil, clears the deadline timer and calls the callback
+ * passed to the start method. The callback is only called once.
+ * 
+ * @function
+ * @private
+ */
+ExecutionDirector.prototype._finish = function () {
+  if (this._finished) return;
+  if (this._unhandledFailure && this._compensableRequests.length > 0 && this.executionContext.getRollback() == null) {
+    this._rollback();
+    return;
+  }
+  
+  this._finished = true;
+  if (this._deadlineTimer != null) {
+    clearTimeout(this._deadlineTimer);
+    this._deadlineTimer = null;
+  }
+  
+  this._skipUnscheduledRequests(this.rcoil.calls, null);
+  
+  if (this._timedOut) {
+    this.executionContext.setStatus(ExecutionContext.Status.TIMED_OUT);
+  } else if (this.executionContext.getErrors().length > 0) {
+    this.executionContext.setStatus(ExecutionContext.Status.FAILED);
+  } else {
+    this.executionContext.setStatus(ExecutionContext.Status.COMPLETED);
+  }
+  
+  this._buildOutput();
+  this._saveCassette();
+  this.emit("end", this.executionContext);
+  
+  if (this._endCallback != null)
+    this._endCallback(this.executionContext);
+};
+
+/**
+ * Writes the cassette file at the end of an execution when the cassette option is set in
+ * record mode. Errors are logged, they do not change the result of the execution.
  * 
- * @event ExecutionDirector#requestEnd
- * @type {Object}
- * @property {String} groupId - The request group id the request belongs to
- * @property {Request} request - The completed request
- * @property {ExecutionContext} context - The updated execution context
+ * @function
+ * @private
  */
+ExecutionDirector.prototype._saveCassette = function () {
+  var cassette = this.options.cassette;
+  if (cassette === undefined || cassette == null || cassette.mode != Cassette.Mode.RECORD) return;
+  
+  try {
+    cassette.save();
+  } catch (err) {
+    this.options.logger.error("Could not save cassette " + cassette.path + ": " + err.message);
+  }
+};
 
 /**
- * Private method used to respond to the start event from the RequestGroupPlayer
+ * Starts the rollback of the execution after a failure. The compensations of the completed 
+ * requests run one at a time, in reverse completion order. The coil deadline does not apply
+ * to the rollback, each compensation uses its own timeout.
  * 
  * @function
  * @private
- * @param {Object} requestGroup - The request group
  */
-ExecutionDirector.prototype._requestGroupStarted = function (requestGroup) {
-  requestGroup.startTime = Date.now();
-  this.executionContext.registerActiveGroup(requestGroup);
-  this.emit("groupStart", requestGroup, this.executionContext);
-  this.options.logger.info("Request group " + requestGroup.id + " started");
+ExecutionDirector.prototype._rollback = function () {
+  if (this._deadlineTimer != null) {
+    clearTimeout(this._deadlineTimer);
+    this._deadlineTimer = null;
+  }
+  
+  this.executionContext.setRollback({
+    startTime: Date.now(),
+    endTime: null,
+    status: "running",
+    compensations: []
+  });
+  this._rollbackQueue = this._compensableRequests.slice(0).reverse();
+  this.options.logger.warn("Rolling back " + this._rollbackQueue.length + " requests after failure");
+  
+  this._compensateNext();
 };
 
 /**
- * Checks if the execution of the Rcoil was aborted. If it was checks that all active
- * requests have completed executing and then fires the "abort" event before returning.
+ * Runs the next compensation of the rollback, or completes the rollback and the execution
+ * once all of the compensations ran. Compensations that fail do not stop the rollback.
  * 
  * @function
  * @private
- * @return {bool} true if the execution was aborted, false otherwise.
+ * @fires ExecutionDirector#compensation
+ * @fires ExecutionDirector#rollback
  */
-ExecutionDirector.prototype._isAborted = function() {
-  if (this._aborted) {
-    // all requests have completed the execution, we can emit the event
-    if (this.executionContext.getActiveRequests().length == 0) {
-      this.emit("abort", this.executionContext);
+ExecutionDirector.prototype._compensateNext = function () {
+  var localThis = this;
+  var rollback = this.executionContext.getRollback();
+  
+  if (this._rollbackQueue.length == 0 || this._aborted) {
+    this._rollbackPlayer = null;
+    rollback.endTime = Date.now();
+    if (this._aborted) {
+      rollback.status = "aborted";
+    } else {
+      var failed = rollback.compensations.some(function (compensation) { return compensation.status != "completed"; });
+      rollback.status = (failed ? "failed" : "completed");
     }
-    return true;
+    
+    this.options.logger.info("Rollback " + rollback.status);
+    this.emit("rollback", rollback, this.executionContext);
+    
+    if (this._aborted) {
+      this._emitAbort();
+    } else {
+      this._finish();
+    }
+    return;
   }
   
-  return false;
-}
+  var target = this._rollbackQueue.shift();
+  var compensation = target.request.compensation;
+  var record = {
+    groupId: target.group.id,
+    requestName: target.request.name,
+    compensation: compensation.name,
+    status: null,
+    response: null
+  };
+  var done = function (status, response) {
+    record.status = status;
+    record.response = response;
+    rollback.compensations.push(record);
+    
+    if (status == "completed") {
+      localThis.options.logger.info("Compensation " + compensation.name + " for request " + record.requestName + " completed");
+    } else {
+      localThis.options.logger.error("Compensation " + compensation.name + " for request " + record.requestName + " " + status);
+    }
+    localThis.emit("compensation", record.groupId, target.request, record, localThis.executionContext);
+    localThis._compensateNext();
+  };
+  var failedResponse = function (properties) {
+    var response = { endTime: Date.now(), isCanceled: false };
+    for (var key in properties) {
+      response[key] = properties[key];
+    }
+    return response;
+  };
+  
+  var player = RequestPlayer.create(compensation, this.executionContext, this.options);
+  player.on("end", function (requestConfig, resp, output, payload) {
+    var response = localThis._buildResponse(requestConfig, resp, output, payload);
+    if (requestConfig.type == Request.RequestType.MAP) {
+      localThis._buildMapResponse(response, resp);
+      if (response.failedItems.length > 0) {
+        done("failed", failedResponse({ isFailed: true, error: { message: response.failedItems.length + " of " + response.items.length + " items failed" } }));
+        return;
+      }
+    }
+    done("completed", response);
+  });
+  player.on("cancel", function () {
+    done("canceled", failedResponse({ isCanceled: true }));
+  });
+  player.on("fail", function (requestConfig, err) {
+    done("failed", failedResponse({ isFailed: true, error: { message: err.message, code: err.code } }));
+  });
+  player.on("timeout", function (requestConfig, timeoutType) {
+    done("timedOut", failedResponse({ timedOut: true, timeoutType: timeoutType }));
+  });
+  player.on("abort", function (requestConfig, reason) {
+    done("aborted", failedResponse({ isAborted: true, abortReason: reason }));
+  });
+  
+  this._rollbackPlayer = player;
+  player.start();
+};
 
 /**
- * Private method used to respond to the end event from the RequestGroupPlayer
+ * Builds the output of the coil from its output template and saves it in the ExecutionContext.
+ * Failed, timed out, and aborted executions also build the output from the partial results.
  * 
  * @function
  * @private
- * @param {Object} requestGroup - The request group
  */
-ExecutionDirector.prototype._requestGroupDone = function (requestGroup) {
-  requestGroup.endTime = Date.now();
-  this.executionContext.unregisterActiveGroup(requestGroup);
-  this._tmpGroupsCounter++;
+ExecutionDirector.prototype._buildOutput = function () {
+  if (this.rcoil.outputTemplate == null) return;
   
-  if (this._isAborted()) return;
-    
-  this.emit("groupEnd", requestGroup, this.executionContext);
+  this.executionContext.setOutput(DataPath.map(this.rcoil.outputTemplate, this.executionContext));
+};
 
-  var execTime = requestGroup.endTime - requestGroup.startTime;
-  this.options.logger.info("Request group " + requestGroup.id + " finished in: " + execTime);
+/**
+ * Triggered when the coil reaches the deadline set in the coilTimeout option. Times out all
+ * running requests and stops the director from starting new request groups.
+ * 
+ * @function
+ * @private
+ */
+ExecutionDirector.prototype._coilTimedOut = function () {
+  this._deadlineTimer = null;
+  this._timedOut = true;
+  this.options.logger.warn("Coil execution exceeded the " + this.options.coilTimeout + "ms deadline");
+  this.emit("timeout", this.executionContext);
 
-  for (var i = 0; i < requestGroup.children.length; i++) {
-    var childPlayer = this._getRequestGroupPlayer(requestGroup.children[i])
-    childPlayer.start();
+  if (this._runningRequests == 0) {
+    this._finish();
+    return;
   }
 
-  if (requestGroup.children.length == 0 && this._tmpGroupsCounter == this._totalGroups) {
-    if (this._endCallback != null)
-      this._endCallback(this.executionContext);
+  // copy the list, players are removed as they complete
+  var players = this._activePlayers.slice(0);
+  for (var i = 0; i < players.length; i++) {
+    players[i].timeout();
   }
 };
 
@@ -243,13 +1341,16 @@ ExecutionDirector.prototype._requestStarted = function (requestGroup, requestCon
   var request = {
     config: requestConfig,
     body: input,
-    startTime: Date.now()
+    startTime: Date.now(),
+    attempts: []
   };
   
   switch (requestConfig.type) { 
     case Request.RequestType.HTTP:
-      request.headers = requestObject.headers;
-      request.url = requestObject.url;
+      // http.ClientRequest only exposes its headers through getHeaders in recent node versions
+      request.headers = (typeof requestObject.getHeaders === 'function' ? util._extend({}, requestObject.getHeaders()) : requestObject.headers);
+      var settings = requestConfig.settings;
+      request.url = settings.protocol + "//" + settings.host + (settings.port != null && settings.port !== "" ? ":" + settings.port : "") + settings.path;
       request.method = requestObject.method;
       break;  
   } 
@@ -270,10 +1371,68 @@ ExecutionDirector.prototype._requestStarted = function (requestGroup, requestCon
  * @property {Request} requestConfig - The request configuration passed to the RequestPlayer
  * @property {http.IncomingMessage} response - The response object from the node.js http/s client
  * @property {*} output - The output returned from the remote server
+ * @property {Object} payload - The decoded response: raw, body, json, and jsonError for HTTP and Lambda requests
  */
-ExecutionDirector.prototype._requestDone = function (requestGroup, requestConfig, resp, output) {
+ExecutionDirector.prototype._requestDone = function (requestGroup, requestConfig, resp, output, payload) {
   this.executionContext.unregisterActiveRequests(requestConfig);
   
+  var response = this._buildResponse(requestConfig, resp, output, payload);
+  
+  if (requestConfig.type == Request.RequestType.MAP) {
+    this._buildMapResponse(response, resp);
+    
+    if (response.failedItems.length > 0) {
+      for (var i = 0; i < response.failedItems.length; i++) {
+        this.emit("requestItemError", requestGroup.id, requestConfig, response.failedItems[i], this.executionContext);
+      }
+      this._requestFailed(requestGroup, requestConfig, 
+        new Error(response.failedItems.length + " of " + response.items.length + " items failed"), response);
+      return;
+    }
+  }
+
+  try {
+    this._runOutputFunction(requestConfig, response);
+  } catch (err) {
+    this._requestFailed(requestGroup, requestConfig, err, response);
+    return;
+  }
+
+  this.executionContext.setResponseData(requestGroup.id, requestConfig.name, response);
+  this.options.logger.info("Request " + requestConfig.name + " finished");
+
+  this.emit("requestEnd", requestGroup.id, requestConfig, this.executionContext);
+
+  if (this.options.debug) {
+    var execTime = response.endTime - this.executionContext.requestData(requestGroup.id, requestConfig.name).startTime;
+    this.options.logger.debug("Request " + requestConfig.name + " executed in: " + execTime + "ms");
+  }
+  
+  var compensable = this._compensableRequests.some(function (item) {
+    return item.group.id == requestGroup.id && item.request.name == requestConfig.name;
+  });
+  if (requestConfig.compensation != null && !compensable) {
+    this._compensableRequests.push({ group: requestGroup, request: requestConfig });
+  }
+  
+  this._requestCompleted(requestGroup, requestConfig);
+};
+
+/**
+ * Builds the response data saved in the ExecutionContext for a completed request. The response
+ * data of paginated requests contains the data of each page, the concatenated results, and the
+ * truncated flag. The response data of custom request types contains the properties of the 
+ * response returned by their executor.
+ * 
+ * @function
+ * @private
+ * @property {Request} requestConfig - The request configuration passed to the RequestPlayer
+ * @property {http.IncomingMessage} response - The response object from the node.js http/s client
+ * @property {*} output - The output returned from the remote server
+ * @property {Object} payload - The decoded response: raw, body, json, and jsonError for HTTP and Lambda requests
+ * @return {Object} The response data
+ */
+ExecutionDirector.prototype._buildResponse = function (requestConfig, resp, output, payload) {
   var response = {
     body: output,
     endTime: Date.now(),
@@ -287,21 +1446,156 @@ ExecutionDirector.prototype._requestDone = function (requestGroup, requestConfig
       response.method = resp.method;
       response.statusCode = resp.statusCode;
       response.statusMessage = resp.statusMessage;
+      response.raw = payload.raw;
+      if (payload.json !== undefined) response.json = payload.json;
+      if (payload.jsonError !== undefined) response.jsonError = payload.jsonError;
+      if (payload.pagination !== undefined) {
+        response.pages = [];
+        for (var i = 0; i < payload.pagination.pages.length; i++) {
+          var page = payload.pagination.pages[i];
+          var pageResponse = this._buildResponse(requestConfig, page.response, page.output, page.payload);
+          pageResponse.url = page.url;
+          pageResponse.endTime = page.endTime;
+          response.pages.push(pageResponse);
+        }
+        response.results = payload.pagination.results;
+        response.truncated = payload.pagination.truncated;
+      }
       break;
     case Request.RequestType.LAMBDA:
-      response.err = resp;
+      response.statusCode = resp.StatusCode;
+      response.executedVersion = resp.ExecutedVersion;
+      response.raw = payload.raw;
+      if (payload.json !== undefined) response.json = payload.json;
+      if (payload.jsonError !== undefined) response.jsonError = payload.jsonError;
+      if (payload.logs !== undefined) response.logs = payload.logs;
       break;
+    default:
+      if (RequestTypes.get(requestConfig.type) == null) break;
+      for (var key in resp) {
+        if (key != "body" && response[key] === undefined) response[key] = resp[key];
+      }
   }
+  
+  return response;
+};
 
-  this.executionContext.setResponseData(requestGroup.id, requestConfig.name, response);
-  this.options.logger.info("Request " + requestConfig.name + " finished");
+/**
+ * Runs the onOutput function of a request and saves its return value in the output property
+ * of the response data. Exceptions thrown by the function are not caught.
+ * 
+ * @function
+ * @private
+ * @property {Request} requestConfig - The request configuration
+ * @property {Object} response - The response data for the request
+ */
+ExecutionDirector.prototype._runOutputFunction = function (requestConfig, response) {
+  if (requestConfig.outputFunc === undefined || requestConfig.outputFunc == null) return;
+  
+  var tmpTimer = Date.now();
+  response.output = requestConfig.outputFunc(response, this.executionContext);
+  tmpTimer = Date.now() - tmpTimer;
+  
+  if (this.options.debug) this.options.logger.debug("Output function for " + requestConfig.name + " execution: " + tmpTimer + "ms");
+};
 
-  this.emit("requestEnd", requestGroup.id, requestConfig, this.executionContext);
+/**
+ * Adds the results of the item requests to the response data of a map request. The items
+ * property contains the response data of each item, the body property the value of each item: 
+ * its output, parsed JSON, or body. Failed and timed out items are listed in failedItems.
+ * 
+ * @function
+ * @private
+ * @property {Object} response - The response data for the map request
+ * @property {Array.<Object>} results - The item results from the MapRequestPlayer
+ */
+ExecutionDirector.prototype._buildMapResponse = function (response, results) {
+  response.items = [];
+  response.body = [];
+  response.failedItems = [];
+  
+  for (var i = 0; i < results.length; i++) {
+    var result = results[i];
+    var itemResponse = { endTime: Date.now(), isCanceled: false };
+    
+    switch (result.outcome) {
+      case "end":
+        itemResponse = this._buildResponse(result.request, result.response, result.output, result.payload);
+        try {
+          this._runOutputFunction(result.request, itemResponse);
+        } catch (err) {
+          itemResponse.isFailed = true;
+          itemResponse.error = { message: err.message, code: err.code };
+        }
+        break;
+      case "cancel":
+        itemResponse.isCanceled = true;
+        break;
+      case "fail":
+        itemResponse.isFailed = true;
+        itemResponse.error = { message: result.error.message, code: result.error.code };
+        break;
+      case "timeout":
+        itemResponse.timedOut = true;
+        itemResponse.timeoutType = result.timeoutType;
+        break;
+      case "abort":
+        itemResponse.isAborted = true;
+        itemResponse.abortReason = result.reason;
+        break;
+    }
+    itemResponse.index = result.index;
+    itemResponse.item = result.item;
+    
+    var value = null;
+    if (itemResponse.isFailed || itemResponse.timedOut) {
+      response.failedItems.push({
+        index: result.index,
+        item: result.item,
+        error: itemResponse.error || { message: "Request timed out (" + itemResponse.timeoutType + ")" }
+      });
+    } else if (itemResponse.output !== undefined) {
+      value = itemResponse.output;
+    } else if (itemResponse.json !== undefined) {
+      value = itemResponse.json;
+    } else if (itemResponse.body !== undefined) {
+      value = itemResponse.body;
+    }
+    
+    response.items.push(itemResponse);
+    response.body.push(value);
+  }
+};
 
-  if (this.options.debug) {
-    var execTime = response.endTime - this.executionContext.requestData(requestGroup.id, requestConfig.name).startTime;
-    this.options.logger.debug("Request " + requestConfig.name + " executed in: " + execTime + "ms");
-  }  
+/**
+ * Records a completed attempt in the request data of the ExecutionContext
+ * 
+ * @function
+ * @private
+ * @property {Object} requestGroup - The request group object
+ * @property {Request} requestConfig - The request configuration passed to the RequestPlayer
+ * @property {Object} attempt - The attempt record
+ */
+ExecutionDirector.prototype._requestAttempted = function (requestGroup, requestConfig, attempt) {
+  var request = this.executionContext.requestData(requestGroup.id, requestConfig.name);
+  if (request != null) {
+    request.attempts.push(attempt);
+  }
+};
+
+/**
+ * Private method used to respond to the requestRetry event from the RequestGroupPlayer
+ * 
+ * @function
+ * @private
+ * @property {Object} requestGroup - The request group object
+ * @property {Request} requestConfig - The request configuration passed to the RequestPlayer
+ * @property {Object} attempt - The failed attempt record
+ */
+ExecutionDirector.prototype._requestRetried = function (requestGroup, requestConfig, attempt) {
+  this.options.logger.warn("Request " + requestConfig.name + " attempt " + attempt.attempt + " failed, retrying in " + attempt.retryDelay + "ms");
+  
+  this.emit("requestRetry", requestGroup.id, requestConfig, attempt, this.executionContext);
 };
 
 /**
@@ -324,6 +1618,160 @@ ExecutionDirector.prototype._requestCanceled = function(requestGroup, requestCon
   this.options.logger.info("Request " + requestConfig.name + " canceled");
   
   this.emit("requestEnd", requestGroup.id, requestConfig, this.executionContext);
+  this._requestCompleted(requestGroup, requestConfig);
+}
+
+/**
+ * Handles requests that exceeded their timeout or the coil deadline. Timeouts are failures: 
+ * they start the fallback group, follow the failure policy, and start the rollback like the 
+ * requests that return an error.
+ * 
+ * @function
+ * @private
+ * @property {Object} requestGroup - The request group object
+ * @property {Request} requestConfig - The request configuration passed to the RequestPlayer
+ * @property {String} timeoutType - The timeout that expired: connect, total, or coil
+ */
+ExecutionDirector.prototype._requestTimedOut = function(requestGroup, requestConfig, timeoutType) {
+  this.executionContext.unregisterActiveRequests(requestConfig);
+  
+  var response = {
+    endTime: Date.now(),
+    isCanceled: false,
+    timedOut: true,
+    timeoutType: timeoutType
+  };
+  
+  this.executionContext.setResponseData(requestGroup.id, requestConfig.name, response);
+  this.options.logger.warn("Request " + requestConfig.name + " timed out (" + timeoutType + ")");
+  var failFast = this._recordFailure(requestGroup, requestConfig);
+  
+  this.emit("requestTimeout", requestGroup.id, requestConfig, this.executionContext);
+  this.emit("requestEnd", requestGroup.id, requestConfig, this.executionContext);
+  
+  if (failFast) {
+    this._abortAfterFailure(requestGroup, requestConfig);
+  }
+  this._requestCompleted(requestGroup, requestConfig);
+}
+
+/**
+ * Handles failed requests. The error is saved in the response data of the request and the 
+ * failure policy of the director decides whether the execution should continue.
+ * 
+ * @function
+ * @private
+ * @property {Object} requestGroup - The request group object
+ * @property {Request} requestConfig - The request configuration passed to the RequestPlayer
+ * @property {Error} err - The error that caused the failure
+ * @property {Object} response - Optional response data received before the failure, for example
+ *   when the output function of the request throws an exception
+ */
+ExecutionDirector.prototype._requestFailed = function(requestGroup, requestConfig, err, response) {
+  this.executionContext.unregisterActiveRequests(requestConfig);
+  
+  if (response === undefined || response == null) {
+    response = {
+      endTime: Date.now(),
+      isCanceled: false
+    };
+  }
+  response.isFailed = true;
+  response.error = {
+    message: err.message,
+    code: err.code
+  };
+  // errors returned by Lambda functions
+  if (err.details !== undefined) response.error.details = err.details;
+  if (err.logs !== undefined) response.error.logs = err.logs;
+  
+  this.executionContext.setResponseData(requestGroup.id, requestConfig.name, response);
+  this.options.logger.error("Request " + requestConfig.name + " failed: " + err.message);
+  var failFast = this._recordFailure(requestGroup, requestConfig);
+  
+  this.emit("requestError", requestGroup.id, requestConfig, response.error, this.executionContext);
+  this.emit("requestEnd", requestGroup.id, requestConfig, this.executionContext);
+  
+  if (failFast) {
+    this._abortAfterFailure(requestGroup, requestConfig);
+  }
+  this._requestCompleted(requestGroup, requestConfig);
+}
+
+/**
+ * Records a request that failed or timed out. Failures in groups with a fallback are handled
+ * by the fallback group, other failures start the rollback at the end of the execution and, 
+ * with the failFast policy, stop the execution.
+ * 
+ * @function
+ * @private
+ * @property {Object} requestGroup - The request group object
+ * @property {Request} requestConfig - The failed request
+ * @return {bool} true if the execution must stop and the requests in flight be aborted
+ */
+ExecutionDirector.prototype._recordFailure = function (requestGroup, requestConfig) {
+  this._failedGroups[requestGroup.id] = true;
+  if (this._failedRequests[requestGroup.id] === undefined) {
+    this._failedRequests[requestGroup.id] = {};
+  }
+  this._failedRequests[requestGroup.id][requestConfig.name] = true;
+  
+  var handled = (requestGroup.fallback != null);
+  if (!handled) {
+    this._unhandledFailure = true;
+  }
+  // after the coil deadline the running requests are already being timed out
+  if (this.options.failurePolicy == ExecutionDirector.FailurePolicy.FAIL_FAST && !this._failed && !this._timedOut && !handled) {
+    this.options.logger.error("Stopping coil execution after failure");
+    this._failed = true;
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Aborts the requests in flight after a failure with the failFast policy. The failed request 
+ * is still counted as running, so the execution cannot end while the requests are aborted.
+ * 
+ * @function
+ * @private
+ * @property {Object} requestGroup - The request group object
+ * @property {Request} requestConfig - The failed request
+ */
+ExecutionDirector.prototype._abortAfterFailure = function (requestGroup, requestConfig) {
+  if (this._rollbackPlayer != null) return;
+  
+  var players = this._activePlayers.slice(0);
+  for (var i = 0; i < players.length; i++) {
+    players[i].abort("Request " + requestConfig.name + " in group " + requestGroup.id + " failed");
+  }
+};
+
+/**
+ * Handles requests that were cut off by the abort method
+ * 
+ * @function
+ * @private
+ * @property {Object} requestGroup - The request group object
+ * @property {Request} requestConfig - The request configuration passed to the RequestPlayer
+ * @property {*} reason - The reason passed to the abort method
+ */
+ExecutionDirector.prototype._requestAborted = function(requestGroup, requestConfig, reason) {
+  this.executionContext.unregisterActiveRequests(requestConfig);
+  
+  var response = {
+    endTime: Date.now(),
+    isCanceled: false,
+    isAborted: true,
+    abortReason: reason
+  };
+  
+  this.executionContext.setResponseData(requestGroup.id, requestConfig.name, response);
+  this.options.logger.warn("Request " + requestConfig.name + " aborted");
+  
+  this.emit("requestAbort", requestGroup.id, requestConfig, this.executionContext);
+  this.emit("requestEnd", requestGroup.id, requestConfig, this.executionContext);
+  this._requestCompleted(requestGroup, requestConfig);
 }
 
 /**
@@ -339,40 +1787,186 @@ ExecutionDirector.prototype._getRequestGroupPlayer = function (requestGroup) {
 
   player.on("start", this._requestGroupStarted.bind(this));
   player.on("end", this._requestGroupDone.bind(this));
+  player.on("iteration", this._requestGroupIterated.bind(this));
   player.on("requestStart", this._requestStarted.bind(this));
   player.on("requestEnd", this._requestDone.bind(this));
   player.on("requestCancel", this._requestCanceled.bind(this));
+  player.on("requestTimeout", this._requestTimedOut.bind(this));
+  player.on("requestError", this._requestFailed.bind(this));
+  player.on("requestAbort", this._requestAborted.bind(this));
+  player.on("requestAttempt", this._requestAttempted.bind(this));
+  player.on("requestRetry", this._requestRetried.bind(this));
+  
+  this._activePlayers.push(player);
+  this._groupPlayers[requestGroup.id] = player;
   return player;
 };
 
 /**
- * Begins the execution of the Rcoil object
+ * Begins the execution of the Rcoil object. The coil is validated first, coils with errors 
+ * are not executed.
  * 
  * @function
+ * @throws {CoilValidationError} If the validate method of the coil returns errors
  * @return {ExecutionContext} The execution context object that the director will keep updating
  *   throughout the execution
  */
 ExecutionDirector.prototype.start = function (callback) {
-  this._totalGroups = this.rcoil.requestGroupsCount();
-  this._tmpGroupsCounter = 0;
+  this._validateCoil();
   this._endCallback = callback;
   
-  for (var i = 0; i < this.rcoil.calls.length; i++) {
-    var player = this._getRequestGroupPlayer(this.rcoil.calls[i]);
-    player.start();
+  if (this.options.coilTimeout != null) {
+    this._deadlineTimer = setTimeout(this._coilTimedOut.bind(this), this.options.coilTimeout);
   }
+  
+  this._continue();
 
   return this.executionContext;
 };
 
 /**
- * Aborts the execution of an Rcoil.
+ * Validates the coil before the execution starts. Warnings are logged, errors stop the execution.
+ * 
+ * @function
+ * @private
+ * @fires ExecutionDirector#validationError
+ * @throws {CoilValidationError} If the coil has errors
+ */
+ExecutionDirector.prototype._validateCoil = function () {
+  var diagnostics = this.rcoil.validate();
+  var hasErrors = false;
+  
+  for (var i = 0; i < diagnostics.length; i++) {
+    if (diagnostics[i].severity == Rcoil.Severity.ERROR) {
+      hasErrors = true;
+    } else {
+      this.options.logger.warn(diagnostics[i].message);
+    }
+  }
+  
+  if (hasErrors) {
+    var err = new errors.CoilValidationError(diagnostics);
+    this.emit("validationError", err);
+    throw err;
+  }
+};
+
+/**
+ * Begins the execution of the Rcoil object and returns a Promise for the result. The Promise 
+ * resolves with the ExecutionContext once the execution completes, or is rejected with an
+ * ExecutionError when the execution fails, times out, or is aborted. The error has a context
+ * property with the partial results. Coils with validation errors reject the Promise with the 
+ * CoilValidationError.
+ * 
+ * @example
+ * director.run()
+ *   .then(function(context) {
+ *     return context.responseData("group1", "getUser").json;
+ *   })
+ *   .catch(function(err) {
+ *     // err is an ExecutionFailedError, ExecutionTimeoutError, or ExecutionAbortedError
+ *   });
+ * 
+ * @function
+ * @return {Promise} Resolves with the completed ExecutionContext
+ */
+ExecutionDirector.prototype.run = function () {
+  var localThis = this;
+  
+  return new Promise(function (resolve, reject) {
+    var onAbort = function (context, summary) {
+      reject(new errors.ExecutionAbortedError(context, summary));
+    };
+    var onEnd = function (context) {
+      localThis.removeListener("abort", onAbort);
+      switch (context.getStatus()) {
+        case ExecutionContext.Status.FAILED:
+          reject(new errors.ExecutionFailedError(context));
+          break;
+        case ExecutionContext.Status.TIMED_OUT:
+          reject(new errors.ExecutionTimeoutError(context));
+          break;
+        default:
+          resolve(context);
+      }
+    };
+    localThis.once("abort", onAbort);
+    
+    try {
+      localThis.start(onEnd);
+    } catch (err) {
+      localThis.removeListener("abort", onAbort);
+      reject(err);
+    }
+  });
+};
+
+/**
+ * Returns an async iterator over the lifecycle events of the director. Each value is an object
+ * with the type of the event and the array of arguments passed to its listeners. The iterator
+ * completes after the end, abort, or validationError event. Call this method before starting 
+ * the execution to receive all of the events.
+ * 
+ * @example
+ * var events = director.events(["groupStart", "requestEnd"]);
+ * director.run();
+ * for await (var event of events) {
+ *   console.log(event.type); // groupStart, requestEnd, ..., end
+ * }
+ * 
+ * @function
+ * @param {Array.<String>} eventNames - Optional list of events to receive, defaults to all events
+ * @return {EventStream} An async iterable of events
+ */
+ExecutionDirector.prototype.events = function (eventNames) {
+  if (eventNames === undefined || eventNames == null) {
+    eventNames = ["groupStart", "groupEnd", "groupError", "groupSkip", "groupIteration", "requestStart", "requestEnd", "requestSkip", 
+      "requestTimeout", "requestRetry", "requestError", "requestItemError", "requestAbort", "compensation", "rollback", "timeout"];
+  }
+  
+  return new EventStream(this, eventNames, ["end", "abort", "validationError"]);
+};
+
+/**
+ * Aborts the execution of an Rcoil. All running HTTP requests and Lambda invocations are 
+ * canceled and marked with the isAborted flag in the context, request groups that have not
+ * started yet are skipped. Once all running requests are cut off the director fires the abort
+ * event. The callback passed to the start method is not called.
+ * 
+ * Calling abort after the execution completed has no effect.
+ * 
+ * @example
+ * director.on("abort", function(context, summary) {
+ *   console.log(summary.aborted.length + " requests aborted: " + summary.reason);
+ * });
+ * director.abort("client disconnected");
  * 
  * @function
+ * @param {*} reason - Optional reason for the abort, saved in the response data of aborted requests
  */
-ExecutionDirector.prototype.abort = function () {
+ExecutionDirector.prototype.abort = function (reason) {
+  if (this._finished || this._aborted) return;
+  
   this._aborted = true;
-  return;
+  this._abortReason = (reason !== undefined ? reason : "Execution aborted");
+  this.executionContext.setStatus(ExecutionContext.Status.ABORTED);
+  
+  // the rollback completes with the aborted compensation
+  if (this._rollbackPlayer != null) {
+    this._rollbackPlayer.abort(this._abortReason);
+    return;
+  }
+  
+  if (this._runningRequests == 0) {
+    this._emitAbort();
+    return;
+  }
+  
+  // copy the list, players are removed as they complete
+  var players = this._activePlayers.slice(0);
+  for (var i = 0; i < players.length; i++) {
+    players[i].abort(this._abortReason);
+  }
 };
 
 module.exports = ExecutionDirector;
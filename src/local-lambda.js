@@ -0,0 +1,260 @@
+/*
+ * Copyright 2016 Stefano Buliani (@sapessi)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *  http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// core modules
+var path = require('path');
+var crypto = require('crypto');
+
+/**
+ * The timeout of local handlers when the request does not set a total timeout, the same
+ * default as Lambda functions
+ *
+ * @property {int}
+ */
+var DEFAULT_TIMEOUT = 3000;
+
+/**
+ * LocalLambda runs Lambda handlers in the current process. It exposes the same invoke method
+ * as the Lambda client of the AWS SDK, so that the RequestPlayer can use it in place of the
+ * client when the director maps a function to a local handler with the lambdaHandlers option.
+ *
+ * The handler receives the event, a simulated Lambda context, and a callback. It can complete
+ * with the callback, the succeed, fail, and done methods of the context, or by returning a
+ * Promise. Errors are returned as a Handled FunctionError, exceptions and timeouts as an
+ * Unhandled FunctionError.
+ *
+ * @example
+ * var lambda = new LocalLambda("./handlers/users.getUser", { timeout: 1000 });
+ * lambda.invoke({ FunctionName: "getUser", Payload: "{\"id\":1}" }, function(err, data) {
+ *   console.log(data.StatusCode, data.Payload);
+ * });
+ *
+ * @class
+ * @constructor
+ * @param {String|function} handler - The handler function, or the path of its module and the exported
+ *  function in the module.function format. Relative paths are resolved from the working directory
+ * @param {Object} options - The timeout of the handler in ms, 3000 by default
+ */
+function LocalLambda(handler, options) {
+  this.handler = handler;
+  this.timeout = (options !== undefined && options != null && options.timeout != null ? options.timeout : DEFAULT_TIMEOUT);
+}
+
+/**
+ * Loads the handler function from its module
+ *
+ * @function
+ * @private
+ * @return {function} The handler function
+ */
+LocalLambda.prototype._loadHandler = function () {
+  if (typeof this.handler === 'function') return this.handler;
+
+  var separator = this.handler.lastIndexOf(".");
+  if (separator <= 0 || separator == this.handler.length - 1) {
+    throw new Error("Bad handler " + this.handler + ", expected the module.function format");
+  }
+  var modulePath = this.handler.substring(0, separator);
+  var functionName = this.handler.substring(separator + 1);
+
+  var handlerModule = require(path.resolve(process.cwd(), modulePath));
+  if (typeof handlerModule[functionName] !== 'function') {
+    throw new Error("Handler " + functionName + " missing on module " + modulePath);
+  }
+  return handlerModule[functionName];
+};
+
+/**
+ * Invokes the handler with the same parameters and results of the invoke method of the Lambda
+ * client. Event invocations run the handler without waiting for it, DryRun invocations do not
+ * run it.
+ *
+ * @function
+ * @param {Object} params - The FunctionName, Qualifier, InvocationType, LogType, ClientContext, and Payload
+ * @param {function} callback - Receives an error and the response: StatusCode, Payload, FunctionError, LogResult, and ExecutedVersion
+ * @return {Object} An object with an abort method, the callback is not called once the invocation is aborted
+ */
+LocalLambda.prototype.invoke = function (params, callback) {
+  var localThis = this;
+  var invocation = {
+    aborted: false,
+    timer: null,
+    abort: function () {
+      invocation.aborted = true;
+      clearTimeout(invocation.timer);
+    }
+  };
+  var requestId = crypto.randomBytes(16).toString("hex");
+  var version = (params.Qualifier !== undefined && params.Qualifier != null ? params.Qualifier : "$LATEST");
+  var startTime = Date.now();
+
+  var respond = function (err, data) {
+    if (invocation.aborted) return;
+    invocation.aborted = true;
+    clearTimeout(invocation.timer);
+
+    if (data !== undefined && params.LogType == "Tail") {
+      var logs = "START RequestId: " + requestId + " Version: " + version + "\n" +
+        "END RequestId: " + requestId + "\n" +
+        "REPORT RequestId: " + requestId + "\tDuration: " + (Date.now() - startTime) + " ms\n";
+      data.LogResult = Buffer.from(logs, "utf8").toString("base64");
+    }
+    // the SDK always completes asynchronously
+    setImmediate(function () {
+      callback(err, data);
+    });
+  };
+
+  var event;
+  var clientContext;
+  try {
+    event = (params.Payload !== undefined && params.Payload != null && params.Payload.length > 0 ? JSON.parse(params.Payload.toString()) : {});
+    clientContext = (params.ClientContext !== undefined ? JSON.parse(Buffer.from(params.ClientContext, "base64").toString("utf8")) : undefined);
+  } catch (err) {
+    var requestErr = new Error("Could not parse request body into json: " + err.message);
+    requestErr.code = "InvalidRequestContentException";
+    requestErr.statusCode = 400;
+    respond(requestErr);
+    return invocation;
+  }
+
+  switch (params.InvocationType) {
+    case "DryRun":
+      respond(null, { StatusCode: 204, Payload: "" });
+      return invocation;
+    case "Event":
+      // the handler keeps running after the response, like an asynchronous invocation
+      var queued = respond;
+      respond = function () {
+        clearTimeout(invocation.timer);
+      };
+      queued(null, { StatusCode: 202, Payload: "" });
+      break;
+  }
+
+  var complete = function (functionError, result) {
+    var data = { StatusCode: 200, ExecutedVersion: version };
+    if (functionError !== undefined) {
+      data.FunctionError = functionError;
+      data.Payload = JSON.stringify(formatError(result));
+    } else {
+      data.Payload = JSON.stringify(result === undefined ? null : result);
+    }
+    respond(null, data);
+  };
+  var done = function (err, result) {
+    if (err !== undefined && err != null) {
+      complete("Handled", err);
+      return;
+    }
+    complete(undefined, result);
+  };
+
+  var deadline = startTime + this.timeout;
+  var context = {
+    functionName: params.FunctionName,
+    functionVersion: version,
+    invokedFunctionArn: params.FunctionName + (params.Qualifier !== undefined ? ":" + params.Qualifier : ""),
+    memoryLimitInMB: "128",
+    awsRequestId: requestId,
+    logGroupName: "/aws/lambda/" + params.FunctionName,
+    logStreamName: "local",
+    clientContext: clientContext,
+    callbackWaitsForEmptyEventLoop: true,
+    getRemainingTimeInMillis: function () {
+      return Math.max(0, deadline - Date.now());
+    },
+    succeed: function (result) {
+      done(null, result);
+    },
+    fail: function (err) {
+      done(err);
+    },
+    done: done
+  };
+
+  invocation.timer = setTimeout(function () {
+    complete("Unhandled", { errorMessage: "Task timed out after " + (localThis.timeout / 1000).toFixed(2) + " seconds" });
+  }, this.timeout);
+
+  try {
+    var result = this._loadHandler()(event, context, done);
+    if (result != null && typeof result.then === 'function') {
+      result.then(function (value) {
+        done(null, value);
+      }, function (reason) {
+        done(reason !== undefined && reason != null ? reason : new Error("Handler rejected"));
+      });
+    }
+  } catch (err) {
+    complete("Unhandled", err);
+  }
+
+  return invocation;
+};
+
+/**
+ * Formats an error returned by a handler the same way as the Lambda runtime
+ *
+ * @function
+ * @private
+ * @param {*} err - The error, an Error object or any other value
+ * @return {Object} The error payload: errorMessage, errorType, and stackTrace for Error objects
+ */
+function formatError(err) {
+  if (err instanceof Error) {
+    return {
+      errorMessage: err.message,
+      errorType: err.name,
+      stackTrace: (err.stack !== undefined ? err.stack.split("\n").slice(1).map(function (line) { return line.trim(); }) : [])
+    };
+  }
+  if (err !== null && typeof err === 'object') {
+    return err;
+  }
+  return { errorMessage: String(err) };
+}
+
+/**
+ * Finds the handler for a function in the lambdaHandlers option of the director. Keys are
+ * function names or ARNs, and can contain * wildcards. Exact matches are preferred to patterns.
+ *
+ * @example
+ * LocalLambda.findHandler({ "arn:aws:lambda:*:function:users-*": "./handlers/users.handler" },
+ *   "arn:aws:lambda:us-east-1:123456789012:function:users-get"); // "./handlers/users.handler"
+ *
+ * @function
+ * @param {Object} handlers - The handlers, indexed by function name, ARN, or pattern
+ * @param {String} functionName - The function of the request
+ * @return {String|function} The handler, null if the function is not mapped
+ */
+LocalLambda.findHandler = function (handlers, functionName) {
+  if (handlers === undefined || handlers == null) return null;
+  if (handlers.hasOwnProperty(functionName)) return handlers[functionName];
+
+  for (var key in handlers) {
+    if (key.indexOf("*") == -1) continue;
+
+    var pattern = new RegExp("^" + key.split("*").map(function (part) {
+      return part.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+    }).join(".*") + "$");
+    if (pattern.test(functionName)) return handlers[key];
+  }
+
+  return null;
+};
+
+module.exports = LocalLambda;
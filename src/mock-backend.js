@@ -0,0 +1,761 @@
+/*
+ * Copyright 2016 Stefano Buliani (@sapessi)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *  http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// core modules
+var http = require('http');
+var util = require('util');
+var events = require('events');
+var assert = require('assert');
+
+var CRITERIA = ["name", "method", "url", "function", "body"];
+
+/**
+ * MockBackend replaces the HTTP endpoints and Lambda functions called by a coil with canned
+ * responses, so that coils can be tested without opening sockets. Pass it to the director in
+ * the mocks option: HTTP and Lambda requests are matched against the stubs registered with the
+ * when method, requests that do not match any stub fail with the ENOMOCK error code.
+ *
+ * Every request is recorded in the calls property, the calls that did not match a stub are
+ * also listed in the unmatched property. With the passthrough option the calls that do not
+ * match a stub are sent to the real endpoint or function instead of failing.
+ *
+ * @example
+ * var mocks = new MockBackend();
+ * var getUser = mocks.when({ method: "GET", url: "http://api.com/users/*" }).reply(200, { id: 1 });
+ * mocks.when({ function: "arn:aws:lambda:*:function:notify" }).reply({ sent: true }).delay(50);
+ *
+ * var director = new ExecutionDirector(coil, { mocks: mocks });
+ * director.run().then(function(context) {
+ *   getUser.assertCalled(1);
+ *   mocks.verify();
+ * });
+ *
+ * @class
+ * @constructor
+ * @param {Object} options - passthrough: true to send the requests without a stub to the network, false by default
+ */
+function MockBackend(options) {
+  /**
+   * Whether the requests that do not match any stub are sent to the network
+   *
+   * @property {bool}
+   */
+  this.passthrough = (options !== undefined && options != null && options.passthrough === true);
+  /**
+   * The stubs registered with the when method, in the order they are matched
+   *
+   * @property {Array.<MockStub>}
+   */
+  this.stubs = [];
+  /**
+   * All of the calls received by the backend
+   *
+   * @property {Array.<Object>}
+   */
+  this.calls = [];
+  /**
+   * The calls that did not match any stub
+   *
+   * @property {Array.<Object>}
+   */
+  this.unmatched = [];
+}
+
+/**
+ * Registers a stub for the requests that match all of the given criteria. The criteria are
+ * the request name, the HTTP method, the url, the Lambda function, and the body. The url and
+ * function can be strings with * wildcards or regular expressions. An object body is compared
+ * with the parsed JSON body of the request, a string body with the raw body. A string is a
+ * shortcut for the name.
+ * Stubs are matched in the order they are registered, stubs that reached the limit set with
+ * their times method are skipped.
+ *
+ * @function
+ * @param {Object|String} criteria - The name, method, url, and function to match
+ * @return {MockStub} The stub, use its methods to configure the response
+ */
+MockBackend.prototype.when = function (criteria) {
+  if (typeof criteria === 'string') {
+    criteria = { name: criteria };
+  }
+  if (criteria === undefined || criteria == null || typeof criteria !== 'object') {
+    throw new Error("Mock criteria must be an object or a request name");
+  }
+  for (var key in criteria) {
+    if (CRITERIA.indexOf(key) == -1) {
+      throw new Error("Unknown mock criteria " + key + ", expected one of " + CRITERIA.join(", "));
+    }
+  }
+
+  var stub = new MockStub(criteria);
+  this.stubs.push(stub);
+  return stub;
+};
+
+/**
+ * Removes all of the stubs and recorded calls
+ *
+ * @function
+ */
+MockBackend.prototype.reset = function () {
+  this.stubs = [];
+  this.calls = [];
+  this.unmatched = [];
+};
+
+/**
+ * Checks that every stub was called and, unless the backend lets unmatched requests pass
+ * through, that no request was left without a stub. Throws an AssertionError otherwise.
+ *
+ * @function
+ */
+MockBackend.prototype.verify = function () {
+  for (var i = 0; i < this.stubs.length; i++) {
+    if (this.stubs[i].calls.length == 0) {
+      throw new assert.AssertionError({ message: "Mock " + this.stubs[i].describe() + " was never called" });
+    }
+  }
+  if (!this.passthrough && this.unmatched.length > 0) {
+    throw new assert.AssertionError({
+      message: "No mock for " + this.unmatched.map(describeCall).join(", ")
+    });
+  }
+};
+
+/**
+ * Records a call and returns the stub that matches it
+ *
+ * @function
+ * @private
+ * @param {Object} call - The call record
+ * @return {MockStub} The matching stub, null if no stub matches the call
+ */
+MockBackend.prototype._record = function (call) {
+  this.calls.push(call);
+
+  for (var i = 0; i < this.stubs.length; i++) {
+    var stub = this.stubs[i];
+    if (stub._times != null && stub.calls.length >= stub._times) continue;
+
+    if (stub._matches(call)) {
+      stub.calls.push(call);
+      return stub;
+    }
+  }
+
+  this.unmatched.push(call);
+  return null;
+};
+
+/**
+ * Returns an object that replaces the http and https modules for a request. Used by the
+ * RequestPlayer.
+ *
+ * @function
+ * @param {Request} requestConfig - The request being executed
+ * @param {Object} client - The http or https module, used for the requests that pass through
+ * @return {Object} An object with the request method of the http module
+ */
+MockBackend.prototype.httpClient = function (requestConfig, client) {
+  var localThis = this;
+  return {
+    request: function (settings, callback) {
+      return new MockClientRequest(localThis, requestConfig, settings, callback, client);
+    }
+  };
+};
+
+/**
+ * Returns an object that replaces the Lambda client of the AWS SDK for a request. Used by the
+ * RequestPlayer.
+ *
+ * @function
+ * @param {Request} requestConfig - The request being executed
+ * @param {Object} client - The Lambda client, used for the invocations that pass through
+ * @return {Object} An object with the invoke method of the Lambda client
+ */
+MockBackend.prototype.lambdaClient = function (requestConfig, client) {
+  var localThis = this;
+  return {
+    invoke: function (params, callback) {
+      var call = createCall(requestConfig, {
+        function: params.FunctionName,
+        qualifier: params.Qualifier,
+        invocationType: params.InvocationType
+      }, params.Payload);
+      var stub = localThis._record(call);
+      if (stub == null && localThis.passthrough && client !== undefined && client != null) {
+        return client.invoke(params, callback);
+      }
+      if (stub == null) {
+        return respondLater(0, function () {
+          callback(noMockError(call));
+        });
+      }
+
+      return stub._respond(function (err, reply) {
+        if (err) {
+          callback(err);
+          return;
+        }
+
+        var data = {
+          StatusCode: reply.statusCode,
+          Payload: reply.body.toString("utf8"),
+          ExecutedVersion: (params.Qualifier !== undefined ? params.Qualifier : "$LATEST")
+        };
+        if (reply.statusCode == null) {
+          data.StatusCode = (params.InvocationType == "Event" ? 202 : (params.InvocationType == "DryRun" ? 204 : 200));
+        }
+        if (reply.functionError != null) {
+          data.FunctionError = reply.functionError;
+        }
+        callback(null, data);
+      });
+    }
+  };
+};
+
+/**
+ * MockStub holds the response for the requests that match its criteria and the calls it received.
+ * Stubs are created with the when method of MockBackend, by default they reply with status code
+ * 200 and an empty body.
+ *
+ * @class
+ * @constructor
+ * @param {Object} criteria - The name, method, url, function, and body to match
+ */
+function MockStub(criteria) {
+  this.criteria = criteria;
+  /**
+   * The calls matched by the stub
+   *
+   * @property {Array.<Object>}
+   */
+  this.calls = [];
+
+  this._reply = { statusCode: null, body: null, headers: {}, functionError: null };
+  this._error = null;
+  this._delay = 0;
+  this._times = null;
+}
+
+/**
+ * Sets the response of the stub. Objects are sent as JSON with the application/json content type,
+ * strings as text/plain unless the headers set a content type. For Lambda functions the body is
+ * the payload returned by the function and the status code defaults to the one of the invocation type.
+ *
+ * @example
+ * stub.reply(404, { message: "Not found" }, { "x-request-id": "1" });
+ * stub.reply({ id: 1 }); // status code 200
+ *
+ * @function
+ * @param {int} statusCode - The status code, optional
+ * @param {*} body - The body of the response
+ * @param {Object} headers - The headers of HTTP responses
+ * @return {MockStub} The stub
+ */
+MockStub.prototype.reply = function (statusCode, body, headers) {
+  if (typeof statusCode !== 'number') {
+    headers = body;
+    body = statusCode;
+    statusCode = null;
+  }
+
+  this._reply = { statusCode: statusCode, body: body, headers: {}, functionError: null };
+  for (var key in headers) {
+    this._reply.headers[key.toLowerCase()] = headers[key];
+  }
+  this._error = null;
+  return this;
+};
+
+/**
+ * Makes the Lambda functions matched by the stub return an error
+ *
+ * @function
+ * @param {String} type - The type of error, Handled or Unhandled
+ * @param {Object} payload - The error payload: errorMessage, errorType, and stackTrace
+ * @return {MockStub} The stub
+ */
+MockStub.prototype.functionError = function (type, payload) {
+  this.reply(200, payload);
+  this._reply.functionError = type;
+  return this;
+};
+
+/**
+ * Makes the requests matched by the stub fail as if the backend could not be reached
+ *
+ * @example
+ * stub.fail("ECONNRESET", "socket hang up");
+ *
+ * @function
+ * @param {String} code - The error code
+ * @param {String} message - The error message, defaults to the code
+ * @return {MockStub} The stub
+ */
+MockStub.prototype.fail = function (code, message) {
+  this._error = { code: code, message: (message !== undefined ? message : code) };
+  return this;
+};
+
+/**
+ * Delays the response of the stub
+ *
+ * @function
+ * @param {int} ms - The latency in milliseconds
+ * @return {MockStub} The stub
+ */
+MockStub.prototype.delay = function (ms) {
+  this._delay = ms;
+  return this;
+};
+
+/**
+ * Limits the number of calls the stub replies to. Once the limit is reached the next stub that
+ * matches the request is used.
+ *
+ * @function
+ * @param {int} times - The number of calls
+ * @return {MockStub} The stub
+ */
+MockStub.prototype.times = function (times) {
+  this._times = times;
+  return this;
+};
+
+/**
+ * Checks that the stub was called, or called the given number of times. Throws an AssertionError
+ * otherwise.
+ *
+ * @function
+ * @param {int} times - The expected number of calls, optional
+ */
+MockStub.prototype.assertCalled = function (times) {
+  if (times === undefined) {
+    if (this.calls.length == 0) {
+      throw new assert.AssertionError({ message: "Mock " + this.describe() + " was never called" });
+    }
+    return;
+  }
+  if (this.calls.length != times) {
+    throw new assert.AssertionError({
+      message: "Mock " + this.describe() + " was called " + this.calls.length + " times, expected " + times,
+      actual: this.calls.length,
+      expected: times,
+      operator: "=="
+    });
+  }
+};
+
+/**
+ * Checks that at least one of the calls received the given body. JSON bodies are compared with
+ * their parsed value. Throws an AssertionError otherwise.
+ *
+ * @function
+ * @param {*} body - The expected body
+ */
+MockStub.prototype.assertCalledWith = function (body) {
+  var received = this.calls.map(function (call) {
+    return (call.json !== undefined ? call.json : call.body);
+  });
+
+  for (var i = 0; i < received.length; i++) {
+    try {
+      assert.deepStrictEqual(received[i], body);
+      return;
+    } catch (err) {
+      // try the next call
+    }
+  }
+  throw new assert.AssertionError({
+    message: "Mock " + this.describe() + " never received " + util.inspect(body, { depth: null }),
+    actual: received,
+    expected: body,
+    operator: "calledWith"
+  });
+};
+
+/**
+ * Describes the criteria of the stub for error messages
+ *
+ * @function
+ * @return {String} The criteria of the stub
+ */
+MockStub.prototype.describe = function () {
+  var localThis = this;
+  return Object.keys(this.criteria).map(function (key) {
+    return key + "=" + String(localThis.criteria[key]);
+  }).join(" ");
+};
+
+/**
+ * Checks whether a call matches all of the criteria of the stub
+ *
+ * @function
+ * @private
+ * @param {Object} call - The call record
+ * @return {bool} true if the call matches
+ */
+MockStub.prototype._matches = function (call) {
+  var criteria = this.criteria;
+
+  if (criteria.name !== undefined && criteria.name != call.name) return false;
+  if (criteria.method !== undefined && (call.method === undefined || criteria.method.toUpperCase() != call.method.toUpperCase())) return false;
+  if (criteria.url !== undefined && (call.url === undefined || !matchPattern(criteria.url, call.url))) return false;
+  if (criteria.function !== undefined && (call.function === undefined || !matchPattern(criteria.function, call.function))) return false;
+  if (criteria.body !== undefined && !matchBody(criteria.body, call)) return false;
+
+  return true;
+};
+
+/**
+ * Sends the response of the stub to the callback once the delay expires
+ *
+ * @function
+ * @private
+ * @param {function} callback - Receives an error or the reply: statusCode, headers, body Buffer, and functionError
+ * @return {Object} An object with an abort method, the callback is not called once the response is aborted
+ */
+MockStub.prototype._respond = function (callback) {
+  var localThis = this;
+
+  return respondLater(this._delay, function () {
+    if (localThis._error != null) {
+      var err = new Error(localThis._error.message);
+      err.code = localThis._error.code;
+      callback(err);
+      return;
+    }
+
+    var reply = localThis._reply;
+    var headers = util._extend({}, reply.headers);
+    var body = reply.body;
+    if (body === undefined || body == null) {
+      body = Buffer.alloc(0);
+    } else if (typeof body === 'string') {
+      if (headers["content-type"] === undefined) headers["content-type"] = "text/plain; charset=utf-8";
+      body = Buffer.from(body, "utf8");
+    } else if (!Buffer.isBuffer(body)) {
+      if (headers["content-type"] === undefined) headers["content-type"] = "application/json";
+      body = Buffer.from(JSON.stringify(body), "utf8");
+    }
+
+    callback(null, { statusCode: reply.statusCode, headers: headers, body: body, functionError: reply.functionError });
+  });
+};
+
+/**
+ * MockClientRequest replaces the http.ClientRequest object of the requests executed with a
+ * MockBackend. It supports the methods used by the RequestPlayer and by input functions to
+ * set headers.
+ *
+ * @class
+ * @constructor
+ * @private
+ * @param {MockBackend} backend - The mock backend
+ * @param {Request} requestConfig - The request being executed
+ * @param {Object} settings - The http settings of the request
+ * @param {function} callback - Receives the response
+ * @param {Object} client - The http or https module, used if the request passes through
+ */
+function MockClientRequest(backend, requestConfig, settings, callback, client) {
+  this.method = (settings.method !== undefined ? settings.method.toUpperCase() : "GET");
+  this.path = settings.path;
+  this.host = settings.host;
+  this.aborted = false;
+
+  this._backend = backend;
+  this._requestConfig = requestConfig;
+  this._settings = settings;
+  this._callback = callback;
+  this._client = client;
+  this._headers = {};
+  this._chunks = [];
+  this._handle = null;
+
+  for (var key in settings.headers) {
+    this._headers[key.toLowerCase()] = settings.headers[key];
+  }
+
+  events.EventEmitter.call(this);
+}
+util.inherits(MockClientRequest, events.EventEmitter);
+
+/**
+ * Sets a header of the request
+ *
+ * @function
+ * @param {String} name - The name of the header
+ * @param {String} value - The value of the header
+ */
+MockClientRequest.prototype.setHeader = function (name, value) {
+  this._headers[name.toLowerCase()] = value;
+};
+
+/**
+ * Returns the value of a header of the request
+ *
+ * @function
+ * @param {String} name - The name of the header
+ * @return {String} The value of the header, undefined if it is not set
+ */
+MockClientRequest.prototype.getHeader = function (name) {
+  return this._headers[name.toLowerCase()];
+};
+
+/**
+ * Removes a header of the request
+ *
+ * @function
+ * @param {String} name - The name of the header
+ */
+MockClientRequest.prototype.removeHeader = function (name) {
+  delete this._headers[name.toLowerCase()];
+};
+
+/**
+ * Returns a copy of the headers of the request, with lower case names
+ *
+ * @function
+ * @return {Object} The headers
+ */
+MockClientRequest.prototype.getHeaders = function () {
+  return util._extend({}, this._headers);
+};
+
+/**
+ * Adds data to the body of the request
+ *
+ * @function
+ * @param {String|Buffer} chunk - The data to write
+ * @return {bool} Always true
+ */
+MockClientRequest.prototype.write = function (chunk) {
+  this._chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(String(chunk), "utf8"));
+  return true;
+};
+
+/**
+ * Sends the request to the mock backend. The response, or the error, is delivered asynchronously.
+ * Requests without a stub are sent with the real client if the backend lets them pass through.
+ *
+ * @function
+ * @param {String|Buffer} chunk - Optional data to write before ending the request
+ */
+MockClientRequest.prototype.end = function (chunk) {
+  if (chunk !== undefined && chunk != null) this.write(chunk);
+
+  var localThis = this;
+  var settings = this._settings;
+  var body = Buffer.concat(this._chunks);
+  var call = createCall(this._requestConfig, {
+    method: this.method,
+    url: settings.protocol + "//" + settings.host + (settings.port != null && settings.port !== "" ? ":" + settings.port : "") + settings.path,
+    headers: this.getHeaders()
+  }, body);
+
+  var stub = this._backend._record(call);
+  if (stub == null && this._backend.passthrough && this._client !== undefined && this._client != null) {
+    this._passThrough(body);
+    return;
+  }
+  if (stub == null) {
+    this._handle = respondLater(0, function () {
+      localThis.emit("error", noMockError(call));
+    });
+    return;
+  }
+
+  this._handle = stub._respond(function (err, reply) {
+    if (err) {
+      localThis.emit("error", err);
+      return;
+    }
+
+    var response = new events.EventEmitter();
+    response.statusCode = (reply.statusCode != null ? reply.statusCode : 200);
+    response.statusMessage = http.STATUS_CODES[response.statusCode];
+    response.headers = reply.headers;
+    response.httpVersion = "1.1";
+
+    localThis._callback(response);
+    localThis._handle = respondLater(0, function () {
+      if (reply.body.length > 0) response.emit("data", reply.body);
+      response.emit("end");
+    });
+  });
+};
+
+/**
+ * Sends the request with the real client. The response and errors of the real request are
+ * delivered to the callback and listeners of this request.
+ *
+ * @function
+ * @private
+ * @param {Buffer} body - The body of the request
+ */
+MockClientRequest.prototype._passThrough = function (body) {
+  var localThis = this;
+  var request = this._client.request(this._settings, this._callback);
+  for (var name in this._headers) {
+    request.setHeader(name, this._headers[name]);
+  }
+  request.on("error", function (err) {
+    localThis.emit("error", err);
+  });
+  request.end(body);
+
+  this._handle = {
+    abort: function () {
+      request.abort();
+    }
+  };
+};
+
+/**
+ * Aborts the request, the response is never delivered
+ *
+ * @function
+ */
+MockClientRequest.prototype.abort = function () {
+  this.aborted = true;
+  if (this._handle != null) this._handle.abort();
+};
+
+/**
+ * Creates the record of a call to the mock backend
+ *
+ * @function
+ * @private
+ * @param {Request} requestConfig - The request being executed
+ * @param {Object} properties - The properties of the call: method, url, headers for HTTP requests, function, qualifier, invocationType for Lambda
+ * @param {String|Buffer} body - The body of the request
+ * @return {Object} The call record with the name, type, time, body, and json properties
+ */
+function createCall(requestConfig, properties, body) {
+  var call = {
+    name: requestConfig.name,
+    type: requestConfig.type,
+    time: Date.now(),
+    body: null
+  };
+  for (var key in properties) {
+    if (properties[key] !== undefined) call[key] = properties[key];
+  }
+
+  if (body !== undefined && body != null && body.length > 0) {
+    call.body = body.toString("utf8");
+    try {
+      call.json = JSON.parse(call.body);
+    } catch (err) {
+      // not a JSON body
+    }
+  }
+
+  return call;
+}
+
+/**
+ * Describes a call for error messages
+ *
+ * @function
+ * @private
+ * @param {Object} call - The call record
+ * @return {String} The name and target of the call
+ */
+function describeCall(call) {
+  return call.name + " (" + (call.url !== undefined ? call.method + " " + call.url : call.function) + ")";
+}
+
+/**
+ * Creates the error for the calls that do not match a stub
+ *
+ * @function
+ * @private
+ * @param {Object} call - The call record
+ * @return {Error} The error, with the ENOMOCK code
+ */
+function noMockError(call) {
+  var err = new Error("No mock for " + describeCall(call));
+  err.code = "ENOMOCK";
+  return err;
+}
+
+/**
+ * Runs a function asynchronously after a delay
+ *
+ * @function
+ * @private
+ * @param {int} delay - The delay in milliseconds
+ * @param {function} func - The function to run
+ * @return {Object} An object with an abort method that cancels the function
+ */
+function respondLater(delay, func) {
+  var handle = { aborted: false };
+  var timer = setTimeout(function () {
+    if (!handle.aborted) func();
+  }, delay);
+  handle.abort = function () {
+    handle.aborted = true;
+    clearTimeout(timer);
+  };
+
+  return handle;
+}
+
+/**
+ * Matches the body of a call. Strings are compared with the raw body, other values with the
+ * parsed JSON body.
+ *
+ * @function
+ * @private
+ * @param {*} expected - The expected body, null for requests without a body
+ * @param {Object} call - The call record
+ * @return {bool} true if the body of the call matches
+ */
+function matchBody(expected, call) {
+  if (expected === null || typeof expected === 'string') return expected === call.body;
+
+  try {
+    assert.deepStrictEqual(call.json, expected);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Matches a value against a regular expression or a string with * wildcards
+ *
+ * @function
+ * @private
+ * @param {String|RegExp} pattern - The pattern
+ * @param {String} value - The value to match
+ * @return {bool} true if the value matches the pattern
+ */
+function matchPattern(pattern, value) {
+  if (pattern instanceof RegExp) return pattern.test(value);
+
+  return new RegExp("^" + String(pattern).split("*").map(function (part) {
+    return part.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+  }).join(".*") + "$").test(value);
+}
+
+MockBackend.MockStub = MockStub;
+
+module.exports = MockBackend;
@@ -17,6 +17,7 @@
 // core modules
 var http = require('http');
 var https = require('https');
+var url = require('url');
 var util = require('util');
 var events = require('events');
 
@@ -25,10 +26,15 @@ var AWS = require('aws-sdk');
 
 // local modules
 var Request = require('./request');
+var DataPath = require('./data-path');
+var RequestTypes = require('./request-types');
+var LocalLambda = require('./local-lambda');
+var responseDecoder = require('./response-decoder');
 
 /**
  * RequestPlayer executes requests configured in a request group. The RequestPlayer 
- * can execute both HTTP and Lambda requests. This object is used internally by the 
+ * can execute HTTP, Lambda, and function requests, as well as the custom request types
+ * registered with Players.registerType. This object is used internally by the 
  * RequestGroupPlayer and there should be no need to interact with it from the outside.
  * 
  * RequestPlayer is an EventEmitter.
@@ -42,13 +48,26 @@ var Request = require('./request');
  * @fires RequestPlayer#start
  * @fires RequestPlayer#end
  * @fires RequestPlayer#abort
+ * @fires RequestPlayer#timeout
+ * @fires RequestPlayer#attempt
+ * @fires RequestPlayer#retry
+ * @fires RequestPlayer#fail
  */
 function RequestPlayer(request, context, options) {
   this.request = request;
   this.options = options;
   this.requestObject = null;
+  this.lambdaRequest = null;
+  this.customRequest = null;
+  this.attempts = [];
+  this.pages = [];
   
   this._context = context;
+  this._finished = false;
+  this._timers = [];
+  this._pageSettings = null;
+  this._pageFirstAttempt = 0;
+  this._truncated = false;
 
   events.EventEmitter.call(this);
 }
@@ -71,15 +90,21 @@ util.inherits(RequestPlayer, events.EventEmitter);
  * @type {Object}
  * @property {Object} requestConfig - The original configuration for the request object
  * @property {Object} response - The received http.IncomingMessage object
- * @property {String} output - The response body
+ * @property {String|Buffer} output - The decoded response body, a Buffer for binary content types. 
+ *  The value returned by the function for function requests
+ * @property {Object} payload - The decoded response: raw, body, json, and jsonError for HTTP and Lambda requests. 
+ *  For paginated requests the pagination property contains the pages, the concatenated results, and
+ *  the truncated flag
  */
 
 /**
- * The abort event is fired whenever the RequestPlayer aborts an HTTP request
+ * The abort event is fired whenever the RequestPlayer aborts a running HTTP request or Lambda
+ * invocation because the abort method was called
  * 
  * @event RequestPlayer#abort
  * @type {Object}
  * @property {Object} requestConfig - The original configuration for the request object
+ * @property {*} reason - The reason passed to the abort method
  */
 
 /**
@@ -90,6 +115,48 @@ util.inherits(RequestPlayer, events.EventEmitter);
  * @property {Object} requestConfig - The original configuration for the request object
  */
 
+/**
+ * The timeout event is fired whenever a request exceeds its connect or total timeout, or the
+ * ExecutionDirector reaches the deadline for the coil. The request is aborted before the event 
+ * is fired.
+ * 
+ * @event RequestPlayer#timeout
+ * @type {Object}
+ * @property {Object} requestConfig - The original configuration for the request object
+ * @property {String} timeoutType - The timeout that expired: connect, total, or coil
+ */
+
+/**
+ * The attempt event is fired whenever an attempt to execute the request completes, this 
+ * includes the final attempt
+ * 
+ * @event RequestPlayer#attempt
+ * @type {Object}
+ * @property {Object} requestConfig - The original configuration for the request object
+ * @property {Object} attempt - The attempt record: attempt, startTime, endTime, statusCode, error, errorCode, functionError
+ */
+
+/**
+ * The retry event is fired whenever the RequestPlayer schedules a new attempt for a request
+ * according to its retry policy
+ * 
+ * @event RequestPlayer#retry
+ * @type {Object}
+ * @property {Object} requestConfig - The original configuration for the request object
+ * @property {Object} attempt - The failed attempt record, the retryDelay property contains the backoff in ms
+ */
+
+/**
+ * The fail event is fired whenever a request fails because of a network error, an error from the
+ * AWS SDK, or an exception thrown by the input callback. Requests are only reported as failed 
+ * once their retry policy is exhausted.
+ * 
+ * @event RequestPlayer#fail
+ * @type {Object}
+ * @property {Object} requestConfig - The original configuration for the request object
+ * @property {Error} error - The error that caused the failure
+ */
+
 /**
  * Executes a Request object. This method runs the input callback to retrieve the request data
  * then fires the relevant executor based on the request type.
@@ -108,146 +175,1206 @@ RequestPlayer.prototype._executeRequest = function (requestConfig) {
     case Request.RequestType.LAMBDA:
       this._executeLambdaRequest(requestConfig);
       break;
+    case Request.RequestType.FUNCTION:
+      this._executeFunctionRequest(requestConfig);
+      break;
+    default:
+      this._executeCustomRequest(requestConfig);
+  }
+};
+
+/**
+ * Uses the callback function configured in the request configuration (onInput) to 
+ * generate the request body. If it's an HTTP request the callback receives both the
+ * context and the http.ClientRequest object. For LAMBDA invokes it only sends the 
+ * context.
+ * 
+ * The input function can return the input, return a Promise, or receive a node-style
+ * callback as its last parameter when the request sets the callback option of onInput. 
+ * Exceptions and rejected promises are passed to the callback as errors.
+ * 
+ * @function
+ * @private
+ * @param {Request} requestConfig - An initialized Request object
+ * @param {http.ClientRequest} requestObject - The request object generated by the HTTP client
+ * @param {function} callback - Receives an error and the generated input
+ */
+RequestPlayer.prototype._getRequestInput = function(requestConfig, requestObject, callback) {
+  if (requestConfig.inputFunc === undefined || requestConfig.inputFunc == null) {
+    callback(null, null);
+    return;
+  }
+  
+  var localThis = this;
+  var tmpTimer = Date.now();
+  var called = false;
+  var done = function (err, input) {
+    if (called) return;
+    called = true;
+    
+    tmpTimer = Date.now() - tmpTimer;
+    if (localThis.options.debug) localThis.options.logger.debug("Input function for " + requestConfig.name + " execution: " + tmpTimer + "ms");
+    
+    callback(err || null, input);
+  };
+  
+  var args = [this._context];
+  if (requestConfig.type == Request.RequestType.HTTP) {
+    args.push(requestObject);
+  }
+  var usesCallback = (requestConfig.inputCallback === true);
+  if (usesCallback) {
+    args.push(done);
+  }
+  
+  var requestInput;
+  try {
+    requestInput = requestConfig.inputFunc.apply(null, args);
+  } catch (err) {
+    done(err);
+    return;
+  }
+  
+  if (usesCallback) return;
+  
+  if (requestInput != null && typeof requestInput.then === 'function') {
+    requestInput.then(function (input) {
+      done(null, input);
+    }, function (reason) {
+      done(reason instanceof Error ? reason : new Error("Input function rejected: " + reason));
+    });
+    return;
+  }
+  
+  done(null, requestInput);
+}
+
+/**
+ * Merges the timeout configured in the request with the default timeout from the director options.
+ * 
+ * @function
+ * @private
+ * @param {Request} requestConfig - An initialized Request object
+ * @return {Object} The timeout object with the connect and total properties
+ */
+RequestPlayer.prototype._getTimeout = function (requestConfig) {
+  var defaults = Request.parseTimeout(this.options.timeout);
+  var timeout = requestConfig.timeout || defaults;
+
+  return {
+    connect: (timeout.connect != null ? timeout.connect : defaults.connect),
+    total: (timeout.total != null ? timeout.total : defaults.total)
+  };
+};
+
+/**
+ * Starts a timer that times out the request once it expires. Timers are cleared as soon as the 
+ * request completes.
+ * 
+ * @function
+ * @private
+ * @param {String} timeoutType - The type of timeout, connect or total
+ * @param {int} ms - The number of milliseconds before the timer expires, null to skip the timer
+ * @return {Object} The timer object, null if the timer was not started
+ */
+RequestPlayer.prototype._startTimer = function (timeoutType, ms) {
+  if (ms === undefined || ms == null) return null;
+
+  var localThis = this;
+  var timer = setTimeout(function () {
+    localThis.timeout(timeoutType);
+  }, ms);
+  this._timers.push(timer);
+
+  return timer;
+};
+
+/**
+ * Marks the execution of the request as completed and clears all running timers. Each 
+ * RequestPlayer can only complete once, this method returns false if the request had 
+ * already completed (for example it timed out before receiving a response).
+ * 
+ * @function
+ * @private
+ * @return {bool} true if the request was still running, false otherwise
+ */
+RequestPlayer.prototype._complete = function () {
+  if (this._finished) return false;
+
+  this._finished = true;
+  for (var i = 0; i < this._timers.length; i++) {
+    clearTimeout(this._timers[i]);
+  }
+  this._timers = [];
+
+  return true;
+};
+
+/**
+ * Starts a new attempt for the request and returns the attempt record. Attempt records 
+ * are completed by the _endAttempt method and reported through the RequestPlayer#attempt event.
+ * 
+ * @function
+ * @private
+ * @return {Object} The attempt record with the attempt number and start time
+ */
+RequestPlayer.prototype._startAttempt = function () {
+  var attempt = {
+    attempt: this.attempts.length - this._pageFirstAttempt + 1,
+    startTime: Date.now(),
+    endTime: null
+  };
+  if (this.request.pagination != null) {
+    attempt.page = this.pages.length + 1;
+  }
+  this.attempts.push(attempt);
+  
+  return attempt;
+};
+
+/**
+ * Completes an attempt and decides whether the request should be retried based on the 
+ * retry policy of the request. If the request is retried the RequestPlayer#retry event is 
+ * fired and the retry function is scheduled after the backoff delay.
+ * 
+ * @function
+ * @private
+ * @param {Request} requestConfig - An initialized Request object
+ * @param {Object} attempt - The attempt record returned by _startAttempt
+ * @param {Object} result - The outcome of the attempt: statusCode, error, errorCode, or functionError
+ * @param {function} retryFunc - The function that executes a new attempt
+ * @return {bool} true if the request is being retried, false otherwise
+ */
+RequestPlayer.prototype._endAttempt = function (requestConfig, attempt, result, retryFunc) {
+  attempt.endTime = Date.now();
+  for (var key in result) {
+    if (result[key] !== undefined) attempt[key] = result[key];
+  }
+  this.emit("attempt", requestConfig, attempt);
+  
+  if (this._finished || !this._isRetryable(requestConfig.retryPolicy, attempt)) {
+    return false;
   }
+  
+  attempt.retryDelay = this._getRetryDelay(requestConfig.retryPolicy, attempt.attempt);
+  if (this.options.debug) this.options.logger.debug("Retrying request " + requestConfig.name + " in " + attempt.retryDelay + "ms");
+  this.emit("retry", requestConfig, attempt);
+  
+  this._timers.push(setTimeout(retryFunc, attempt.retryDelay));
+  return true;
+};
+
+/**
+ * Checks whether the outcome of an attempt can be retried according to a retry policy.
+ * 
+ * @function
+ * @private
+ * @param {Object} policy - The retry policy of the request
+ * @param {Object} attempt - The completed attempt record
+ * @return {bool} true if the request should be retried
+ */
+RequestPlayer.prototype._isRetryable = function (policy, attempt) {
+  if (policy == null || attempt.attempt >= policy.maxAttempts) {
+    return false;
+  }
+  
+  if (attempt.statusCode !== undefined && policy.statusCodes.indexOf(attempt.statusCode) > -1) {
+    return true;
+  }
+  if (attempt.errorCode !== undefined && policy.errorCodes.indexOf(attempt.errorCode) > -1) {
+    return true;
+  }
+  if (attempt.functionError !== undefined && policy.functionErrors.indexOf(attempt.functionError) > -1) {
+    return true;
+  }
+  
+  return false;
+};
+
+/**
+ * Calculates the exponential backoff delay before the next attempt, capped by the backoffCap
+ * value of the policy and randomized according to its jitter setting.
+ * 
+ * @function
+ * @private
+ * @param {Object} policy - The retry policy of the request
+ * @param {int} attemptNumber - The number of the attempt that just completed, starting at 1
+ * @return {int} The delay in milliseconds
+ */
+RequestPlayer.prototype._getRetryDelay = function (policy, attemptNumber) {
+  var delay = Math.min(policy.backoffCap, policy.backoffBase * Math.pow(2, attemptNumber - 1));
+  
+  switch (policy.jitter) {
+    case "full":
+      return Math.floor(Math.random() * delay);
+    case "equal":
+      return Math.floor(delay / 2 + Math.random() * delay / 2);
+  }
+  
+  return delay;
+};
+
+/**
+ * Completes the request as failed, aborts the HTTP request if one is running, and fires the 
+ * RequestPlayer#fail event.
+ * 
+ * @function
+ * @private
+ * @param {Request} requestConfig - An initialized Request object
+ * @param {Error} err - The error that caused the failure
+ */
+RequestPlayer.prototype._fail = function (requestConfig, err) {
+  if (!this._complete()) return;
+  
+  if (this.requestObject != null) {
+    this.requestObject.abort();
+  }
+  if (this.options.debug) this.options.logger.debug("Request " + requestConfig.name + " failed: " + err.message);
+  
+  this.emit("fail", requestConfig, err);
+};
+
+/**
+ * Executes a Lambda function using the AWS SDK for Node.js. The SDK can be initialized
+ * using a configuration object passed to the ExecutionDirector in the awsConfig property
+ * of the options. Object inputs are serialized as JSON, strings and Buffers are sent as they are.
+ * 
+ * @function
+ * @private
+ * @param {Request} requestConfig - A Request object containing the Lambda function settings 
+ */
+RequestPlayer.prototype._executeLambdaRequest = function(requestConfig) {
+  var localThis = this;
+  var timeout = this._getTimeout(requestConfig);
+  this._startTimer("total", timeout.total);
+  
+  this._getRequestInput(requestConfig, null, function (err, input) {
+    // the request timed out while waiting for the input
+    if (localThis._finished) return;
+    
+    if (err) {
+      localThis._fail(requestConfig, err);
+      return;
+    }
+    if (input === false) {
+      localThis._complete();
+      localThis.emit("cancel", requestConfig);
+      return;
+    }
+    
+    var settings = requestConfig.settings;
+    var functionConfig = {
+      FunctionName: settings.function,
+      InvocationType: settings.invocationType || Request.LambdaInvocationType.REQUEST_RESPONSE,
+      LogType: settings.logType || Request.LambdaLogType.NONE,
+      Qualifier: settings.qualifier
+    };
+    try {
+      var payload = getLambdaPayload(input);
+      if (payload != null) functionConfig.Payload = payload;
+      if (settings.clientContext !== undefined && settings.clientContext != null) {
+        functionConfig.ClientContext = Buffer.from(JSON.stringify(settings.clientContext), "utf8").toString("base64");
+      }
+    } catch (err) {
+      localThis._fail(requestConfig, err);
+      return;
+    }
+    
+    localThis.emit("start", requestConfig, null, input);
+    localThis._invokeLambda(requestConfig, localThis._getLambdaClient(requestConfig, timeout), functionConfig);
+  });
+}
+
+/**
+ * Creates the Lambda client from the awsConfig option of the director. The connect timeout
+ * of the request is set in the http options of the client. Functions mapped to a local handler
+ * in the lambdaHandlers option are invoked in the current process by a LocalLambda object.
+ * The client is wrapped by the Cassette and the MockBackend of the director, if they are set.
+ * 
+ * @function
+ * @private
+ * @param {Request} requestConfig - A Request object containing the Lambda function settings
+ * @param {Object} timeout - The timeout of the request
+ * @return {AWS.Lambda|LocalLambda|Object} The Lambda client
+ */
+RequestPlayer.prototype._getLambdaClient = function (requestConfig, timeout) {
+  var lambda = this._createLambdaClient(requestConfig, timeout);
+  if (this.options.cassette !== undefined && this.options.cassette != null) {
+    lambda = this.options.cassette.lambdaClient(requestConfig, lambda);
+  }
+  if (this.options.mocks !== undefined && this.options.mocks != null) {
+    lambda = this.options.mocks.lambdaClient(requestConfig, lambda);
+  }
+  
+  return lambda;
+};
+
+/**
+ * Creates the Lambda client that invokes the function of a request, either a LocalLambda or
+ * an AWS.Lambda client.
+ * 
+ * @function
+ * @private
+ * @param {Request} requestConfig - A Request object containing the Lambda function settings
+ * @param {Object} timeout - The timeout of the request
+ * @return {AWS.Lambda|LocalLambda} The Lambda client
+ */
+RequestPlayer.prototype._createLambdaClient = function (requestConfig, timeout) {
+  var handler = LocalLambda.findHandler(this.options.lambdaHandlers, requestConfig.settings.function);
+  if (handler != null) {
+    if (this.options.debug) this.options.logger.debug("Invoking local handler for " + requestConfig.settings.function);
+    return new LocalLambda(handler, { timeout: timeout.total });
+  }
+  
+  var lambdaConfig = {};
+  if (this.options.awsConfig !== undefined && this.options.awsConfig != null) {
+    lambdaConfig = util._extend(lambdaConfig, this.options.awsConfig);
+  }
+  lambdaConfig.apiVersion = '2015-03-31';
+  if (timeout.connect != null) {
+    lambdaConfig.httpOptions = util._extend(util._extend({}, lambdaConfig.httpOptions), { connectTimeout: timeout.connect });
+  }
+  
+  return new AWS.Lambda(lambdaConfig);
+};
+
+/**
+ * Runs a single attempt of a Lambda invocation and retries it if the retry policy of the
+ * request allows it. Invocations that return a FunctionError fail with the error returned
+ * by the function.
+ * 
+ * @function
+ * @private
+ * @param {Request} requestConfig - A Request object containing the Lambda function settings
+ * @param {AWS.Lambda} lambda - The initialized Lambda client
+ * @param {Object} functionConfig - The parameters for the invoke call
+ */
+RequestPlayer.prototype._invokeLambda = function (requestConfig, lambda, functionConfig) {
+  var localThis = this;
+  var attempt = this._startAttempt();
+  
+  this.lambdaRequest = lambda.invoke(functionConfig, function(err, data) {
+    if (err && err.code == "TimeoutError") {
+      localThis.timeout("connect");
+      return;
+    }
+    if (localThis._finished) return;
+    
+    var retried = localThis._endAttempt(requestConfig, attempt, {
+      statusCode: (data ? data.StatusCode : undefined),
+      error: (err ? err.message : undefined),
+      errorCode: (err ? err.code : undefined),
+      functionError: (data ? data.FunctionError : undefined)
+    }, function () {
+      localThis._invokeLambda(requestConfig, lambda, functionConfig);
+    });
+    if (retried) return;
+    
+    if (err) {
+      localThis._fail(requestConfig, err);
+      return;
+    }
+    
+    var decoded = decodeLambdaResponse(data);
+    if (data.FunctionError !== undefined && data.FunctionError != null) {
+      var details = (decoded.json !== undefined ? decoded.json : decoded.body);
+      var functionErr = new Error(details != null && details.errorMessage !== undefined ? 
+        details.errorMessage : "Lambda function " + functionConfig.FunctionName + " returned an error");
+      functionErr.code = data.FunctionError;
+      functionErr.details = details;
+      if (decoded.logs !== undefined) functionErr.logs = decoded.logs;
+      localThis._fail(requestConfig, functionErr);
+      return;
+    }
+    if (!localThis._complete()) return;
+      
+    localThis.emit("end", requestConfig, data, decoded.body, decoded);
+  });
+};
+
+/**
+ * Generates the payload of a Lambda invocation from the input of the request
+ * 
+ * @function
+ * @private
+ * @param {*} input - The input of the request
+ * @return {String|Buffer} The payload, null if the request has no input
+ */
+function getLambdaPayload(input) {
+  if (input === undefined || input == null) return null;
+  if (typeof input === 'string' || Buffer.isBuffer(input)) return input;
+  
+  return JSON.stringify(input);
+}
+
+/**
+ * Decodes the payload and the logs of a Lambda invocation
+ * 
+ * @function
+ * @private
+ * @param {Object} data - The response of the invoke call
+ * @return {Object} The raw payload, the body string, the parsed json or the jsonError, and the logs
+ */
+function decodeLambdaResponse(data) {
+  var payload = data.Payload;
+  var decoded = {
+    raw: (Buffer.isBuffer(payload) ? payload : Buffer.from(payload !== undefined && payload != null ? String(payload) : "", "utf8"))
+  };
+  decoded.body = (decoded.raw.length > 0 ? decoded.raw.toString("utf8") : null);
+  
+  if (decoded.body != null) {
+    try {
+      decoded.json = JSON.parse(decoded.body);
+    } catch (err) {
+      decoded.jsonError = { message: err.message };
+    }
+  }
+  if (data.LogResult !== undefined && data.LogResult != null) {
+    decoded.logs = Buffer.from(data.LogResult, "base64").toString("utf8");
+  }
+  
+  return decoded;
+}
+
+/**
+ * Runs the local function of a function request. The function receives the ExecutionContext 
+ * and the input generated by the onInput callback or the input mapping of the request.
+ * 
+ * @function
+ * @private
+ * @param {Request} requestConfig - A Request object containing the function
+ */
+RequestPlayer.prototype._executeFunctionRequest = function (requestConfig) {
+  var localThis = this;
+  var timeout = this._getTimeout(requestConfig);
+  this._startTimer("total", timeout.total);
+  
+  this._getRequestInput(requestConfig, null, function (err, input) {
+    // the request timed out while waiting for the input
+    if (localThis._finished) return;
+    
+    if (err) {
+      localThis._fail(requestConfig, err);
+      return;
+    }
+    if (input === false) {
+      localThis._complete();
+      localThis.emit("cancel", requestConfig);
+      return;
+    }
+    
+    localThis.emit("start", requestConfig, null, input);
+    localThis._invokeFunction(requestConfig, input);
+  });
+};
+
+/**
+ * Runs a single attempt of a function request and retries it if the retry policy of the request 
+ * allows it. The function always completes asynchronously, even when it returns a value. Its 
+ * result is ignored if the request timed out or was aborted in the meantime.
+ * 
+ * @function
+ * @private
+ * @param {Request} requestConfig - A Request object containing the function
+ * @param {*} input - The input for the function
+ */
+RequestPlayer.prototype._invokeFunction = function (requestConfig, input) {
+  var localThis = this;
+  var attempt = this._startAttempt();
+  
+  var done = function (err, result) {
+    if (localThis._finished) return;
+    
+    var retried = localThis._endAttempt(requestConfig, attempt, {
+      error: (err ? err.message : undefined),
+      errorCode: (err ? err.code : undefined)
+    }, function () {
+      localThis._invokeFunction(requestConfig, input);
+    });
+    if (retried) return;
+    
+    if (err) {
+      localThis._fail(requestConfig, err);
+      return;
+    }
+    if (!localThis._complete()) return;
+    
+    localThis.emit("end", requestConfig, null, result, {});
+  };
+  
+  Promise.resolve().then(function () {
+    return requestConfig.settings.func(localThis._context, input);
+  }).then(function (result) {
+    done(null, result);
+  }, function (reason) {
+    done(reason instanceof Error ? reason : new Error("Function rejected: " + reason));
+  });
+};
+
+/**
+ * Executes a request of a custom type with the executor registered for the type. Requests 
+ * of unknown types fail.
+ * 
+ * @function
+ * @private
+ * @param {Request} requestConfig - A Request object of a custom type
+ */
+RequestPlayer.prototype._executeCustomRequest = function (requestConfig) {
+  var executor = RequestTypes.get(requestConfig.type);
+  if (executor == null) {
+    this._fail(requestConfig, new Error("Unknown request type " + requestConfig.type + ", register it with Players.registerType"));
+    return;
+  }
+  
+  var localThis = this;
+  var timeout = this._getTimeout(requestConfig);
+  this._startTimer("total", timeout.total);
+  
+  this._getRequestInput(requestConfig, null, function (err, input) {
+    // the request timed out while waiting for the input
+    if (localThis._finished) return;
+    
+    if (err) {
+      localThis._fail(requestConfig, err);
+      return;
+    }
+    if (input === false) {
+      localThis._complete();
+      localThis.emit("cancel", requestConfig);
+      return;
+    }
+    
+    localThis.emit("start", requestConfig, null, input);
+    localThis._invokeCustom(requestConfig, executor, input);
+  });
+};
+
+/**
+ * Runs a single attempt of a custom request with its executor and retries it if the retry
+ * policy of the request allows it. Exceptions thrown by the executor fail the attempt.
+ * 
+ * @function
+ * @private
+ * @param {Request} requestConfig - A Request object of a custom type
+ * @param {RequestExecutor} executor - The executor registered for the type
+ * @param {*} input - The input for the request
+ */
+RequestPlayer.prototype._invokeCustom = function (requestConfig, executor, input) {
+  var localThis = this;
+  var attempt = this._startAttempt();
+  var called = false;
+  
+  var done = function (err, response) {
+    if (called) return;
+    called = true;
+    localThis.customRequest = null;
+    if (localThis._finished) return;
+    
+    response = (response !== undefined && response != null ? response : {});
+    var retried = localThis._endAttempt(requestConfig, attempt, {
+      statusCode: (err ? undefined : response.statusCode),
+      error: (err ? err.message : undefined),
+      errorCode: (err ? err.code : undefined)
+    }, function () {
+      localThis._invokeCustom(requestConfig, executor, input);
+    });
+    if (retried) return;
+    
+    if (err) {
+      localThis._fail(requestConfig, err);
+      return;
+    }
+    if (!localThis._complete()) return;
+    
+    localThis.emit("end", requestConfig, response, response.body, {});
+  };
+  
+  try {
+    var handle = executor.execute(requestConfig, input, this._context, done);
+    if (!called && handle !== undefined && handle != null) {
+      this.customRequest = handle;
+    }
+  } catch (err) {
+    done(err);
+  }
+};
+
+/**
+ * Executes an HTTP Request object. This method uses the default nodejs http and https modules
+ * to execute HTTP requests. Once the request is completed this method fires the RequestPlayer#end
+ * event. Each call to this method runs a new attempt of the request, the input callback is 
+ * executed again for each attempt.
+ * 
+ * @function
+ * @private
+ * @param {Object} requestConfig - An initialized Request object
+ */
+RequestPlayer.prototype._executeHttpRequest = function (requestConfig) {
+  var settings = this._pageSettings || requestConfig.settings;
+  var httpClient = http;
+  if (settings.protocol == "https:") {
+    httpClient = https;
+  }
+  if (this.options.cassette !== undefined && this.options.cassette != null) {
+    httpClient = this.options.cassette.httpClient(requestConfig, httpClient);
+  }
+  if (this.options.mocks !== undefined && this.options.mocks != null) {
+    httpClient = this.options.mocks.httpClient(requestConfig, httpClient);
+  }
+
+  var localThis = this;
+  var tmpTimer = Date.now();
+  var attempt = this._startAttempt();
+  var isFirstAttempt = (this.attempts[0] === attempt);
+  var retryFunc = function () {
+    localThis._executeHttpRequest(requestConfig);
+  };
+
+  var requestObject = httpClient.request(settings, function (response) {
+    var chunks = [];
+    response.on("data", function (chunk) {
+      chunks.push(chunk);
+    });
+
+    response.on("end", function () {
+      tmpTimer = Date.now() - tmpTimer;
+      if (localThis._finished) return;
+      
+      if (localThis._endAttempt(requestConfig, attempt, { statusCode: response.statusCode }, retryFunc)) return;
+      
+      responseDecoder.decode(response.headers, Buffer.concat(chunks), function (err, decoded) {
+        if (err) {
+          localThis._fail(requestConfig, err);
+          return;
+        }
+        if (localThis._finished) return;
+        
+        if (requestConfig.pagination != null) {
+          try {
+            if (localThis._nextPage(requestConfig, settings, response, decoded)) return;
+          } catch (err) {
+            localThis._fail(requestConfig, err);
+            return;
+          }
+          decoded = localThis._getPaginatedPayload(requestConfig, decoded);
+        }
+        if (!localThis._complete()) return;
+        
+        localThis.emit("end", requestConfig, response, decoded.body, decoded);
+      });
+    })
+  });
+
+  this.requestObject = requestObject;
+  this.requestObject.on("error", function (err) {
+    // errors caused by aborting a request that timed out are expected
+    if (localThis._finished) return;
+
+    if (localThis._endAttempt(requestConfig, attempt, { error: err.message, errorCode: err.code }, retryFunc)) return;
+    localThis._fail(requestConfig, err);
+  });
+
+  var timeout = this._getTimeout(requestConfig);
+  if (isFirstAttempt) {
+    this._startTimer("total", timeout.total);
+  }
+  if (timeout.connect != null) {
+    this.requestObject.on("socket", function (socket) {
+      if (!(socket.connecting || socket._connecting)) return;
+
+      var connectTimer = localThis._startTimer("connect", timeout.connect);
+      socket.on("connect", function () {
+        clearTimeout(connectTimer);
+      });
+    });
+  }
+
+  this._getRequestInput(requestConfig, requestObject, function (err, input) {
+    // the request timed out, or the attempt failed, while waiting for the input
+    if (localThis._finished || attempt.endTime != null) return;
+    
+    if (err) {
+      localThis._fail(requestConfig, err);
+      return;
+    }
+    if (input === false) {
+      localThis._complete();
+      requestObject.abort();
+      localThis.emit("cancel", requestConfig);
+      return;
+    }
+
+    if (requestObject.getHeader("accept-encoding") === undefined) {
+      requestObject.setHeader("Accept-Encoding", responseDecoder.acceptEncoding);
+    }
+    if (input != null) {
+      requestObject.write((typeof input === 'object') ? JSON.stringify(input) : input);
+    }
+    tmpTimer = Date.now();
+    if (isFirstAttempt) {
+      localThis.emit("start", requestConfig, requestObject, input);
+    }
+    
+    requestObject.end();
+  });
+};
+
+/**
+ * Records a page of a paginated request and starts the request for the next page, if there 
+ * is one and the maxPages limit has not been reached. Pages that did not return a 2xx status
+ * code end the pagination. Next links to a different origin end the pagination as well, the
+ * page requests carry the headers and the input of the original request.
+ * 
+ * @function
+ * @private
+ * @param {Request} requestConfig - An initialized Request object with pagination
+ * @param {Object} settings - The HTTP settings used for the page
+ * @param {http.IncomingMessage} response - The response for the page
+ * @param {Object} decoded - The decoded response body for the page
+ * @return {bool} true if the next page was requested, false if this was the last page
+ */
+RequestPlayer.prototype._nextPage = function (requestConfig, settings, response, decoded) {
+  var pagination = requestConfig.pagination;
+  var page = {
+    url: formatUrl(settings),
+    response: response,
+    output: decoded.body,
+    payload: decoded,
+    items: undefined,
+    endTime: Date.now()
+  };
+  
+  var body = decoded.json;
+  if (body !== undefined) {
+    page.items = (pagination.itemsPath != null ? DataPath.read(body, DataPath.parseField(pagination.itemsPath), 0) : body);
+  }
+  this.pages.push(page);
+  
+  if (response.statusCode < 200 || response.statusCode > 299) {
+    return false;
+  }
+  
+  var nextSettings = null;
+  switch (pagination.strategy) {
+    case Request.PaginationStrategy.LINK:
+      var next = getNextLink(response.headers.link);
+      if (next == null) break;
+      
+      var nextUrl = url.resolve(page.url, next);
+      if (getOrigin(url.parse(nextUrl)) != getOrigin(settings)) {
+        this.options.logger.warn("Request " + requestConfig.name + " did not follow the next link to a different origin: " + nextUrl);
+        break;
+      }
+      nextSettings = getPageSettings(settings, nextUrl);
+      break;
+    case Request.PaginationStrategy.CURSOR:
+      var cursor = DataPath.read(body, DataPath.parseField(pagination.cursorPath), 0);
+      if (cursor !== undefined && cursor !== "") {
+        nextSettings = getPageSettings(requestConfig.settings, null, pagination.param, cursor);
+      }
+      break;
+    case Request.PaginationStrategy.PAGE:
+      var count = (Array.isArray(page.items) ? page.items.length : 0);
+      if (count > 0 && (pagination.pageSize == null || count >= pagination.pageSize)) {
+        nextSettings = getPageSettings(requestConfig.settings, null, pagination.param, pagination.start + this.pages.length);
+      }
+      break;
+  }
+  
+  if (nextSettings == null) {
+    return false;
+  }
+  if (this.pages.length >= pagination.maxPages) {
+    this._truncated = true;
+    if (this.options.debug) this.options.logger.debug("Request " + requestConfig.name + " reached the limit of " + pagination.maxPages + " pages");
+    return false;
+  }
+  
+  if (this.options.debug) this.options.logger.debug("Request " + requestConfig.name + " fetching page " + (this.pages.length + 1));
+  this._pageSettings = nextSettings;
+  this._pageFirstAttempt = this.attempts.length;
+  this._executeHttpRequest(requestConfig);
+  return true;
+};
+
+/**
+ * Returns the payload for the end event of a paginated request: the decoded last page with 
+ * the pagination property
+ * 
+ * @function
+ * @private
+ * @param {Request} requestConfig - An initialized Request object with pagination
+ * @param {Object} decoded - The decoded response body of the last page
+ * @return {Object} The payload for the end event
+ */
+RequestPlayer.prototype._getPaginatedPayload = function (requestConfig, decoded) {
+  var results;
+  for (var i = 0; i < this.pages.length; i++) {
+    if (!Array.isArray(this.pages[i].items)) continue;
+    results = (results || []).concat(this.pages[i].items);
+  }
+  
+  var payload = {};
+  for (var key in decoded) {
+    payload[key] = decoded[key];
+  }
+  payload.pagination = {
+    pages: this.pages,
+    results: results,
+    truncated: this._truncated
+  };
+  return payload;
+};
+
+/**
+ * Builds the url of an HTTP request from its settings
+ * 
+ * @function
+ * @private
+ * @param {Object} settings - The HTTP settings of the request
+ * @return {String} The request url
+ */
+function formatUrl(settings) {
+  return settings.protocol + "//" + settings.host + (settings.port != null && settings.port !== "" ? ":" + settings.port : "") + settings.path;
+}
+
+/**
+ * Returns the origin of an url, the protocol, host, and port. Default ports are added to the 
+ * origin so that urls with and without them match.
+ * 
+ * @function
+ * @private
+ * @param {Object} settings - The HTTP settings of a request, or a parsed url
+ * @return {String} The origin of the url
+ */
+function getOrigin(settings) {
+  var port = settings.port;
+  if (port === undefined || port == null || port === "") {
+    port = (settings.protocol == "https:" ? 443 : 80);
+  }
+  var host = (settings.hostname !== undefined && settings.hostname != null ? settings.hostname : settings.host);
+  return settings.protocol + "//" + String(host).toLowerCase() + ":" + port;
+}
+
+/**
+ * Reads the url of the next page from a Link header
+ * 
+ * @function
+ * @private
+ * @param {String} header - The value of the Link header
+ * @return {String} The url with the rel="next" relation, null if the header does not contain one
+ */
+function getNextLink(header) {
+  if (header === undefined || header == null) return null;
+  
+  var links = String(header).split(",");
+  for (var i = 0; i < links.length; i++) {
+    var match = /<([^>]*)>(.*)/.exec(links[i].trim());
+    if (match != null && /;\s*rel="?([^";]*\s)?next(\s[^";]*)?"?/i.test(match[2])) {
+      return match[1];
+    }
+  }
+  return null;
+}
+
+/**
+ * Returns a copy of the HTTP settings of a request for a different page. The page can be 
+ * addressed by a full url, or by a query parameter added to the path of the settings.
+ * 
+ * @function
+ * @private
+ * @param {Object} settings - The HTTP settings of the request
+ * @param {String} pageUrl - The url of the page, null to use a query parameter
+ * @param {String} param - The name of the query parameter
+ * @param {*} value - The value of the query parameter
+ * @return {Object} The settings for the page
+ */
+function getPageSettings(settings, pageUrl, param, value) {
+  var pageSettings = {};
+  for (var key in settings) {
+    pageSettings[key] = settings[key];
+  }
+  
+  if (pageUrl != null) {
+    var parsedUrl = url.parse(pageUrl);
+    pageSettings.protocol = parsedUrl.protocol;
+    pageSettings.host = parsedUrl.hostname;
+    pageSettings.port = parsedUrl.port;
+    pageSettings.path = parsedUrl.path;
+    return pageSettings;
+  }
+  
+  var parsedPath = url.parse(settings.path, true);
+  parsedPath.query[param] = String(value);
+  delete parsedPath.search;
+  pageSettings.path = url.format(parsedPath);
+  return pageSettings;
+}
+
+/**
+ * Starts the execution of the Request
+ * 
+ * @function
+ */
+RequestPlayer.prototype.start = function () {
+  this._executeRequest(this.request);
+};
+
+/**
+ * Cancels the running HTTP request or Lambda invocation. Function requests cannot be
+ * canceled, their result is ignored once the request completes.
+ * 
+ * @function
+ * @private
+ */
+RequestPlayer.prototype._cancelInFlight = function () {
+  if (this.requestObject != null) {
+    this.requestObject.abort();
+  }
+  if (this.lambdaRequest != null) {
+    this.lambdaRequest.abort();
+  }
+  if (this.customRequest != null && typeof this.customRequest.abort === 'function') {
+    this.customRequest.abort();
+  }
+};
+
+/**
+ * Aborts the execution of the request. The running HTTP request or Lambda invocation is
+ * canceled and the RequestPlayer#abort event is fired. If the request already completed
+ * this method does nothing.
+ * 
+ * @function
+ * @param {*} reason - The reason for the abort, passed to the abort event
+ */
+RequestPlayer.prototype.abort = function (reason) {
+  if (!this._complete()) return;
+
+  this._cancelInFlight();
+  this.emit("abort", this.request, reason);
 };
 
 /**
- * Uses the callback function configured in the request configuration (onInput) to 
- * generate the request body. If it's an HTTP request the callback receives both the
- * context and the http.ClientRequest object. For LAMBDA invokes it only sends the 
- * context.
+ * Times out the execution of the request. The running HTTP request or Lambda invocation is 
+ * aborted and the RequestPlayer#timeout event is fired. If the request already completed
+ * this method does nothing.
  * 
  * @function
- * @private
- * @param {Request} requestConfig - An initialized Request object
- * @param {http.ClientRequest} requestObject - The request object generated by the HTTP client
+ * @param {String} timeoutType - The timeout that expired: connect, total, or coil
  */
-RequestPlayer.prototype._getRequestInput = function(requestConfig, requestObject) {
-  var requestInput = null;
+RequestPlayer.prototype.timeout = function (timeoutType) {
+  if (!this._complete()) return;
 
-  if (requestConfig.inputFunc !== undefined && requestConfig.inputFunc != null) {
-    var tmpTimer = Date.now();
-    switch (requestConfig.type) {
-      case Request.RequestType.HTTP:
-        requestInput = requestConfig.inputFunc(this._context, requestObject);
-        break;
-      case Request.RequestType.LAMBDA:
-        requestInput = requestConfig.inputFunc(this._context);
-        break;
-    }
-    tmpTimer = Date.now() - tmpTimer;
+  this._cancelInFlight();
+  this.emit("timeout", this.request, timeoutType);
+};
 
-    if (this.options.debug) this.options.logger.debug("Input function for " + requestConfig.name + " execution: " + tmpTimer + "ms");
-    
-    return requestInput;
-  }
+/**
+ * MapRequestPlayer executes map requests. When it starts the player reads the list of items
+ * from the context and uses the request factory to create a request for each item. The item 
+ * requests are executed by RequestPlayer objects, up to the concurrency limit of the map request.
+ * 
+ * MapRequestPlayer fires the same events as the RequestPlayer. The end event receives the list
+ * of results for the items, in the same order as the items.
+ * 
+ * @class
+ * @constructor
+ * @param {Object} request - A configured map Request object
+ * @param {Object} context - An initialized ExecutionContext object to keep state across multiple executions
+ * @param {Object} options - The options passed to the director
+ */
+function MapRequestPlayer(request, context, options) {
+  RequestPlayer.call(this, request, context, options);
+  
+  this.items = null;
+  this._results = [];
+  this._players = [];
+  this._nextItem = 0;
+  this._runningItems = 0;
+  this._completedItems = 0;
+  this._startScheduled = false;
 }
+util.inherits(MapRequestPlayer, RequestPlayer);
 
 /**
- * Executes a Lambda function using the AWS SDK for Node.js. The SDK can be initialized
- * using a configuration object passed to the ExecutionDirector in the awsConfig property
- * of the options.
+ * The end event is fired once all of the item requests completed
+ * 
+ * @event MapRequestPlayer#end
+ * @type {Object}
+ * @property {Object} requestConfig - The original configuration for the map request
+ * @property {Array.<Object>} results - The results for each item: index, item, request, outcome 
+ *  (end, cancel, fail, timeout, or abort), response, output, payload, error, timeoutType, and reason
+ */
+
+/**
+ * Reads the list of items using the items selector of the request
  * 
  * @function
  * @private
- * @param {Request} requestConfig - A Request object containing the Lambda function settings 
+ * @return {Array} The list of items
  */
-RequestPlayer.prototype._executeLambdaRequest = function(requestConfig) {
-  if (this.options.awsConfig != null) {
-    AWS.config = this.options.awsConfig;
-  }
+MapRequestPlayer.prototype._getItems = function () {
+  var selector = this.request.settings.itemsSelector;
+  var items = (typeof selector === 'function' ? selector(this._context) : DataPath.resolve(this._context, selector));
   
-  var input = this._getRequestInput(requestConfig)
+  if (!Array.isArray(items)) {
+    throw new Error("The items selector of request " + this.request.name + " did not return a list");
+  }
+  return items;
+};
+
+/**
+ * Starts the execution of the map request
+ * 
+ * @function
+ */
+MapRequestPlayer.prototype.start = function () {
+  if (this.options.debug) this.options.logger.debug("starting execution for map request: " + this.request.name);
   
-  if (input === false) {
-    localThis.emit("cancel", requestConfig);
+  try {
+    this.items = this._getItems();
+  } catch (err) {
+    this._fail(this.request, err);
     return;
   }
   
-  var lambda = AWS.Lambda({apiVersion: '2015-03-31'});
-  var functionConfig = {
-    FunctionName: requestConfig.settings.function,
-    InvocationType: "RequestResponse",
-    Payload: new Buffer(input),
-    Qualifier: requestConfig.settings.qualifier
-  };
-  var localThis = this;
+  this._startTimer("total", this._getTimeout(this.request).total);
+  this.emit("start", this.request, null, this.items);
   
-  lambda.invoke(functionConfig, function(err, data) {
-    if (err) // TODO: is this the right thing to do?!
-      data = err;
-      
-    localThis.emit("end", requestConfig, err, data);
-  });
-}
+  if (this.items.length == 0) {
+    this._finish();
+    return;
+  }
+  this._startItems();
+};
 
 /**
- * Executes an HTTP Request object. This method uses the default nodejs http and https modules
- * to execute HTTP requests. Once the request is completed this method fires the RequestPlayer#end
- * event.
+ * Starts item requests until the concurrency limit is reached or all of the items were started
  * 
  * @function
  * @private
- * @param {Object} requestConfig - An initialized Request object
  */
-RequestPlayer.prototype._executeHttpRequest = function (requestConfig) {
-  var httpClient = http;
-  if (requestConfig.settings.protocol == "https:") {
-    httpClient = https;
+MapRequestPlayer.prototype._startItems = function () {
+  while (!this._finished && this._runningItems < this.request.settings.concurrency && this._nextItem < this.items.length) {
+    this._startItem(this._nextItem++);
   }
+};
 
+/**
+ * Creates and starts the request for an item. Errors thrown by the request factory fail the item.
+ * 
+ * @function
+ * @private
+ * @param {int} index - The position of the item in the list
+ */
+MapRequestPlayer.prototype._startItem = function (index) {
   var localThis = this;
-  var tmpTimer = Date.now();
-
-  this.requestObject = httpClient.request(requestConfig.settings, function (response) {
-    var resp = "";
-    response.on("data", function (chunk) {
-      resp += chunk;
-    });
-
-    response.on("end", function () {
-      tmpTimer = Date.now() - tmpTimer;
-      
-      localThis.emit("end", requestConfig, response, resp);
-    })
+  var itemRequest;
+  
+  this._runningItems++;
+  try {
+    itemRequest = this.request.settings.requestFactory(this.items[index], index, this._context);
+    if (!(itemRequest instanceof Request) || itemRequest.type == Request.RequestType.MAP) {
+      throw new Error("The request factory of " + this.request.name + " must return a Request that is not a map request");
+    }
+  } catch (err) {
+    this._itemDone(index, { outcome: "fail", request: null, error: err });
+    return;
+  }
+  
+  var player = new RequestPlayer(itemRequest, this._context, this.options);
+  player.on("end", function (requestConfig, response, output, payload) {
+    localThis._itemDone(index, { outcome: "end", request: requestConfig, response: response, output: output, payload: payload });
+  });
+  player.on("cancel", function (requestConfig) {
+    localThis._itemDone(index, { outcome: "cancel", request: requestConfig });
   });
+  player.on("fail", function (requestConfig, err) {
+    localThis._itemDone(index, { outcome: "fail", request: requestConfig, error: err });
+  });
+  player.on("timeout", function (requestConfig, timeoutType) {
+    localThis._itemDone(index, { outcome: "timeout", request: requestConfig, timeoutType: timeoutType });
+  });
+  player.on("abort", function (requestConfig, reason) {
+    localThis._itemDone(index, { outcome: "abort", request: requestConfig, reason: reason });
+  });
+  
+  this._players.push(player);
+  player.start();
+};
 
-  var input = this._getRequestInput(requestConfig, this.requestObject);
-  if (input === false) {
-    localThis.emit("cancel", requestConfig);
+/**
+ * Records the result of an item request and starts the next items, or completes the map
+ * request once all of the items are done. The next items are started on the next tick of the
+ * event loop, items that complete synchronously would otherwise recurse once per item.
+ * 
+ * @function
+ * @private
+ * @param {int} index - The position of the item in the list
+ * @param {Object} result - The outcome of the item request
+ */
+MapRequestPlayer.prototype._itemDone = function (index, result) {
+  if (this._finished) return;
+  
+  result.index = index;
+  result.item = this.items[index];
+  this._results[index] = result;
+  this._runningItems--;
+  this._completedItems++;
+  
+  if (this._completedItems == this.items.length) {
+    this._finish();
     return;
   }
+  if (this._startScheduled) return;
+  
+  var localThis = this;
+  this._startScheduled = true;
+  setImmediate(function () {
+    localThis._startScheduled = false;
+    localThis._startItems();
+  });
+};
 
-  if (input != null) {
-    this.requestObject.write((typeof input === 'object') ? JSON.stringify(input) : input);
-  }
-  tmpTimer = Date.now();
-  this.emit("start", requestConfig, this.requestObject, input);
+/**
+ * Completes the map request and fires the end event with the results of the items
+ * 
+ * @function
+ * @private
+ */
+MapRequestPlayer.prototype._finish = function () {
+  if (!this._complete()) return;
   
-  this.requestObject.on("abort", function () {
-    localThis.emit("abort", this.requestObject);
-  })
-  this.requestObject.end();
+  this.emit("end", this.request, this._results, null, null);
 };
 
 /**
- * Starts the execution of the Request
+ * Aborts the item requests that are still running
  * 
  * @function
+ * @private
  */
-RequestPlayer.prototype.start = function () {
-  this._executeRequest(this.request);
+MapRequestPlayer.prototype._cancelInFlight = function () {
+  for (var i = 0; i < this._players.length; i++) {
+    this._players[i].abort("map request " + this.request.name + " stopped");
+  }
 };
 
 /**
- * Aborts the execution of the request
+ * Creates the player for a request based on its type: a MapRequestPlayer for map requests, a 
+ * RequestPlayer otherwise
  * 
  * @function
+ * @param {Request} request - A configured Request object
+ * @param {ExecutionContext} context - The current execution context
+ * @param {Object} options - The options passed to the director
+ * @return {RequestPlayer} An initialized player for the request
  */
-RequestPlayer.prototype.abort = function () {
-  if (this.requestObject != null) {
-    this.requestObject.abort();
+RequestPlayer.create = function (request, context, options) {
+  if (request.type == Request.RequestType.MAP) {
+    return new MapRequestPlayer(request, context, options);
   }
+  return new RequestPlayer(request, context, options);
 };
 
 
@@ -266,6 +1393,13 @@ RequestPlayer.prototype.abort = function () {
  * @fires RequestGroupPlayer#end
  * @fires RequestGroupPlayer#requestStart
  * @fires RequestGroupPlayer#requestEnd
+ * @fires RequestGroupPlayer#requestCancel
+ * @fires RequestGroupPlayer#requestTimeout
+ * @fires RequestGroupPlayer#requestAttempt
+ * @fires RequestGroupPlayer#requestRetry
+ * @fires RequestGroupPlayer#requestError
+ * @fires RequestGroupPlayer#requestAbort
+ * @fires RequestGroupPlayer#iteration
  */
 function RequestGroupPlayer(requestGroup, context, options) {
   this.requestGroup = requestGroup;
@@ -275,6 +1409,12 @@ function RequestGroupPlayer(requestGroup, context, options) {
   this._requestsCount = 0;
   this._tmpRequests = 0;
   this._requests = [];
+  this._started = false;
+  this._stopped = false;
+  this._iteration = 0;
+  this._iterationStartTime = null;
+  this._firstStartTime = null;
+  this._repeatTimer = null;
   
   events.EventEmitter.call(this);
 }
@@ -296,6 +1436,17 @@ util.inherits(RequestGroupPlayer, events.EventEmitter);
  * @property {Object} requestGroup - The completed request group object
  */
 
+/**
+ * The iteration event is fired at the end of each iteration of a repeating group, before the
+ * next iteration is scheduled or the end event is fired
+ * 
+ * @event RequestGroupPlayer#iteration
+ * @type {Object}
+ * @property {Object} requestGroup - The repeating request group object
+ * @property {Object} iteration - The iteration record: iteration, startTime, endTime, done, and the
+ *  reason the group stopped repeating for the last iteration
+ */
+
 /**
  * The requestStart event is fired whenever the RequestGroupPlayer sends the start command
  * to a RequestPlayer object
@@ -318,6 +1469,7 @@ util.inherits(RequestGroupPlayer, events.EventEmitter);
  * @property {Request} requestConfig - The request configuration passed to the RequestPlayer
  * @property {http.IncomingMessage} response - The response object from the node.js http/s client
  * @property {*} output - The output returned from the remote server
+ * @property {Object} payload - The decoded response: raw, body, json, and jsonError for HTTP and Lambda requests
  */
 
 /**
@@ -329,6 +1481,56 @@ util.inherits(RequestGroupPlayer, events.EventEmitter);
  * @property {Request} requestConfig - the request configuration for the request that is being canceled
  */
 
+/**
+ * The requestTimeout event is fired whenever a request exceeds its timeout or the coil deadline
+ * 
+ * @event RequestGroupPlayer#requestTimeout
+ * @type {Object}
+ * @property {Object} requestGroup - The request group object
+ * @property {Request} requestConfig - the request configuration for the request that timed out
+ * @property {String} timeoutType - The timeout that expired: connect, total, or coil
+ */
+
+/**
+ * The requestAttempt event is fired whenever an attempt to execute a request completes
+ * 
+ * @event RequestGroupPlayer#requestAttempt
+ * @type {Object}
+ * @property {Object} requestGroup - The request group object
+ * @property {Request} requestConfig - the request configuration
+ * @property {Object} attempt - The attempt record
+ */
+
+/**
+ * The requestRetry event is fired whenever a request is scheduled to be retried
+ * 
+ * @event RequestGroupPlayer#requestRetry
+ * @type {Object}
+ * @property {Object} requestGroup - The request group object
+ * @property {Request} requestConfig - the request configuration
+ * @property {Object} attempt - The failed attempt record
+ */
+
+/**
+ * The requestError event is fired whenever a request fails
+ * 
+ * @event RequestGroupPlayer#requestError
+ * @type {Object}
+ * @property {Object} requestGroup - The request group object
+ * @property {Request} requestConfig - the request configuration for the failed request
+ * @property {Error} error - The error that caused the failure
+ */
+
+/**
+ * The requestAbort event is fired whenever a running request is aborted
+ * 
+ * @event RequestGroupPlayer#requestAbort
+ * @type {Object}
+ * @property {Object} requestGroup - The request group object
+ * @property {Request} requestConfig - the request configuration for the aborted request
+ * @property {*} reason - The reason for the abort
+ */
+
 /**
  * Returns an intialized RequestPlayer object with all of the events connected to callbacks. The
  * connections here are used to propagate events up to the ExecutionDirector.
@@ -342,13 +1544,13 @@ util.inherits(RequestGroupPlayer, events.EventEmitter);
  * @return {RequestPlayer} An initliazed RequestPlayer object
  */
 RequestGroupPlayer.prototype._getRequestPlayer = function (request, context, options) {
-  var newRequest = new RequestPlayer(request, context, options);
+  var newRequest = RequestPlayer.create(request, context, options);
   var localThis = this;
   newRequest.on("start", function (requestConfig, requestObject, input) {
     localThis.emit("requestStart", localThis.requestGroup, requestConfig, requestObject, input);
   });
-  newRequest.on("end", function (requestConfig, response, output) {
-    localThis.emit("requestEnd", localThis.requestGroup, requestConfig, response, output);
+  newRequest.on("end", function (requestConfig, response, output, payload) {
+    localThis.emit("requestEnd", localThis.requestGroup, requestConfig, response, output, payload);
 
     localThis._incrementRequests();
   });
@@ -357,6 +1559,27 @@ RequestGroupPlayer.prototype._getRequestPlayer = function (request, context, opt
     
     localThis._incrementRequests();
   });
+  newRequest.on("attempt", function(requestConfig, attempt) {
+    localThis.emit("requestAttempt", localThis.requestGroup, requestConfig, attempt);
+  });
+  newRequest.on("retry", function(requestConfig, attempt) {
+    localThis.emit("requestRetry", localThis.requestGroup, requestConfig, attempt);
+  });
+  newRequest.on("fail", function(requestConfig, err) {
+    localThis.emit("requestError", localThis.requestGroup, requestConfig, err);
+    
+    localThis._incrementRequests();
+  });
+  newRequest.on("abort", function(requestConfig, reason) {
+    localThis.emit("requestAbort", localThis.requestGroup, requestConfig, reason);
+    
+    localThis._incrementRequests();
+  });
+  newRequest.on("timeout", function(requestConfig, timeoutType) {
+    localThis.emit("requestTimeout", localThis.requestGroup, requestConfig, timeoutType);
+    
+    localThis._incrementRequests();
+  });
 
   return newRequest;
 };
@@ -372,10 +1595,114 @@ RequestGroupPlayer.prototype._incrementRequests = function() {
     this._tmpRequests++;
     
     if (this._tmpRequests == this._requestsCount) {
+      if (this.requestGroup.repeat != null) {
+        this._endIteration();
+        return;
+      }
       this.emit("end", this.requestGroup);
     }
 }
 
+/**
+ * Completes an iteration of a repeating group. The group ends if it should stop repeating,
+ * otherwise the next iteration starts after the interval of the group.
+ * 
+ * @function
+ * @private
+ */
+RequestGroupPlayer.prototype._endIteration = function () {
+  var localThis = this;
+  var iteration = {
+    iteration: this._iteration,
+    startTime: this._iterationStartTime,
+    endTime: Date.now()
+  };
+  iteration.reason = this._getStopReason(iteration);
+  iteration.done = (iteration.reason != null);
+  
+  this.emit("iteration", this.requestGroup, iteration);
+  // the group can be stopped by a listener of the iteration event
+  if (iteration.done || this._stopped) {
+    this.emit("end", this.requestGroup);
+    return;
+  }
+  
+  this._repeatTimer = setTimeout(function () {
+    localThis._repeatTimer = null;
+    localThis._startIteration();
+  }, this.requestGroup.repeat.interval);
+};
+
+/**
+ * Decides whether a repeating group should stop after an iteration. Groups stop when they were
+ * timed out or aborted, when one of their requests did not complete successfully, when the 
+ * repeatUntil function returns true or throws an exception, or when they reach maxIterations or 
+ * would pass their deadline before the next iteration.
+ * 
+ * @function
+ * @private
+ * @param {Object} iteration - The completed iteration record, the error property is set if the repeatUntil function throws
+ * @return {String} The reason the group stops repeating, null if it should run again
+ */
+RequestGroupPlayer.prototype._getStopReason = function (iteration) {
+  var group = this.requestGroup;
+  if (this._stopped) return "stopped";
+  
+  for (var i = 0; i < group.requests.length; i++) {
+    var response = this._context.responseData(group.id, group.requests[i].name);
+    if (response != null && (response.isFailed || response.timedOut || response.isAborted)) {
+      return "requestFailed";
+    }
+  }
+  
+  try {
+    if (group.repeat.until(this._context, iteration.iteration)) return "conditionMet";
+  } catch (err) {
+    iteration.error = err.message;
+    return "conditionError";
+  }
+  
+  if (iteration.iteration >= group.repeat.maxIterations) return "maxIterations";
+  if (group.repeat.deadline != null && Date.now() + group.repeat.interval - this._firstStartTime >= group.repeat.deadline) {
+    return "deadline";
+  }
+  return null;
+};
+
+/**
+ * Starts a new iteration of a repeating group, all of the requests in the group are started again
+ * 
+ * @function
+ * @private
+ */
+RequestGroupPlayer.prototype._startIteration = function () {
+  this._iteration++;
+  this._iterationStartTime = Date.now();
+  this._tmpRequests = 0;
+  this._requests = [];
+  
+  for (var i = 0; i < this.requestGroup.requests.length; i++) {
+    this._playRequest(this.requestGroup.requests[i]);
+  }
+};
+
+/**
+ * Stops a repeating group that is waiting for its next iteration. The group ends immediately.
+ * 
+ * @function
+ * @private
+ * @return {bool} true if the group was waiting for its next iteration
+ */
+RequestGroupPlayer.prototype._stopRepeating = function () {
+  this._stopped = true;
+  if (this._repeatTimer == null) return false;
+  
+  clearTimeout(this._repeatTimer);
+  this._repeatTimer = null;
+  this.emit("end", this.requestGroup);
+  return true;
+};
+
 /**
  * Starts the execution of a request group. All of the request objects configured within the group are
  * started at the same time.
@@ -385,15 +1712,33 @@ RequestGroupPlayer.prototype._incrementRequests = function() {
  * @param {Object} requestGroup - The request group object from the Rcoil tree.
  */
 RequestGroupPlayer.prototype._startRequestGroup = function (requestGroup) {
+  this._begin(requestGroup);
+  
+  for (var i = 0; i < requestGroup.requests.length; i++) {
+    this.startRequest(requestGroup.requests[i]);
+  }
+};
+
+/**
+ * Fires the start event for the group and resets the request counters. Groups without 
+ * requests end immediately.
+ * 
+ * @function
+ * @private
+ * @param {Object} requestGroup - The request group object from the Rcoil tree.
+ */
+RequestGroupPlayer.prototype._begin = function (requestGroup) {
+  if (this._started) return;
+  
+  this._started = true;
+  this._iteration = 1;
+  this._firstStartTime = this._iterationStartTime = Date.now();
   this.emit("start", requestGroup);
   this._tmpRequests = 0;
   this._requestsCount = requestGroup.requests.length;
   
-  for (var i = 0; i < requestGroup.requests.length; i++) {
-    var newRequest = this._getRequestPlayer(requestGroup.requests[i], this._context, this.options);
-
-    this._requests.push(newRequest);
-    newRequest.start();
+  if (this._requestsCount == 0) {
+    this.emit("end", requestGroup);
   }
 };
 
@@ -404,7 +1749,113 @@ RequestGroupPlayer.prototype.start = function () {
   this._startRequestGroup(this.requestGroup);
 }
 
+/**
+ * Starts a single request of the group. The ExecutionDirector uses this method to start
+ * requests as soon as their dependencies are met. The start event of the group is fired 
+ * with the first request, the end event once all of the requests in the group completed.
+ * 
+ * @function
+ * @param {Request} request - A request object from the group
+ */
+RequestGroupPlayer.prototype.startRequest = function (request) {
+  this._begin(this.requestGroup);
+  this._playRequest(request);
+};
+
+/**
+ * Creates the RequestPlayer for a request and starts it
+ * 
+ * @function
+ * @private
+ * @param {Request} request - A request object from the group
+ */
+RequestGroupPlayer.prototype._playRequest = function (request) {
+  var newRequest = this._getRequestPlayer(request, this._context, this.options);
+  this._requests.push(newRequest);
+  newRequest.start();
+};
+
+/**
+ * Times out all of the requests in the group that are still running. This is used by the 
+ * ExecutionDirector when the coil reaches its deadline. Repeating groups stop repeating.
+ * 
+ * @function
+ */
+RequestGroupPlayer.prototype.timeout = function () {
+  if (this._stopRepeating()) return;
+  
+  for (var i = 0; i < this._requests.length; i++) {
+    this._requests[i].timeout("coil");
+  }
+};
+
+/**
+ * Aborts all of the requests in the group that are still running. Repeating groups stop repeating.
+ * 
+ * @function
+ * @param {*} reason - The reason for the abort
+ */
+RequestGroupPlayer.prototype.abort = function (reason) {
+  if (this._stopRepeating()) return;
+  
+  for (var i = 0; i < this._requests.length; i++) {
+    this._requests[i].abort(reason);
+  }
+};
+
+/**
+ * Registers a custom request type. Requests of the type are created with Request.custom and
+ * executed by the RequestPlayer with the executor, see RequestExecutor for the functions an 
+ * executor implements. The built-in types cannot be replaced, and each type can only be 
+ * registered once.
+ * 
+ * @example
+ * Players.registerType("redis", {
+ *   execute: function(request, input, context, callback) {
+ *     redis.get(request.settings.key, function(err, value) {
+ *       callback(err, { body: value });
+ *     });
+ *   }
+ * });
+ * 
+ * @function
+ * @param {String} type - The name of the request type
+ * @param {RequestExecutor} executor - The executor for the requests of the type
+ */
+function registerType(type, executor) {
+  if (typeof type !== 'string' || type == "") {
+    throw new Error("Request types must have a name");
+  }
+  for (var key in Request.RequestType) {
+    if (Request.RequestType[key] == type) {
+      throw new Error("Cannot replace the built-in request type " + type);
+    }
+  }
+  if (RequestTypes.get(type) != null) {
+    throw new Error("Request type " + type + " is already registered");
+  }
+  if (executor === undefined || executor == null || typeof executor.execute !== 'function') {
+    throw new Error("The executor of request type " + type + " must have an execute function");
+  }
+  
+  RequestTypes.register(type, executor);
+}
+
+/**
+ * Removes a custom request type registered with registerType. Requests of the type that are 
+ * started afterwards fail.
+ * 
+ * @function
+ * @param {String} type - The name of the request type
+ */
+function unregisterType(type) {
+  RequestTypes.unregister(type);
+}
+
 module.exports = {
+  registerType: registerType,
+  unregisterType: unregisterType,
   RequestPlayer: RequestPlayer,
+  MapRequestPlayer: MapRequestPlayer,
   RequestGroupPlayer: RequestGroupPlayer
 }
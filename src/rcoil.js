@@ -16,8 +16,12 @@
 
 var Table = require('cli-table');
 var colors = require('colors');
+var validUrl = require('valid-url');
 
 const Request = require('./request');
+const Definition = require('./definition');
+const Errors = require('./errors');
+const DataPath = require('./data-path');
 
 /**
  * The main Rcoil object. This is a tree structure made of request groups and requests.
@@ -52,78 +56,70 @@ function Rcoil() {
    * @property {int}
    */ 
   this._totalRequestGroups = 0;
-};
   
+  /**
+   * The template used to build the output of the coil, set by the output method
+   * 
+   * @property {Object}
+   */
+  this.outputTemplate = null;
+};
+
 /**
- * the process function needs to return an object with 2 properties: 
- * a boolean to tell the walker to return and a value to return.
- *  
- * @example
- * function(key, value) {
- *   return { shouldReturn: false, value: value }
- * }
- *
- * @callback treeWalkerCallback
- * @param {*} key - The key of the current property in the tree
- * @param {*} value - The value for the property
+ * Severity of the diagnostics returned by the validate method. Coils with errors cannot be 
+ * executed, warnings are logged by the ExecutionDirector.
+ * 
+ * @property {Object}
  */
+Rcoil.Severity = {
+  ERROR: "error",
+  WARNING: "warning"
+};
 
 /**
- * Walks the tree to find an object. It applies the process function
- * to each object in the tree. 
+ * Codes for the diagnostics returned by the validate method
  * 
- * @function
- * @private
- * @param {Object} o - The tree to walk
- * @param {treeWalkerCallback} process - A callback function to process the node
- * 
- * @returns {*} Whatever the process function decides to return
+ * @property {Object}
  */
-Rcoil.prototype._traverseTree = function (o, process) {
-  var result;
-  for (var i in o) {
-    if (typeof (o[i]) !== 'object')
-      continue;
-
-    result = process(i, o[i]);
-    if (result.shouldReturn) {
-      return result.value;
-    }
-
-    if (o[i] !== null && typeof (o[i]) === 'object') {
-      var subObject = this._traverseTree(o[i], process);
-      if (subObject != null)
-        return subObject;
-    }
-  }
-
-  return null;
+Rcoil.DiagnosticCode = {
+  UNKNOWN_GROUP: "unknownGroup",
+  UNKNOWN_REQUEST: "unknownRequest",
+  DUPLICATE_REQUEST_NAME: "duplicateRequestName",
+  EMPTY_GROUP: "emptyGroup",
+  INVALID_URL: "invalidUrl",
+  INVALID_ARN: "invalidArn",
+  UNREACHABLE_GROUP: "unreachableGroup",
+  DEPENDENCY_CYCLE: "dependencyCycle"
 };
-
+  
 /**
- * Finds and returns a request group inside a tree
+ * Finds and returns a request group inside a tree. The search only walks the children and the
+ * fallback of each group, the requests and their settings are never inspected.
  * 
  * @Function
  * @private
- * @param {Object} o - The tree to walk
+ * @param {Array.<Object>} groups - The request groups to search
  * @param {String} groupId - The request group id to look for in the tree
  * 
- * @returns {Object} A request group object
+ * @returns {Object} A request group object, null if the group does not exist
  */
-Rcoil.prototype._findRequestGroup = function (o, groupId) {
-  return this._traverseTree(o, function (key, value) {
-    var output = {
-      shouldReturn: false,
-      value: null
-    };
-
-    if (typeof (value) === 'object' && value != null && value.id == groupId) {
-      output.shouldReturn = true;
-      output.value = value;
+Rcoil.prototype._findRequestGroup = function (groups, groupId) {
+  for (var i = 0; i < groups.length; i++) {
+    var group = groups[i];
+    if (group.id == groupId) {
+      return group;
     }
+    
+    var child = this._findRequestGroup(group.children, groupId);
+    if (child == null && group.fallback != null) {
+      child = this._findRequestGroup([group.fallback], groupId);
+    }
+    if (child != null) {
+      return child;
+    }
+  }
 
-    return output;
-  });
+  return null;
 };
 
 /**
@@ -139,10 +135,55 @@ Rcoil.prototype._createEmptyRequestGroup = function (groupId) {
   return {
     id: groupId,
     requests: [],
-    children: []
+    children: [],
+    dependsOn: [],
+    when: null,
+    repeat: null,
+    fallback: null
   };
 };
 
+/**
+ * The default settings for repeating groups
+ * 
+ * @property {Object}
+ */
+Rcoil.DefaultRepeat = {
+  interval: 1000,
+  maxIterations: 10,
+  deadline: null
+};
+
+/**
+ * Validates the repeat options of a request group and merges them with the Rcoil.DefaultRepeat values
+ * 
+ * @function
+ * @param {Object} options - The options passed to startGroup
+ * @return {Object} The repeat settings for the group: until, interval, maxIterations, and deadline
+ */
+Rcoil.parseRepeat = function (options) {
+  if (typeof options.repeatUntil !== 'function') {
+    throw new Error("The repeatUntil option of a request group must be a function");
+  }
+  
+  var repeat = { until: options.repeatUntil };
+  for (var key in Rcoil.DefaultRepeat) {
+    repeat[key] = (options[key] != null ? options[key] : Rcoil.DefaultRepeat[key]);
+  }
+  
+  if (typeof repeat.interval !== 'number' || repeat.interval < 0) {
+    throw new Error("The interval of a repeating group must be a number of milliseconds");
+  }
+  if (typeof repeat.maxIterations !== 'number' || repeat.maxIterations < 1) {
+    throw new Error("The maxIterations of a repeating group must be a number greater than 0");
+  }
+  if (repeat.deadline != null && (typeof repeat.deadline !== 'number' || repeat.deadline < 1)) {
+    throw new Error("The deadline of a repeating group must be a number of milliseconds");
+  }
+  
+  return repeat;
+};
+
 /**
  * Starts a new request group in the tree, the group will be a child of the 
  * current group (or root of the tree). Request groups created as children are
@@ -158,29 +199,164 @@ Rcoil.prototype._createEmptyRequestGroup = function (groupId) {
  *     .startGroup("secondChild");
  * // requests within firstChild and secondChild will be execute simultaneously
  * 
+ * Groups can also declare a list of requests they depend on with the dependsOn option. The
+ * requests in the group start as soon as the dependencies complete, without waiting for the 
+ * rest of the parent group.
+ * @example
+ * rcoil
+ *   .startGroup("users")
+ *     .addRequest(Request.get("getUser", "http://myapi.com/users/1"))
+ *     .addRequest(Request.get("listUsers", "http://myapi.com/users"))
+ *     .startGroup("orders", { dependsOn: [{ groupId: "users", requestName: "getUser" }] });
+ * 
+ * The when option receives the ExecutionContext before the group starts. If it returns false 
+ * the group and all of its children are skipped.
+ * @example
+ * rcoil
+ *   .startGroup("users")
+ *     .addRequest(Request.get("getUser", "http://myapi.com/users/1"))
+ *     .startGroup("admin", { 
+ *       when: function(context) {
+ *         return context.responseData("users", "getUser").json.isAdmin;
+ *       }
+ *     });
+ * 
+ * The repeatUntil option turns the group into a polling loop. All of the requests in the group run 
+ * again, interval ms after the previous iteration completed, until the repeatUntil function returns true, 
+ * maxIterations iterations ran, or the deadline in ms since the first iteration is reached.
+ * @example
+ * rcoil
+ *   .startGroup("submit")
+ *     .addRequest(Request.post("createJob", "http://myapi.com/jobs"))
+ *     .startGroup("poll", {
+ *       repeatUntil: function(context, iteration) {
+ *         return context.responseData("poll", "getJob").json.status == "done";
+ *       },
+ *       interval: 2000,
+ *       maxIterations: 30
+ *     })
+ *       .addRequest(Request.get("getJob", "http://myapi.com/jobs/1"));
+ * 
  * @function
  * @param {String} groupId - A unique id for the request group in the tree
+ * @param {Object} options - Optional settings for the group: dependsOn, a list of { groupId, requestName } objects, 
+ *  when, a function returning whether the group should run, and repeatUntil, interval, maxIterations, and deadline 
+ *  to repeat the group
  * 
  * @return {Object} The Rcoil object
  */
-Rcoil.prototype.startGroup = function (groupId) {
-  if (this._findRequestGroup(this.calls, groupId) != null) {
-    throw new Error("Request Group " + groupId + " already exists in your Symphony");
-  }
+Rcoil.prototype.startGroup = function (groupId, options) {
+  var group = this._createRequestGroup(groupId, options);
 
+  var parent = null;
   if (this._tmpPositionId != "") {
-    this._findRequestGroup(this.calls, this._tmpPositionId).children.push(this._createEmptyRequestGroup(groupId))
+    parent = this._getCurrentGroup();
+    parent.children.push(group);
   } else {
-    this.calls.push(this._createEmptyRequestGroup(groupId));
+    this.calls.push(group);
+  }
+
+  var cycle = this._findDependencyCycle();
+  if (cycle != null) {
+    (parent != null ? parent.children : this.calls).pop();
+    throw new Error("Dependency cycle detected: " + cycle.join(" -> "));
   }
+
   this._tmpPositionId = groupId;
   this._totalRequestGroups++;
 
   return this;
 },
+
+/**
+ * Starts the fallback group of the current request group. The fallback group, and its children,
+ * only run if one of the requests in the current group fails or times out, they are skipped 
+ * otherwise. Failures in groups with a fallback are handled: they do not stop the execution 
+ * with the failFast policy and do not roll back the compensated requests. Use afterGroup to 
+ * return to the main tree.
+ * 
+ * @example
+ * rcoil
+ *   .startGroup("payment")
+ *     .addRequest(Request.post("charge", "http://payments.com/charges"))
+ *     .onFailure("paymentFallback")
+ *       .addRequest(Request.post("chargeBackup", "http://backup-payments.com/charges"))
+ *   .afterGroup("payment")
+ *     .startGroup("shipping");
+ * 
+ * @function
+ * @param {String} groupId - A unique id for the fallback group in the tree
+ * @param {Object} options - Optional settings for the group, see startGroup
+ * 
+ * @return {Object} The Rcoil object
+ */
+Rcoil.prototype.onFailure = function (groupId, options) {
+  if (this._tmpPositionId == "") {
+    throw new Error("Cannot add a fallback without starting a group first");
+  }
+  
+  var parent = this._getCurrentGroup();
+  if (parent.fallback != null) {
+    throw new Error("Request group " + parent.id + " already has a fallback group: " + parent.fallback.id);
+  }
+  
+  var group = this._createRequestGroup(groupId, options);
+  parent.fallback = group;
+  
+  var cycle = this._findDependencyCycle();
+  if (cycle != null) {
+    parent.fallback = null;
+    throw new Error("Dependency cycle detected: " + cycle.join(" -> "));
+  }
+  
+  this._tmpPositionId = groupId;
+  this._totalRequestGroups++;
+  
+  return this;
+};
+
+/**
+ * Creates a request group with the options passed to startGroup or onFailure
+ * 
+ * @function
+ * @private
+ * @param {String} groupId - A unique id for the request group in the tree
+ * @param {Object} options - Optional settings for the group
+ * @return {Object} The request group object
+ */
+Rcoil.prototype._createRequestGroup = function (groupId, options) {
+  if (this._findRequestGroup(this.calls, groupId) != null) {
+    throw new Error("Request Group " + groupId + " already exists in your Symphony");
+  }
+
+  var group = this._createEmptyRequestGroup(groupId);
+  if (options != null && options.dependsOn != null) {
+    if (!Array.isArray(options.dependsOn)) {
+      throw new Error("The dependsOn option of a request group must be an array");
+    }
+    for (var i = 0; i < options.dependsOn.length; i++) {
+      var dependency = options.dependsOn[i];
+      if (dependency == null || dependency.groupId == null || dependency.requestName == null) {
+        throw new Error("Dependencies require a group id and a request name");
+      }
+      group.dependsOn.push({ groupId: dependency.groupId, requestName: dependency.requestName });
+    }
+  }
+  if (options != null && options.when != null) {
+    if (typeof options.when !== 'function') {
+      throw new Error("The when option of a request group must be a function");
+    }
+    group.when = options.when;
+  }
+  if (options != null && options.repeatUntil != null) {
+    group.repeat = Rcoil.parseRepeat(options);
+  }
+  
+  return group;
+};
     
 /**
- * Returns to the given position in the tree.
+ * Returns to the given position in the tree. Throws an error if the group does not exist.
  * 
  * @function
  * @param {String} groupId - The name of the node we need to walk back to
@@ -188,6 +364,9 @@ Rcoil.prototype.startGroup = function (groupId) {
  * @return {Object} The symphony object
  */
 Rcoil.prototype.afterGroup = function (groupId) {
+  if (this._findRequestGroup(this.calls, groupId) == null) {
+    throw new Error("Request group " + groupId + " does not exist, check the id passed to afterGroup");
+  }
   this._tmpPositionId = groupId;
 
   return this;
@@ -216,11 +395,36 @@ Rcoil.prototype.addRequest = function (request) {
     throw new Error("Invalid Request object");
   }
 
-  this._findRequestGroup(this.calls, this._tmpPositionId).requests.push(request);
+  var group = this._getCurrentGroup();
+  if (group.repeat != null && request.dependencies.length > 0) {
+    throw new Error("Request " + request.name + " cannot declare dependencies, the requests in repeating group " + group.id + " run together at each iteration");
+  }
+  group.requests.push(request);
+
+  var cycle = this._findDependencyCycle();
+  if (cycle != null) {
+    group.requests.pop();
+    throw new Error("Dependency cycle detected: " + cycle.join(" -> "));
+  }
 
   return this;
 },
 
+/**
+ * Returns the request group at the current position of the tree walker
+ * 
+ * @function
+ * @private
+ * @return {Object} The request group object
+ */
+Rcoil.prototype._getCurrentGroup = function () {
+  var group = this._findRequestGroup(this.calls, this._tmpPositionId);
+  if (group == null) {
+    throw new Error("Request group " + this._tmpPositionId + " does not exist, check the id passed to afterGroup");
+  }
+  return group;
+};
+
 /**
  * Returns the walker to the root node of the tree
  * 
@@ -233,6 +437,46 @@ Rcoil.prototype.fromTheBeginning = function () {
   return this;
 },
 
+/**
+ * Sets the template used to aggregate the responses into the output of the coil. Once the 
+ * execution completes the ExecutionDirector builds the output from the template, the result
+ * is returned by the output method of the ExecutionContext.
+ * 
+ * Strings starting with "$." are path expressions, in the form $.groupId.requestName.path, 
+ * and are replaced with the value in the response data. The [*] wildcard collects a value 
+ * from all of the items in an array. Objects can also use operators:
+ *  - $path: a path expression, with $default used if the request was canceled, failed, timed 
+ *    out, aborted, or the value is missing
+ *  - $merge: a list of objects merged into one, later values override earlier ones
+ *  - $concat: a list of arrays joined into one
+ * Keys starting with $$ are copied with a single $.
+ * 
+ * @example
+ * coil.output({
+ *   user: { $path: "$.users.getUser.json", $default: {} },
+ *   petNames: "$.pets.listPets.json.items[*].name",
+ *   profile: { $merge: ["$.users.getUser.json", "$.users.getPreferences.json"] },
+ *   orders: { $concat: ["$.orders.listOpen.json", "$.orders.listClosed.json"] }
+ * });
+ * 
+ * director.start(function(context) {
+ *   res.send(context.output());
+ * });
+ * 
+ * @function
+ * @param {Object} template - The output template
+ * @return {Object} The Rcoil object
+ */
+Rcoil.prototype.output = function (template) {
+  var problems = DataPath.validate(template);
+  if (problems.length > 0) {
+    throw new Error("Invalid output template: " + problems.join(", "));
+  }
+  
+  this.outputTemplate = template;
+  return this;
+};
+
 /**
  * Retrieves the total number of request groups in the this symphony
  * 
@@ -243,6 +487,474 @@ Rcoil.prototype.requestGroupsCount = function () {
   return this._totalRequestGroups;
 }
 
+/**
+ * Creates a coil from a definition. Definitions are plain objects describing the request groups
+ * and their requests, they can be stored as JSON or YAML and changed without modifying the 
+ * code. The definition is validated before the coil is created, and a DefinitionError listing 
+ * all of the problems is thrown if it is not valid.
+ * 
+ * Request inputs are expressed as data mappings, see Request.setInputMapping.
+ * 
+ * @example
+ * var coil = Rcoil.fromDefinition({
+ *   version: 1,
+ *   groups: [{
+ *     id: "users",
+ *     requests: [{ name: "getUser", type: "http", method: "GET", url: "http://myapi.com/users/1" }],
+ *     children: [{
+ *       id: "orders",
+ *       requests: [{
+ *         name: "createOrder", type: "http", method: "POST", url: "http://myapi.com/orders",
+ *         input: { userId: "$.users.getUser.json.id" }
+ *       }]
+ *     }]
+ *   }]
+ * });
+ * 
+ * // YAML definitions can be loaded with any YAML parser
+ * var coil = Rcoil.fromDefinition(yaml.safeLoad(fs.readFileSync("coil.yml", "utf8")));
+ * 
+ * @function
+ * @param {Object|String} definition - The coil definition, or its JSON representation
+ * @return {Rcoil} A new Rcoil object
+ */
+Rcoil.fromDefinition = function (definition) {
+  if (typeof definition === 'string') {
+    try {
+      definition = JSON.parse(definition);
+    } catch (err) {
+      throw new Errors.DefinitionError([{ path: "", message: "Invalid JSON: " + err.message }]);
+    }
+  }
+  
+  var problems = Definition.validate(definition);
+  if (problems.length > 0) {
+    throw new Errors.DefinitionError(problems);
+  }
+  
+  var coil = new Rcoil();
+  var addGroups = function (groups, parentId) {
+    for (var i = 0; i < groups.length; i++) {
+      var group = groups[i];
+      if (parentId == null) {
+        coil.fromTheBeginning();
+      } else {
+        coil.afterGroup(parentId);
+      }
+      
+      addGroup(group, function () {
+        coil.startGroup(group.id, { dependsOn: group.dependsOn });
+      });
+    }
+  };
+  var addGroup = function (group, start) {
+    try {
+      start();
+      var requests = group.requests || [];
+      for (var j = 0; j < requests.length; j++) {
+        coil.addRequest(Request.fromDefinition(requests[j]));
+      }
+    } catch (err) {
+      throw new Errors.DefinitionError([{ path: "", message: err.message }]);
+    }
+    
+    addGroups(group.children || [], group.id);
+    if (group.onFailure !== undefined) {
+      coil.afterGroup(group.id);
+      addGroup(group.onFailure, function () {
+        coil.onFailure(group.onFailure.id, { dependsOn: group.onFailure.dependsOn });
+      });
+    }
+  };
+  addGroups(definition.groups, null);
+  coil.fromTheBeginning();
+  
+  if (definition.output !== undefined) {
+    coil.output(JSON.parse(JSON.stringify(definition.output)));
+  }
+  
+  return coil;
+};
+
+/**
+ * Returns the definition of the coil, a plain object that can be saved as JSON or YAML and 
+ * loaded with Rcoil.fromDefinition. Throws an error if one of the requests uses input or output 
+ * functions, or one of the groups uses a when condition.
+ * 
+ * @example
+ * fs.writeFileSync("coil.json", JSON.stringify(coil.toDefinition(), null, 2));
+ * 
+ * @function
+ * @return {Object} The coil definition
+ */
+Rcoil.prototype.toDefinition = function () {
+  var groupDefinition = function (group) {
+    if (group.when != null) {
+      throw new Error("Request group " + group.id + " uses a when function and cannot be saved in a definition");
+    }
+    if (group.repeat != null) {
+      throw new Error("Request group " + group.id + " uses a repeatUntil function and cannot be saved in a definition");
+    }
+    var definition = {
+      id: group.id
+    };
+    if (group.dependsOn.length > 0) {
+      definition.dependsOn = JSON.parse(JSON.stringify(group.dependsOn));
+    }
+    definition.requests = group.requests.map(function (request) {
+      return request.toDefinition();
+    });
+    definition.children = group.children.map(groupDefinition);
+    if (group.fallback != null) {
+      definition.onFailure = groupDefinition(group.fallback);
+    }
+    
+    return definition;
+  };
+  
+  var definition = {
+    version: Definition.VERSION,
+    groups: this.calls.map(groupDefinition)
+  };
+  if (this.outputTemplate != null) {
+    definition.output = JSON.parse(JSON.stringify(this.outputTemplate));
+  }
+  
+  return definition;
+};
+
+/**
+ * Builds the dependency graph of the coil. Each request points to the requests it depends on, 
+ * requests without dependencies point to the dependencies of their group or to the completion
+ * of the parent group. The completion of a group points to all of its requests.
+ * 
+ * @function
+ * @private
+ * @return {Object} A map of node ids to the list of node ids they depend on
+ */
+Rcoil.prototype._getDependencyGraph = function () {
+  var graph = {};
+  var endNode = function (group) {
+    return "end:" + group.id;
+  };
+  var requestNode = function (groupId, requestName) {
+    return "req:" + groupId + "/" + requestName;
+  };
+  var toNodes = function (dependencies) {
+    var nodes = [];
+    for (var i = 0; i < dependencies.length; i++) {
+      nodes.push(requestNode(dependencies[i].groupId, dependencies[i].requestName));
+    }
+    return nodes;
+  };
+
+  var addGroups = function (groups, parent) {
+    for (var i = 0; i < groups.length; i++) {
+      var group = groups[i];
+      var groupDependencies = (group.dependsOn.length > 0 ? toNodes(group.dependsOn) : (parent != null ? [endNode(parent)] : []));
+      var requestNodes = [];
+
+      for (var j = 0; j < group.requests.length; j++) {
+        var request = group.requests[j];
+        var node = requestNode(group.id, request.name);
+        graph[node] = (request.dependencies.length > 0 ? toNodes(request.dependencies) : groupDependencies);
+        requestNodes.push(node);
+      }
+      graph[endNode(group)] = (group.requests.length > 0 ? requestNodes : groupDependencies);
+
+      addGroups(group.children, group);
+      if (group.fallback != null) {
+        addGroups([group.fallback], group);
+      }
+    }
+  };
+  addGroups(this.calls, null);
+
+  return graph;
+};
+
+/**
+ * Looks for a cycle in the dependencies declared in the coil. Dependencies on requests that 
+ * are not in the coil yet are ignored.
+ * 
+ * @function
+ * @private
+ * @return {Array.<String>} The names of the requests and groups in the cycle, null if there are no cycles
+ */
+Rcoil.prototype._findDependencyCycle = function () {
+  var graph = this._getDependencyGraph();
+  var state = {};
+  var path = [];
+
+  var visit = function (node) {
+    if (state[node] === "done" || graph[node] === undefined) return null;
+    if (state[node] === "visiting") {
+      return path.slice(path.indexOf(node)).concat([node]);
+    }
+
+    state[node] = "visiting";
+    path.push(node);
+    for (var i = 0; i < graph[node].length; i++) {
+      var cycle = visit(graph[node][i]);
+      if (cycle != null) return cycle;
+    }
+    path.pop();
+    state[node] = "done";
+
+    return null;
+  };
+
+  for (var node in graph) {
+    var cycle = visit(node);
+    if (cycle != null) {
+      return cycle.map(function (n) {
+        return (n.indexOf("end:") == 0 ? "group " + n.substring(4) : n.substring(4));
+      });
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Formats a list of dependencies for the printCoil method
+ * 
+ * @function
+ * @private
+ * @param {Array.<Object>} dependencies - A list of { groupId, requestName } objects
+ * @return {String} The dependencies as a comma separated list of group/request names
+ */
+Rcoil.prototype._formatDependencies = function (dependencies) {
+  return dependencies.map(function (dependency) {
+    return dependency.groupId + "/" + dependency.requestName;
+  }).join(", ");
+};
+
+/**
+ * Matches Lambda function names, partial ARNs, and full ARNs, with an optional version or alias
+ * 
+ * @property {RegExp}
+ * @private
+ */
+var LAMBDA_FUNCTION_PATTERN = /^(arn:aws[a-zA-Z-]*:lambda:[a-z]{2}(-gov)?-[a-z]+-\d:\d{12}:function:|\d{12}:function:)?[a-zA-Z0-9-_]{1,64}(:(\$LATEST|[a-zA-Z0-9-_]+))?$/;
+
+/**
+ * Matches Lambda versions and aliases
+ * 
+ * @property {RegExp}
+ * @private
+ */
+var LAMBDA_QUALIFIER_PATTERN = /^(\$LATEST|[a-zA-Z0-9-_]+)$/;
+
+/**
+ * Checks the coil for problems that would break or silently change its execution. The method
+ * returns a list of diagnostics, each with a severity, a code from Rcoil.DiagnosticCode, a 
+ * message, and the group id and request name it refers to. The ExecutionDirector validates 
+ * the coil before starting it and refuses to execute coils with errors.
+ * 
+ * Errors: unknown groups and requests in dependsOn and in the paths of input mappings and the
+ * output template, duplicate request names within a group, invalid URLs and Lambda ARNs, 
+ * groups whose requests can never start, and dependency cycles.
+ * 
+ * Warnings: request names used in more than one group and empty groups.
+ * 
+ * @example
+ * var diagnostics = coil.validate();
+ * // [{
+ * //   severity: "error",
+ * //   code: "unknownGroup",
+ * //   message: "Request orders/listOrders depends on unknown request group usres",
+ * //   groupId: "orders",
+ * //   requestName: "listOrders"
+ * // }]
+ * 
+ * @function
+ * @return {Array.<Object>} The list of diagnostics, empty if the coil is valid
+ */
+Rcoil.prototype.validate = function () {
+  var diagnostics = [];
+  var add = function (severity, code, message, groupId, requestName) {
+    diagnostics.push({
+      severity: severity,
+      code: code,
+      message: message,
+      groupId: (groupId !== undefined ? groupId : null),
+      requestName: (requestName !== undefined ? requestName : null)
+    });
+  };
+  
+  var groups = [];
+  var collect = function (list) {
+    for (var i = 0; i < list.length; i++) {
+      groups.push(list[i]);
+      collect(list[i].children);
+      if (list[i].fallback != null) collect([list[i].fallback]);
+    }
+  };
+  collect(this.calls);
+  
+  var requestGroups = {};
+  var localThis = this;
+  var checkDependencies = function (dependencies, groupId, requestName) {
+    for (var i = 0; i < dependencies.length; i++) {
+      var dependency = dependencies[i];
+      var owner = (requestName != null ? "Request " + groupId + "/" + requestName : "Request group " + groupId);
+      var target = localThis._findRequestGroup(localThis.calls, dependency.groupId);
+      
+      if (target == null) {
+        add(Rcoil.Severity.ERROR, Rcoil.DiagnosticCode.UNKNOWN_GROUP, owner + " depends on unknown request group " + dependency.groupId, groupId, requestName);
+      } else if (!target.requests.some(function (r) { return r.name == dependency.requestName; })) {
+        add(Rcoil.Severity.ERROR, Rcoil.DiagnosticCode.UNKNOWN_REQUEST, owner + " depends on unknown request " + dependency.groupId + "/" + dependency.requestName, groupId, requestName);
+      }
+    }
+  };
+  
+  var checkMapping = function (mapping, owner, groupId, requestName) {
+    var paths = DataPath.paths(mapping);
+    for (var i = 0; i < paths.length; i++) {
+      var segments = DataPath.parse(paths[i]);
+      var target = localThis._findRequestGroup(localThis.calls, segments[0]);
+      
+      if (target == null) {
+        add(Rcoil.Severity.ERROR, Rcoil.DiagnosticCode.UNKNOWN_GROUP, owner + " reads " + paths[i] + " from unknown request group " + segments[0], groupId, requestName);
+      } else if (!target.requests.some(function (r) { return r.name == segments[1]; })) {
+        add(Rcoil.Severity.ERROR, Rcoil.DiagnosticCode.UNKNOWN_REQUEST, owner + " reads " + paths[i] + " from unknown request " + segments[0] + "/" + segments[1], groupId, requestName);
+      }
+    }
+  };
+  checkMapping(this.outputTemplate, "Output template", null, null);
+  
+  for (var i = 0; i < groups.length; i++) {
+    var group = groups[i];
+    checkDependencies(group.dependsOn, group.id, null);
+    
+    if (group.requests.length == 0 && group.children.length == 0) {
+      add(Rcoil.Severity.WARNING, Rcoil.DiagnosticCode.EMPTY_GROUP, "Request group " + group.id + " has no requests and no children", group.id);
+    }
+    
+    var names = {};
+    for (var j = 0; j < group.requests.length; j++) {
+      var request = group.requests[j];
+      
+      if (names[request.name] === true) {
+        add(Rcoil.Severity.ERROR, Rcoil.DiagnosticCode.DUPLICATE_REQUEST_NAME, "Request name " + request.name + " is used more than once in request group " + group.id, group.id, request.name);
+      } else {
+        names[request.name] = true;
+        if (requestGroups[request.name] === undefined) requestGroups[request.name] = [];
+        requestGroups[request.name].push(group.id);
+      }
+      
+      checkDependencies(request.dependencies, group.id, request.name);
+      checkMapping(request.inputMapping, "Input of request " + group.id + "/" + request.name, group.id, request.name);
+      if (request.type == Request.RequestType.MAP) {
+        checkMapping(request.settings.itemsSelector, "Items of request " + group.id + "/" + request.name, group.id, request.name);
+      }
+      if (request.compensation != null) {
+        checkMapping(request.compensation.inputMapping, "Input of the compensation of request " + group.id + "/" + request.name, group.id, request.name);
+        this._validateRequestTarget(request.compensation, group.id, add);
+      }
+      this._validateRequestTarget(request, group.id, add);
+    }
+  }
+  
+  for (var name in requestGroups) {
+    if (requestGroups[name].length > 1) {
+      add(Rcoil.Severity.WARNING, Rcoil.DiagnosticCode.DUPLICATE_REQUEST_NAME, "Request name " + name + " is used in request groups " + requestGroups[name].join(", ") + ", lookups by request name only return one of them", requestGroups[name][0], name);
+    }
+  }
+  
+  var cycle = this._findDependencyCycle();
+  if (cycle != null) {
+    add(Rcoil.Severity.ERROR, Rcoil.DiagnosticCode.DEPENDENCY_CYCLE, "Dependency cycle detected: " + cycle.join(" -> "));
+  }
+  
+  var unreachable = this._findUnreachableRequests();
+  for (var i = 0; i < groups.length; i++) {
+    if (unreachable[groups[i].id] !== undefined) {
+      add(Rcoil.Severity.ERROR, Rcoil.DiagnosticCode.UNREACHABLE_GROUP, "Request group " + groups[i].id + " can never start" + 
+        (unreachable[groups[i].id].length > 0 ? ", requests " + unreachable[groups[i].id].join(", ") + " have dependencies that cannot be met" : ", its dependencies cannot be met"), groups[i].id);
+    }
+  }
+  
+  return diagnostics;
+};
+
+/**
+ * Checks the URL of HTTP requests and the function ARN and qualifier of Lambda requests
+ * 
+ * @function
+ * @private
+ * @param {Request} request - The request to check
+ * @param {String} groupId - The id of the group containing the request
+ * @param {function} add - Adds a diagnostic to the list
+ */
+Rcoil.prototype._validateRequestTarget = function (request, groupId, add) {
+  switch (request.type) {
+    case Request.RequestType.HTTP:
+      var settings = request.settings;
+      var requestUrl = settings.protocol + "//" + settings.host + (settings.port != null && settings.port !== "" ? ":" + settings.port : "") + settings.path;
+      if (["http:", "https:"].indexOf(settings.protocol) == -1 || !validUrl.isUri(requestUrl)) {
+        add(Rcoil.Severity.ERROR, Rcoil.DiagnosticCode.INVALID_URL, "Request " + groupId + "/" + request.name + " has an invalid url: " + requestUrl, groupId, request.name);
+      }
+      break;
+    case Request.RequestType.LAMBDA:
+      var functionName = String(request.settings.function);
+      var qualifier = String(request.settings.qualifier);
+      if (!LAMBDA_FUNCTION_PATTERN.test(functionName) || !LAMBDA_QUALIFIER_PATTERN.test(qualifier)) {
+        add(Rcoil.Severity.ERROR, Rcoil.DiagnosticCode.INVALID_ARN, "Request " + groupId + "/" + request.name + " has an invalid Lambda function: " + functionName + ":" + qualifier, groupId, request.name);
+      }
+      break;
+  }
+};
+
+/**
+ * Simulates the execution of the coil to find the requests that can never start because their
+ * dependencies do not exist, are part of a cycle, or can never start themselves.
+ * 
+ * @function
+ * @private
+ * @return {Object} A map of group ids to the names of the requests that cannot start. Empty groups that cannot start have an empty list
+ */
+Rcoil.prototype._findUnreachableRequests = function () {
+  var graph = this._getDependencyGraph();
+  var done = {};
+  
+  var changed = true;
+  while (changed) {
+    changed = false;
+    for (var node in graph) {
+      if (done[node] === true) continue;
+      
+      var ready = graph[node].every(function (dependency) {
+        return done[dependency] === true;
+      });
+      if (ready) {
+        done[node] = true;
+        changed = true;
+      }
+    }
+  }
+  
+  var output = {};
+  for (var node in graph) {
+    if (done[node] === true) continue;
+    
+    var separator = node.lastIndexOf("/");
+    if (node.indexOf("req:") == 0) {
+      var groupId = node.substring(4, separator);
+      if (output[groupId] === undefined) output[groupId] = [];
+      output[groupId].push(node.substring(separator + 1));
+    } else if (output[node.substring(4)] === undefined) {
+      var group = this._findRequestGroup(this.calls, node.substring(4));
+      if (group.requests.length == 0) {
+        output[group.id] = [];
+      }
+    }
+  }
+  
+  return output;
+};
+
 /**
  * Uses console log and unicode tables to print out the structure of the coil
  * 
@@ -268,7 +980,10 @@ Rcoil.prototype._printRequestGroup = function(group, level) {
   var spacer = "";
   for (var i = 0; i < level; i++) spacer += "    ";
   // TODO: Spacer doesn't work nicely with the Table here.
-  console.log((spacer + "↪ Request Group: " + group.id).blue.bold);
+  var groupDependencies = (group.dependsOn !== undefined && group.dependsOn.length > 0 ? " (depends on " + this._formatDependencies(group.dependsOn) + ")" : "");
+  var groupCondition = (group.when != null ? " (conditional)" : "");
+  var groupRepeat = (group.repeat != null ? " (repeats every " + group.repeat.interval + "ms, up to " + group.repeat.maxIterations + " times)" : "");
+  console.log((spacer + "↪ Request Group: " + group.id + groupDependencies + groupCondition + groupRepeat).blue.bold);
   
   var table = new Table({
     chars: { 'top': '═' , 'top-mid': '╤' , 'top-left': '╔' , 'top-right': '╗'
@@ -280,7 +995,7 @@ Rcoil.prototype._printRequestGroup = function(group, level) {
   for (var i = 0; i < group.requests.length; i++) {
     var request = group.requests[i];
     table.push(
-      [request.name, request.type, request.getUrl()]
+      [request.name, request.type, request.getUrl(), this._formatDependencies(request.dependencies)]
     );
   }
   
@@ -288,6 +1003,10 @@ Rcoil.prototype._printRequestGroup = function(group, level) {
   tableString = tableString.replace(new RegExp(/^/gm), spacer);
   console.log(tableString);
   
+  if (group.fallback != null) {
+    console.log((spacer + "    ↪ On failure:").red.bold);
+    this._printRequestGroup(group.fallback, level+1);
+  }
   for (var i = 0; i < group.children.length; i++) {
     this._printRequestGroup(group.children[i], level+1);
   }
@@ -0,0 +1,96 @@
+/*
+ * Copyright 2016 Stefano Buliani (@sapessi)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *  http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * The executors of the custom request types, indexed by type
+ *
+ * @property {Object}
+ */
+var executors = {};
+
+/**
+ * An executor runs the requests of a custom request type. Executors are registered with
+ * Players.registerType and used by the RequestPlayer, which takes care of the input, the
+ * timeouts, the retries, and the events of the request.
+ *
+ * @example
+ * {
+ *   execute: function(request, input, context, callback) {
+ *     var query = redis.get(request.settings.key, function(err, value) {
+ *       callback(err, { body: value });
+ *     });
+ *     return { abort: function() { query.cancel(); } };
+ *   },
+ *   getUrl: function(settings) {
+ *     return "redis://" + settings.key;
+ *   },
+ *   validate: function(settings) {
+ *     if (typeof settings.key !== 'string') throw new Error("Redis requests require a key");
+ *   }
+ * }
+ *
+ * @typedef {Object} RequestExecutor
+ * @property {function} execute - Runs an attempt of the request. Receives the Request object, the input
+ *  generated by onInput or the input mapping, the ExecutionContext, and a node-style callback. The callback
+ *  receives an error or the response: the body property is saved as the body of the response data, the
+ *  other properties are copied in the response data. The statusCode of the response and the code of the
+ *  error are matched against the retry policy of the request. The function can return an object with an
+ *  abort method, called when the request times out or is aborted
+ * @property {function} getUrl - Optional, receives the settings of a request and returns a description of its
+ *  target for Request.getUrl and printCoil. The type name is used by default
+ * @property {function} validate - Optional, receives the settings of a request and throws an Error if they
+ *  are not valid. Called when the request is created and when definitions are validated
+ */
+
+/**
+ * Saves the executor for a request type
+ *
+ * @function
+ * @param {String} type - The name of the request type
+ * @param {RequestExecutor} executor - The executor for the type
+ */
+function register(type, executor) {
+  executors[type] = executor;
+}
+
+/**
+ * Removes a request type from the registry
+ *
+ * @function
+ * @param {String} type - The name of the request type
+ */
+function unregister(type) {
+  delete executors[type];
+}
+
+/**
+ * Returns the executor of a custom request type
+ *
+ * @function
+ * @param {String} type - The name of the request type
+ * @return {RequestExecutor} The executor, null if the type is not registered
+ */
+function get(type) {
+  if (!executors.hasOwnProperty(type)) return null;
+
+  return executors[type];
+}
+
+module.exports = {
+  register: register,
+  unregister: unregister,
+  get: get
+};
@@ -17,6 +17,9 @@
 var url = require('url');
 var validUrl = require('valid-url');
 
+var DataPath = require('./data-path');
+var RequestTypes = require('./request-types');
+
 /**
  * The Request object contains the configuration for a single backend requests.
  * The request object can represent both an HTTP request and a Lambda function invocation.
@@ -53,7 +56,14 @@ function Request(name) {
   this.name = name;
   this.settings = {};
   this.inputFunc = null;
+  this.inputCallback = false;
+  this.inputMapping = null;
   this.outputFunc = null;
+  this.timeout = Request.parseTimeout(null);
+  this.retryPolicy = null;
+  this.pagination = null;
+  this.compensation = null;
+  this.dependencies = [];
 }
 
 /**
@@ -80,10 +90,45 @@ function Request(name) {
  *     lambdaEventProperty1: "value1",
  *   }
  * }
+ * 
+ * // asynchronous input, the function can return a Promise
+ * function(executionContext, httpRequest) {
+ *   return tokenCache.get("token").then(function(token) {
+ *     httpRequest.setHeader("Authorization", token);
+ *     return { requestBodyParam1: "value" };
+ *   });
+ * }
+ * 
+ * // or receive a node-style callback as its last parameter, with onInput(func, { callback: true })
+ * function(executionContext, httpRequest, callback) {
+ *   fs.readFile("body.json", callback);
+ * }
  *
  * @callback inputCallback
  * @param {ExecutionContext} executionContext - The populated execution context object
  * @param {http.ClientRequest} httpRequest - The generated HTTP request
+ * @param {function} callback - The node-style callback, only passed with the callback option
+ * @return {*|Promise} The input for the request, false to cancel the request
+ */
+
+/**
+ * the output function transforms the response of a request into the value consumers of the coil
+ * need. The callback is triggered by the ExecutionDirector once a request completes, before the 
+ * response data is saved in the ExecutionContext. The returned value is saved in the output 
+ * property of the response data, next to the raw body.
+ * 
+ * @example
+ * function(response, executionContext) {
+ *   if (response.statusCode != 200) {
+ *     return null;
+ *   }
+ *   var user = JSON.parse(response.body);
+ *   return { id: user.id, name: user.name };
+ * }
+ * 
+ * @callback outputCallback
+ * @param {Object} response - The response data: body, headers, statusCode for HTTP requests
+ * @param {ExecutionContext} executionContext - The populated execution context object
  */
 
 /**
@@ -107,7 +152,203 @@ Request.HttpVerb = {
 
 Request.RequestType = {
   HTTP: "http",
-  LAMBDA: "lambda"
+  LAMBDA: "lambda",
+  MAP: "map",
+  FUNCTION: "function"
+};
+
+/**
+ * The invocation types of Lambda requests. RequestResponse waits for the result of the function, 
+ * Event queues the invocation and returns immediately, DryRun only checks that the caller is 
+ * allowed to invoke the function.
+ * 
+ * @property {Object}
+ */
+Request.LambdaInvocationType = {
+  REQUEST_RESPONSE: "RequestResponse",
+  EVENT: "Event",
+  DRY_RUN: "DryRun"
+};
+
+/**
+ * The log types of Lambda requests. With Tail the last 4 KB of the execution log of a 
+ * RequestResponse invocation are saved in the logs property of the response data.
+ * 
+ * @property {Object}
+ */
+Request.LambdaLogType = {
+  NONE: "None",
+  TAIL: "Tail"
+};
+
+/**
+ * The default number of item requests a map request runs at the same time
+ * 
+ * @property {int}
+ */
+Request.DefaultMapConcurrency = 10;
+
+/**
+ * Normalizes a timeout configuration. Timeouts can be expressed as a number of milliseconds,
+ * which is used as the total timeout for the request, or as an object with the connect and
+ * total properties.
+ * 
+ * @example
+ * Request.parseTimeout(5000); // { connect: null, total: 5000 }
+ * Request.parseTimeout({ connect: 500, total: 5000 }); // { connect: 500, total: 5000 }
+ * 
+ * @function
+ * @param {int|Object} timeout - A number of milliseconds or a timeout configuration object
+ * @return {Object} A timeout object with the connect and total properties, null when not set
+ */
+Request.parseTimeout = function (timeout) {
+  var output = {
+    connect: null,
+    total: null
+  };
+
+  if (timeout === undefined || timeout == null) {
+    return output;
+  }
+
+  if (typeof timeout === 'number') {
+    output.total = timeout;
+  } else if (typeof timeout === 'object') {
+    output.connect = (timeout.connect !== undefined ? timeout.connect : null);
+    output.total = (timeout.total !== undefined ? timeout.total : null);
+  } else {
+    throw new Error("Invalid timeout configuration: " + timeout);
+  }
+
+  return output;
+};
+
+/**
+ * The default values for a retry policy. Policies passed to the setRetryPolicy method are
+ * merged with these values.
+ * 
+ * @property {Object}
+ */
+Request.DefaultRetryPolicy = {
+  maxAttempts: 3,
+  backoffBase: 100,
+  backoffCap: 5000,
+  jitter: "full",
+  statusCodes: [502, 503, 504],
+  errorCodes: ["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EPIPE", "EAI_AGAIN", "TooManyRequestsException", "ServiceException"],
+  functionErrors: []
+};
+
+/**
+ * Normalizes a retry policy by merging it with the Request.DefaultRetryPolicy values.
+ * 
+ * Jitter can be "full" (a random delay between 0 and the backoff), "equal" (half the backoff
+ * plus a random value up to the other half), or "none".
+ * 
+ * @example
+ * Request.parseRetryPolicy({ maxAttempts: 5, statusCodes: [503] });
+ * 
+ * @function
+ * @param {Object} policy - A retry policy configuration
+ * @return {Object} The complete retry policy, null if the policy is not set
+ */
+Request.parseRetryPolicy = function (policy) {
+  if (policy === undefined || policy == null) {
+    return null;
+  }
+  if (typeof policy !== 'object') {
+    throw new Error("Invalid retry policy: " + policy);
+  }
+  
+  var output = {};
+  for (var key in Request.DefaultRetryPolicy) {
+    output[key] = (policy[key] !== undefined ? policy[key] : Request.DefaultRetryPolicy[key]);
+  }
+  
+  if (typeof output.maxAttempts !== 'number' || output.maxAttempts < 1) {
+    throw new Error("Invalid retry policy. maxAttempts must be a number greater than 0");
+  }
+  if (["full", "equal", "none"].indexOf(output.jitter) == -1) {
+    throw new Error("Invalid retry policy. Unknown jitter: " + output.jitter);
+  }
+  
+  return output;
+};
+
+/**
+ * The pagination strategies supported by HTTP requests
+ * 
+ * @property {Object}
+ */
+Request.PaginationStrategy = {
+  LINK: "link",
+  CURSOR: "cursor",
+  PAGE: "page"
+};
+
+/**
+ * The default values for a pagination configuration. Configurations passed to the setPagination 
+ * method are merged with these values.
+ * 
+ * @property {Object}
+ */
+Request.DefaultPagination = {
+  maxPages: 10,
+  itemsPath: null,
+  cursorPath: null,
+  param: null,
+  start: 1,
+  pageSize: null
+};
+
+/**
+ * Normalizes a pagination configuration by merging it with the Request.DefaultPagination values.
+ * The param property defaults to "cursor" for the cursor strategy and "page" for the page strategy.
+ * 
+ * @example
+ * Request.parsePagination({ strategy: "cursor", cursorPath: "meta.nextToken", param: "token" });
+ * 
+ * @function
+ * @param {Object} pagination - A pagination configuration
+ * @return {Object} The complete pagination configuration, null if pagination is not set
+ */
+Request.parsePagination = function (pagination) {
+  if (pagination === undefined || pagination == null) {
+    return null;
+  }
+  if (typeof pagination !== 'object') {
+    throw new Error("Invalid pagination: " + pagination);
+  }
+  
+  var strategies = Object.keys(Request.PaginationStrategy).map(function (key) { return Request.PaginationStrategy[key]; });
+  if (strategies.indexOf(pagination.strategy) == -1) {
+    throw new Error("Invalid pagination. Unknown strategy " + pagination.strategy + ", expected one of " + strategies.join(", "));
+  }
+  
+  var output = { strategy: pagination.strategy };
+  for (var key in Request.DefaultPagination) {
+    output[key] = (pagination[key] !== undefined ? pagination[key] : Request.DefaultPagination[key]);
+  }
+  if (output.param == null && output.strategy != Request.PaginationStrategy.LINK) {
+    output.param = output.strategy;
+  }
+  
+  if (typeof output.maxPages !== 'number' || output.maxPages < 1) {
+    throw new Error("Invalid pagination. maxPages must be a number greater than 0");
+  }
+  if (output.strategy == Request.PaginationStrategy.CURSOR && output.cursorPath == null) {
+    throw new Error("Invalid pagination. The cursor strategy requires a cursorPath");
+  }
+  if (output.strategy == Request.PaginationStrategy.PAGE && typeof output.start !== 'number') {
+    throw new Error("Invalid pagination. start must be a number");
+  }
+  if (output.pageSize != null && (typeof output.pageSize !== 'number' || output.pageSize < 1)) {
+    throw new Error("Invalid pagination. pageSize must be a number greater than 0");
+  }
+  if (output.cursorPath != null) DataPath.parseField(output.cursorPath);
+  if (output.itemsPath != null) DataPath.parseField(output.itemsPath);
+  
+  return output;
 };
 
 /**
@@ -191,13 +432,177 @@ Request.options = function (name, config) {
 /**
  * Creates a Lambda request give a Lambda function ARN.
  * 
+ * @example
+ * Request.lambda("notify", "arn:aws:lambda:us-east-1:123456789012:function:notify", "prod", {
+ *   invocationType: Request.LambdaInvocationType.EVENT,
+ *   clientContext: { custom: { source: "rcoil" } }
+ * });
+ * 
  * @function
  * @param {String} name - A name that uniquely identifies the request
  * @param {String|Object} config - A valid Lambda function ARN
+ * @param {String} qualifier - A Lambda function version or alias
+ * @param {Object} options - Optional invoke options, see setInvokeOptions
+ * @return {Request} An initialized request object
+ */
+Request.lambda = function(name, functionArn, qualifier, options) {
+  return new Request(name).setLambda(functionArn, qualifier, options);
+};
+
+/**
+ * Creates a function request. Function requests run a local function in the same process
+ * instead of calling a backend, they are useful for steps that only transform or combine the
+ * data of previous requests. The function receives the ExecutionContext and the input of the 
+ * request, generated by onInput or setInputMapping, and returns the body of the response or a 
+ * Promise. Exceptions and rejected Promises mark the request as failed.
+ * 
+ * @example
+ * Request.fn("mergeProfile", function(context) {
+ *   var user = context.responseData("users", "getUser").json;
+ *   var prefs = context.responseData("users", "getPreferences").json;
+ *   return { name: user.name, theme: prefs.theme };
+ * });
+ * 
+ * @function
+ * @param {String} name - A name that uniquely identifies the request
+ * @param {function} func - The function to run, receives the ExecutionContext and the input
  * @return {Request} An initialized request object
  */
-Request.lambda = function(name, functionArn, qualifier) {
-  return new Request(name).setLambda(functionArn, qualifier);
+Request.fn = function (name, func) {
+  return new Request(name).setFunction(func);
+};
+
+/**
+ * Sets up the request object as a function request, see Request.fn
+ * 
+ * @function
+ * @param {function} func - The function to run, receives the ExecutionContext and the input
+ * @return {Request} The updated request object
+ */
+Request.prototype.setFunction = function (func) {
+  if (typeof func !== 'function') {
+    throw new Error("Function requests need a function");
+  }
+  
+  this.type = Request.RequestType.FUNCTION;
+  this.settings = {
+    func: func
+  };
+  return this;
+};
+
+/**
+ * Creates a request of a custom type. The type must be registered with Players.registerType 
+ * before the request is created, the settings are passed to the executor of the type.
+ * 
+ * @example
+ * Players.registerType("redis", redisExecutor);
+ * Request.custom("getSession", "redis", { key: "session:1" });
+ * 
+ * @function
+ * @param {String} name - A name that uniquely identifies the request
+ * @param {String} type - The name of a registered request type
+ * @param {Object} settings - The settings for the executor of the type
+ * @return {Request} An initialized request object
+ */
+Request.custom = function (name, type, settings) {
+  return new Request(name).setCustom(type, settings);
+};
+
+/**
+ * Sets up the request object as a request of a custom type, see Request.custom
+ * 
+ * @function
+ * @param {String} type - The name of a registered request type
+ * @param {Object} settings - The settings for the executor of the type
+ * @return {Request} The updated request object
+ */
+Request.prototype.setCustom = function (type, settings) {
+  var executor = RequestTypes.get(type);
+  if (executor == null) {
+    throw new Error("Unknown request type " + type + ", register it with Players.registerType");
+  }
+  if (settings === undefined || settings == null) {
+    settings = {};
+  }
+  if (typeof executor.validate === 'function') {
+    executor.validate(settings);
+  }
+  
+  this.type = type;
+  this.settings = settings;
+  return this;
+};
+
+/**
+ * Creates a map request. Map requests fan out into one request for each item returned by the
+ * items selector, the requests are created by the factory function when the map request starts
+ * and run concurrently, up to the concurrency limit of the request.
+ * 
+ * The items selector is either a function receiving the ExecutionContext or a path expression.
+ * The factory receives each item, its index, and the context, and returns a configured HTTP, 
+ * Lambda, or function Request object.
+ * 
+ * @example
+ * Request.map("getUsers", "$.users.listUsers.json[*].id", function(id, index, context) {
+ *   return Request.get("getUser", "http://myapi.com/users/" + id);
+ * }).setConcurrency(5);
+ * 
+ * @function
+ * @param {String} name - A name that uniquely identifies the request
+ * @param {function|String} itemsSelector - A function returning the list of items, or a path expression
+ * @param {function} requestFactory - A function returning the Request for an item
+ * @return {Request} An initialized request object
+ */
+Request.map = function (name, itemsSelector, requestFactory) {
+  return new Request(name).setMap(itemsSelector, requestFactory);
+};
+
+/**
+ * Sets up the request object as a map request, see Request.map
+ * 
+ * @function
+ * @param {function|String} itemsSelector - A function returning the list of items, or a path expression
+ * @param {function} requestFactory - A function returning the Request for an item
+ * @return {Request} The updated request object
+ */
+Request.prototype.setMap = function (itemsSelector, requestFactory) {
+  if (typeof itemsSelector !== 'function' && !DataPath.isPath(itemsSelector)) {
+    throw new Error("The items selector of a map request must be a function or a path expression");
+  }
+  if (DataPath.isPath(itemsSelector)) {
+    DataPath.parse(itemsSelector);
+  }
+  if (typeof requestFactory !== 'function') {
+    throw new Error("The request factory of a map request must be a function");
+  }
+  
+  this.type = Request.RequestType.MAP;
+  this.settings = {
+    itemsSelector: itemsSelector,
+    requestFactory: requestFactory,
+    concurrency: Request.DefaultMapConcurrency
+  };
+  return this;
+};
+
+/**
+ * Sets the maximum number of item requests a map request runs at the same time
+ * 
+ * @function
+ * @param {int} concurrency - The maximum number of concurrent requests
+ * @return {Request} The updated request object
+ */
+Request.prototype.setConcurrency = function (concurrency) {
+  if (this.type != Request.RequestType.MAP) {
+    throw new Error("Concurrency can only be set on map requests");
+  }
+  if (typeof concurrency !== 'number' || concurrency < 1) {
+    throw new Error("Concurrency must be a number greater than 0");
+  }
+  
+  this.settings.concurrency = concurrency;
+  return this;
 };
 
 /**
@@ -213,7 +618,10 @@ Request.prototype._createLambdaRequest = function (functionArn, qualifier) {
   this.type = Request.RequestType.LAMBDA;
   this.settings = {
     function: functionArn,
-    qualifier: (qualifier === undefined || qualifier == null || qualifier == ""?"$LATEST":qualifier)
+    qualifier: (qualifier === undefined || qualifier == null || qualifier == ""?"$LATEST":qualifier),
+    invocationType: Request.LambdaInvocationType.REQUEST_RESPONSE,
+    logType: Request.LambdaLogType.NONE,
+    clientContext: null
   };
 };
 
@@ -258,7 +666,9 @@ Request.prototype._createHttpRequest = function (httpVerb, config) {
 
 /**
  * constructs the full URL of the request from the settings object. For HTTP requests it returns the full
- * request url, for LAMBDA requests it returns the full function ARN + qualifier.
+ * request url, for LAMBDA requests it returns the full function ARN + qualifier, for MAP requests
+ * it returns the items selector, for FUNCTION requests the name of the function. Custom request types
+ * use the getUrl function of their executor, or return the name of the type.
  * 
  * @function
  * @return {String} The URL for the function
@@ -271,6 +681,18 @@ Request.prototype.getUrl = function() {
     case Request.RequestType.LAMBDA:
       return this.settings.function + ":" + this.settings.qualifier;
       break;
+    case Request.RequestType.MAP:
+      return "map " + (typeof this.settings.itemsSelector === 'string' ? this.settings.itemsSelector : "[function]");
+      break;
+    case Request.RequestType.FUNCTION:
+      return "function " + (this.settings.func.name != "" ? this.settings.func.name : "[anonymous]");
+      break;
+    default:
+      var executor = RequestTypes.get(this.type);
+      if (executor != null && typeof executor.getUrl === 'function') {
+        return executor.getUrl(this.settings);
+      }
+      return this.type;
   }
 }
 
@@ -364,13 +786,75 @@ Request.prototype.setOptions = function (config) {
  * @function
  * @param {String} functionArn - A valid Lambda function ARN
  * @param {String} qualifier - A Lambda function version or alias
+ * @param {Object} options - Optional invoke options, see setInvokeOptions
  * @return {Request} The updated request object
  */
-Request.prototype.setLambda = function (functionArn, qualifier) {
+Request.prototype.setLambda = function (functionArn, qualifier, options) {
   this._createLambdaRequest.call(this, functionArn, qualifier);
+  if (options !== undefined && options != null) {
+    this.setInvokeOptions(options);
+  }
   return this;
 };
 
+/**
+ * Sets the invoke options of a Lambda request. The invocationType is one of the 
+ * Request.LambdaInvocationType values, RequestResponse by default. The logType is one of the
+ * Request.LambdaLogType values, None by default. The clientContext is an object passed to the 
+ * function in the context.clientContext property.
+ * 
+ * @example
+ * Request.lambda("getUser", "getUser").setInvokeOptions({
+ *   logType: Request.LambdaLogType.TAIL,
+ *   clientContext: { custom: { tenant: "acme" } }
+ * });
+ * 
+ * @function
+ * @param {Object} options - The invocationType, logType, and clientContext options
+ * @return {Request} The updated request object
+ */
+Request.prototype.setInvokeOptions = function (options) {
+  if (this.type != Request.RequestType.LAMBDA) {
+    throw new Error("Invoke options can only be set on Lambda requests");
+  }
+  Request.parseInvokeOptions(options);
+  
+  if (options.invocationType !== undefined) this.settings.invocationType = options.invocationType;
+  if (options.logType !== undefined) this.settings.logType = options.logType;
+  if (options.clientContext !== undefined) this.settings.clientContext = options.clientContext;
+  return this;
+};
+
+/**
+ * Validates the invoke options of a Lambda request and throws an Error if they are not valid
+ * 
+ * @function
+ * @param {Object} options - The invocationType, logType, and clientContext options
+ */
+Request.parseInvokeOptions = function (options) {
+  if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error("Invoke options must be an object");
+  }
+  for (var key in options) {
+    if (["invocationType", "logType", "clientContext"].indexOf(key) == -1) {
+      throw new Error("Unknown invoke option " + key + ", expected invocationType, logType, or clientContext");
+    }
+  }
+  
+  var invocationTypes = Object.keys(Request.LambdaInvocationType).map(function (key) { return Request.LambdaInvocationType[key]; });
+  if (options.invocationType !== undefined && invocationTypes.indexOf(options.invocationType) == -1) {
+    throw new Error("Invalid invocation type " + options.invocationType + ", expected one of " + invocationTypes.join(", "));
+  }
+  var logTypes = Object.keys(Request.LambdaLogType).map(function (key) { return Request.LambdaLogType[key]; });
+  if (options.logType !== undefined && logTypes.indexOf(options.logType) == -1) {
+    throw new Error("Invalid log type " + options.logType + ", expected one of " + logTypes.join(", "));
+  }
+  if (options.clientContext !== undefined && options.clientContext !== null && 
+      (typeof options.clientContext !== 'object' || Array.isArray(options.clientContext))) {
+    throw new Error("The client context must be an object");
+  }
+};
+
 /**
  * Adds a callback function that will be executed just before the request is executed.
  * Use the function to return an input for the request. The function will receive the context
@@ -380,6 +864,10 @@ Request.prototype.setLambda = function (functionArn, qualifier) {
  * and the populated http.ClientRequest object. If it's a Lambda invoke the callback will
  * only receive the context.
  * 
+ * The input function can also return a Promise, or receive a node-style callback as its last 
+ * parameter when the callback option is set. A rejected Promise, an error passed to the callback, 
+ * or an exception marks the request as failed. Resolving to false cancels the request.
+ * 
  * @example
  * Request.post("createUser2", "http://myapi.com/createUser2")
  *   .onInput(function(context, requestObject) {
@@ -387,11 +875,361 @@ Request.prototype.setLambda = function (functionArn, qualifier) {
  *      var tmpResp = context.responseData("test", "createUser1");
  *      return JSON.parse(tmpResp.body);
  *   });
+ * 
+ * Request.post("createUser3", "http://myapi.com/createUser3")
+ *   .onInput(function(context, requestObject, callback) {
+ *      fs.readFile("user.json", "utf8", callback);
+ *   }, { callback: true });
+ * 
+ * @function
+ * @param {function} inputFunc - The input function
+ * @param {Object} options - callback: true to pass a node-style callback to the function instead of 
+ *  using its return value, false by default
+ * @return {Request} The updated request object
  */
-Request.prototype.onInput = function (inputFunc) {
+Request.prototype.onInput = function (inputFunc, options) {
   this.inputFunc = inputFunc;
+  this.inputCallback = (options !== undefined && options != null && options.callback === true);
+  this.inputMapping = null;
   return this; 
 };
 
+/**
+ * Sets the input of the request as a data mapping instead of a function. Strings starting with 
+ * "$." in the mapping are path expressions pointing to the responses of previous requests, 
+ * they are replaced with the value in the response data when the request starts. Unlike input 
+ * functions, mappings can be saved in a coil definition. Mappings support the same operators 
+ * as the output template of the coil, see Rcoil.output.
+ * 
+ * @example
+ * Request.post("createOrder", "http://myapi.com/orders")
+ *   .setInputMapping({
+ *     userId: "$.users.getUser.json.id",
+ *     firstItem: "$.cart.getCart.json.items[0]",
+ *     source: "rcoil"
+ *   });
+ * 
+ * @function
+ * @param {*} mapping - The data mapping for the input
+ * @return {Request} The updated request object
+ */
+Request.prototype.setInputMapping = function (mapping) {
+  var problems = DataPath.validate(mapping);
+  if (problems.length > 0) {
+    throw new Error("Invalid input mapping for request " + this.name + ": " + problems.join(", "));
+  }
+  
+  this.inputFunc = function (context) {
+    return DataPath.map(mapping, context);
+  };
+  this.inputCallback = false;
+  this.inputMapping = mapping;
+  return this;
+};
+
+/**
+ * Adds a callback function that will be executed when the request completes. Use the function 
+ * to parse and trim the response, the returned value is saved in the output property of the 
+ * response data in the ExecutionContext. The raw body is still available in the body property.
+ * 
+ * If the callback throws an exception the request is marked as failed.
+ * 
+ * @example
+ * Request.get("getUser", "http://myapi.com/users/1")
+ *   .onOutput(function(response, context) {
+ *      return JSON.parse(response.body).address;
+ *   });
+ * 
+ * // later in the coil
+ * var address = context.responseData("test", "getUser").output;
+ * 
+ * @function
+ * @param {outputCallback} outputFunc - The function that transforms the response
+ * @return {Request} The updated request object
+ */
+Request.prototype.onOutput = function (outputFunc) {
+  this.outputFunc = outputFunc;
+  return this; 
+};
+
+/**
+ * Sets the timeout for the request. The timeout can be a number of milliseconds, used as the total 
+ * time the request is allowed to run for, or an object specifying a connect and total timeout. For
+ * Lambda requests the connect timeout is passed to the AWS SDK http options.
+ * 
+ * Timeouts set on the request override the default timeout in the ExecutionDirector options. When a 
+ * request times out it is aborted and its response data in the ExecutionContext has the timedOut
+ * flag set to true.
+ * 
+ * @example
+ * Request.get("listUsers", "http://myapi.com/users").setTimeout({ connect: 500, total: 3000 });
+ * 
+ * @function
+ * @param {int|Object} timeout - A number of milliseconds or a timeout configuration object
+ * @return {Request} The updated request object
+ */
+Request.prototype.setTimeout = function (timeout) {
+  this.timeout = Request.parseTimeout(timeout);
+  return this;
+};
+
+/**
+ * Sets the retry policy for the request. The RequestPlayer retries the request with exponential
+ * backoff when an attempt returns one of the retryable status codes, fails with one of the retryable
+ * error codes, or a Lambda function returns one of the retryable FunctionError values ("Handled" or 
+ * "Unhandled"). 
+ * 
+ * The total timeout of the request includes all attempts and the time spent waiting between them.
+ * 
+ * @example
+ * Request.get("listUsers", "http://myapi.com/users").setRetryPolicy({
+ *   maxAttempts: 5,
+ *   backoffBase: 200, // ms, doubled at each attempt
+ *   backoffCap: 3000, // ms
+ *   jitter: "full",
+ *   statusCodes: [429, 502, 503],
+ *   errorCodes: ["ECONNRESET"],
+ *   functionErrors: ["Unhandled"]
+ * });
+ * 
+ * @function
+ * @param {Object} policy - The retry policy, missing values are read from Request.DefaultRetryPolicy
+ * @return {Request} The updated request object
+ */
+Request.prototype.setRetryPolicy = function (policy) {
+  this.retryPolicy = Request.parseRetryPolicy(policy);
+  return this;
+};
+
+/**
+ * Enables pagination for an HTTP request. The RequestPlayer keeps fetching pages until the 
+ * backend reports that there are no more pages or the maxPages limit is reached. 
+ * 
+ * The link strategy follows the rel="next" url of the Link header. The cursor strategy reads 
+ * the next cursor from the JSON body at cursorPath and sends it in the param query parameter. 
+ * The page strategy increments the page number in the param query parameter, starting from 
+ * start, until a page returns no items, or fewer items than pageSize.
+ * 
+ * The items of each page are read from the JSON body at itemsPath, or the body itself if it's
+ * a list, and concatenated in the results of the response data.
+ * 
+ * @example
+ * Request.get("listUsers", "http://myapi.com/users").setPagination({
+ *   strategy: "cursor",
+ *   cursorPath: "meta.nextToken",
+ *   param: "nextToken",
+ *   itemsPath: "users",
+ *   maxPages: 20
+ * });
+ * 
+ * @function
+ * @param {Object} pagination - The pagination configuration, missing values are read from Request.DefaultPagination
+ * @return {Request} The updated request object
+ */
+Request.prototype.setPagination = function (pagination) {
+  if (this.type != Request.RequestType.HTTP) {
+    throw new Error("Pagination is only supported by HTTP requests");
+  }
+  
+  this.pagination = Request.parsePagination(pagination);
+  return this;
+};
+
+/**
+ * Declares the request that undoes this one. If the execution fails the ExecutionDirector runs
+ * the compensations of the requests that completed, in reverse completion order. Compensations 
+ * receive the ExecutionContext in their input function and can read the response of the request
+ * they undo.
+ * 
+ * @example
+ * Request.post("createOrder", "http://orders.com/orders")
+ *   .compensateWith(Request.post("cancelOrder", "http://orders.com/orders/cancel").setInputMapping({
+ *     id: "$.orders.createOrder.json.id"
+ *   }));
+ * 
+ * @function
+ * @param {Request} compensation - The request that undoes this request
+ * @return {Request} The updated request object
+ */
+Request.prototype.compensateWith = function (compensation) {
+  if (!(compensation instanceof Request)) {
+    throw new Error("The compensation of request " + this.name + " must be a Request object");
+  }
+  
+  this.compensation = compensation;
+  return this;
+};
+
+/**
+ * Declares a dependency on another request in the coil. The ExecutionDirector starts the request 
+ * as soon as all of its dependencies completed instead of waiting for the parent group to end. 
+ * Requests without dependencies inherit the dependencies of their group, or wait for the parent 
+ * group as before.
+ * 
+ * @example
+ * Request.get("getOrders", "http://myapi.com/orders")
+ *   .dependsOn("users", "getUser")
+ *   .onInput(function(context) {
+ *     return { user: context.responseData("users", "getUser").body };
+ *   });
+ * 
+ * @function
+ * @param {String} groupId - The id of the request group containing the dependency
+ * @param {String} requestName - The name of the request within the group
+ * @return {Request} The updated request object
+ */
+Request.prototype.dependsOn = function (groupId, requestName) {
+  if (groupId == null || requestName == null) {
+    throw new Error("Dependencies require a group id and a request name");
+  }
+  
+  this.dependencies.push({
+    groupId: groupId,
+    requestName: requestName
+  });
+  return this;
+};
+
+/**
+ * Creates a request from its definition. The definition is expected to be valid, definitions 
+ * are validated by Rcoil.fromDefinition.
+ * 
+ * @example
+ * Request.fromDefinition({
+ *   name: "getUser",
+ *   type: "http",
+ *   method: "GET",
+ *   url: "http://myapi.com/users/1",
+ *   options: { headers: { "x-api-key": "key" } },
+ *   timeout: { total: 3000 }
+ * });
+ * 
+ * @function
+ * @param {Object} definition - The request definition
+ * @return {Request} An initialized request object
+ */
+Request.fromDefinition = function (definition) {
+  var request = new Request(definition.name);
+  
+  switch (definition.type) {
+    case Request.RequestType.HTTP:
+      request.setHttpRequest(definition.method, definition.url);
+      if (definition.options !== undefined) {
+        var options = copyData(definition.options);
+        for (var key in options) {
+          request.settings[key] = options[key];
+        }
+      }
+      break;
+    case Request.RequestType.LAMBDA:
+      request.setLambda(definition.function, definition.qualifier);
+      var invokeOptions = {};
+      ["invocationType", "logType", "clientContext"].forEach(function (key) {
+        if (definition[key] !== undefined) invokeOptions[key] = copyData(definition[key]);
+      });
+      request.setInvokeOptions(invokeOptions);
+      break;
+    default:
+      if (RequestTypes.get(definition.type) == null) {
+        throw new Error("Invalid request type: " + definition.type);
+      }
+      request.setCustom(definition.type, (definition.settings !== undefined ? copyData(definition.settings) : {}));
+  }
+  
+  if (definition.timeout !== undefined) request.setTimeout(definition.timeout);
+  if (definition.retryPolicy !== undefined) request.setRetryPolicy(definition.retryPolicy);
+  if (definition.pagination !== undefined) request.setPagination(copyData(definition.pagination));
+  if (definition.dependsOn !== undefined) {
+    for (var i = 0; i < definition.dependsOn.length; i++) {
+      request.dependsOn(definition.dependsOn[i].groupId, definition.dependsOn[i].requestName);
+    }
+  }
+  if (definition.input !== undefined) request.setInputMapping(copyData(definition.input));
+  if (definition.compensation !== undefined) request.compensateWith(Request.fromDefinition(definition.compensation));
+  
+  return request;
+};
+
+/**
+ * Returns the definition of the request, a plain object that can be serialized as JSON or YAML.
+ * Requests that use input or output functions cannot be saved in a definition, use the 
+ * setInputMapping method to declare inputs as data.
+ * 
+ * @function
+ * @return {Object} The request definition
+ */
+Request.prototype.toDefinition = function () {
+  if (this.inputFunc != null && this.inputMapping == null) {
+    throw new Error("Request " + this.name + " uses an onInput function and cannot be saved in a definition, use setInputMapping instead");
+  }
+  if (this.outputFunc != null) {
+    throw new Error("Request " + this.name + " uses an onOutput function and cannot be saved in a definition");
+  }
+  if (this.type == Request.RequestType.MAP) {
+    throw new Error("Request " + this.name + " is a map request and cannot be saved in a definition");
+  }
+  if (this.type == Request.RequestType.FUNCTION) {
+    throw new Error("Request " + this.name + " is a function request and cannot be saved in a definition");
+  }
+  
+  var definition = {
+    name: this.name,
+    type: this.type
+  };
+  
+  switch (this.type) {
+    case Request.RequestType.HTTP:
+      definition.method = this.settings.method;
+      definition.url = this.settings.protocol + "//" + this.settings.host + 
+        (this.settings.port != null && this.settings.port !== "" ? ":" + this.settings.port : "") + this.settings.path;
+      
+      var options = {};
+      var hasOptions = false;
+      for (var key in this.settings) {
+        if (["host", "path", "port", "protocol", "method"].indexOf(key) == -1 && this.settings[key] !== undefined) {
+          options[key] = this.settings[key];
+          hasOptions = true;
+        }
+      }
+      if (hasOptions) definition.options = copyData(options);
+      break;
+    case Request.RequestType.LAMBDA:
+      definition.function = this.settings.function;
+      definition.qualifier = this.settings.qualifier;
+      if (this.settings.invocationType != Request.LambdaInvocationType.REQUEST_RESPONSE) {
+        definition.invocationType = this.settings.invocationType;
+      }
+      if (this.settings.logType != Request.LambdaLogType.NONE) definition.logType = this.settings.logType;
+      if (this.settings.clientContext != null) definition.clientContext = copyData(this.settings.clientContext);
+      break;
+    default:
+      definition.settings = copyData(this.settings);
+  }
+  
+  if (this.timeout.connect != null || this.timeout.total != null) {
+    definition.timeout = {};
+    if (this.timeout.connect != null) definition.timeout.connect = this.timeout.connect;
+    if (this.timeout.total != null) definition.timeout.total = this.timeout.total;
+  }
+  if (this.retryPolicy != null) definition.retryPolicy = copyData(this.retryPolicy);
+  if (this.pagination != null) definition.pagination = copyData(this.pagination);
+  if (this.dependencies.length > 0) definition.dependsOn = copyData(this.dependencies);
+  if (this.inputMapping != null) definition.input = copyData(this.inputMapping);
+  if (this.compensation != null) definition.compensation = this.compensation.toDefinition();
+  
+  return definition;
+};
+
+/**
+ * Deep copies the data in a definition so that changes to the request do not modify it
+ * 
+ * @function
+ * @private
+ * @param {*} data - JSON compatible data
+ * @return {*} A copy of the data
+ */
+function copyData(data) {
+  return JSON.parse(JSON.stringify(data));
+}
 
 module.exports = Request;
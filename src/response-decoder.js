@@ -0,0 +1,211 @@
+/*
+ * Copyright 2016 Stefano Buliani (@sapessi)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *  http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// core modules
+var zlib = require('zlib');
+var util = require('util');
+
+/**
+ * The list of encodings the decoder can decompress, used for the Accept-Encoding header of
+ * HTTP requests. Brotli is only available in newer versions of node.js.
+ *
+ * @property {String}
+ */
+var acceptEncoding = "gzip, deflate" + (zlib.brotliDecompress !== undefined ? ", br" : "");
+
+/**
+ * Decompresses a buffer according to the Content-Encoding header of the response. Empty bodies,
+ * such as the ones of HEAD, 204, and 304 responses, are returned as they are.
+ *
+ * @function
+ * @private
+ * @param {String} contentEncoding - The value of the Content-Encoding header
+ * @param {Buffer} buffer - The raw response body
+ * @param {function} callback - Receives an error and the decompressed buffer
+ */
+function decompress(contentEncoding, buffer, callback) {
+  if (buffer.length == 0) {
+    callback(null, buffer);
+    return;
+  }
+
+  switch ((contentEncoding || "identity").trim().toLowerCase()) {
+    case "gzip":
+    case "x-gzip":
+      zlib.gunzip(buffer, callback);
+      break;
+    case "deflate":
+      // some servers send raw deflate streams without the zlib headers
+      zlib.inflate(buffer, function (err, output) {
+        if (err) {
+          zlib.inflateRaw(buffer, callback);
+          return;
+        }
+        callback(null, output);
+      });
+      break;
+    case "br":
+      if (zlib.brotliDecompress === undefined) {
+        callback(new Error("Brotli encoding is not supported by this version of node.js"));
+        return;
+      }
+      zlib.brotliDecompress(buffer, callback);
+      break;
+    case "identity":
+    case "":
+      callback(null, buffer);
+      break;
+    default:
+      callback(new Error("Unsupported Content-Encoding: " + contentEncoding));
+  }
+}
+
+/**
+ * Reads the media type and charset from a Content-Type header.
+ *
+ * @function
+ * @private
+ * @param {String} contentType - The value of the Content-Type header
+ * @return {Object} An object with the mediaType and charset properties, charset is null if not set
+ */
+function parseContentType(contentType) {
+  var parts = (contentType || "").split(";");
+  var output = {
+    mediaType: parts[0].trim().toLowerCase(),
+    charset: null
+  };
+
+  for (var i = 1; i < parts.length; i++) {
+    var param = parts[i].split("=");
+    if (param.length == 2 && param[0].trim().toLowerCase() == "charset") {
+      output.charset = param[1].trim().replace(/"/g, "").toLowerCase();
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Checks whether a media type contains text that should be decoded into a string. Responses
+ * without a Content-Type are treated as text.
+ *
+ * @function
+ * @private
+ * @param {String} mediaType - The media type from the Content-Type header
+ * @return {bool} true if the body is text
+ */
+function isText(mediaType) {
+  return mediaType == "" ||
+    mediaType.indexOf("text/") == 0 ||
+    /[\/+](json|xml|javascript|x-www-form-urlencoded)$/.test(mediaType);
+}
+
+/**
+ * Checks whether a media type is JSON, including the +json suffix types such as
+ * application/hal+json.
+ *
+ * @function
+ * @private
+ * @param {String} mediaType - The media type from the Content-Type header
+ * @return {bool} true if the body is JSON
+ */
+function isJson(mediaType) {
+  return /[\/+]json$/.test(mediaType);
+}
+
+/**
+ * Converts a buffer to a string using the given charset. Charsets that are not supported by
+ * Buffer are decoded with TextDecoder when available, and fall back to utf8.
+ *
+ * @function
+ * @private
+ * @param {Buffer} buffer - The decompressed body
+ * @param {String} charset - The charset from the Content-Type header
+ * @return {String} The decoded body
+ */
+function decodeText(buffer, charset) {
+  var encoding = (charset == null ? "utf8" : charset.replace(/^iso-8859-1$/, "latin1"));
+  if (Buffer.isEncoding(encoding)) {
+    return buffer.toString(encoding);
+  }
+
+  var TextDecoder = util.TextDecoder;
+  if (TextDecoder !== undefined) {
+    try {
+      return new TextDecoder(encoding).decode(buffer);
+    } catch (err) {
+      // unknown charset, use the default below
+    }
+  }
+
+  return buffer.toString("utf8");
+}
+
+/**
+ * Decodes the raw body of an HTTP response. The body is decompressed according to the
+ * Content-Encoding header and, for text content types, decoded into a string using the charset
+ * of the Content-Type header. JSON bodies are also parsed, parse errors are returned in the
+ * jsonError property instead of being thrown.
+ *
+ * @example
+ * decoder.decode(response.headers, Buffer.concat(chunks), function(err, decoded) {
+ *   // decoded = {
+ *   //   raw: <Buffer ...>,
+ *   //   body: "{\"id\":1}",
+ *   //   json: { id: 1 }
+ *   // }
+ * });
+ *
+ * @function
+ * @param {Object} headers - The response headers
+ * @param {Buffer} buffer - The raw response body as received
+ * @param {function} callback - Receives an error if the body could not be decompressed, and the decoded body
+ */
+function decode(headers, buffer, callback) {
+  decompress(headers["content-encoding"], buffer, function (err, decompressed) {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    var contentType = parseContentType(headers["content-type"]);
+    var output = {
+      raw: buffer,
+      body: decompressed
+    };
+
+    if (isText(contentType.mediaType)) {
+      output.body = decodeText(decompressed, contentType.charset);
+    }
+
+    if (isJson(contentType.mediaType) && output.body.length > 0) {
+      try {
+        output.json = JSON.parse(output.body);
+      } catch (parseErr) {
+        output.jsonError = {
+          message: parseErr.message
+        };
+      }
+    }
+
+    callback(null, output);
+  });
+}
+
+module.exports = {
+  acceptEncoding: acceptEncoding,
+  decode: decode
+};
@@ -0,0 +1,145 @@
+var expect = require("chai").expect;
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+
+var Rcoil = require("../src/rcoil");
+var ExecutionDirector = require("../src/execution-director");
+var R = require("../src/request");
+var DevNullLogger = require("../src/devnull-logger");
+var Cassette = require("../src/cassette");
+var server = require("./server");
+
+server();
+
+var cassetteFile = path.join(os.tmpdir(), "rcoil-cassette-" + process.pid, "users.json");
+
+// the coil contains a failing function, so the execution is not run with the promise API
+function play(coil, cassette) {
+  var director = new ExecutionDirector(coil, {
+    logger: new DevNullLogger(),
+    cassette: cassette,
+    awsConfig: {
+      endpoint: "http://localhost:3000",
+      region: "us-east-1",
+      accessKeyId: "test",
+      secretAccessKey: "test",
+      maxRetries: 0
+    }
+  });
+  return new Promise(function(resolve) {
+    director.start(resolve);
+  });
+}
+
+function usersCoil(newUserId) {
+  var coil = new Rcoil();
+  coil.startGroup("users")
+    .addRequest(R.get("listUsers", "http://localhost:3000/users"))
+    .addRequest(R.post("createUser", "http://localhost:3000/users").onInput(function(context, request) {
+      request.setHeader("Content-Type", "application/json");
+      request.setHeader("Authorization", "Bearer secret");
+      request.setHeader("X-Api-Key", "secret");
+      return { id: newUserId };
+    }))
+    .addRequest(R.get("compressed", "http://localhost:3000/gzip"))
+    .addRequest(R.lambda("echo", "echo").onInput(function(context) {
+      return { id: newUserId };
+    }))
+    .addRequest(R.lambda("validate", "fail").onInput(function(context) {
+      return { id: newUserId };
+    }));
+  return coil;
+}
+
+describe("Cassettes", function() {
+  before(function() {
+    return play(usersCoil(5), new Cassette(cassetteFile, { mode: Cassette.Mode.RECORD }));
+  });
+  after(function() {
+    fs.unlinkSync(cassetteFile);
+    fs.rmdirSync(path.dirname(cassetteFile));
+  });
+
+  it("records the requests and responses of an execution", function() {
+    var cassette = JSON.parse(fs.readFileSync(cassetteFile, "utf8"));
+    expect(cassette.interactions.length).to.equal(5);
+
+    var byName = {};
+    cassette.interactions.forEach(function(interaction) {
+      byName[interaction.name] = interaction;
+    });
+    expect(byName.createUser.request.method).to.equal("POST");
+    expect(byName.createUser.request.url).to.equal("http://localhost:3000/users");
+    expect(byName.createUser.request.body).to.equal("{\"id\":5}");
+    expect(byName.createUser.response.statusCode).to.equal(200);
+    expect(JSON.parse(byName.createUser.response.body)).to.deep.equal({ id: 5 });
+    expect(byName.createUser.request.headers["content-type"]).to.equal("application/json");
+    expect(byName.createUser.request.headers["authorization"]).to.equal("[REDACTED]");
+    expect(byName.createUser.request.headers["x-api-key"]).to.equal("[REDACTED]");
+    expect(byName.createUser.response.headers["set-cookie"]).to.equal("[REDACTED]");
+    expect(fs.readFileSync(cassetteFile, "utf8")).to.not.contain("secret");
+    expect(byName.compressed.response.encoding).to.equal("base64");
+    expect(byName.echo.request.function).to.equal("echo");
+    expect(byName.validate.response.functionError).to.equal("Handled");
+  });
+  it("replays the recorded responses", function() {
+    var cassette = JSON.parse(fs.readFileSync(cassetteFile, "utf8"));
+    cassette.interactions.forEach(function(interaction) {
+      if (interaction.name == "listUsers") interaction.response.body = "[{\"username\":\"replayed\"}]";
+    });
+    fs.writeFileSync(cassetteFile, JSON.stringify(cassette));
+
+    return play(usersCoil(5), new Cassette(cassetteFile, { strict: true })).then(function(ctx) {
+      expect(ctx.responseData("users", "listUsers").json).to.deep.equal([{ username: "replayed" }]);
+      expect(ctx.responseData("users", "createUser").json).to.deep.equal({ id: 5 });
+      expect(ctx.responseData("users", "compressed").json).to.deep.equal({ compressed: true, text: "caffè" });
+      expect(ctx.responseData("users", "echo").json.event).to.deep.equal({ id: 5 });
+
+      var failed = ctx.responseData("users", "validate");
+      expect(failed.error.code).to.equal("Handled");
+      expect(failed.error.message).to.equal("Invalid user 5");
+    });
+  });
+  it("fails unmatched requests in strict mode and sends them to the network otherwise", function() {
+    return play(usersCoil(6), new Cassette(cassetteFile, { strict: true })).then(function(ctx) {
+      expect(ctx.responseData("users", "listUsers").statusCode).to.equal(200);
+      expect(ctx.responseData("users", "createUser").error.code).to.equal("ENOMOCK");
+      expect(ctx.responseData("users", "echo").error.code).to.equal("ENOMOCK");
+
+      return play(usersCoil(6), new Cassette(cassetteFile));
+    }).then(function(ctx) {
+      expect(ctx.responseData("users", "createUser").json).to.deep.equal({ id: 6 });
+      expect(ctx.responseData("users", "echo").json.event).to.deep.equal({ id: 6 });
+      expect(ctx.responseData("users", "validate").error.message).to.equal("Invalid user 6");
+    });
+  });
+  it("matches requests on the configured properties", function() {
+    var cassette = new Cassette(cassetteFile, { match: ["name"], strict: true });
+    return play(usersCoil(7), cassette).then(function(ctx) {
+      expect(ctx.responseData("users", "createUser").json).to.deep.equal({ id: 5 });
+      expect(ctx.responseData("users", "echo").json.event).to.deep.equal({ id: 5 });
+    });
+  });
+  it("redacts the configured headers", function() {
+    var redactedFile = path.join(path.dirname(cassetteFile), "redacted.json");
+    var cassette = new Cassette(redactedFile, { mode: Cassette.Mode.RECORD, redactHeaders: ["Content-Type"] });
+    return play(usersCoil(8), cassette).then(function() {
+      var recorded = JSON.parse(fs.readFileSync(redactedFile, "utf8"));
+      fs.unlinkSync(redactedFile);
+      
+      var createUser = recorded.interactions.filter(function(interaction) {
+        return interaction.name == "createUser";
+      })[0];
+      expect(createUser.request.headers["content-type"]).to.equal("[REDACTED]");
+      expect(createUser.request.headers["authorization"]).to.equal("Bearer secret");
+    });
+  });
+  it("validates its options", function() {
+    expect(function() { new Cassette() }).to.throw(/path of its file/);
+    expect(function() { new Cassette(cassetteFile, { mode: "rewind" }) }).to.throw(/Invalid cassette mode/);
+    expect(function() { new Cassette(cassetteFile, { match: ["headers"] }) }).to.throw(/Cannot match cassette requests on headers/);
+    expect(function() { new Cassette(cassetteFile + ".missing") }).to.throw(/Could not load cassette/);
+    expect(function() { new Cassette(cassetteFile, { redactHeaders: "authorization" }) }).to.throw(/redactHeaders must be an array/);
+  });
+});
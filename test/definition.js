@@ -0,0 +1,275 @@
+var expect = require("chai").expect;
+
+var Rcoil = require("../src/rcoil");
+var R = require("../src/request");
+var ExecutionContext = require("../src/execution-context");
+var DataPath = require("../src/data-path");
+var Errors = require("../src/errors");
+var Players = require("../src/players");
+
+function sampleDefinition() {
+  return {
+    version: 1,
+    groups: [{
+      id: "users",
+      requests: [{
+        name: "getUser",
+        type: "http",
+        method: "GET",
+        url: "http://api.com:8080/users/1",
+        options: { headers: { "x-api-key": "key" } },
+        timeout: { connect: 100, total: 3000 }
+      }],
+      children: [{
+        id: "orders",
+        dependsOn: [{ groupId: "users", requestName: "getUser" }],
+        requests: [{
+          name: "createOrder",
+          type: "http",
+          method: "POST",
+          url: "http://api.com/orders",
+          retryPolicy: { maxAttempts: 2 },
+          input: { userId: "$.users.getUser.json.id", tags: ["$.users.getUser.json.tags[0]", "static"] }
+        }, {
+          name: "notify",
+          type: "lambda",
+          function: "arn:aws:lambda:us-east-1:123456789012:function:notify",
+          qualifier: "prod",
+          dependsOn: [{ groupId: "orders", requestName: "createOrder" }]
+        }],
+        children: []
+      }]
+    }]
+  };
+}
+
+describe("Coil definitions", function() {
+  describe("Data paths", function() {
+    it("Parses path expressions", function() {
+      expect(DataPath.parse("$.users.listUsers.json.items[0].name")).to.deep.equal(["users", "listUsers", "json", "items", 0, "name"]);
+      expect(DataPath.parse("$.users.getUser.headers[\"content-type\"]")).to.deep.equal(["users", "getUser", "headers", "content-type"]);
+    });
+    it("Rejects invalid paths", function() {
+      expect(function() { DataPath.parse("users.getUser") }).to.throw(Error);
+      expect(function() { DataPath.parse("$.users") }).to.throw(Error);
+      expect(function() { DataPath.parse("$.users..getUser") }).to.throw(Error);
+      expect(function() { DataPath.parse("$.users.getUser.items[first]") }).to.throw(Error);
+    });
+    it("Maps values from the responses", function() {
+      var context = new ExecutionContext();
+      context.setResponseData("users", "getUser", { json: { id: 7, tags: ["a", "b"] } });
+      
+      var output = DataPath.map({
+        userId: "$.users.getUser.json.id",
+        tags: ["$.users.getUser.json.tags[1]", "static"],
+        missing: "$.users.getUser.json.address.street",
+        escaped: "$$.users",
+        count: 3
+      }, context);
+      
+      expect(output).to.deep.equal({
+        userId: 7,
+        tags: ["b", "static"],
+        missing: undefined,
+        escaped: "$.users",
+        count: 3
+      });
+    });
+    it("Collects values with wildcards", function() {
+      var context = new ExecutionContext();
+      context.setResponseData("pets", "listPets", { json: { items: [
+        { name: "rex", tags: ["dog"] },
+        { name: "tom", tags: ["cat", "grey"] },
+        { tags: [] }
+      ] } });
+      
+      expect(DataPath.resolve(context, "$.pets.listPets.json.items[*].name")).to.deep.equal(["rex", "tom"]);
+      expect(DataPath.resolve(context, "$.pets.listPets.json.items[*].tags[*]")).to.deep.equal(["dog", "cat", "grey"]);
+      expect(DataPath.resolve(context, "$.pets.listPets.json[*]")).to.be.undefined;
+      expect(function() { DataPath.parse("$.pets[*].json") }).to.throw(Error);
+    });
+    it("Evaluates merge, concat, and default operators", function() {
+      var context = new ExecutionContext();
+      context.setResponseData("users", "getUser", { json: { id: 1, name: "a" } });
+      context.setResponseData("users", "getPrefs", { json: { name: "b", theme: "dark" } });
+      context.setResponseData("orders", "open", { json: [1, 2] });
+      context.setResponseData("orders", "closed", { json: [3], isCanceled: true });
+      
+      expect(DataPath.map({
+        profile: { $merge: ["$.users.getUser.json", "$.users.getPrefs.json", "$.users.missing.json"] },
+        orders: { $concat: ["$.orders.open.json", "$.orders.open.json[0]", "$.orders.none.json"] },
+        closed: { $path: "$.orders.closed.json", $default: [] },
+        fallback: { $path: "$.users.getUser.json.age", $default: "$.users.getUser.json.id" },
+        "$$path": "literal"
+      }, context)).to.deep.equal({
+        profile: { id: 1, name: "b", theme: "dark" },
+        orders: [1, 2, 1],
+        closed: [],
+        fallback: 1,
+        "$path": "literal"
+      });
+    });
+    it("Validates operators", function() {
+      expect(DataPath.validate({ a: { $path: "$.users.getUser", $default: 1 } })).to.deep.equal([]);
+      expect(DataPath.validate({ a: { $merge: "$.users.getUser.json" } })).to.deep.equal(["$merge requires a list of values"]);
+      expect(DataPath.validate({ a: { $path: "$.a.b", $concat: [] } })).to.deep.equal(["Operators require exactly one of $path, $merge, or $concat"]);
+      expect(DataPath.validate({ a: { $path: "$.a.b", $fallback: 1 } })[0]).to.contain("Unknown key $fallback");
+    });
+  });
+  describe("Round trip", function() {
+    it("Creates a coil from a definition", function() {
+      var coil = Rcoil.fromDefinition(sampleDefinition());
+      
+      expect(coil.requestGroupsCount()).to.equal(2);
+      expect(coil.calls[0].requests[0].settings.headers["x-api-key"]).to.equal("key");
+      expect(coil.calls[0].requests[0].timeout).to.deep.equal({ connect: 100, total: 3000 });
+      
+      var orders = coil.calls[0].children[0];
+      expect(orders.dependsOn).to.deep.equal([{ groupId: "users", requestName: "getUser" }]);
+      expect(orders.requests[0].retryPolicy.maxAttempts).to.equal(2);
+      expect(orders.requests[0].inputFunc).to.be.a("function");
+      expect(orders.requests[1].type).to.equal(R.RequestType.LAMBDA);
+      expect(orders.requests[1].settings.qualifier).to.equal("prod");
+    });
+    it("Returns the same definition", function() {
+      var definition = Rcoil.fromDefinition(sampleDefinition()).toDefinition();
+      var expected = sampleDefinition();
+      expected.groups[0].children[0].requests[0].retryPolicy = R.parseRetryPolicy({ maxAttempts: 2 });
+      
+      expect(definition).to.deep.equal(expected);
+      expect(Rcoil.fromDefinition(JSON.stringify(definition)).toDefinition()).to.deep.equal(definition);
+    });
+    it("Serializes coils built in code", function() {
+      var coil = new Rcoil();
+      coil.startGroup("first").addRequest(R.get("list", "http://api.com/list").setInputMapping({ a: "$.first.x.body" }));
+      
+      expect(coil.toDefinition()).to.deep.equal({
+        version: 1,
+        groups: [{
+          id: "first",
+          requests: [{ name: "list", type: "http", method: "GET", url: "http://api.com/list", input: { a: "$.first.x.body" } }],
+          children: []
+        }]
+      });
+    });
+    it("Saves the output template", function() {
+      var definition = sampleDefinition();
+      definition.output = { user: { $path: "$.users.getUser.json", $default: {} } };
+      
+      var coil = Rcoil.fromDefinition(definition);
+      expect(coil.outputTemplate).to.deep.equal(definition.output);
+      expect(coil.toDefinition().output).to.deep.equal(definition.output);
+      
+      definition.output = { user: { $merge: "$.users.getUser.json" } };
+      expect(function() { Rcoil.fromDefinition(definition) }).to.throw(Errors.DefinitionError, /output: \$merge requires a list/);
+    });
+    it("Saves fallback groups and compensations", function() {
+      var definition = sampleDefinition();
+      var orders = definition.groups[0].children[0];
+      orders.requests[0].compensation = {
+        name: "cancelOrder",
+        type: "http",
+        method: "POST",
+        url: "http://api.com/orders/cancel",
+        input: { id: "$.orders.createOrder.json.id" }
+      };
+      orders.onFailure = {
+        id: "ordersFallback",
+        requests: [{ name: "queueOrder", type: "http", method: "POST", url: "http://api.com/queue" }],
+        children: []
+      };
+      
+      var coil = Rcoil.fromDefinition(definition);
+      expect(coil.calls[0].children[0].fallback.id).to.equal("ordersFallback");
+      expect(coil.calls[0].children[0].requests[0].compensation.name).to.equal("cancelOrder");
+      expect(coil.toDefinition().groups[0].children[0].onFailure).to.deep.equal(orders.onFailure);
+      expect(coil.toDefinition().groups[0].children[0].requests[0].compensation).to.deep.equal(orders.requests[0].compensation);
+      
+      orders.onFailure.requests[0].method = "FETCH";
+      orders.requests[0].compensation.url = "not a url";
+      expect(function() { Rcoil.fromDefinition(definition) }).to.throw(Errors.DefinitionError, /compensation\.url[\s\S]*onFailure\.requests\[0\]\.method/);
+    });
+    it("Refuses to serialize input functions", function() {
+      var coil = new Rcoil();
+      coil.startGroup("first").addRequest(R.get("list", "http://api.com/list").onInput(function() { return {}; }));
+      
+      expect(function() { coil.toDefinition() }).to.throw(Error, /setInputMapping/);
+    });
+  });
+  describe("Validation", function() {
+    it("Lists all of the problems in the definition", function() {
+      var definition = sampleDefinition();
+      definition.groups[0].requests[0].method = "FETCH";
+      definition.groups[0].requests[0].urll = "http://api.com";
+      definition.groups[0].children[0].id = "users";
+      definition.groups[0].children[0].requests[1].dependsOn = [{ groupId: "orders", requestName: "createOrdr" }];
+      
+      try {
+        Rcoil.fromDefinition(definition);
+      } catch (err) {
+        expect(err).to.be.instanceof(Errors.DefinitionError);
+        expect(err.problems.map(function(p) { return p.path; })).to.deep.equal([
+          "groups[0].requests[0].urll",
+          "groups[0].requests[0].method",
+          "groups[0].children[0].id",
+          "groups[0].children[0].requests[1].dependsOn[0]"
+        ]);
+        expect(err.message).to.contain("groups[0].requests[0].method: Invalid HTTP method \"FETCH\"");
+        expect(err.message).to.contain("Unknown request orders/createOrdr");
+        return;
+      }
+      throw new Error("fromDefinition should throw a DefinitionError");
+    });
+    it("Validates timeouts, pagination, retry policies, and input paths", function() {
+      var definition = sampleDefinition();
+      definition.groups[0].requests[0].timeout = "fast";
+      definition.groups[0].requests[0].pagination = { strategy: "offset" };
+      definition.groups[0].children[0].requests[0].retryPolicy = { jitter: "some" };
+      definition.groups[0].children[0].requests[0].input = { id: "$.users" };
+      
+      expect(function() { Rcoil.fromDefinition(definition) }).to.throw(Errors.DefinitionError, /timeout[\s\S]*pagination[\s\S]*retryPolicy[\s\S]*input/);
+    });
+    it("Validates the invoke options of Lambda requests", function() {
+      var definition = sampleDefinition();
+      var notify = definition.groups[0].children[0].requests[1];
+      notify.invocationType = "Event";
+      notify.clientContext = { custom: { source: "rcoil" } };
+      expect(Rcoil.fromDefinition(definition).toDefinition().groups[0].children[0].requests[1]).to.deep.equal(notify);
+      
+      notify.invocationType = "Async";
+      notify.logType = "Full";
+      expect(function() { Rcoil.fromDefinition(definition) }).to.throw(Errors.DefinitionError, /invocationType: Invalid invocation type[\s\S]*logType: Invalid log type/);
+    });
+    it("Validates the settings of custom request types", function() {
+      var definition = sampleDefinition();
+      definition.groups[0].requests.push({ name: "getPlan", type: "store", settings: { key: 1 } });
+      expect(function() { Rcoil.fromDefinition(definition) }).to.throw(Errors.DefinitionError, /Invalid request type "store"/);
+      
+      Players.registerType("store", {
+        execute: function(request, input, context, callback) {
+          callback(null, {});
+        },
+        validate: function(settings) {
+          if (typeof settings.key !== 'string') throw new Error("Store requests require a key");
+        }
+      });
+      try {
+        expect(function() { Rcoil.fromDefinition(definition) }).to.throw(Errors.DefinitionError, /settings: Store requests require a key/);
+        definition.groups[0].requests[1].settings.key = "plan";
+        expect(Rcoil.fromDefinition(definition).toDefinition().groups[0].requests[1]).to.deep.equal(definition.groups[0].requests[1]);
+      } finally {
+        Players.unregisterType("store");
+      }
+    });
+    it("Rejects invalid JSON and missing groups", function() {
+      expect(function() { Rcoil.fromDefinition("{ groups: ") }).to.throw(Errors.DefinitionError, /Invalid JSON/);
+      expect(function() { Rcoil.fromDefinition({ version: 2 }) }).to.throw(Errors.DefinitionError, /Unsupported version[\s\S]*list of groups/);
+    });
+    it("Reports dependency cycles", function() {
+      var definition = sampleDefinition();
+      definition.groups[0].requests[0].dependsOn = [{ groupId: "orders", requestName: "notify" }];
+      
+      expect(function() { Rcoil.fromDefinition(definition) }).to.throw(Errors.DefinitionError, /Dependency cycle detected/);
+    });
+  });
+});
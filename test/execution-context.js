@@ -0,0 +1,173 @@
+var expect = require("chai").expect;
+
+var ExecutionContext = require("../src/execution-context");
+var ExecutionDirector = require("../src/execution-director");
+var Rcoil = require("../src/rcoil");
+var R = require("../src/request");
+var MockBackend = require("../src/mock-backend");
+
+function populatedContext() {
+  var context = new ExecutionContext();
+  context.setRequestData("group1", "createUser", { body: "{\"id\":\"user4\"}", method: "POST" });
+  context.setResponseData("group1", "getUser", {
+    statusCode: 200,
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ username: "user1", address: ["the rainy corner", "42 Galaxy way"] })
+  });
+  context.setResponseData("group1", "listPets", {
+    statusCode: 200,
+    body: "ignored",
+    json: { items: [{ name: "rex", age: 5, tags: ["dog"] }, { name: "tom", age: 2 }, { name: "kit", age: 4, vaccinated: true }] }
+  });
+  context.setResponseData("group1", "text", { statusCode: 200, body: "plain text" });
+  return context;
+}
+
+describe("Execution context", function() {
+  describe("Path queries", function() {
+    it("Reads values from JSON bodies", function() {
+      var context = populatedContext();
+      expect(context.get("res.group1.getUser.body.address[0]")).to.equal("the rainy corner");
+      expect(context.get("res.group1.getUser.statusCode")).to.equal(200);
+      expect(context.get("res.group1.getUser.headers[\"content-type\"]")).to.equal("application/json");
+      expect(context.get("req.group1.createUser.body.id")).to.equal("user4");
+      expect(context.get("res.group1.text.body")).to.equal("plain text");
+      expect(context.get("res.group1.getUser").statusCode).to.equal(200);
+    });
+    it("Uses the decoded json of the response", function() {
+      var context = populatedContext();
+      expect(context.get("res.group1.listPets.body.items[1].name")).to.equal("tom");
+    });
+    it("Supports wildcards and filters", function() {
+      var context = populatedContext();
+      expect(context.get("res.group1.listPets.body.items[*].name")).to.deep.equal(["rex", "tom", "kit"]);
+      expect(context.get("res.group1.listPets.body.items[?(@.age > 3)].name")).to.deep.equal(["rex", "kit"]);
+      expect(context.get("res.group1.listPets.body.items[?(@.name == 'tom')].age")).to.deep.equal([2]);
+      expect(context.get("res.group1.listPets.body.items[?(@.vaccinated)].name")).to.deep.equal(["kit"]);
+      expect(context.get("res.group1.listPets.body.items[?(@.tags[0] != \"dog\")].name")).to.deep.equal(["tom", "kit"]);
+      expect(context.get("res.group1.listPets.body.items[*].tags[*]")).to.deep.equal(["dog"]);
+    });
+    it("Returns undefined for missing values", function() {
+      var context = populatedContext();
+      expect(context.get("res.group1.getUser.body.address[5]")).to.be.undefined;
+      expect(context.get("res.group1.getUser.body.phone.number")).to.be.undefined;
+      expect(context.get("res.group1.missing.body.id")).to.be.undefined;
+      expect(context.get("res.group2.getUser")).to.be.undefined;
+      expect(context.get("res.group1.text.body.length.value")).to.be.undefined;
+    });
+    it("Throws on invalid paths", function() {
+      var context = populatedContext();
+      expect(function() { context.get("group1.getUser.body") }).to.throw(Error, /req or res/);
+      expect(function() { context.get("res.group1.getUser.body[first]") }).to.throw(Error);
+      expect(function() { context.get("res.group1.getUser.body[?(@.age ~ 3)]") }).to.throw(Error, /Filters/);
+    });
+    it("Parses bodies once", function() {
+      var context = populatedContext();
+      var first = context.get("res.group1.getUser.body");
+      expect(context.get("res.group1.getUser.body")).to.equal(first);
+      
+      context.setResponseData("group1", "getUser", { body: "{\"username\":\"user2\"}" });
+      expect(context.get("res.group1.getUser.body.username")).to.equal("user2");
+    });
+  });
+  describe("HAR export", function() {
+    function harContext(done) {
+      var mocks = new MockBackend();
+      mocks.when("listUsers").reply(200, [{ id: 1 }], { "X-Total": ["1", "2"] }).delay(10);
+      mocks.when("createUser").reply(201, { id: 4 });
+      mocks.when({ url: "*/items" }).reply(200, [1, 2], { Link: "<http://api.example.com/items?page=2>; rel=\"next\"" });
+      mocks.when({ url: "*/items?page=2" }).reply(200, [3]);
+      mocks.when("broken").fail("ECONNRESET", "socket hang up");
+      mocks.when("notify").reply({ sent: true });
+      mocks.when("validate").functionError("Handled", { errorMessage: "Invalid user" });
+
+      var coil = new Rcoil();
+      coil.startGroup("users")
+        .addRequest(R.get("listUsers", "http://api.example.com/users?sort=asc&tag=a&tag=b"))
+        .addRequest(R.post("createUser", "http://api.example.com/users").onInput(function(context) {
+          return { name: "user4" };
+        }))
+        .addRequest(R.get("items", "http://api.example.com/items").setPagination({ strategy: "link" }))
+        .addRequest(R.get("broken", "http://api.example.com/broken"))
+        .afterGroup("users")
+        .startGroup("lambda")
+        .addRequest(R.lambda("notify", "arn:aws:lambda:us-east-1:123456789012:function:notify", "prod").onInput(function(context) {
+          return { id: 4 };
+        }))
+        .addRequest(R.lambda("validate", "validate"));
+
+      new ExecutionDirector(coil, { mocks: mocks }).start(done);
+    }
+
+    it("Exports the HTTP requests of each group", function(done) {
+      harContext(function(context) {
+        var har = context.toHAR();
+        expect(har.log.version).to.equal("1.2");
+        expect(har.log.creator.name).to.equal("rcoil");
+        expect(har.log.pages.map(function(page) { return page.id; })).to.deep.equal(["users", "lambda"]);
+        expect(har.log.entries.length).to.equal(7);
+
+        var entries = {};
+        har.log.entries.forEach(function(entry) {
+          entries[entry._requestName + (entry.comment.indexOf("page 2") > -1 ? "2" : "")] = entry;
+        });
+        var listUsers = entries.listUsers;
+        expect(listUsers.pageref).to.equal("users");
+        expect(new Date(listUsers.startedDateTime).getTime()).to.be.at.most(Date.now());
+        expect(listUsers.time).to.be.at.least(10);
+        expect(listUsers.timings.wait).to.equal(listUsers.time);
+        expect(listUsers.request.method).to.equal("GET");
+        expect(listUsers.request.url).to.equal("http://api.example.com/users?sort=asc&tag=a&tag=b");
+        expect(listUsers.request.queryString).to.deep.equal([
+          { name: "sort", value: "asc" }, { name: "tag", value: "a" }, { name: "tag", value: "b" }
+        ]);
+        expect(listUsers.request.headers).to.deep.include({ name: "accept-encoding", value: "gzip, deflate, br" });
+        expect(listUsers.response.status).to.equal(200);
+        expect(listUsers.response.statusText).to.equal("OK");
+        expect(listUsers.response.headers).to.deep.include({ name: "x-total", value: "2" });
+        expect(listUsers.response.content).to.deep.equal({ size: 10, mimeType: "application/json", text: "[{\"id\":1}]" });
+
+        var createUser = entries.createUser;
+        expect(createUser.request.postData).to.deep.equal({ mimeType: "application/json", params: [], text: "{\"name\":\"user4\"}" });
+        expect(createUser.request.bodySize).to.equal(16);
+        expect(createUser.response.status).to.equal(201);
+
+        expect(entries.items.request.url).to.equal("http://api.example.com/items");
+        expect(entries.items2.request.url).to.equal("http://api.example.com/items?page=2");
+        expect(entries.items2.response.content.text).to.equal("[3]");
+
+        expect(entries.broken.response.status).to.equal(0);
+        expect(entries.broken._error.code).to.equal("ECONNRESET");
+        expect(entries.broken.comment).to.equal("Request broken of group users, failed: socket hang up");
+        done();
+      });
+    });
+    it("Exports Lambda invocations as pseudo-entries", function(done) {
+      harContext(function(context) {
+        var entries = context.toHAR().log.entries.filter(function(entry) {
+          return entry.pageref == "lambda";
+        });
+        expect(entries.length).to.equal(2);
+
+        var notify = entries.filter(function(entry) { return entry._requestName == "notify"; })[0];
+        expect(notify.request.method).to.equal("POST");
+        expect(notify.request.url).to.equal("lambda://functions/arn%3Aaws%3Alambda%3Aus-east-1%3A123456789012%3Afunction%3Anotify/invocations?Qualifier=prod");
+        expect(notify.request.headers).to.deep.include({ name: "X-Amz-Invocation-Type", value: "RequestResponse" });
+        expect(notify.request.postData.text).to.equal("{\"id\":4}");
+        expect(notify.response.status).to.equal(200);
+        expect(notify.response.headers).to.deep.include({ name: "X-Amz-Executed-Version", value: "prod" });
+        expect(notify.response.content.text).to.equal("{\"sent\":true}");
+
+        var validate = entries.filter(function(entry) { return entry._requestName == "validate"; })[0];
+        expect(validate.response.status).to.equal(200);
+        expect(validate.response.headers).to.deep.include({ name: "X-Amz-Function-Error", value: "Handled" });
+        expect(JSON.parse(validate.response.content.text)).to.deep.equal({ errorMessage: "Invalid user" });
+        expect(validate._error.message).to.equal("Invalid user");
+        done();
+      });
+    });
+    it("Skips request data without a request configuration", function() {
+      expect(populatedContext().toHAR().log.entries).to.deep.equal([]);
+    });
+  });
+});
@@ -0,0 +1,27 @@
+// Lambda handlers used by the offline Lambda tests
+
+exports.getUser = function(event, context, callback) {
+  callback(null, { id: event.id, name: "user" + event.id, tenant: (context.clientContext ? context.clientContext.custom.tenant : null) });
+};
+
+exports.succeed = function(event, context) {
+  context.succeed({ version: context.functionVersion, remaining: context.getRemainingTimeInMillis() });
+};
+
+exports.fail = function(event, context) {
+  context.fail(new Error("Invalid user " + event.id));
+};
+
+exports.promise = function(event, context) {
+  return new Promise(function(resolve) {
+    setTimeout(function() { resolve({ async: true }); }, 10);
+  });
+};
+
+exports.throws = function(event, context, callback) {
+  throw new TypeError("Cannot read property id");
+};
+
+exports.slow = function(event, context, callback) {
+  setTimeout(function() { callback(null, "late"); }, 200);
+};
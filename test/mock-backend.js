@@ -0,0 +1,171 @@
+var expect = require("chai").expect;
+
+var Rcoil = require("../src/rcoil");
+var ExecutionDirector = require("../src/execution-director");
+var R = require("../src/request");
+var DevNullLogger = require("../src/devnull-logger");
+var MockBackend = require("../src/mock-backend");
+
+function mockedDirector(coil, mocks) {
+  return new ExecutionDirector(coil, {
+    logger: new DevNullLogger(),
+    mocks: mocks
+  });
+}
+
+describe("Mock backend", function() {
+  describe("HTTP requests", function() {
+    it("replies with the canned response of the matching stub", function() {
+      var mocks = new MockBackend();
+      var listUsers = mocks.when({ method: "GET", url: "http://api.example.com/users" })
+        .reply(200, [{ id: 1 }, { id: 2 }], { "X-Total": "2" });
+      var getUser = mocks.when({ url: "http://api.example.com/users/*" }).reply(200, { id: 1, name: "user1" });
+
+      var coil = new Rcoil();
+      coil.startGroup("users").addRequest(R.get("listUsers", "http://api.example.com/users"))
+        .afterGroup("users")
+        .startGroup("details").addRequest(R.get("getUser", "http://api.example.com/users/1"));
+
+      return mockedDirector(coil, mocks).run().then(function(ctx) {
+        var response = ctx.responseData("users", "listUsers");
+        expect(response.statusCode).to.equal(200);
+        expect(response.statusMessage).to.equal("OK");
+        expect(response.headers["x-total"]).to.equal("2");
+        expect(response.json).to.deep.equal([{ id: 1 }, { id: 2 }]);
+        expect(ctx.responseData("details", "getUser").json.name).to.equal("user1");
+
+        listUsers.assertCalled(1);
+        getUser.assertCalled();
+        mocks.verify();
+      });
+    });
+    it("matches stubs by request name and records the calls", function() {
+      var mocks = new MockBackend();
+      var createUser = mocks.when("createUser").reply(201, "created");
+
+      var coil = new Rcoil();
+      coil.startGroup("users").addRequest(R.post("createUser", "http://api.example.com/users").onInput(function(context, request) {
+        request.setHeader("x-api-key", "secret");
+        return { name: "user4" };
+      }));
+
+      return mockedDirector(coil, mocks).run().then(function(ctx) {
+        expect(ctx.responseData("users", "createUser").statusCode).to.equal(201);
+        expect(ctx.responseData("users", "createUser").body).to.equal("created");
+
+        var call = createUser.calls[0];
+        expect(call.method).to.equal("POST");
+        expect(call.url).to.equal("http://api.example.com/users");
+        expect(call.headers["x-api-key"]).to.equal("secret");
+        expect(call.body).to.equal("{\"name\":\"user4\"}");
+        createUser.assertCalledWith({ name: "user4" });
+        expect(function() { createUser.assertCalledWith({ name: "user5" }) }).to.throw(/never received/);
+        expect(function() { createUser.assertCalled(2) }).to.throw(/called 1 times, expected 2/);
+      });
+    });
+    it("simulates latency, errors, and limited stubs", function(done) {
+      var mocks = new MockBackend();
+      mocks.when("flaky").reply(503, { error: "unavailable" }).times(1);
+      mocks.when("flaky").reply(200, { ok: true });
+      mocks.when("slow").reply(200, "late").delay(200);
+      mocks.when("broken").fail("ECONNRESET", "socket hang up");
+
+      var coil = new Rcoil();
+      coil.startGroup("calls")
+        .addRequest(R.get("flaky", "http://api.example.com/flaky").setRetryPolicy({ maxAttempts: 2, backoffBase: 1 }))
+        .addRequest(R.get("slow", "http://api.example.com/slow").setTimeout(30))
+        .addRequest(R.get("broken", "http://api.example.com/broken"));
+
+      mockedDirector(coil, mocks).start(function(ctx) {
+        expect(ctx.responseData("calls", "flaky").json).to.deep.equal({ ok: true });
+        expect(ctx.requestData("calls", "flaky").attempts.length).to.equal(2);
+        expect(ctx.responseData("calls", "slow").timedOut).to.be.true;
+        expect(ctx.responseData("calls", "broken").error).to.deep.equal({ message: "socket hang up", code: "ECONNRESET" });
+        done();
+      });
+    });
+    it("matches stubs by body", function() {
+      var mocks = new MockBackend();
+      var admin = mocks.when({ url: "*/users", body: { role: "admin" } }).reply(201, "admin");
+      mocks.when({ url: "*/users", body: "plain" }).reply(201, "plain");
+      mocks.when({ url: "*/users" }).reply(400);
+
+      var coil = new Rcoil();
+      coil.startGroup("users")
+        .addRequest(R.post("createAdmin", "http://api.example.com/users").onInput(function(context) {
+          return { role: "admin" };
+        }))
+        .addRequest(R.post("createPlain", "http://api.example.com/users").onInput(function(context) {
+          return "plain";
+        }))
+        .addRequest(R.post("createUser", "http://api.example.com/users").onInput(function(context) {
+          return { role: "user" };
+        }));
+
+      return mockedDirector(coil, mocks).run().then(function(ctx) {
+        expect(ctx.responseData("users", "createAdmin").body).to.equal("admin");
+        expect(ctx.responseData("users", "createPlain").body).to.equal("plain");
+        expect(ctx.responseData("users", "createUser").statusCode).to.equal(400);
+        admin.assertCalled(1);
+      });
+    });
+    it("fails the requests without a stub", function(done) {
+      var mocks = new MockBackend();
+      mocks.when("other").reply(200);
+
+      var coil = new Rcoil();
+      coil.startGroup("users").addRequest(R.get("listUsers", "http://localhost:1/users"));
+
+      mockedDirector(coil, mocks).start(function(ctx) {
+        expect(ctx.responseData("users", "listUsers").error.code).to.equal("ENOMOCK");
+        expect(mocks.unmatched.length).to.equal(1);
+        expect(function() { mocks.verify() }).to.throw(/Mock name=other was never called/);
+        done();
+      });
+    });
+  });
+  describe("Lambda requests", function() {
+    it("returns the canned payload and function errors", function(done) {
+      var mocks = new MockBackend();
+      var notify = mocks.when({ function: "arn:aws:lambda:*:function:notify" }).reply({ sent: true });
+      mocks.when({ function: /validate$/ }).functionError("Handled", { errorMessage: "Invalid user", errorType: "ValidationError" });
+      mocks.when({ function: "queue" });
+
+      var coil = new Rcoil();
+      coil.startGroup("lambda")
+        .addRequest(R.lambda("notify", "arn:aws:lambda:us-east-1:123456789012:function:notify", "prod").onInput(function(context) {
+          return { userId: 1 };
+        }))
+        .addRequest(R.lambda("validate", "validate"))
+        .addRequest(R.lambda("queue", "queue", null, { invocationType: R.LambdaInvocationType.EVENT }));
+
+      mockedDirector(coil, mocks).start(function(ctx) {
+        var response = ctx.responseData("lambda", "notify");
+        expect(response.statusCode).to.equal(200);
+        expect(response.executedVersion).to.equal("prod");
+        expect(response.json).to.deep.equal({ sent: true });
+        notify.assertCalledWith({ userId: 1 });
+        expect(notify.calls[0].qualifier).to.equal("prod");
+
+        var failed = ctx.responseData("lambda", "validate");
+        expect(failed.error.code).to.equal("Handled");
+        expect(failed.error.message).to.equal("Invalid user");
+
+        expect(ctx.responseData("lambda", "queue").statusCode).to.equal(202);
+        mocks.verify();
+        done();
+      });
+    });
+  });
+  describe("Stubs", function() {
+    it("validates the criteria", function() {
+      var mocks = new MockBackend();
+      expect(function() { mocks.when({ path: "/users" }) }).to.throw(/Unknown mock criteria path/);
+      expect(function() { mocks.when(null) }).to.throw(Error);
+
+      mocks.when("getUser");
+      mocks.reset();
+      expect(mocks.stubs).to.deep.equal([]);
+    });
+  });
+});
@@ -1,9 +1,13 @@
 var expect = require("chai").expect;
+var util = require('util');
 
 var Rcoil = require('../src/rcoil');
 var ExecutionDirector = require('../src/execution-director');
 var R = require('../src/request');
+var Players = require('../src/players');
+var ExecutionContext = require('../src/execution-context');
 var DevNullLogger = require('../src/devnull-logger');
+var Errors = require('../src/errors');
 var server = require("./server");
 
 server();
@@ -114,4 +118,1760 @@ describe("Test Rcoil against local express server", function () {
       })
     })
   });
-});
\ No newline at end of file
+  describe("Timeouts", function () {
+    it("times out a slow request", function(done) {
+      var coil = new Rcoil();
+      coil.startGroup("group1").addRequest(R.get("slow", "http://localhost:3000/slow").setTimeout(50));
+      var director = new ExecutionDirector(coil, {
+        logger: new DevNullLogger()
+      });
+      var timeoutEvents = 0;
+      director.on("requestTimeout", function(groupId, request, context) {
+        timeoutEvents++;
+      });
+      
+      director.start(function(ctx) {
+        var resp = ctx.responseData("group1", "slow");
+        expect(resp.timedOut).to.equal(true);
+        expect(resp.timeoutType).to.equal("total");
+        expect(timeoutEvents).to.equal(1);
+        done();
+      });
+    });
+    it("uses the default timeout from the director options", function(done) {
+      var coil = new Rcoil();
+      coil.startGroup("group1")
+        .addRequest(R.get("slow", "http://localhost:3000/slow"))
+        .addRequest(R.get("fast", "http://localhost:3000/users").setTimeout(1000));
+      var director = new ExecutionDirector(coil, {
+        logger: new DevNullLogger(),
+        timeout: 50
+      });
+      
+      director.start(function(ctx) {
+        expect(ctx.responseData("group1", "slow").timedOut).to.equal(true);
+        expect(ctx.responseData("group1", "fast").timedOut).to.be.undefined;
+        expect(JSON.parse(ctx.responseData("group1", "fast").body).length).to.equal(3);
+        done();
+      });
+    });
+    it("stops the coil at the deadline with partial results", function(done) {
+      var coil = new Rcoil();
+      coil.startGroup("group1").addRequest(R.get("fast", "http://localhost:3000/users"))
+        .startGroup("group2").addRequest(R.get("slow", "http://localhost:3000/slow"))
+        .startGroup("group3").addRequest(R.get("never", "http://localhost:3000/users"));
+      var director = new ExecutionDirector(coil, {
+        logger: new DevNullLogger(),
+        coilTimeout: 150
+      });
+      var coilTimeout = false;
+      director.on("timeout", function(context) {
+        coilTimeout = true;
+      });
+      
+      director.start(function(ctx) {
+        expect(coilTimeout).to.equal(true);
+        expect(ctx.responseData("group1", "fast").statusCode).to.equal(200);
+        expect(ctx.responseData("group2", "slow").timedOut).to.equal(true);
+        expect(ctx.responseData("group2", "slow").timeoutType).to.equal("coil");
+        expect(ctx.requestData("group3", "never")).to.be.null;
+        done();
+      });
+    });
+  });
+  describe("Retries", function () {
+    it("retries a request until it succeeds", function(done) {
+      var coil = new Rcoil();
+      coil.startGroup("group1").addRequest(
+        R.get("flaky", "http://localhost:3000/flaky/retry-success/2").setRetryPolicy({ backoffBase: 10, jitter: "none" }));
+      var director = new ExecutionDirector(coil, {
+        logger: new DevNullLogger()
+      });
+      var retries = [];
+      director.on("requestRetry", function(groupId, request, attempt, context) {
+        retries.push(attempt);
+      });
+      
+      director.start(function(ctx) {
+        expect(ctx.responseData("group1", "flaky").statusCode).to.equal(200);
+        expect(JSON.parse(ctx.responseData("group1", "flaky").body).calls).to.equal(3);
+        expect(retries.length).to.equal(2);
+        expect(retries[0].retryDelay).to.equal(10);
+        expect(retries[1].retryDelay).to.equal(20);
+        
+        var attempts = ctx.requestData("group1", "flaky").attempts;
+        expect(attempts.length).to.equal(3);
+        expect(attempts[0].statusCode).to.equal(503);
+        expect(attempts[2].attempt).to.equal(3);
+        expect(attempts[2].statusCode).to.equal(200);
+        done();
+      });
+    });
+    it("stops retrying after maxAttempts", function(done) {
+      var coil = new Rcoil();
+      coil.startGroup("group1").addRequest(
+        R.get("flaky", "http://localhost:3000/flaky/retry-fail/5").setRetryPolicy({ maxAttempts: 2, backoffBase: 10 }));
+      var director = new ExecutionDirector(coil, {
+        logger: new DevNullLogger()
+      });
+      
+      director.start(function(ctx) {
+        expect(ctx.responseData("group1", "flaky").statusCode).to.equal(503);
+        expect(ctx.requestData("group1", "flaky").attempts.length).to.equal(2);
+        done();
+      });
+    });
+    it("does not retry status codes outside of the policy", function(done) {
+      var coil = new Rcoil();
+      coil.startGroup("group1").addRequest(
+        R.get("flaky", "http://localhost:3000/flaky/retry-codes/1").setRetryPolicy({ statusCodes: [500] }));
+      var director = new ExecutionDirector(coil, {
+        logger: new DevNullLogger()
+      });
+      
+      director.start(function(ctx) {
+        expect(ctx.responseData("group1", "flaky").statusCode).to.equal(503);
+        expect(ctx.requestData("group1", "flaky").attempts.length).to.equal(1);
+        done();
+      });
+    });
+  });
+  describe("Failures", function () {
+    var refusedUrl = "http://localhost:1/users";
+    
+    function failingCoil(failurePolicy) {
+      var coil = new Rcoil();
+      coil.startGroup("group1")
+          .addRequest(R.get("fail", refusedUrl))
+          .addRequest(R.get("ok", "http://localhost:3000/users"))
+          .startGroup("child").addRequest(R.get("child", "http://localhost:3000/users"))
+        .fromTheBeginning()
+        .startGroup("sibling").addRequest(R.get("sibling", "http://localhost:3000/slow"));
+      return new ExecutionDirector(coil, {
+        logger: new DevNullLogger(),
+        failurePolicy: failurePolicy
+      });
+    }
+    
+    it("records network errors in the context", function(done) {
+      var director = failingCoil();
+      var errors = [];
+      var groupErrors = [];
+      director.on("requestError", function(groupId, request, error, context) {
+        errors.push(error);
+      });
+      director.on("groupError", function(group, context) {
+        groupErrors.push(group.id);
+      });
+      
+      director.start(function(ctx) {
+        var resp = ctx.responseData("group1", "fail");
+        expect(resp.isFailed).to.equal(true);
+        expect(resp.error.code).to.equal("ECONNREFUSED");
+        expect(errors.length).to.equal(1);
+        expect(groupErrors).to.deep.equal(["group1"]);
+        expect(ctx.getStatus()).to.equal(ExecutionContext.Status.FAILED);
+        expect(ctx.getErrors()[0].requestName).to.equal("fail");
+        // the default policy continues the execution
+        expect(ctx.responseData("child", "child").statusCode).to.equal(200);
+        done();
+      });
+    });
+    it("skips the children of a failed group", function(done) {
+      var director = failingCoil(ExecutionDirector.FailurePolicy.SKIP_CHILDREN);
+      
+      director.start(function(ctx) {
+        expect(ctx.requestData("child", "child")).to.be.null;
+        expect(ctx.responseData("sibling", "sibling").statusCode).to.equal(200);
+        expect(ctx.getStatus()).to.equal(ExecutionContext.Status.FAILED);
+        done();
+      });
+    });
+    it("stops the execution with the fail fast policy", function(done) {
+      var director = failingCoil(ExecutionDirector.FailurePolicy.FAIL_FAST);
+      
+      director.start(function(ctx) {
+        expect(ctx.requestData("child", "child")).to.be.null;
+        // the sibling request is aborted unless it completed before the failure
+        var ok = ctx.responseData("group1", "ok");
+        expect(ok.statusCode == 200 || ok.isAborted).to.equal(true);
+        expect(ctx.getStatus()).to.equal(ExecutionContext.Status.FAILED);
+        done();
+      });
+    });
+    it("aborts the requests in flight with the fail fast policy", function(done) {
+      var director = failingCoil(ExecutionDirector.FailurePolicy.FAIL_FAST);
+      var aborted = [];
+      director.on("requestAbort", function(groupId, request) {
+        aborted.push(request.name);
+      });
+      var startTime = Date.now();
+      
+      director.start(function(ctx) {
+        var sibling = ctx.responseData("sibling", "sibling");
+        expect(sibling.isAborted).to.equal(true);
+        expect(sibling.abortReason).to.equal("Request fail in group group1 failed");
+        expect(aborted).to.include("sibling");
+        expect(Date.now() - startTime).to.be.below(250);
+        expect(ctx.getStatus()).to.equal(ExecutionContext.Status.FAILED);
+        done();
+      });
+    });
+    it("records exceptions thrown by the input function", function(done) {
+      var coil = new Rcoil();
+      coil.startGroup("group1").addRequest(R.post("throw", "http://localhost:3000/users").onInput(function(ctx) {
+        throw new Error("input error");
+      }));
+      var director = new ExecutionDirector(coil, {
+        logger: new DevNullLogger()
+      });
+      
+      director.start(function(ctx) {
+        expect(ctx.responseData("group1", "throw").isFailed).to.equal(true);
+        expect(ctx.responseData("group1", "throw").error.message).to.equal("input error");
+        done();
+      });
+    });
+    it("completes successful executions", function(done) {
+      var director = singleCallCoil("first", "local");
+      director.start(function(ctx) {
+        expect(ctx.getStatus()).to.equal(ExecutionContext.Status.COMPLETED);
+        expect(ctx.getErrors().length).to.equal(0);
+        done();
+      });
+    });
+  });
+  describe("Output transformer", function () {
+    it("stores the transformed output next to the body", function(done) {
+      var coil = new Rcoil();
+      coil.startGroup("group1").addRequest(
+        R.get("users", "http://localhost:3000/users").onOutput(function(response, context) {
+          expect(response.statusCode).to.equal(200);
+          return JSON.parse(response.body).map(function(user) { return user.username; });
+        }))
+        .startGroup("group2").addRequest(
+          R.post("create", "http://localhost:3000/users").onInput(function(context, request) {
+            request.setHeader("Content-Type", "application/json");
+            return { id: context.responseData("group1", "users").output[1] };
+          }));
+      var director = new ExecutionDirector(coil, {
+        logger: new DevNullLogger()
+      });
+      
+      director.start(function(ctx) {
+        var users = ctx.responseData("group1", "users");
+        expect(users.output).to.deep.equal(["user1", "user2", "user3"]);
+        expect(JSON.parse(users.body).length).to.equal(3);
+        expect(JSON.parse(ctx.responseData("group2", "create").body).id).to.equal("user2");
+        done();
+      });
+    });
+    it("fails the request when the output function throws", function(done) {
+      var coil = new Rcoil();
+      coil.startGroup("group1").addRequest(
+        R.get("users", "http://localhost:3000/users").onOutput(function(response, context) {
+          throw new Error("output error");
+        }));
+      var director = new ExecutionDirector(coil, {
+        logger: new DevNullLogger()
+      });
+      
+      director.start(function(ctx) {
+        var users = ctx.responseData("group1", "users");
+        expect(users.isFailed).to.equal(true);
+        expect(users.error.message).to.equal("output error");
+        expect(users.statusCode).to.equal(200);
+        done();
+      });
+    });
+  });
+  describe("Response decoding", function () {
+    function decodeCoil(path) {
+      var coil = new Rcoil();
+      coil.startGroup("group1").addRequest(R.get("req", "http://localhost:3000" + path));
+      return new ExecutionDirector(coil, {
+        logger: new DevNullLogger()
+      });
+    }
+    
+    it("decompresses gzip responses and parses json", function(done) {
+      decodeCoil("/gzip").start(function(ctx) {
+        var resp = ctx.responseData("group1", "req");
+        expect(resp.json).to.deep.equal({ compressed: true, text: "caffè" });
+        expect(JSON.parse(resp.body).text).to.equal("caffè");
+        expect(Buffer.isBuffer(resp.raw)).to.equal(true);
+        done();
+      });
+    });
+    it("decodes multibyte characters split across chunks", function(done) {
+      decodeCoil("/split").start(function(ctx) {
+        expect(ctx.responseData("group1", "req").json.text).to.equal("€uro");
+        done();
+      });
+    });
+    it("reports json parse errors", function(done) {
+      decodeCoil("/badjson").start(function(ctx) {
+        var resp = ctx.responseData("group1", "req");
+        expect(resp.isFailed).to.be.undefined;
+        expect(resp.json).to.be.undefined;
+        expect(resp.jsonError.message).to.be.a("string");
+        expect(resp.body).to.equal("{ not json");
+        done();
+      });
+    });
+    it("keeps binary bodies as buffers", function(done) {
+      decodeCoil("/binary").start(function(ctx) {
+        var resp = ctx.responseData("group1", "req");
+        expect(Buffer.isBuffer(resp.body)).to.equal(true);
+        expect(resp.body[0]).to.equal(0xff);
+        done();
+      });
+    });
+  });
+  describe("Asynchronous input", function () {
+    function inputCoil(inputFunc, timeout, options) {
+      var coil = new Rcoil();
+      coil.startGroup("group1").addRequest(R.post("create", "http://localhost:3000/users").onInput(inputFunc, options).setTimeout(timeout));
+      return new ExecutionDirector(coil, {
+        logger: new DevNullLogger()
+      });
+    }
+    
+    it("waits for a promise returned by the input function", function(done) {
+      inputCoil(function(context, request) {
+        request.setHeader("Content-Type", "application/json");
+        return new Promise(function(resolve) {
+          setTimeout(function() { resolve({ id: "promise" }); }, 20);
+        });
+      }).start(function(ctx) {
+        expect(ctx.requestData("group1", "create").body.id).to.equal("promise");
+        expect(ctx.responseData("group1", "create").json.id).to.equal("promise");
+        done();
+      });
+    });
+    it("supports node-style callbacks", function(done) {
+      inputCoil(function(context, request, callback) {
+        request.setHeader("Content-Type", "application/json");
+        setTimeout(function() { callback(null, { id: "callback" }); }, 20);
+      }, null, { callback: true }).start(function(ctx) {
+        expect(ctx.responseData("group1", "create").json.id).to.equal("callback");
+        done();
+      });
+    });
+    it("uses the return value of functions that declare extra parameters", function(done) {
+      // an input function that keeps an optional parameter of its own
+      inputCoil(function(context, request, defaults) {
+        request.setHeader("Content-Type", "application/json");
+        return defaults || { id: "returned" };
+      }).start(function(ctx) {
+        expect(ctx.responseData("group1", "create").json.id).to.equal("returned");
+        done();
+      });
+    });
+    it("fails the request when the promise is rejected", function(done) {
+      inputCoil(function(context, request) {
+        return Promise.reject(new Error("no token"));
+      }).start(function(ctx) {
+        var resp = ctx.responseData("group1", "create");
+        expect(resp.isFailed).to.equal(true);
+        expect(resp.error.message).to.equal("no token");
+        done();
+      });
+    });
+    it("cancels the request when the promise resolves to false", function(done) {
+      inputCoil(function(context, request) {
+        return Promise.resolve(false);
+      }).start(function(ctx) {
+        expect(ctx.responseData("group1", "create").isCanceled).to.equal(true);
+        done();
+      });
+    });
+    it("times out while waiting for the input", function(done) {
+      inputCoil(function(context, request) {
+        return new Promise(function(resolve) {
+          setTimeout(function() { resolve({ id: "late" }); }, 200);
+        });
+      }, 50).start(function(ctx) {
+        expect(ctx.responseData("group1", "create").timedOut).to.equal(true);
+        done();
+      });
+    });
+  });
+  describe("Promise and event stream", function () {
+    it("resolves the run promise with the context", function() {
+      var director = singleCallCoil("first", "local");
+      return director.run().then(function(ctx) {
+        expect(ctx.getStatus()).to.equal(ExecutionContext.Status.COMPLETED);
+        expect(ctx.responseData("first", "local").json.length).to.equal(3);
+        expect(director.listenerCount("abort")).to.equal(0);
+      });
+    });
+    it("rejects the run promise when a request fails", function() {
+      var coil = new Rcoil();
+      coil.startGroup("group1").addRequest(R.get("fail", "http://localhost:1/users"));
+      var director = new ExecutionDirector(coil, { logger: new DevNullLogger() });
+      
+      return director.run().then(function() {
+        throw new Error("The promise should be rejected");
+      }, function(err) {
+        expect(err).to.be.instanceof(Errors.ExecutionFailedError);
+        expect(err).to.be.instanceof(Errors.ExecutionError);
+        expect(err.status).to.equal(ExecutionContext.Status.FAILED);
+        expect(err.errors[0].requestName).to.equal("fail");
+        expect(err.context.responseData("group1", "fail").isFailed).to.equal(true);
+      });
+    });
+    it("rejects the run promise when the execution is aborted", function() {
+      var director = sequentialCallCoil();
+      var promise = director.run();
+      director.abort();
+      
+      return promise.then(function() {
+        throw new Error("The promise should be rejected");
+      }, function(err) {
+        expect(err).to.be.instanceof(Errors.ExecutionAbortedError);
+        expect(err.context.requestData("group2", "request2")).to.be.null;
+      });
+    });
+    it("iterates over the lifecycle events", function() {
+      var director = sequentialCallCoil();
+      var stream = director.events(["groupStart", "requestEnd"]);
+      var types = [];
+      
+      function read() {
+        return stream.next().then(function(result) {
+          if (result.done) return types;
+          types.push(result.value.type);
+          return read();
+        });
+      }
+      director.run();
+      
+      return read().then(function(types) {
+        expect(types).to.deep.equal(["groupStart", "requestEnd", "groupStart", "requestEnd", "end"]);
+      });
+    });
+  });
+  describe("Abort", function () {
+    function abortCoil() {
+      var coil = new Rcoil();
+      coil.startGroup("group1")
+          .addRequest(R.get("slow", "http://localhost:3000/slow"))
+          .addRequest(R.get("fast", "http://localhost:3000/users"))
+        .startGroup("group2").addRequest(R.get("never", "http://localhost:3000/users"));
+      return new ExecutionDirector(coil, {
+        logger: new DevNullLogger()
+      });
+    }
+    
+    it("streams the aborted requests with the default events", function() {
+      var director = abortCoil();
+      var stream = director.events();
+      var types = [];
+      
+      function read() {
+        return stream.next().then(function(result) {
+          if (result.done) return types;
+          types.push(result.value.type);
+          if (result.value.type == "requestEnd") director.abort("client disconnected");
+          return read();
+        });
+      }
+      director.run().catch(function() {});
+      
+      return read().then(function(types) {
+        expect(types.slice(-3)).to.deep.equal(["requestAbort", "requestEnd", "abort"]);
+      });
+    });
+    
+    it("cancels in-flight requests and skips pending groups", function(done) {
+      var director = abortCoil();
+      var abortEvents = 0;
+      var requestAborts = [];
+      director.on("requestAbort", function(groupId, request, context) {
+        requestAborts.push(request.name);
+      });
+      director.on("abort", function(context, summary) {
+        abortEvents++;
+        
+        var slow = context.responseData("group1", "slow");
+        expect(slow.isAborted).to.equal(true);
+        expect(slow.abortReason).to.equal("client disconnected");
+        expect(context.responseData("group1", "fast").statusCode).to.equal(200);
+        expect(context.getStatus()).to.equal(ExecutionContext.Status.ABORTED);
+        expect(requestAborts).to.deep.equal(["slow"]);
+        
+        expect(summary.reason).to.equal("client disconnected");
+        expect(summary.completed).to.deep.equal([{ groupId: "group1", requestName: "fast" }]);
+        expect(summary.aborted).to.deep.equal([{ groupId: "group1", requestName: "slow" }]);
+        expect(summary.skippedGroups).to.deep.equal(["group2"]);
+        
+        // abort is idempotent
+        director.abort("again");
+        setTimeout(function() {
+          expect(abortEvents).to.equal(1);
+          done();
+        }, 20);
+      });
+      
+      director.start(function() {
+        done(new Error("The start callback should not be called"));
+      });
+      setTimeout(function() {
+        director.abort("client disconnected");
+      }, 50);
+    });
+    it("does nothing once the execution completed", function(done) {
+      var director = singleCallCoil("first", "local");
+      director.on("abort", function() {
+        done(new Error("The abort event should not be fired"));
+      });
+      director.start(function(ctx) {
+        director.abort();
+        expect(ctx.getStatus()).to.equal(ExecutionContext.Status.COMPLETED);
+        setTimeout(done, 20);
+      });
+    });
+  });
+  describe("Dependencies", function() {
+    it("starts requests as soon as their dependencies complete", function(done) {
+      var coil = new Rcoil();
+      coil.startGroup("group1")
+          .addRequest(R.get("slow", "http://localhost:3000/slow"))
+          .addRequest(R.get("fast", "http://localhost:3000/users"))
+        .startGroup("group2")
+          .addRequest(R.get("afterFast", "http://localhost:3000/users/user1").dependsOn("group1", "fast"))
+          .addRequest(R.get("afterGroup", "http://localhost:3000/users"));
+      var director = new ExecutionDirector(coil, {
+        logger: new DevNullLogger()
+      });
+      
+      var events = [];
+      director.on("requestStart", function(groupId, request) {
+        events.push("start:" + request.name);
+      });
+      director.on("requestEnd", function(groupId, request) {
+        events.push("end:" + request.name);
+      });
+      
+      director.start(function(ctx) {
+        expect(events.indexOf("start:afterFast")).to.be.below(events.indexOf("end:slow"));
+        expect(events.indexOf("start:afterGroup")).to.be.above(events.indexOf("end:slow"));
+        expect(ctx.responseData("group2", "afterFast").statusCode).to.equal(200);
+        expect(ctx.responseData("group2", "afterGroup").statusCode).to.equal(200);
+        done();
+      });
+    });
+    it("starts groups with dependsOn before their parent completes", function(done) {
+      var coil = new Rcoil();
+      coil.startGroup("group1")
+          .addRequest(R.get("slow", "http://localhost:3000/slow"))
+          .addRequest(R.get("fast", "http://localhost:3000/users"))
+        .startGroup("group2", { dependsOn: [{ groupId: "group1", requestName: "fast" }] })
+          .addRequest(R.get("child", "http://localhost:3000/users/user1"));
+      var director = new ExecutionDirector(coil, {
+        logger: new DevNullLogger()
+      });
+      
+      var events = [];
+      director.on("groupEnd", function(group) {
+        events.push("groupEnd:" + group.id);
+      });
+      
+      director.start(function(ctx) {
+        expect(events).to.deep.equal(["groupEnd:group2", "groupEnd:group1"]);
+        expect(ctx.getStatus()).to.equal(ExecutionContext.Status.COMPLETED);
+        done();
+      });
+    });
+    it("runs the children of empty groups", function(done) {
+      var coil = new Rcoil();
+      coil.startGroup("empty")
+        .startGroup("child")
+          .addRequest(R.get("request1", "http://localhost:3000/users"));
+      var director = new ExecutionDirector(coil, {
+        logger: new DevNullLogger()
+      });
+      
+      director.start(function(ctx) {
+        expect(ctx.responseData("child", "request1").statusCode).to.equal(200);
+        done();
+      });
+    });
+    it("skips requests depending on failed requests with skipChildren", function(done) {
+      var coil = new Rcoil();
+      coil.startGroup("group1")
+          .addRequest(R.get("broken", "http://localhost:1/users"))
+          .addRequest(R.get("fine", "http://localhost:3000/users"))
+        .startGroup("group2")
+          .addRequest(R.get("afterBroken", "http://localhost:3000/users").dependsOn("group1", "broken"))
+          .addRequest(R.get("afterFine", "http://localhost:3000/users").dependsOn("group1", "fine"));
+      var director = new ExecutionDirector(coil, {
+        logger: new DevNullLogger(),
+        failurePolicy: ExecutionDirector.FailurePolicy.SKIP_CHILDREN
+      });
+      var skipped = [];
+      director.on("requestSkip", function(groupId, request) {
+        skipped.push(groupId + "/" + request.name);
+      });
+      
+      director.start(function(ctx) {
+        expect(ctx.responseData("group1", "broken").isFailed).to.equal(true);
+        expect(ctx.responseData("group2", "afterFine").statusCode).to.equal(200);
+        expect(ctx.requestData("group2", "afterBroken")).to.be.null;
+        
+        var afterBroken = ctx.responseData("group2", "afterBroken");
+        expect(afterBroken.isSkipped).to.equal(true);
+        expect(afterBroken.skipReason).to.equal("Dependencies not met: group1/broken (failed)");
+        expect(afterBroken.unmetDependencies).to.deep.equal([{ groupId: "group1", requestName: "broken", status: "failed" }]);
+        expect(skipped).to.deep.equal(["group2/afterBroken"]);
+        done();
+      });
+    });
+    it("records the requests whose dependencies never complete", function(done) {
+      var coil = new Rcoil();
+      coil.startGroup("group1")
+          .addRequest(R.get("slow", "http://localhost:3000/slow"))
+        .fromTheBeginning()
+        .startGroup("group2")
+          .addRequest(R.get("fine", "http://localhost:3000/users"))
+          .addRequest(R.get("afterSlow", "http://localhost:3000/users").dependsOn("group1", "slow"))
+          .addRequest(R.get("last", "http://localhost:3000/users").dependsOn("group2", "afterSlow"));
+      var director = new ExecutionDirector(coil, {
+        logger: new DevNullLogger(),
+        coilTimeout: 100
+      });
+      
+      director.start(function(ctx) {
+        expect(ctx.responseData("group2", "fine").statusCode).to.equal(200);
+        expect(ctx.responseData("group2", "afterSlow").skipReason).to.equal("Coil timed out");
+        var last = ctx.responseData("group2", "last");
+        expect(last.isSkipped).to.equal(true);
+        expect(last.skipReason).to.equal("Dependencies not met: group2/afterSlow (pending)");
+        expect(last.unmetDependencies).to.deep.equal([{ groupId: "group2", requestName: "afterSlow", status: "pending" }]);
+        expect(ctx.getStatus()).to.equal(ExecutionContext.Status.TIMED_OUT);
+        done();
+      });
+    });
+    it("records the requests that depend on skipped groups", function(done) {
+      var coil = new Rcoil();
+      coil.startGroup("optional", { when: function() { return false; } })
+          .addRequest(R.get("extra", "http://localhost:3000/users"))
+        .fromTheBeginning()
+        .startGroup("group2")
+          .addRequest(R.get("fine", "http://localhost:3000/users"))
+          .addRequest(R.get("afterExtra", "http://localhost:3000/users").dependsOn("optional", "extra"));
+      var director = new ExecutionDirector(coil, {
+        logger: new DevNullLogger()
+      });
+      
+      director.start(function(ctx) {
+        expect(ctx.responseData("group2", "fine").statusCode).to.equal(200);
+        var afterExtra = ctx.responseData("group2", "afterExtra");
+        expect(afterExtra.isSkipped).to.equal(true);
+        expect(afterExtra.unmetDependencies).to.deep.equal([{ groupId: "optional", requestName: "extra", status: "pending" }]);
+        expect(ctx.getStatus()).to.equal(ExecutionContext.Status.COMPLETED);
+        done();
+      });
+    });
+  });
+  describe("Definitions", function() {
+    it("sends inputs built from data mappings", function(done) {
+      var coil = Rcoil.fromDefinition({
+        groups: [{
+          id: "users",
+          requests: [{ name: "getUser", type: "http", method: "GET", url: "http://localhost:3000/users/user1" }],
+          children: [{
+            id: "create",
+            requests: [{
+              name: "createUser",
+              type: "http",
+              method: "POST",
+              url: "http://localhost:3000/users",
+              options: { headers: { "Content-Type": "application/json" } },
+              input: { id: "$.users.getUser.json.address[1]" }
+            }]
+          }]
+        }]
+      });
+      var director = new ExecutionDirector(coil, {
+        logger: new DevNullLogger()
+      });
+      
+      director.start(function(ctx) {
+        expect(ctx.responseData("create", "createUser").json).to.deep.equal({ id: "42 Galaxy way" });
+        done();
+      });
+    });
+  });
+  describe("Validation", function() {
+    it("refuses to execute invalid coils", function() {
+      var coil = new Rcoil();
+      coil.startGroup("group1")
+        .addRequest(R.get("request1", "http://localhost:3000/users").dependsOn("group2", "request2"));
+      var director = new ExecutionDirector(coil, {
+        logger: new DevNullLogger()
+      });
+      
+      return director.run().then(function() {
+        throw new Error("The execution should not start");
+      }, function(err) {
+        expect(err).to.be.instanceof(Errors.CoilValidationError);
+        expect(err.message).to.contain("depends on unknown request group group2");
+        expect(director.executionContext.requestData("group1", "request1")).to.be.null;
+        expect(director.listenerCount("abort")).to.equal(0);
+      });
+    });
+    it("ends the event stream when the coil is invalid", function() {
+      var coil = new Rcoil();
+      coil.startGroup("group1")
+        .addRequest(R.get("request1", "http://localhost:3000/users").dependsOn("group2", "request2"));
+      var director = new ExecutionDirector(coil, {
+        logger: new DevNullLogger()
+      });
+      var stream = director.events();
+      var events = [];
+      
+      function read() {
+        return stream.next().then(function(result) {
+          if (result.done) return events;
+          events.push(result.value);
+          return read();
+        });
+      }
+      director.run().catch(function() {});
+      
+      return read().then(function(events) {
+        expect(events.length).to.equal(1);
+        expect(events[0].type).to.equal("validationError");
+        expect(events[0].args[0]).to.be.instanceof(Errors.CoilValidationError);
+        expect(director.listenerCount("validationError")).to.equal(0);
+      });
+    });
+  });
+  describe("Conditional groups", function() {
+    function conditionalCoil(condition) {
+      var coil = new Rcoil();
+      coil.startGroup("users")
+          .addRequest(R.get("getUser", "http://localhost:3000/users/user1"))
+        .startGroup("addresses", { when: condition })
+          .addRequest(R.get("first", "http://localhost:3000/users"))
+          .addRequest(R.get("second", "http://localhost:3000/users"))
+          .startGroup("details")
+            .addRequest(R.get("details", "http://localhost:3000/users"))
+        .afterGroup("users")
+          .startGroup("always")
+            .addRequest(R.get("always", "http://localhost:3000/users"));
+      return new ExecutionDirector(coil, {
+        logger: new DevNullLogger()
+      });
+    }
+    
+    it("skips the group and its children when the condition is false", function(done) {
+      var director = conditionalCoil(function(context) {
+        return context.responseData("users", "getUser").json.address.length > 5;
+      });
+      var skipped = [];
+      var started = [];
+      director.on("groupSkip", function(group, context) {
+        skipped.push(group.id);
+      });
+      director.on("groupStart", function(group) {
+        started.push(group.id);
+      });
+      
+      director.start(function(ctx) {
+        expect(skipped).to.deep.equal(["addresses", "details"]);
+        expect(started).to.deep.equal(["users", "always"]);
+        expect(ctx.getSkippedGroups()).to.deep.equal(["addresses", "details"]);
+        expect(ctx.isGroupSkipped("details")).to.equal(true);
+        expect(ctx.responseData("addresses", "first").isSkipped).to.be.true;
+        expect(ctx.responseData("addresses", "first").skipReason).to.equal("Condition of request group addresses returned false");
+        expect(ctx.responseData("details", "details").skipReason).to.equal("Request group addresses skipped");
+        expect(ctx.getErrors()).to.deep.equal([]);
+        expect(ctx.responseData("always", "always").statusCode).to.equal(200);
+        expect(ctx.getStatus()).to.equal(ExecutionContext.Status.COMPLETED);
+        done();
+      });
+    });
+    it("runs the group when the condition is true", function(done) {
+      var calls = 0;
+      var director = conditionalCoil(function(context) {
+        calls++;
+        return context.responseData("users", "getUser").json.username == "user1";
+      });
+      
+      director.start(function(ctx) {
+        expect(calls).to.equal(1);
+        expect(ctx.getSkippedGroups()).to.deep.equal([]);
+        expect(ctx.responseData("details", "details").statusCode).to.equal(200);
+        done();
+      });
+    });
+    it("skips the group and records an error when the condition throws", function(done) {
+      var director = conditionalCoil(function(context) {
+        throw new Error("broken condition");
+      });
+      var skippedRequests = [];
+      director.on("requestSkip", function(groupId, request) {
+        skippedRequests.push(groupId + "/" + request.name);
+      });
+      
+      director.start(function(ctx) {
+        expect(ctx.getSkippedGroups()).to.deep.equal(["addresses", "details"]);
+        expect(skippedRequests).to.deep.equal(["addresses/first", "addresses/second", "details/details"]);
+        expect(ctx.responseData("addresses", "second").skipReason).to.equal("Condition of request group addresses failed: broken condition");
+        expect(ctx.getErrors()).to.deep.equal([{
+          groupId: "addresses",
+          requestName: null,
+          error: { message: "broken condition", code: "ECONDITION" }
+        }]);
+        expect(ctx.getStatus()).to.equal(ExecutionContext.Status.FAILED);
+        expect(ctx.responseData("always", "always").statusCode).to.equal(200);
+        done();
+      });
+    });
+  });
+  describe("Output template", function() {
+    it("aggregates the responses into the output of the context", function() {
+      var coil = new Rcoil();
+      coil.startGroup("users")
+          .addRequest(R.get("getUser", "http://localhost:3000/users/user1"))
+          .addRequest(R.get("listUsers", "http://localhost:3000/users"))
+          .addRequest(R.get("canceled", "http://localhost:3000/users").onInput(function() {
+            return false;
+          }))
+        .fromTheBeginning()
+        .output({
+          user: "$.users.getUser.json.username",
+          usernames: "$.users.listUsers.json[*].username",
+          everyone: { $concat: ["$.users.getUser.json.username", "$.users.listUsers.json[*].username"] },
+          canceled: { $path: "$.users.canceled.json", $default: [] }
+        });
+      var director = new ExecutionDirector(coil, {
+        logger: new DevNullLogger()
+      });
+      
+      return director.run().then(function(ctx) {
+        expect(ctx.output()).to.deep.equal({
+          user: "user1",
+          usernames: ["user1", "user2", "user3"],
+          everyone: ["user1", "user1", "user2", "user3"],
+          canceled: []
+        });
+      });
+    });
+    it("returns null without a template", function() {
+      return singleCallCoil("first", "local").run().then(function(ctx) {
+        expect(ctx.output()).to.be.null;
+      });
+    });
+  });
+  describe("Lambda requests", function() {
+    function lambdaDirector(coil) {
+      return new ExecutionDirector(coil, {
+        logger: new DevNullLogger(),
+        awsConfig: {
+          endpoint: "http://localhost:3000",
+          region: "us-east-1",
+          accessKeyId: "test",
+          secretAccessKey: "test",
+          maxRetries: 0
+        }
+      });
+    }
+    
+    it("sends object inputs as JSON and parses the payload", function() {
+      var coil = new Rcoil();
+      coil.startGroup("users").addRequest(R.lambda("echo", "echo", "prod", {
+        clientContext: { custom: { tenant: "acme" } }
+      }).onInput(function(context) {
+        return { id: 1 };
+      }));
+      
+      return lambdaDirector(coil).run().then(function(ctx) {
+        var response = ctx.responseData("users", "echo");
+        expect(response.statusCode).to.equal(200);
+        expect(response.executedVersion).to.equal("prod");
+        expect(response.json).to.deep.equal({ event: { id: 1 }, clientContext: { custom: { tenant: "acme" } } });
+        expect(JSON.parse(response.body).event.id).to.equal(1);
+        expect(response.logs).to.be.undefined;
+      });
+    });
+    it("decodes the logs with the Tail log type", function() {
+      var coil = new Rcoil();
+      coil.startGroup("users").addRequest(R.lambda("echo", "echo").setInvokeOptions({ logType: R.LambdaLogType.TAIL }));
+      
+      return lambdaDirector(coil).run().then(function(ctx) {
+        var response = ctx.responseData("users", "echo");
+        expect(response.logs).to.equal("START echo\nEND echo\n");
+        expect(response.json).to.deep.equal({ event: null, clientContext: null });
+      });
+    });
+    it("supports the Event and DryRun invocation types", function() {
+      var coil = new Rcoil();
+      coil.startGroup("users")
+        .addRequest(R.lambda("queued", "echo", null, { invocationType: R.LambdaInvocationType.EVENT }).onInput(function(context) {
+          return "{\"id\":2}";
+        }))
+        .addRequest(R.lambda("dryRun", "echo", null, { invocationType: R.LambdaInvocationType.DRY_RUN }));
+      
+      return lambdaDirector(coil).run().then(function(ctx) {
+        expect(ctx.responseData("users", "queued").statusCode).to.equal(202);
+        expect(ctx.responseData("users", "queued").body).to.be.null;
+        expect(ctx.responseData("users", "dryRun").statusCode).to.equal(204);
+      });
+    });
+    it("fails requests when the function returns an error", function(done) {
+      var coil = new Rcoil();
+      coil.startGroup("users")
+        .addRequest(R.lambda("fail", "fail", null, { logType: R.LambdaLogType.TAIL }).onInput(function(context) {
+          return { id: 3 };
+        }))
+        .addRequest(R.lambda("crash", "crash").setRetryPolicy({ maxAttempts: 2, backoffBase: 1, functionErrors: ["Unhandled"] }));
+      
+      lambdaDirector(coil).start(function(ctx) {
+        var failed = ctx.responseData("users", "fail");
+        expect(failed.isFailed).to.be.true;
+        expect(failed.error.message).to.equal("Invalid user 3");
+        expect(failed.error.code).to.equal("Handled");
+        expect(failed.error.details).to.deep.equal({ errorMessage: "Invalid user 3", errorType: "ValidationError" });
+        expect(failed.error.logs).to.equal("START fail\nEND fail\n");
+        
+        var crashed = ctx.responseData("users", "crash");
+        expect(crashed.error.code).to.equal("Unhandled");
+        expect(ctx.requestData("users", "crash").attempts.length).to.equal(2);
+        expect(ctx.requestData("users", "crash").attempts[0].functionError).to.equal("Unhandled");
+        done();
+      });
+    });
+    it("fails requests when the SDK returns an error", function(done) {
+      var coil = new Rcoil();
+      coil.startGroup("users").addRequest(R.lambda("missing", "missing"));
+      
+      lambdaDirector(coil).start(function(ctx) {
+        var response = ctx.responseData("users", "missing");
+        expect(response.isFailed).to.be.true;
+        expect(response.error.code).to.equal("ResourceNotFoundException");
+        done();
+      });
+    });
+  });
+  describe("Offline Lambda", function() {
+    var handlers = __dirname + "/fixtures/handlers";
+    function offlineDirector(coil) {
+      return new ExecutionDirector(coil, {
+        logger: new DevNullLogger(),
+        lambdaHandlers: {
+          "arn:aws:lambda:us-east-1:123456789012:function:getUser": handlers + ".getUser",
+          "arn:aws:lambda:*:function:users-*": handlers + ".succeed",
+          "fail": handlers + ".fail",
+          "promise": handlers + ".promise",
+          "throws": handlers + ".throws",
+          "slow": handlers + ".slow",
+          "inline": function(event, context, callback) {
+            callback(null, { inline: true });
+          }
+        }
+      });
+    }
+    
+    it("invokes the local handler with the event and context", function() {
+      var coil = new Rcoil();
+      coil.startGroup("users")
+        .addRequest(R.lambda("getUser", "arn:aws:lambda:us-east-1:123456789012:function:getUser", "prod", {
+          logType: R.LambdaLogType.TAIL,
+          clientContext: { custom: { tenant: "acme" } }
+        }).onInput(function(context) {
+          return { id: 7 };
+        }))
+        .addRequest(R.lambda("pattern", "arn:aws:lambda:eu-west-1:123456789012:function:users-list", "v2").setTimeout(1000))
+        .addRequest(R.lambda("inline", "inline"));
+      
+      return offlineDirector(coil).run().then(function(ctx) {
+        var response = ctx.responseData("users", "getUser");
+        expect(response.statusCode).to.equal(200);
+        expect(response.executedVersion).to.equal("prod");
+        expect(response.json).to.deep.equal({ id: 7, name: "user7", tenant: "acme" });
+        expect(response.logs).to.match(/^START RequestId: \w+ Version: prod/);
+        
+        var pattern = ctx.responseData("users", "pattern").json;
+        expect(pattern.version).to.equal("v2");
+        expect(pattern.remaining).to.be.within(900, 1000);
+        expect(ctx.responseData("users", "inline").json).to.deep.equal({ inline: true });
+      });
+    });
+    it("waits for the Promise returned by the handler", function() {
+      var coil = new Rcoil();
+      coil.startGroup("users").addRequest(R.lambda("promise", "promise"));
+      
+      return offlineDirector(coil).run().then(function(ctx) {
+        expect(ctx.responseData("users", "promise").json).to.deep.equal({ async: true });
+      });
+    });
+    it("returns errors as function errors", function(done) {
+      var coil = new Rcoil();
+      coil.startGroup("users")
+        .addRequest(R.lambda("fail", "fail").onInput(function(context) {
+          return { id: 3 };
+        }))
+        .addRequest(R.lambda("throws", "throws"))
+        .addRequest(R.lambda("slow", "slow").setRetryPolicy({ maxAttempts: 2, backoffBase: 1, functionErrors: ["Unhandled"] }).setTimeout(50));
+      
+      offlineDirector(coil).start(function(ctx) {
+        var failed = ctx.responseData("users", "fail");
+        expect(failed.error.code).to.equal("Handled");
+        expect(failed.error.message).to.equal("Invalid user 3");
+        expect(failed.error.details.errorType).to.equal("Error");
+        
+        var thrown = ctx.responseData("users", "throws");
+        expect(thrown.error.code).to.equal("Unhandled");
+        expect(thrown.error.details.errorType).to.equal("TypeError");
+        
+        expect(ctx.responseData("users", "slow").timedOut).to.be.true;
+        done();
+      });
+    });
+    it("runs Event invocations without waiting for the handler", function() {
+      var coil = new Rcoil();
+      coil.startGroup("users")
+        .addRequest(R.lambda("queued", "slow", null, { invocationType: R.LambdaInvocationType.EVENT }))
+        .addRequest(R.lambda("dryRun", "fail", null, { invocationType: R.LambdaInvocationType.DRY_RUN }));
+      var start = Date.now();
+      
+      return offlineDirector(coil).run().then(function(ctx) {
+        expect(Date.now() - start).to.be.below(150);
+        expect(ctx.responseData("users", "queued").statusCode).to.equal(202);
+        expect(ctx.responseData("users", "dryRun").statusCode).to.equal(204);
+      });
+    });
+    it("reports handlers that cannot be loaded", function(done) {
+      var coil = new Rcoil();
+      coil.startGroup("users").addRequest(R.lambda("missing", "missing"));
+      var director = new ExecutionDirector(coil, {
+        logger: new DevNullLogger(),
+        lambdaHandlers: { "missing": handlers + ".doesNotExist" }
+      });
+      
+      director.start(function(ctx) {
+        var response = ctx.responseData("users", "missing");
+        expect(response.error.code).to.equal("Unhandled");
+        expect(response.error.message).to.match(/Handler doesNotExist missing/);
+        done();
+      });
+    });
+  });
+  describe("Function requests", function() {
+    it("saves the value returned by the function as the response body", function() {
+      var coil = new Rcoil();
+      coil.startGroup("users").addRequest(R.get("listUsers", "http://localhost:3000/users"))
+        .afterGroup("users")
+        .startGroup("merge").addRequest(R.fn("names", function(context, input) {
+          return context.responseData("users", "listUsers").json.map(function(user) {
+            return input.prefix + user.username;
+          });
+        }).setInputMapping({ prefix: "user:" }));
+      var director = new ExecutionDirector(coil, {
+        logger: new DevNullLogger()
+      });
+      
+      return director.run().then(function(ctx) {
+        var response = ctx.responseData("merge", "names");
+        expect(response.body).to.deep.equal(["user:user1", "user:user2", "user:user3"]);
+        expect(ctx.requestData("merge", "names").body).to.deep.equal({ prefix: "user:" });
+        expect(ctx.requestData("merge", "names").attempts.length).to.equal(1);
+        expect(response.endTime).to.be.at.least(ctx.requestData("merge", "names").startTime);
+      });
+    });
+    it("waits for the Promise returned by the function", function() {
+      var coil = new Rcoil();
+      coil.startGroup("sign").addRequest(R.fn("signature", function(context) {
+        return new Promise(function(resolve) {
+          setTimeout(function() { resolve("signed"); }, 20);
+        });
+      }).onOutput(function(response) {
+        return response.body.toUpperCase();
+      }));
+      var director = new ExecutionDirector(coil, {
+        logger: new DevNullLogger()
+      });
+      
+      return director.run().then(function(ctx) {
+        var response = ctx.responseData("sign", "signature");
+        expect(response.body).to.equal("signed");
+        expect(response.output).to.equal("SIGNED");
+        expect(response.endTime - ctx.requestData("sign", "signature").startTime).to.be.at.least(15);
+      });
+    });
+    it("records thrown errors and rejected Promises as failures", function(done) {
+      var errors = [];
+      var coil = new Rcoil();
+      coil.startGroup("compute")
+        .addRequest(R.fn("throws", function(context) {
+          throw new Error("cannot compute");
+        }))
+        .addRequest(R.fn("rejects", function(context) {
+          return Promise.reject(new Error("lookup failed"));
+        }));
+      var director = new ExecutionDirector(coil, {
+        logger: new DevNullLogger()
+      });
+      director.on("requestError", function(groupId, request, error) {
+        errors.push(request.name);
+      });
+      
+      director.start(function(ctx) {
+        expect(ctx.getStatus()).to.equal(ExecutionContext.Status.FAILED);
+        expect(errors.sort()).to.deep.equal(["rejects", "throws"]);
+        expect(ctx.responseData("compute", "throws").error.message).to.equal("cannot compute");
+        expect(ctx.responseData("compute", "rejects").isFailed).to.be.true;
+        done();
+      });
+    });
+    it("times out slow functions", function(done) {
+      var coil = new Rcoil();
+      coil.startGroup("compute").addRequest(R.fn("slow", function(context) {
+        return new Promise(function(resolve) {
+          setTimeout(function() { resolve("late"); }, 100);
+        });
+      }).setTimeout(20));
+      var director = new ExecutionDirector(coil, {
+        logger: new DevNullLogger()
+      });
+      
+      director.start(function(ctx) {
+        expect(ctx.responseData("compute", "slow").timedOut).to.be.true;
+        expect(ctx.responseData("compute", "slow").timeoutType).to.equal("total");
+        done();
+      });
+    });
+  });
+  describe("Custom request types", function() {
+    var store = { user1: { plan: "pro" } };
+    var aborted = [];
+    var calls = {};
+    
+    before(function() {
+      Players.registerType("store", {
+        execute: function(request, input, context, callback) {
+          calls[request.name] = (calls[request.name] || 0) + 1;
+          if (request.settings.flaky && calls[request.name] == 1) {
+            callback(null, { statusCode: 503, body: null });
+            return;
+          }
+          var timer = setTimeout(function() {
+            if (store[request.settings.key] === undefined) {
+              var err = new Error("Key not found: " + request.settings.key);
+              err.code = "NotFound";
+              callback(err);
+              return;
+            }
+            callback(null, { statusCode: 200, body: store[request.settings.key], key: request.settings.key, input: input });
+          }, request.settings.delay || 0);
+          return { 
+            abort: function() { 
+              clearTimeout(timer);
+              aborted.push(request.name);
+            }
+          };
+        },
+        getUrl: function(settings) {
+          return "store://" + settings.key;
+        }
+      });
+    });
+    after(function() {
+      Players.unregisterType("store");
+    });
+    
+    it("runs requests with the registered executor", function() {
+      var coil = new Rcoil();
+      coil.startGroup("users").addRequest(R.get("listUsers", "http://localhost:3000/users"))
+        .afterGroup("users")
+        .startGroup("plans").addRequest(R.custom("getPlan", "store", { key: "user1" }).setInputMapping({ user: "$.users.listUsers.json[0].username" }));
+      var director = new ExecutionDirector(coil, {
+        logger: new DevNullLogger()
+      });
+      
+      return director.run().then(function(ctx) {
+        var response = ctx.responseData("plans", "getPlan");
+        expect(response.body).to.deep.equal({ plan: "pro" });
+        expect(response.statusCode).to.equal(200);
+        expect(response.key).to.equal("user1");
+        expect(response.input).to.deep.equal({ user: "user1" });
+        expect(ctx.requestData("plans", "getPlan").body).to.deep.equal({ user: "user1" });
+      });
+    });
+    it("applies the retry policy to the status code and error code", function(done) {
+      var coil = new Rcoil();
+      coil.startGroup("plans")
+        .addRequest(R.custom("flaky", "store", { key: "user1", flaky: true }).setRetryPolicy({ maxAttempts: 2, backoffBase: 1, statusCodes: [503] }))
+        .addRequest(R.custom("missing", "store", { key: "user2" }).setRetryPolicy({ maxAttempts: 3, backoffBase: 1, errorCodes: ["NotFound"] }));
+      var director = new ExecutionDirector(coil, {
+        logger: new DevNullLogger()
+      });
+      
+      director.start(function(ctx) {
+        expect(ctx.responseData("plans", "flaky").statusCode).to.equal(200);
+        expect(ctx.requestData("plans", "flaky").attempts.length).to.equal(2);
+        expect(ctx.responseData("plans", "missing").isFailed).to.be.true;
+        expect(ctx.responseData("plans", "missing").error.code).to.equal("NotFound");
+        expect(ctx.requestData("plans", "missing").attempts.length).to.equal(3);
+        done();
+      });
+    });
+    it("aborts running requests when they time out", function(done) {
+      var coil = new Rcoil();
+      coil.startGroup("plans").addRequest(R.custom("slowPlan", "store", { key: "user1", delay: 200 }).setTimeout(20));
+      var director = new ExecutionDirector(coil, {
+        logger: new DevNullLogger()
+      });
+      
+      director.start(function(ctx) {
+        expect(ctx.responseData("plans", "slowPlan").timedOut).to.be.true;
+        expect(aborted).to.deep.equal(["slowPlan"]);
+        done();
+      });
+    });
+    it("fails requests of types that are no longer registered", function(done) {
+      Players.registerType("temporary", {
+        execute: function(request, input, context, callback) {
+          callback(null, { body: "ok" });
+        }
+      });
+      var coil = new Rcoil();
+      coil.startGroup("plans").addRequest(R.custom("getPlan", "temporary"));
+      Players.unregisterType("temporary");
+      var director = new ExecutionDirector(coil, {
+        logger: new DevNullLogger()
+      });
+      
+      director.start(function(ctx) {
+        expect(ctx.responseData("plans", "getPlan").isFailed).to.be.true;
+        expect(ctx.responseData("plans", "getPlan").error.message).to.match(/Unknown request type temporary/);
+        done();
+      });
+    });
+  });
+  describe("Map requests", function() {
+    it("runs a request for each item of a previous response", function() {
+      var coil = new Rcoil();
+      coil.startGroup("users").addRequest(R.get("listUsers", "http://localhost:3000/users"))
+        .afterGroup("users")
+        .startGroup("details").addRequest(R.map("echo", "$.users.listUsers.json[*].username", function(username, index) {
+          return R.get("echo", "http://localhost:3000/echo/" + username + "?delay=" + (30 - index * 10));
+        }));
+      var director = new ExecutionDirector(coil, {
+        logger: new DevNullLogger()
+      });
+      
+      return director.run().then(function(ctx) {
+        var response = ctx.responseData("details", "echo");
+        expect(response.isFailed).to.be.undefined;
+        expect(response.failedItems).to.deep.equal([]);
+        expect(response.body.map(function(value) { return value.value; })).to.deep.equal(["user1", "user2", "user3"]);
+        expect(response.items[2].item).to.equal("user3");
+        expect(response.items[2].index).to.equal(2);
+        expect(response.items[2].statusCode).to.equal(200);
+        expect(ctx.requestData("details", "echo").body).to.deep.equal(["user1", "user2", "user3"]);
+        expect(ctx.get("res.details.echo.body[1].value")).to.equal("user2");
+      });
+    });
+    it("limits the number of concurrent requests", function() {
+      var items = [1, 2, 3, 4, 5, 6];
+      var coil = new Rcoil();
+      coil.startGroup("echo").addRequest(R.map("echo", function(context) {
+        return items;
+      }, function(item) {
+        return R.get("echo", "http://localhost:3000/echo/" + item + "?delay=20").onOutput(function(response) {
+          return response.json.active;
+        });
+      }).setConcurrency(2));
+      var director = new ExecutionDirector(coil, {
+        logger: new DevNullLogger()
+      });
+      
+      return director.run().then(function(ctx) {
+        var active = ctx.responseData("echo", "echo").body;
+        expect(active.length).to.equal(6);
+        expect(Math.max.apply(null, active)).to.be.at.most(2);
+      });
+    });
+    it("reports the items that failed", function(done) {
+      var itemErrors = [];
+      var requestErrors = [];
+      var coil = new Rcoil();
+      coil.startGroup("echo").addRequest(R.map("echo", function(context) {
+        return ["a", "b", "c"];
+      }, function(item) {
+        if (item == "c") throw new Error("no request for c");
+        return R.get("echo", (item == "b" ? "http://localhost:1/echo/" : "http://localhost:3000/echo/") + item);
+      }));
+      var director = new ExecutionDirector(coil, {
+        logger: new DevNullLogger()
+      });
+      director.on("requestItemError", function(groupId, request, failure) {
+        itemErrors.push(failure.index);
+      });
+      director.on("requestError", function(groupId, request, error) {
+        requestErrors.push(error.message);
+      });
+      
+      director.start(function(ctx) {
+        var response = ctx.responseData("echo", "echo");
+        expect(itemErrors).to.deep.equal([1, 2]);
+        expect(requestErrors).to.deep.equal(["2 of 3 items failed"]);
+        expect(response.isFailed).to.equal(true);
+        expect(response.body).to.deep.equal([{ value: "a", active: 1 }, null, null]);
+        expect(response.failedItems[1]).to.deep.equal({ index: 2, item: "c", error: { message: "no request for c", code: undefined } });
+        expect(response.items[1].isFailed).to.equal(true);
+        done();
+      });
+    });
+    it("fails when the items selector does not return a list", function(done) {
+      var coil = new Rcoil();
+      coil.startGroup("echo").addRequest(R.map("echo", function(context) {
+        return "not a list";
+      }, function(item) {
+        return R.get("echo", "http://localhost:3000/echo/" + item);
+      }));
+      var director = new ExecutionDirector(coil, {
+        logger: new DevNullLogger()
+      });
+      
+      director.start(function(ctx) {
+        expect(ctx.responseData("echo", "echo").isFailed).to.equal(true);
+        expect(ctx.responseData("echo", "echo").error.message).to.contain("did not return a list");
+        done();
+      });
+    });
+    it("completes immediately with an empty list", function() {
+      var coil = new Rcoil();
+      coil.startGroup("echo").addRequest(R.map("echo", function(context) {
+        return [];
+      }, function(item) {
+        return R.get("echo", "http://localhost:3000/echo/" + item);
+      }));
+      var director = new ExecutionDirector(coil, {
+        logger: new DevNullLogger()
+      });
+      
+      return director.run().then(function(ctx) {
+        expect(ctx.responseData("echo", "echo").body).to.deep.equal([]);
+      });
+    });
+    it("times out the running items with the map request", function(done) {
+      var coil = new Rcoil();
+      coil.startGroup("echo").addRequest(R.map("echo", function(context) {
+        return [1, 2];
+      }, function(item) {
+        return R.get("echo", "http://localhost:3000/slow");
+      }).setTimeout(50));
+      var director = new ExecutionDirector(coil, {
+        logger: new DevNullLogger()
+      });
+      
+      director.start(function(ctx) {
+        expect(ctx.responseData("echo", "echo").timedOut).to.equal(true);
+        expect(ctx.responseData("echo", "echo").timeoutType).to.equal("total");
+        done();
+      });
+    });
+    it("times out with the default timeout of the director", function(done) {
+      var coil = new Rcoil();
+      coil.startGroup("echo").addRequest(R.map("echo", function(context) {
+        return [1, 2];
+      }, function(item) {
+        return R.get("echo", "http://localhost:3000/slow").setTimeout(1000);
+      }));
+      var director = new ExecutionDirector(coil, {
+        logger: new DevNullLogger(),
+        timeout: 50
+      });
+      
+      director.start(function(ctx) {
+        expect(ctx.responseData("echo", "echo").timedOut).to.equal(true);
+        expect(ctx.responseData("echo", "echo").timeoutType).to.equal("total");
+        done();
+      });
+    });
+    it("fails large lists of items without overflowing the stack", function(done) {
+      var coil = new Rcoil();
+      coil.startGroup("echo").addRequest(R.map("echo", function(context) {
+        var items = [];
+        for (var i = 0; i < 20000; i++) items.push(i);
+        return items;
+      }, function(item) {
+        throw new Error("no request for " + item);
+      }));
+      var director = new ExecutionDirector(coil, {
+        logger: new DevNullLogger()
+      });
+      
+      director.start(function(ctx) {
+        var response = ctx.responseData("echo", "echo");
+        expect(response.isFailed).to.equal(true);
+        expect(response.failedItems.length).to.equal(20000);
+        done();
+      });
+    });
+  });
+  describe("Pagination", function() {
+    function paginatedCoil(request) {
+      var coil = new Rcoil();
+      coil.startGroup("items").addRequest(request);
+      return new ExecutionDirector(coil, {
+        logger: new DevNullLogger()
+      });
+    }
+    
+    it("follows the next url of the Link header", function() {
+      var director = paginatedCoil(R.get("list", "http://localhost:3000/paged/link").setPagination({ strategy: "link" }));
+      
+      return director.run().then(function(ctx) {
+        var response = ctx.responseData("items", "list");
+        expect(response.results).to.deep.equal([1, 2, 3, 4, 5]);
+        expect(response.pages.length).to.equal(3);
+        expect(response.pages[1].url).to.equal("http://localhost:3000/paged/link?page=2");
+        expect(response.pages[1].json).to.deep.equal([3, 4]);
+        expect(response.truncated).to.equal(false);
+        expect(response.json).to.deep.equal([5]);
+        expect(ctx.requestData("items", "list").attempts.map(function(a) { return a.page; })).to.deep.equal([1, 2, 3]);
+      });
+    });
+    it("does not follow next links to a different origin", function() {
+      var director = paginatedCoil(R.get("list", "http://localhost:3000/paged/crossorigin").setPagination({ strategy: "link" }).onInput(function(context, request) {
+        request.setHeader("Authorization", "Bearer secret");
+        return null;
+      }));
+      
+      return director.run().then(function(ctx) {
+        var response = ctx.responseData("items", "list");
+        expect(response.pages.length).to.equal(1);
+        expect(response.results).to.deep.equal([1, 2]);
+        expect(ctx.requestData("items", "list").attempts.length).to.equal(1);
+      });
+    });
+    it("sends the cursor read from the body", function() {
+      var director = paginatedCoil(R.get("list", "http://localhost:3000/paged/cursor").setPagination({
+        strategy: "cursor",
+        cursorPath: "meta.next",
+        itemsPath: "items"
+      }));
+      
+      return director.run().then(function(ctx) {
+        var response = ctx.responseData("items", "list");
+        expect(response.results).to.deep.equal([1, 2, 3, 4, 5]);
+        expect(response.pages[2].url).to.equal("http://localhost:3000/paged/cursor?cursor=3");
+      });
+    });
+    it("increments the page number until a page is short", function() {
+      var director = paginatedCoil(R.get("list", "http://localhost:3000/paged/page?sort=asc").setPagination({
+        strategy: "page",
+        pageSize: 2
+      }));
+      
+      return director.run().then(function(ctx) {
+        var response = ctx.responseData("items", "list");
+        expect(response.results).to.deep.equal([1, 2, 3, 4, 5]);
+        expect(response.pages.length).to.equal(3);
+        expect(response.pages[1].url).to.equal("http://localhost:3000/paged/page?sort=asc&page=2");
+      });
+    });
+    it("increments the page number until a page is empty", function() {
+      var director = paginatedCoil(R.get("list", "http://localhost:3000/paged/page").setPagination({ strategy: "page" }));
+      
+      return director.run().then(function(ctx) {
+        expect(ctx.responseData("items", "list").pages.length).to.equal(4);
+        expect(ctx.responseData("items", "list").results).to.deep.equal([1, 2, 3, 4, 5]);
+      });
+    });
+    it("stops at the maximum number of pages", function() {
+      var director = paginatedCoil(R.get("list", "http://localhost:3000/paged/link").setPagination({ strategy: "link", maxPages: 2 }));
+      
+      return director.run().then(function(ctx) {
+        var response = ctx.responseData("items", "list");
+        expect(response.results).to.deep.equal([1, 2, 3, 4]);
+        expect(response.truncated).to.equal(true);
+      });
+    });
+  });
+  describe("Repeating groups", function() {
+    function pollingCoil(key, polls, options) {
+      options.repeatUntil = options.repeatUntil || function(context) {
+        return context.responseData("poll", "getJob").json.status == "done";
+      };
+      var coil = new Rcoil();
+      coil.startGroup("submit").addRequest(R.get("createJob", "http://localhost:3000/users"))
+        .startGroup("poll", options).addRequest(R.get("getJob", "http://localhost:3000/job/" + key + "/" + polls))
+        .startGroup("result").addRequest(R.get("getResult", "http://localhost:3000/users/user1"));
+      return new ExecutionDirector(coil, {
+        logger: new DevNullLogger()
+      });
+    }
+    
+    it("repeats the group until the condition is met", function() {
+      var iterations = [];
+      var director = pollingCoil("met", 3, { interval: 10 });
+      director.on("groupIteration", function(group, iteration, context) {
+        iterations.push(iteration.iteration + ":" + iteration.done);
+      });
+      
+      return director.run().then(function(ctx) {
+        var history = ctx.groupIterations("poll");
+        expect(iterations).to.deep.equal(["1:false", "2:false", "3:true"]);
+        expect(history.length).to.equal(3);
+        expect(history[0].responses.getJob.json.status).to.equal("running");
+        expect(history[2].reason).to.equal("conditionMet");
+        expect(ctx.responseData("poll", "getJob").json.polls).to.equal(3);
+        expect(ctx.responseData("result", "getResult").statusCode).to.equal(200);
+      });
+    });
+    it("stops at the maximum number of iterations", function() {
+      var director = pollingCoil("max", 10, { interval: 10, maxIterations: 2 });
+      
+      return director.run().then(function(ctx) {
+        var history = ctx.groupIterations("poll");
+        expect(history.length).to.equal(2);
+        expect(history[1].reason).to.equal("maxIterations");
+        expect(ctx.responseData("result", "getResult").statusCode).to.equal(200);
+      });
+    });
+    it("stops before passing the deadline", function() {
+      var director = pollingCoil("deadline", 10, { interval: 50, deadline: 80 });
+      
+      return director.run().then(function(ctx) {
+        var history = ctx.groupIterations("poll");
+        expect(history.length).to.equal(2);
+        expect(history[1].reason).to.equal("deadline");
+      });
+    });
+    it("stops when the condition throws", function() {
+      var director = pollingCoil("error", 10, {
+        interval: 10,
+        repeatUntil: function(context, iteration) {
+          if (iteration == 2) throw new Error("bad condition");
+          return false;
+        }
+      });
+      
+      return director.run().then(function(ctx) {
+        var history = ctx.groupIterations("poll");
+        expect(history.length).to.equal(2);
+        expect(history[1].reason).to.equal("conditionError");
+        expect(history[1].error).to.equal("bad condition");
+      });
+    });
+    it("stops repeating when the coil is aborted", function(done) {
+      var director = pollingCoil("abort", 10, { interval: 1000 });
+      director.on("groupIteration", function(group, iteration) {
+        director.abort("stop polling");
+      });
+      director.on("abort", function(context, summary) {
+        expect(context.groupIterations("poll").length).to.equal(1);
+        expect(summary.skippedGroups).to.deep.equal(["result"]);
+        done();
+      });
+      director.start(function() {
+        done(new Error("the execution should be aborted"));
+      });
+    });
+    it("rejects requests with dependencies", function() {
+      var coil = new Rcoil();
+      coil.startGroup("submit").addRequest(R.get("createJob", "http://localhost:3000/users"));
+      coil.startGroup("poll", { repeatUntil: function() { return true; } });
+      expect(function() {
+        coil.addRequest(R.get("getJob", "http://localhost:3000/users").dependsOn("submit", "createJob"));
+      }).to.throw(Error);
+      expect(function() { new Rcoil().startGroup("poll", { repeatUntil: true }) }).to.throw(Error);
+      expect(function() { new Rcoil().startGroup("poll", { repeatUntil: function() {}, maxIterations: 0 }) }).to.throw(Error);
+    });
+  });
+  describe("Fallbacks and compensations", function() {
+    function cancelOrder(name, groupId, requestName) {
+      var input = {};
+      input.id = "$." + groupId + "." + requestName + ".json.id";
+      return R.post(name, {
+        host: "localhost",
+        port: "3000",
+        path: "/orders/cancel",
+        protocol: "http:",
+        method: "POST",
+        headers: { "Content-Type": "application/json" }
+      }).setInputMapping(input);
+    }
+    function sagaCoil(failingUrl, options) {
+      var coil = new Rcoil();
+      coil.startGroup("orders")
+          .addRequest(R.post("createOrder", "http://localhost:3000/orders").compensateWith(cancelOrder("cancelOrder", "orders", "createOrder")))
+          .addRequest(R.get("listUsers", "http://localhost:3000/users"))
+        .startGroup("payments")
+          .addRequest(R.post("charge", "http://localhost:3000/orders").compensateWith(cancelOrder("refund", "payments", "charge")))
+        .startGroup("shipping")
+          .addRequest(R.post("ship", failingUrl));
+      return new ExecutionDirector(coil, util._extend({
+        logger: new DevNullLogger()
+      }, options));
+    }
+    
+    it("runs the compensations in reverse completion order after a failure", function(done) {
+      var compensations = [];
+      var director = sagaCoil("http://localhost:1/ship");
+      director.on("compensation", function(groupId, request, compensation) {
+        compensations.push(groupId + "/" + request.name);
+      });
+      
+      director.start(function(ctx) {
+        var rollback = ctx.getRollback();
+        expect(compensations).to.deep.equal(["payments/charge", "orders/createOrder"]);
+        expect(rollback.status).to.equal("completed");
+        expect(rollback.compensations.map(function(c) { return c.compensation; })).to.deep.equal(["refund", "cancelOrder"]);
+        expect(rollback.compensations[0].response.json.canceled).to.equal(ctx.responseData("payments", "charge").json.id);
+        expect(rollback.compensations[1].response.json.canceled).to.equal(ctx.responseData("orders", "createOrder").json.id);
+        expect(ctx.getStatus()).to.equal(ExecutionContext.Status.FAILED);
+        done();
+      });
+    });
+    it("records compensations that fail", function(done) {
+      var coil = new Rcoil();
+      coil.startGroup("orders")
+          .addRequest(R.post("createOrder", "http://localhost:3000/orders").compensateWith(R.post("cancelOrder", "http://localhost:1/cancel")))
+        .startGroup("shipping")
+          .addRequest(R.post("ship", "http://localhost:1/ship"));
+      var director = new ExecutionDirector(coil, {
+        logger: new DevNullLogger()
+      });
+      
+      director.start(function(ctx) {
+        var rollback = ctx.getRollback();
+        expect(rollback.status).to.equal("failed");
+        expect(rollback.compensations[0].status).to.equal("failed");
+        expect(rollback.compensations[0].response.error.code).to.equal("ECONNREFUSED");
+        done();
+      });
+    });
+    it("does not roll back successful executions", function() {
+      return sagaCoil("http://localhost:3000/orders").run().then(function(ctx) {
+        expect(ctx.getRollback()).to.be.null;
+      });
+    });
+    it("runs the fallback group when the group fails", function(done) {
+      var coil = new Rcoil();
+      coil.startGroup("orders")
+          .addRequest(R.post("createOrder", "http://localhost:3000/orders").compensateWith(cancelOrder("cancelOrder", "orders", "createOrder")))
+        .startGroup("shipping")
+          .addRequest(R.post("ship", "http://localhost:1/ship"))
+          .onFailure("backupShipping")
+            .addRequest(R.post("shipBackup", "http://localhost:3000/orders"))
+            .startGroup("notify")
+              .addRequest(R.get("notify", "http://localhost:3000/users"))
+        .afterGroup("shipping")
+          .startGroup("invoice")
+            .addRequest(R.get("invoice", "http://localhost:3000/users/user1"));
+      var director = new ExecutionDirector(coil, {
+        logger: new DevNullLogger(),
+        failurePolicy: ExecutionDirector.FailurePolicy.FAIL_FAST
+      });
+      
+      director.start(function(ctx) {
+        expect(ctx.responseData("shipping", "ship").isFailed).to.equal(true);
+        expect(ctx.responseData("backupShipping", "shipBackup").statusCode).to.equal(200);
+        expect(ctx.responseData("notify", "notify").statusCode).to.equal(200);
+        expect(ctx.responseData("invoice", "invoice").statusCode).to.equal(200);
+        expect(ctx.getRollback()).to.be.null;
+        done();
+      });
+    });
+    it("rolls back after a request times out", function(done) {
+      var coil = new Rcoil();
+      coil.startGroup("orders")
+          .addRequest(R.post("createOrder", "http://localhost:3000/orders").compensateWith(cancelOrder("cancelOrder", "orders", "createOrder")))
+        .startGroup("shipping")
+          .addRequest(R.get("ship", "http://localhost:3000/slow").setTimeout(50));
+      var director = new ExecutionDirector(coil, {
+        logger: new DevNullLogger()
+      });
+      
+      director.start(function(ctx) {
+        expect(ctx.responseData("shipping", "ship").timedOut).to.equal(true);
+        expect(ctx.getRollback().status).to.equal("completed");
+        expect(ctx.getRollback().compensations[0].response.json.canceled).to.equal(ctx.responseData("orders", "createOrder").json.id);
+        done();
+      });
+    });
+    it("rolls back after the coil deadline cuts off a request", function(done) {
+      var coil = new Rcoil();
+      coil.startGroup("orders")
+          .addRequest(R.post("createOrder", "http://localhost:3000/orders").compensateWith(cancelOrder("cancelOrder", "orders", "createOrder")))
+        .startGroup("shipping")
+          .addRequest(R.get("ship", "http://localhost:3000/slow"));
+      var director = new ExecutionDirector(coil, {
+        logger: new DevNullLogger(),
+        coilTimeout: 100
+      });
+      
+      director.start(function(ctx) {
+        expect(ctx.responseData("shipping", "ship").timeoutType).to.equal("coil");
+        expect(ctx.getRollback().status).to.equal("completed");
+        expect(ctx.getRollback().compensations[0].requestName).to.equal("createOrder");
+        expect(ctx.getStatus()).to.equal(ExecutionContext.Status.TIMED_OUT);
+        done();
+      });
+    });
+    it("runs the fallback group when a request times out", function(done) {
+      var coil = new Rcoil();
+      coil.startGroup("orders")
+          .addRequest(R.post("createOrder", "http://localhost:3000/orders").compensateWith(cancelOrder("cancelOrder", "orders", "createOrder")))
+        .startGroup("shipping")
+          .addRequest(R.get("ship", "http://localhost:3000/slow").setTimeout(50))
+          .onFailure("backupShipping")
+            .addRequest(R.post("shipBackup", "http://localhost:3000/orders"));
+      var director = new ExecutionDirector(coil, {
+        logger: new DevNullLogger()
+      });
+      
+      director.start(function(ctx) {
+        expect(ctx.responseData("shipping", "ship").timedOut).to.equal(true);
+        expect(ctx.responseData("backupShipping", "shipBackup").statusCode).to.equal(200);
+        expect(ctx.getRollback()).to.be.null;
+        done();
+      });
+    });
+    it("skips the fallback group when the group succeeds", function() {
+      var skipped = [];
+      var coil = new Rcoil();
+      coil.startGroup("shipping")
+          .addRequest(R.post("ship", "http://localhost:3000/orders"))
+          .onFailure("backupShipping")
+            .addRequest(R.post("shipBackup", "http://localhost:3000/orders"))
+            .startGroup("notify")
+              .addRequest(R.get("notify", "http://localhost:3000/users"));
+      var director = new ExecutionDirector(coil, {
+        logger: new DevNullLogger()
+      });
+      director.on("groupSkip", function(group) {
+        skipped.push(group.id);
+      });
+      
+      return director.run().then(function(ctx) {
+        expect(skipped).to.deep.equal(["backupShipping", "notify"]);
+        expect(ctx.responseData("backupShipping", "shipBackup").skipReason).to.equal("Request group shipping completed without failures");
+        expect(ctx.responseData("notify", "notify").skipReason).to.equal("Request group backupShipping skipped");
+      });
+    });
+    it("aborts the rollback", function(done) {
+      var director = sagaCoil("http://localhost:1/ship");
+      director.on("compensation", function() {
+        director.abort("stop");
+      });
+      director.on("abort", function(ctx) {
+        expect(ctx.getRollback().status).to.equal("aborted");
+        expect(ctx.getRollback().compensations.length).to.equal(1);
+        done();
+      });
+      director.start(function() {
+        done(new Error("the execution should be aborted"));
+      });
+    });
+  });
+});
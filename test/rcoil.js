@@ -2,6 +2,7 @@ var expect = require("chai").expect;
 
 var Rcoil = require("../src/rcoil");
 var R = require("../src/request");
+var Players = require("../src/players");
 
 // new coil
 var coil = new Rcoil();
@@ -64,4 +65,167 @@ describe("Rcoil tree structure", function() {
       expect(count).to.equal(2);
     });
   });
-});
\ No newline at end of file
+  describe("Request settings", function() {
+    before(function() {
+      Players.registerType("db", {
+        execute: function(request, input, context, callback) {
+          callback(null, { body: null });
+        }
+      });
+    });
+    after(function() {
+      Players.unregisterType("db");
+    });
+    
+    it("Does not look up groups in the settings of the requests", function() {
+      var settingsCoil = new Rcoil();
+      settingsCoil.startGroup("queries")
+        .addRequest(R.custom("q", "db", { id: "orders" }))
+        .startGroup("orders");
+      expect(settingsCoil._findRequestGroup(settingsCoil.calls, "orders").requests).to.deep.equal([]);
+      expect(settingsCoil.calls[0].children[0].id).to.equal("orders");
+    });
+    it("Accepts settings with circular references", function() {
+      var pool = { name: "pool" };
+      pool.self = pool;
+      var settingsCoil = new Rcoil();
+      settingsCoil.startGroup("queries")
+        .addRequest(R.custom("q", "db", { pool: pool }))
+        .afterGroup("queries")
+        .startGroup("next");
+      expect(settingsCoil._findRequestGroup(settingsCoil.calls, "next")).not.to.be.null;
+      expect(settingsCoil.validate()).to.deep.equal([{
+        severity: "warning",
+        code: Rcoil.DiagnosticCode.EMPTY_GROUP,
+        message: "Request group next has no requests and no children",
+        groupId: "next",
+        requestName: null
+      }]);
+    });
+  });
+  describe("Dependencies", function() {
+    it("Adds dependencies to requests and groups", function() {
+      var depCoil = new Rcoil();
+      depCoil.startGroup("users")
+          .addRequest(R.get("getUser", "http://api.com/users/1"))
+        .startGroup("orders", { dependsOn: [{ groupId: "users", requestName: "getUser" }] })
+          .addRequest(R.get("getOrders", "http://api.com/orders").dependsOn("users", "getUser"));
+      expect(depCoil.calls[0].dependsOn).to.deep.equal([]);
+      expect(depCoil.calls[0].children[0].dependsOn).to.deep.equal([{ groupId: "users", requestName: "getUser" }]);
+      expect(depCoil.calls[0].children[0].requests[0].dependencies).to.deep.equal([{ groupId: "users", requestName: "getUser" }]);
+    });
+    it("Rejects invalid group dependencies", function() {
+      var fn = function() {
+        new Rcoil().startGroup("users", { dependsOn: { groupId: "users" } });
+      };
+      expect(fn).to.throw(Error);
+    });
+    it("Detects dependency cycles between requests", function() {
+      var depCoil = new Rcoil();
+      depCoil.startGroup("first")
+        .addRequest(R.get("a", "http://api.com/a").dependsOn("first", "b"));
+      var fn = function() {
+        depCoil.addRequest(R.get("b", "http://api.com/b").dependsOn("first", "a"));
+      };
+      expect(fn).to.throw(Error, "Dependency cycle detected: first/a -> first/b -> first/a");
+      expect(depCoil.calls[0].requests.length).to.equal(1);
+    });
+    it("Detects cycles through the parent group", function() {
+      var depCoil = new Rcoil();
+      depCoil.startGroup("parent")
+          .addRequest(R.get("a", "http://api.com/a").dependsOn("child", "b"))
+        .startGroup("child");
+      var fn = function() {
+        depCoil.addRequest(R.get("b", "http://api.com/b"));
+      };
+      expect(fn).to.throw(Error, /Dependency cycle detected/);
+    });
+  });
+  describe("Validation", function() {
+    function codes(diagnostics) {
+      return diagnostics.map(function(d) { return d.severity + ":" + d.code; });
+    }
+    
+    it("Returns no diagnostics for a valid coil", function() {
+      var validCoil = new Rcoil();
+      validCoil.startGroup("users")
+          .addRequest(R.get("getUser", "http://api.com/users/1"))
+          .addRequest(R.lambda("notify", "arn:aws:lambda:us-east-1:123456789012:function:notify", "prod"))
+        .startGroup("orders")
+          .addRequest(R.get("getOrders", "http://api.com/orders").dependsOn("users", "getUser"));
+      expect(validCoil.validate()).to.deep.equal([]);
+    });
+    it("Rejects unknown groups passed to afterGroup", function() {
+      var typoCoil = new Rcoil();
+      typoCoil.startGroup("users");
+      
+      var fn = function() { typoCoil.afterGroup("usres"); };
+      expect(fn).to.throw(Error, /Request group usres does not exist/);
+      expect(typoCoil._tmpPositionId).to.equal("users");
+    });
+    it("Reports duplicate request names", function() {
+      var dupCoil = new Rcoil();
+      dupCoil.startGroup("first")
+          .addRequest(R.get("list", "http://api.com/a"))
+          .addRequest(R.get("list", "http://api.com/b"))
+        .startGroup("second")
+          .addRequest(R.get("list", "http://api.com/c"));
+      expect(codes(dupCoil.validate())).to.deep.equal(["error:duplicateRequestName", "warning:duplicateRequestName"]);
+    });
+    it("Reports invalid urls and Lambda functions", function() {
+      var targetCoil = new Rcoil();
+      targetCoil.startGroup("first")
+        .addRequest(R.get("ftp", { protocol: "ftp:", host: "api.com", path: "/", method: "GET" }))
+        .addRequest(R.lambda("badArn", "arn:aws:xxxxxxxx:lambda:asd"))
+        .addRequest(R.lambda("badQualifier", "myFunction", "v1.0"))
+        .addRequest(R.lambda("name", "myFunction"))
+        .addRequest(R.lambda("alias", "arn:aws:lambda:us-east-1:123456789012:function:notify:prod"))
+        .addRequest(R.lambda("version", "123456789012:function:notify:$LATEST"));
+      var diagnostics = targetCoil.validate();
+      expect(codes(diagnostics)).to.deep.equal(["error:invalidUrl", "error:invalidArn", "error:invalidArn"]);
+      expect(diagnostics[1].requestName).to.equal("badArn");
+    });
+    it("Reports unknown dependencies and unreachable groups", function() {
+      var depCoil = new Rcoil();
+      depCoil.startGroup("first")
+          .addRequest(R.get("a", "http://api.com/a").dependsOn("first", "missing"))
+        .startGroup("second", { dependsOn: [{ groupId: "other", requestName: "b" }] })
+          .addRequest(R.get("b", "http://api.com/b"));
+      var diagnostics = depCoil.validate();
+      expect(codes(diagnostics)).to.deep.equal([
+        "error:unknownRequest", "error:unknownGroup", "error:unreachableGroup", "error:unreachableGroup"
+      ]);
+      expect(diagnostics[2].message).to.equal("Request group first can never start, requests a have dependencies that cannot be met");
+    });
+    it("Reports unreachable requests in groups with a slash in their id", function() {
+      var slashCoil = new Rcoil();
+      slashCoil.startGroup("api/v1/users")
+        .addRequest(R.get("a", "http://api.com/a").dependsOn("api/v1/users", "missing"));
+      var diagnostics = slashCoil.validate();
+      expect(codes(diagnostics)).to.deep.equal(["error:unknownRequest", "error:unreachableGroup"]);
+      expect(diagnostics[1].groupId).to.equal("api/v1/users");
+      expect(diagnostics[1].message).to.equal("Request group api/v1/users can never start, requests a have dependencies that cannot be met");
+    });
+    it("Reports unknown requests in mappings and the output template", function() {
+      var mappingCoil = new Rcoil();
+      mappingCoil.startGroup("first")
+        .addRequest(R.get("a", "http://api.com/a"))
+        .addRequest(R.get("b", "http://api.com/b").setInputMapping({ id: "$.first.c.json.id" }));
+      mappingCoil.output({ a: "$.first.a.json", other: { $path: "$.second.a.json" } });
+      
+      var diagnostics = mappingCoil.validate();
+      expect(codes(diagnostics)).to.deep.equal(["error:unknownGroup", "error:unknownRequest"]);
+      expect(diagnostics[0].message).to.equal("Output template reads $.second.a.json from unknown request group second");
+      expect(diagnostics[1].message).to.equal("Input of request first/b reads $.first.c.json.id from unknown request first/c");
+    });
+    it("Reports cycles added after the requests", function() {
+      var cycleCoil = new Rcoil();
+      var a = R.get("a", "http://api.com/a");
+      cycleCoil.startGroup("first")
+        .addRequest(a)
+        .addRequest(R.get("b", "http://api.com/b").dependsOn("first", "a"));
+      a.dependsOn("first", "b");
+      expect(codes(cycleCoil.validate())).to.deep.equal(["error:dependencyCycle", "error:unreachableGroup"]);
+    });
+  });
+});
@@ -1,6 +1,7 @@
 var expect = require("chai").expect;
 
 var R = require("../src/request");
+var Players = require("../src/players");
 
 var apiUrl = "http://api.com/test";
 
@@ -36,6 +37,13 @@ describe("Test request object", function() {
       
       expect(req.inputFunc).not.to.be.null;
     });
+    it("Set output function", function() {
+      var req = R.get("test", "http://api.com/test").onOutput(function(response, context) {
+        return JSON.parse(response.body);
+      });
+      
+      expect(req.outputFunc).to.be.a("function");
+    });
     it("Lambda function setup", function() {
       var lambdaArn = "arn:aws:xxxxxxxx:lambda:asd";
       var qualifier = "dev"
@@ -51,5 +59,117 @@ describe("Test request object", function() {
       expect(req.settings.function).to.equal(lambdaArn);
       expect(req.settings.qualifier).to.equal("$LATEST");
     });
+    it("Lambda invoke options", function() {
+      var req = R.lambda("test", "myFunction");
+      expect(req.settings.invocationType).to.equal(R.LambdaInvocationType.REQUEST_RESPONSE);
+      expect(req.settings.logType).to.equal(R.LambdaLogType.NONE);
+      expect(req.toDefinition()).to.deep.equal({ name: "test", type: "lambda", function: "myFunction", qualifier: "$LATEST" });
+      
+      req.setInvokeOptions({ invocationType: "Event", logType: "Tail", clientContext: { custom: { a: 1 } } });
+      expect(req.toDefinition().invocationType).to.equal("Event");
+      expect(R.fromDefinition(req.toDefinition()).settings).to.deep.equal(req.settings);
+      
+      expect(function() { req.setInvokeOptions({ invocationType: "Async" }) }).to.throw(Error);
+      expect(function() { req.setInvokeOptions({ logType: "Full" }) }).to.throw(Error);
+      expect(function() { req.setInvokeOptions({ clientContext: "tenant" }) }).to.throw(Error);
+      expect(function() { req.setInvokeOptions({ payload: {} }) }).to.throw(Error);
+      expect(function() { R.get("test", apiUrl).setInvokeOptions({ logType: "Tail" }) }).to.throw(Error);
+    });
+    it("Request timeout", function() {
+      var req = R.get("test", apiUrl);
+      expect(req.timeout.total).to.be.null;
+      
+      req.setTimeout(1000);
+      expect(req.timeout.total).to.equal(1000);
+      expect(req.timeout.connect).to.be.null;
+      
+      req.setTimeout({ connect: 100, total: 2000 });
+      expect(req.timeout.connect).to.equal(100);
+      expect(req.timeout.total).to.equal(2000);
+    });
+    it("Retry policy", function() {
+      var req = R.get("test", apiUrl);
+      expect(req.retryPolicy).to.be.null;
+      
+      req.setRetryPolicy({ maxAttempts: 5, statusCodes: [429] });
+      expect(req.retryPolicy.maxAttempts).to.equal(5);
+      expect(req.retryPolicy.statusCodes).to.deep.equal([429]);
+      expect(req.retryPolicy.backoffBase).to.equal(R.DefaultRetryPolicy.backoffBase);
+    });
+    it("Invalid retry policy", function() {
+      var fn = function() { R.get("test", apiUrl).setRetryPolicy({ maxAttempts: 0 }) };
+      expect(fn).to.throw(Error);
+      fn = function() { R.get("test", apiUrl).setRetryPolicy({ jitter: "random" }) };
+      expect(fn).to.throw(Error);
+    });
+    it("Map request", function() {
+      var factory = function(item) { return R.get("item", apiUrl); };
+      var req = R.map("test", "$.users.list.json[*].username", factory);
+      expect(req.type).to.equal(R.RequestType.MAP);
+      expect(req.settings.concurrency).to.equal(R.DefaultMapConcurrency);
+      expect(req.getUrl()).to.equal("map $.users.list.json[*].username");
+      
+      req.setConcurrency(2);
+      expect(req.settings.concurrency).to.equal(2);
+      expect(function() { req.setConcurrency(0) }).to.throw(Error);
+      expect(function() { R.get("test", apiUrl).setConcurrency(2) }).to.throw(Error);
+      expect(function() { R.map("test", "users", factory) }).to.throw(Error);
+      expect(function() { R.map("test", "$.users.list", null) }).to.throw(Error);
+      expect(function() { req.toDefinition() }).to.throw(Error);
+    });
+    it("Function request", function() {
+      var req = R.fn("test", function merge(context) { return {}; });
+      expect(req.type).to.equal(R.RequestType.FUNCTION);
+      expect(req.getUrl()).to.equal("function merge");
+      expect(R.fn("test", function() {}).getUrl()).to.equal("function [anonymous]");
+      expect(function() { R.fn("test", "merge") }).to.throw(Error);
+      expect(function() { req.toDefinition() }).to.throw(Error);
+      expect(function() { req.setPagination({ strategy: "link" }) }).to.throw(Error);
+    });
+    it("Custom request type", function() {
+      expect(function() { R.custom("test", "queue", { name: "jobs" }) }).to.throw(Error);
+      Players.registerType("queue", {
+        execute: function(request, input, context, callback) {
+          callback(null, { body: input });
+        },
+        getUrl: function(settings) {
+          return "queue://" + settings.name;
+        },
+        validate: function(settings) {
+          if (typeof settings.name !== 'string') throw new Error("Queue requests require a name");
+        }
+      });
+      
+      try {
+        var req = R.custom("test", "queue", { name: "jobs" });
+        expect(req.type).to.equal("queue");
+        expect(req.getUrl()).to.equal("queue://jobs");
+        expect(req.toDefinition()).to.deep.equal({ name: "test", type: "queue", settings: { name: "jobs" } });
+        expect(R.fromDefinition(req.toDefinition()).settings).to.deep.equal({ name: "jobs" });
+        expect(function() { R.custom("test", "queue", {}) }).to.throw(/require a name/);
+        expect(function() { Players.registerType("queue", { execute: function() {} }) }).to.throw(Error);
+        expect(function() { Players.registerType("http", { execute: function() {} }) }).to.throw(Error);
+        expect(function() { Players.registerType("cache", {}) }).to.throw(Error);
+      } finally {
+        Players.unregisterType("queue");
+      }
+      expect(function() { R.custom("test", "queue", { name: "jobs" }) }).to.throw(Error);
+    });
+    it("Pagination", function() {
+      var req = R.get("test", apiUrl);
+      expect(req.pagination).to.be.null;
+      
+      req.setPagination({ strategy: "cursor", cursorPath: "meta.next" });
+      expect(req.pagination.param).to.equal("cursor");
+      expect(req.pagination.maxPages).to.equal(R.DefaultPagination.maxPages);
+      expect(req.toDefinition().pagination.cursorPath).to.equal("meta.next");
+      expect(R.fromDefinition(req.toDefinition()).pagination).to.deep.equal(req.pagination);
+      
+      expect(function() { req.setPagination({ strategy: "offset" }) }).to.throw(Error);
+      expect(function() { req.setPagination({ strategy: "cursor" }) }).to.throw(Error);
+      expect(function() { req.setPagination({ strategy: "page", maxPages: 0 }) }).to.throw(Error);
+      expect(function() { req.setPagination({ strategy: "link", itemsPath: "data[" }) }).to.throw(Error);
+      expect(function() { R.lambda("test", "function").setPagination({ strategy: "link" }) }).to.throw(Error);
+    });
   });
 });
\ No newline at end of file
@@ -0,0 +1,64 @@
+var expect = require("chai").expect;
+var zlib = require("zlib");
+
+var decoder = require("../src/response-decoder");
+
+describe("Response decoder", function() {
+  describe("Decoding bodies", function() {
+    it("Decodes plain text", function(done) {
+      decoder.decode({ "content-type": "text/plain" }, Buffer.from("hello"), function(err, decoded) {
+        expect(err).to.be.null;
+        expect(decoded.body).to.equal("hello");
+        expect(decoded.json).to.be.undefined;
+        done();
+      });
+    });
+    it("Decodes the charset of the content type", function(done) {
+      var body = Buffer.from("caffè", "latin1");
+      decoder.decode({ "content-type": "text/plain; charset=ISO-8859-1" }, body, function(err, decoded) {
+        expect(decoded.body).to.equal("caffè");
+        done();
+      });
+    });
+    it("Inflates deflate bodies", function(done) {
+      var headers = { "content-type": "application/json", "content-encoding": "deflate" };
+      decoder.decode(headers, zlib.deflateSync('{"a":1}'), function(err, decoded) {
+        expect(decoded.json).to.deep.equal({ a: 1 });
+        done();
+      });
+    });
+    it("Parses json suffix types", function(done) {
+      decoder.decode({ "content-type": "application/hal+json" }, Buffer.from('{"a":1}'), function(err, decoded) {
+        expect(decoded.json.a).to.equal(1);
+        done();
+      });
+    });
+    it("Does not parse empty json bodies", function(done) {
+      decoder.decode({ "content-type": "application/json" }, Buffer.alloc(0), function(err, decoded) {
+        expect(decoded.json).to.be.undefined;
+        expect(decoded.jsonError).to.be.undefined;
+        done();
+      });
+    });
+    it("Does not decompress empty bodies", function(done) {
+      decoder.decode({ "content-encoding": "gzip", "content-type": "application/json" }, Buffer.alloc(0), function(err, decoded) {
+        expect(err).to.be.null;
+        expect(decoded.raw.length).to.equal(0);
+        expect(decoded.body).to.equal("");
+        done();
+      });
+    });
+    it("Returns an error for corrupted bodies", function(done) {
+      decoder.decode({ "content-encoding": "gzip" }, Buffer.from("not gzip"), function(err, decoded) {
+        expect(err).to.be.instanceof(Error);
+        done();
+      });
+    });
+    it("Returns an error for unknown encodings", function(done) {
+      decoder.decode({ "content-encoding": "compress" }, Buffer.from("body"), function(err, decoded) {
+        expect(err).to.be.instanceof(Error);
+        done();
+      });
+    });
+  });
+});
@@ -1,5 +1,6 @@
 var express = require("express");
 var bodyParser = require('body-parser');
+var zlib = require('zlib');
 var app = express();
 
 app.use(bodyParser.json());
@@ -34,6 +35,7 @@ app.get("/users/user1", function(req, res) {
 });
 
 app.post("/users", function(req, res) {
+  res.set("Set-Cookie", "session=secret; HttpOnly");
   res.send({
     id: req.body.id
   });
@@ -45,6 +47,175 @@ app.get("/headers", function(req, res) {
   });
 });
 
+app.get("/slow", function(req, res) {
+  setTimeout(function() {
+    res.send({
+      slow: true
+    });
+  }, 300);
+});
+
+// echoes the value after an optional delay, with the number of echo requests in progress
+var echoRequests = 0;
+app.get("/echo/:value", function(req, res) {
+  echoRequests++;
+  var active = echoRequests;
+  setTimeout(function() {
+    echoRequests--;
+    res.send({
+      value: req.params.value,
+      active: active
+    });
+  }, parseInt(req.query.delay || "0"));
+});
+
+// five items split in pages of two, for the link, cursor, and page pagination strategies
+function getPage(page) {
+  var items = [1, 2, 3, 4, 5];
+  return items.slice((page - 1) * 2, page * 2);
+}
+
+app.get("/paged/link", function(req, res) {
+  var page = parseInt(req.query.page || "1");
+  if (page < 3) {
+    res.set("Link", '</paged/link?page=1>; rel="first", </paged/link?page=' + (page + 1) + '>; rel="next"');
+  }
+  res.send(getPage(page));
+});
+
+// the next link points to the same server with a different host name
+app.get("/paged/crossorigin", function(req, res) {
+  res.set("Link", '<http://127.0.0.1:3000/paged/link?page=2>; rel="next"');
+  res.send(getPage(1));
+});
+
+app.get("/paged/cursor", function(req, res) {
+  var page = parseInt(req.query.cursor || "1");
+  res.send({
+    items: getPage(page),
+    meta: { next: (page < 3 ? String(page + 1) : null) }
+  });
+});
+
+app.get("/paged/page", function(req, res) {
+  res.send(getPage(parseInt(req.query.page || "1")));
+});
+
+// reports a job as running until it's polled the given number of times for a key
+var jobPolls = {};
+app.get("/job/:key/:polls", function(req, res) {
+  var key = req.params.key;
+  jobPolls[key] = (jobPolls[key] || 0) + 1;
+  res.send({
+    status: (jobPolls[key] >= parseInt(req.params.polls) ? "done" : "running"),
+    polls: jobPolls[key]
+  });
+});
+
+// creates orders and cancels them, used to test compensations
+var orderId = 0;
+app.post("/orders", function(req, res) {
+  orderId++;
+  res.send({
+    id: orderId
+  });
+});
+
+app.post("/orders/cancel", function(req, res) {
+  res.send({
+    canceled: req.body.id
+  });
+});
+
+// fails with a 503 the first n times it's called for a key
+var flakyCalls = {};
+app.get("/flaky/:key/:failures", function(req, res) {
+  var key = req.params.key;
+  flakyCalls[key] = (flakyCalls[key] || 0) + 1;
+  
+  if (flakyCalls[key] <= parseInt(req.params.failures)) {
+    res.status(503).send({ error: "unavailable" });
+    return;
+  }
+  res.send({
+    calls: flakyCalls[key]
+  });
+});
+
+app.get("/gzip", function(req, res) {
+  res.set("Content-Type", "application/json; charset=utf-8");
+  res.set("Content-Encoding", "gzip");
+  res.send(zlib.gzipSync(JSON.stringify({ compressed: true, text: "caffè" })));
+});
+
+// sends a multibyte character split across two chunks
+app.get("/split", function(req, res) {
+  var body = Buffer.from(JSON.stringify({ text: "€uro" }), "utf8");
+  res.set("Content-Type", "application/json");
+  res.write(body.slice(0, 10));
+  setTimeout(function() {
+    res.end(body.slice(10));
+  }, 10);
+});
+
+app.get("/badjson", function(req, res) {
+  res.set("Content-Type", "application/json");
+  res.send("{ not json");
+});
+
+app.get("/binary", function(req, res) {
+  res.set("Content-Type", "application/octet-stream");
+  res.send(Buffer.from([0xff, 0x00, 0xfe, 0x01]));
+});
+
+// emulates the Invoke API of AWS Lambda for the functions below
+var lambdaFunctions = {
+  echo: function(event, clientContext) {
+    return { event: event, clientContext: clientContext };
+  },
+  fail: function(event) {
+    return { error: "Handled", payload: { errorMessage: "Invalid user " + event.id, errorType: "ValidationError" } };
+  },
+  crash: function(event) {
+    return { error: "Unhandled", payload: { errorMessage: "Process exited before completing request" } };
+  }
+};
+
+app.post("/2015-03-31/functions/:name/invocations", bodyParser.raw({ type: "*/*" }), function(req, res) {
+  var func = lambdaFunctions[req.params.name];
+  if (func === undefined) {
+    res.status(404).set("x-amzn-ErrorType", "ResourceNotFoundException").send({ message: "Function not found: " + req.params.name });
+    return;
+  }
+  
+  var body = (Buffer.isBuffer(req.body) && req.body.length > 0 ? JSON.parse(req.body.toString("utf8")) : null);
+  var clientContext = req.get("X-Amz-Client-Context");
+  clientContext = (clientContext !== undefined ? JSON.parse(Buffer.from(clientContext, "base64").toString("utf8")) : null);
+  var result = func(body, clientContext);
+  
+  res.set("X-Amz-Executed-Version", req.query.Qualifier || "$LATEST");
+  if (req.get("X-Amz-Log-Type") == "Tail") {
+    res.set("X-Amz-Log-Result", Buffer.from("START " + req.params.name + "\nEND " + req.params.name + "\n", "utf8").toString("base64"));
+  }
+  switch (req.get("X-Amz-Invocation-Type")) {
+    case "Event":
+      res.status(202).end();
+      return;
+    case "DryRun":
+      res.status(204).end();
+      return;
+  }
+  if (result.error !== undefined) {
+    res.set("X-Amz-Function-Error", result.error);
+    result = result.payload;
+  }
+  res.set("Content-Type", "application/json");
+  res.send(JSON.stringify(result));
+});
+
+var listening = false;
 module.exports = function() {
+  if (listening) return;
+  listening = true;
   app.listen(3000);  
 }
\ No newline at end of file